@@ -106,7 +106,9 @@ deploy_on_server() {
         fi
 
         # Create directory structure
+        # Persistent state (e.g. the SQLite database, see DATABASE_PATH) lives in shared/ so that it survives release swaps
         sudo mkdir -p \${NEW_RELEASE_DIR}
+        sudo mkdir -p \${BASE_DIR}/shared
 
         # Set ownership of the directory structure immediately
         echo "[INFO] Setting ownership to service user: \${SERVICE_USER}"
@@ -138,6 +140,20 @@ deploy_on_server() {
             sudo ln -sfn \${NEW_RELEASE_DIR} \${CURRENT_LINK}
         fi
 
+        # Point the service at the database in shared/ (the app refuses to start in production without DATABASE_PATH, see src/store/db.js)
+        DATABASE_PATH="\${BASE_DIR}/shared/automations.sqlite"
+        DROP_IN_DIR="/etc/systemd/system/\${SERVICE_NAME}.service.d"
+        sudo mkdir -p \${DROP_IN_DIR}
+        printf '[Service]\nEnvironment=DATABASE_PATH=%s\n' "\${DATABASE_PATH}" | sudo tee \${DROP_IN_DIR}/database.conf > /dev/null
+        sudo systemctl daemon-reload
+
+        # Releases before DATABASE_PATH kept the database in the release directory. Snapshot it into shared/ once, so its state isn't lost.
+        OLD_DATABASE="\${CURRENT_LINK}/data/automations.sqlite"
+        if [ ! -f \${DATABASE_PATH} ] && [ -f \${OLD_DATABASE} ]; then
+            echo "[INFO] Copying database from the current release to \${DATABASE_PATH}..."
+            sudo -u \${SERVICE_USER} bun -e "const { Database } = require('bun:sqlite'); new Database(process.argv[1]).exec(\"VACUUM INTO '\" + process.argv[2] + \"'\")" \${OLD_DATABASE} \${DATABASE_PATH}
+        fi
+
         # Atomic swap - update symlink to new release
         echo "[INFO] Swapping to new release..."
         sudo ln -sfn \${NEW_RELEASE_DIR} \${CURRENT_LINK}
@@ -0,0 +1,171 @@
+// Verifying and normalizing a fulfillment order's destination with EasyPost before buying a label, so that undeliverable addresses are caught
+// before the package is returned to sender.
+//
+// ADDRESS_VERIFY_STRICT=true uses EasyPost's verify_strict, which rejects addresses that can't be verified outright, instead of returning
+// them with failed verifications. FALLBACK_RECIPIENT_PHONE is used when the customer gave no phone at checkout, since some carriers require one.
+
+import { EasyPostValidationError } from "./common/easypost";
+import logger from "./utils/logger";
+
+// The parts of a shipping address that end up on the label
+const FINGERPRINT_FIELDS = [
+  "firstName",
+  "lastName",
+  "company",
+  "street1",
+  "street2",
+  "city",
+  "province",
+  "zip",
+  "countryCode",
+];
+
+export class UndeliverableAddressError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} problems - EasyPost's reasons, e.g. "street1: Address not found"
+   */
+  constructor(message, problems = []) {
+    super(
+      problems.length > 0 ? `${message}:\n- ${problems.join("\n- ")}` : message,
+    );
+    this.name = "UndeliverableAddressError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Verifies a fulfillment order's destination, and returns the fulfillment order with the normalized destination (e.g. ZIP+4, standardized street
+ * names), so that the shipment and packing slip both use it.
+ * @param {EasyPostClient} easypost
+ * @param {FulfillmentOrder} fulfillmentOrder
+ * @returns {Promise<FulfillmentOrder>}
+ * @throws {UndeliverableAddressError}
+ */
+export async function verifyDestination(easypost, fulfillmentOrder) {
+  const destination = fulfillmentOrder.destination;
+  const phone = destination.phone || Bun.env.FALLBACK_RECIPIENT_PHONE || null;
+  if (!destination.phone && phone) {
+    logger.info(
+      `No phone for fulfillment order ${fulfillmentOrder.id}, using fallback phone`,
+    );
+  }
+
+  let verified;
+  try {
+    verified = await easypost.verifyAddress(
+      {
+        name: `${destination.firstName} ${destination.lastName}`,
+        street1: destination.address1,
+        street2: destination.address2,
+        city: destination.city,
+        state: destination.province,
+        zip: destination.zip,
+        country: destination.countryCode,
+        phone,
+        email: destination.email,
+      },
+      { strict: Bun.env.ADDRESS_VERIFY_STRICT === "true" },
+    );
+  } catch (e) {
+    // verify_strict rejects an address it can't verify
+    if (e instanceof EasyPostValidationError) {
+      throw new UndeliverableAddressError(
+        `Destination of fulfillment order ${fulfillmentOrder.id} can't be delivered to`,
+        e.errors.length > 0
+          ? e.errors.map((error) => formatVerificationError(error))
+          : [e.message],
+      );
+    }
+    throw e;
+  }
+
+  const problems = verificationProblems(verified);
+  if (problems.length > 0) {
+    throw new UndeliverableAddressError(
+      `Destination of fulfillment order ${fulfillmentOrder.id} can't be delivered to`,
+      problems,
+    );
+  }
+  logger.info(
+    `Verified destination of fulfillment order ${fulfillmentOrder.id} (${verified.id})`,
+  );
+
+  return {
+    ...fulfillmentOrder,
+    destination: {
+      ...destination,
+      address1: verified.street1,
+      address2: verified.street2 || "",
+      city: verified.city,
+      province: verified.state,
+      zip: verified.zip,
+      countryCode: verified.country,
+      phone,
+    },
+  };
+}
+
+// verify failures come back as a failed delivery verification (verify_strict failures are thrown by the client, see above)
+function verificationProblems(verified) {
+  const delivery = verified.verifications?.delivery;
+  if (!delivery) {
+    return ["EasyPost did not verify the address"];
+  }
+  if (!delivery.success) {
+    return delivery.errors.length > 0
+      ? delivery.errors.map((e) => formatVerificationError(e))
+      : ["Address could not be verified"];
+  }
+  return [];
+}
+
+function formatVerificationError(error) {
+  return error.field ? `${error.field}: ${error.message}` : error.message;
+}
+
+/**
+ * A hash of an order's shipping address, recorded when a label is bought so that a later address change can be detected without storing the
+ * customer's address.
+ * @param {Object} shippingAddress - Order.shippingAddress, see gql.js
+ * @returns {string|null}
+ */
+export function destinationFingerprint(shippingAddress) {
+  if (!shippingAddress) {
+    return null;
+  }
+  const normalized = FINGERPRINT_FIELDS.map((field) =>
+    String(shippingAddress[field] ?? "")
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, " "),
+  );
+  return new Bun.CryptoHasher("sha256")
+    .update(JSON.stringify(normalized))
+    .digest("hex");
+}
+
+/**
+ * Replaces a fulfillment order's destination with the order's current shipping address. A fulfillment order that has already been fulfilled keeps
+ * the destination it had at the time, so the order is the source of truth for an edited address.
+ * @param {FulfillmentOrder} fulfillmentOrder
+ * @param {Object} shippingAddress - Order.shippingAddress, see gql.js
+ * @returns {FulfillmentOrder}
+ */
+export function withShippingAddress(fulfillmentOrder, shippingAddress) {
+  return {
+    ...fulfillmentOrder,
+    destination: {
+      ...fulfillmentOrder.destination,
+      firstName: shippingAddress.firstName,
+      lastName: shippingAddress.lastName,
+      address1: shippingAddress.street1,
+      address2: shippingAddress.street2,
+      city: shippingAddress.city,
+      province: shippingAddress.province,
+      zip: shippingAddress.zip,
+      countryCode: shippingAddress.countryCode,
+      phone: shippingAddress.phone ?? fulfillmentOrder.destination.phone,
+    },
+  };
+}
@@ -0,0 +1,280 @@
+// Holding unusual labels (e.g. expensive rates, high value orders) for the shop owner to approve before they're bought. Loaded from
+// config/approval.json by default, or APPROVAL_POLICY_PATH. A label needs approval if its chosen rate or order exceeds any of:
+// - rateAbove: Rate in dollars
+// - ratePercentOfSubtotalAbove: Rate as a percentage of the order subtotal
+// - subtotalAbove: Order subtotal in dollars
+// - zoneAbove: USPS zone of the shipment
+// - tags: Shopify order tags, any of which holds the label
+// - linkExpiryHours (optional): How long the approve and reject links are valid for. Defaults to 72.
+//
+// The owner is emailed a link per candidate rate, plus a reject link. Links are signed with APPROVAL_LINK_SECRET and point at PUBLIC_BASE_URL, so a
+// policy that can hold labels is invalid without them.
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { readConfigFile, createConfigLoader } from "./utils/config-file";
+import {
+  getFulfillmentOrderState,
+  recordRateApproved,
+  recordApprovalRejected,
+} from "./store/fulfillment-orders.js";
+
+export class ApprovalPolicyError extends Error {
+  constructor(message, problems = []) {
+    super(
+      problems.length > 0 ? `${message}:\n- ${problems.join("\n- ")}` : message,
+    );
+    this.name = "ApprovalPolicyError";
+    this.problems = problems;
+  }
+}
+
+export class ApprovalLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ApprovalLinkError";
+  }
+}
+
+const DEFAULT_APPROVAL_POLICY_PATH = `${import.meta.dir}/../config/approval.json`;
+
+const THRESHOLDS = [
+  "rateAbove",
+  "ratePercentOfSubtotalAbove",
+  "subtotalAbove",
+  "zoneAbove",
+];
+
+/**
+ * @typedef ApprovalPolicy
+ * @property {number|null} rateAbove
+ * @property {number|null} ratePercentOfSubtotalAbove
+ * @property {number|null} subtotalAbove
+ * @property {number|null} zoneAbove
+ * @property {string[]} tags
+ * @property {number} linkExpiryHours
+ */
+
+/**
+ * Validates a raw approval policy, throwing an ApprovalPolicyError listing every problem found.
+ * @param {Object} raw
+ * @param {Object=} env - Defaults to Bun.env
+ * @returns {ApprovalPolicy}
+ */
+export function parseApprovalPolicy(raw, env = Bun.env) {
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new ApprovalPolicyError("Approval policy must be an object");
+  }
+
+  const problems = [];
+  for (const key of THRESHOLDS) {
+    if (raw[key] != null && !(typeof raw[key] === "number" && raw[key] >= 0)) {
+      problems.push(`${key} must be a number, 0 or more`);
+    }
+  }
+  if (
+    raw.tags !== undefined &&
+    !(Array.isArray(raw.tags) && raw.tags.every((t) => typeof t === "string"))
+  ) {
+    problems.push("tags must be an array of strings");
+  }
+  if (
+    raw.linkExpiryHours !== undefined &&
+    !(typeof raw.linkExpiryHours === "number" && raw.linkExpiryHours > 0)
+  ) {
+    problems.push("linkExpiryHours must be a positive number");
+  }
+
+  const policy = {
+    ...Object.fromEntries(THRESHOLDS.map((key) => [key, raw[key] ?? null])),
+    tags: raw.tags ?? [],
+    linkExpiryHours: raw.linkExpiryHours ?? 72,
+  };
+  if (isApprovalPolicyEnabled(policy)) {
+    for (const name of ["APPROVAL_LINK_SECRET", "PUBLIC_BASE_URL"]) {
+      if (!env[name]) {
+        problems.push(`${name} must be set to email approval links`);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ApprovalPolicyError("Invalid approval policy", problems);
+  }
+  return policy;
+}
+
+/**
+ * Returns the approval policy, re-reading the file if it has changed since it was last loaded.
+ * @returns {Promise<ApprovalPolicy>}
+ */
+export const getApprovalPolicy = createConfigLoader({
+  description: "approval policy",
+  path: () => Bun.env.APPROVAL_POLICY_PATH ?? DEFAULT_APPROVAL_POLICY_PATH,
+  load: async (path) => {
+    let raw;
+    try {
+      raw = await readConfigFile(path);
+    } catch (e) {
+      throw new ApprovalPolicyError(`Could not parse ${path}: ${e.message}`);
+    }
+    return parseApprovalPolicy(raw);
+  },
+});
+
+/**
+ * @param {ApprovalPolicy} policy
+ * @returns {boolean} Whether any label could need approval
+ */
+export function isApprovalPolicyEnabled(policy) {
+  return (
+    THRESHOLDS.some((key) => policy[key] !== null) || policy.tags.length > 0
+  );
+}
+
+/**
+ * Why a label needs approval, if it does.
+ * @param {ApprovalPolicy} policy
+ * @param {Object} label
+ * @param {number} label.rate - Chosen rate in dollars
+ * @param {number|null} label.subtotal - Order subtotal in dollars
+ * @param {number|null} label.zone - USPS zone
+ * @param {string[]} label.tags - Shopify order tags
+ * @returns {string[]} Empty if the label can be bought without approval
+ */
+export function approvalReasons(policy, { rate, subtotal, zone, tags }) {
+  const reasons = [];
+  if (policy.rateAbove !== null && rate > policy.rateAbove) {
+    reasons.push(`Rate $${rate} is above $${policy.rateAbove}`);
+  }
+  if (policy.ratePercentOfSubtotalAbove !== null && subtotal) {
+    const percent = (rate / subtotal) * 100;
+    if (percent > policy.ratePercentOfSubtotalAbove) {
+      reasons.push(
+        `Rate is ${percent.toFixed(1)}% of the $${subtotal} subtotal, above ${policy.ratePercentOfSubtotalAbove}%`,
+      );
+    }
+  }
+  if (
+    policy.subtotalAbove !== null &&
+    subtotal != null &&
+    subtotal > policy.subtotalAbove
+  ) {
+    reasons.push(`Subtotal $${subtotal} is above $${policy.subtotalAbove}`);
+  }
+  if (policy.zoneAbove !== null && zone != null && zone > policy.zoneAbove) {
+    reasons.push(`Zone ${zone} is above ${policy.zoneAbove}`);
+  }
+  const heldTags = (tags ?? []).filter((tag) => policy.tags.includes(tag));
+  if (heldTags.length > 0) {
+    reasons.push(`Order is tagged ${heldTags.join(", ")}`);
+  }
+  return reasons;
+}
+
+/**
+ * @typedef ApprovalDecision
+ * @property {string} fulfillmentOrderId
+ * @property {string} shipmentId - EasyPost shipment (or order) the rates belong to, so a link can't be used on a later shipment
+ * @property {"approve"|"reject"} action
+ * @property {string=} rateId - EasyPost rate to buy, when approving
+ */
+
+/**
+ * Signs an approval decision into a token for a link.
+ * @param {ApprovalDecision} decision
+ * @param {Date} expiresAt
+ * @returns {string}
+ */
+export function createApprovalToken(decision, expiresAt) {
+  const payload = Buffer.from(
+    JSON.stringify({ ...decision, expiresAt: expiresAt.toISOString() }),
+  ).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * @param {ApprovalDecision} decision
+ * @param {Date} expiresAt
+ * @returns {string}
+ */
+export function approvalUrl(decision, expiresAt) {
+  return `${Bun.env.PUBLIC_BASE_URL}/approvals/${createApprovalToken(decision, expiresAt)}`;
+}
+
+/**
+ * @param {string} token
+ * @param {Date=} now
+ * @returns {ApprovalDecision}
+ * @throws {ApprovalLinkError} If the token was tampered with or has expired
+ */
+export function verifyApprovalToken(token, now = new Date()) {
+  const [payload, signature] = String(token).split(".");
+  if (!payload || !signature) {
+    throw new ApprovalLinkError("Invalid approval link");
+  }
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new ApprovalLinkError("Invalid approval link");
+  }
+
+  const { expiresAt, ...decision } = JSON.parse(
+    Buffer.from(payload, "base64url").toString("utf8"),
+  );
+  if (new Date(expiresAt) <= now) {
+    throw new ApprovalLinkError("This approval link has expired");
+  }
+  return decision;
+}
+
+function sign(payload) {
+  const secret = Bun.env.APPROVAL_LINK_SECRET;
+  if (!secret) {
+    throw new ApprovalPolicyError("APPROVAL_LINK_SECRET is not set");
+  }
+  return createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+/**
+ * Checks a decision still applies to the fulfillment order (it's still waiting on one, for the same shipment), and returns its state.
+ * @param {ApprovalDecision} decision
+ * @returns {FulfillmentOrderState}
+ * @throws {ApprovalLinkError}
+ */
+export function pendingApproval(decision) {
+  const state = getFulfillmentOrderState(decision.fulfillmentOrderId);
+  if (
+    !state?.approval_requested_at ||
+    state.shipment_id !== decision.shipmentId
+  ) {
+    throw new ApprovalLinkError("This label is no longer waiting for approval");
+  }
+  if (state.approved_rate_id || state.approval_rejected_at) {
+    throw new ApprovalLinkError(
+      `This label was already ${state.approved_rate_id ? "approved" : "rejected"}`,
+    );
+  }
+  return state;
+}
+
+/**
+ * Records the shop owner's decision. An approved label is bought by re-running the job that requested approval.
+ * @param {ApprovalDecision} decision
+ * @returns {FulfillmentOrderState} The state before the decision was recorded
+ * @throws {ApprovalLinkError}
+ */
+export function recordApprovalDecision(decision) {
+  const state = pendingApproval(decision);
+  if (
+    decision.action === "approve" &&
+    !state.rates?.some((rate) => rate.id === decision.rateId)
+  ) {
+    throw new ApprovalLinkError("Unknown rate");
+  }
+  if (decision.action === "approve") {
+    recordRateApproved(decision.fulfillmentOrderId, decision.rateId);
+  } else {
+    recordApprovalRejected(decision.fulfillmentOrderId);
+  }
+  return state;
+}
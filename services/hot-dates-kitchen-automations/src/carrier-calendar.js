@@ -0,0 +1,149 @@
+// Carrier delivery calendar, for projecting when each rate would arrive. Loaded from config/carrier-calendar.json by default, or
+// CARRIER_CALENDAR_PATH. Keyed by EasyPost carrier (e.g. "USPS", "UPSDAP"), with a "default" entry for carriers that aren't listed:
+// - deliveryWeekdays: Days the carrier delivers, 1 = Monday ... 7 = Sunday
+// - holidays: Days the carrier doesn't deliver, ["yyyy-MM-dd"]
+
+import { DateTime } from "luxon";
+import { readConfigFile, createConfigLoader } from "./utils/config-file";
+
+export class CarrierCalendarConfigError extends Error {
+  constructor(message, problems = []) {
+    super(
+      problems.length > 0 ? `${message}:\n- ${problems.join("\n- ")}` : message,
+    );
+    this.name = "CarrierCalendarConfigError";
+    this.problems = problems;
+  }
+}
+
+const DEFAULT_CARRIER_CALENDAR_PATH = `${import.meta.dir}/../config/carrier-calendar.json`;
+
+/**
+ * @typedef CarrierDeliveryDays
+ * @property {number[]} deliveryWeekdays - 1 = Monday ... 7 = Sunday
+ * @property {string[]} holidays - "yyyy-MM-dd"
+ */
+
+/**
+ * @typedef {Object<string, CarrierDeliveryDays>} CarrierCalendar - Keyed by EasyPost carrier, always with a "default" entry
+ */
+
+/**
+ * Validates a raw carrier calendar, throwing a CarrierCalendarConfigError listing every problem found.
+ * @param {Object} raw
+ * @returns {CarrierCalendar}
+ */
+export function parseCarrierCalendar(raw) {
+  if (!isObject(raw?.carriers) || !isObject(raw.carriers.default)) {
+    throw new CarrierCalendarConfigError(
+      'Carrier calendar must define carriers, including a "default" entry',
+    );
+  }
+
+  const problems = [];
+  const calendar = {};
+  for (const [carrier, days] of Object.entries(raw.carriers)) {
+    const path = `carriers.${carrier}`;
+    if (!isObject(days)) {
+      problems.push(`${path} must be an object`);
+      continue;
+    }
+    if (
+      !Array.isArray(days.deliveryWeekdays) ||
+      days.deliveryWeekdays.length === 0 ||
+      !days.deliveryWeekdays.every(
+        (day) => Number.isInteger(day) && day >= 1 && day <= 7,
+      )
+    ) {
+      problems.push(
+        `${path}.deliveryWeekdays must be a non-empty array of 1 (Monday) to 7 (Sunday)`,
+      );
+    }
+    if (
+      days.holidays !== undefined &&
+      (!Array.isArray(days.holidays) ||
+        !days.holidays.every(
+          (date) => DateTime.fromFormat(String(date), "yyyy-MM-dd").isValid,
+        ))
+    ) {
+      problems.push(`${path}.holidays must be an array of dates, "yyyy-MM-dd"`);
+    }
+    calendar[carrier] = {
+      deliveryWeekdays: days.deliveryWeekdays,
+      holidays: days.holidays ?? [],
+    };
+  }
+
+  if (problems.length > 0) {
+    throw new CarrierCalendarConfigError("Invalid carrier calendar", problems);
+  }
+  return calendar;
+}
+
+/**
+ * Returns the carrier calendar, re-reading the file if it has changed since it was last loaded.
+ * @returns {Promise<CarrierCalendar>}
+ */
+export const getCarrierCalendar = createConfigLoader({
+  description: "carrier calendar",
+  path: () => Bun.env.CARRIER_CALENDAR_PATH ?? DEFAULT_CARRIER_CALENDAR_PATH,
+  load: async (path) => {
+    let raw;
+    try {
+      raw = await readConfigFile(path);
+    } catch (e) {
+      throw new CarrierCalendarConfigError(
+        `Could not parse ${path}: ${e.message}`,
+      );
+    }
+    return parseCarrierCalendar(raw);
+  },
+});
+
+/**
+ * @param {CarrierCalendar} calendar
+ * @param {string} carrier - EasyPost carrier
+ * @returns {CarrierDeliveryDays}
+ */
+export function carrierDeliveryDays(calendar, carrier) {
+  return calendar[carrier] ?? calendar.default;
+}
+
+/**
+ * When a rate would arrive if shipped on a day: EasyPost's delivery_date if it has one, otherwise its transit days (est_delivery_days, or
+ * delivery_days) counted on the days the carrier delivers, skipping its holidays.
+ * @param {Object} rate - EasyPost rate
+ * @param {DateTime} shipDay
+ * @param {CarrierCalendar} calendar
+ * @returns {string|null} "yyyy-MM-dd", or null if the rate has no delivery estimate
+ */
+export function projectedArrivalDate(rate, shipDay, calendar) {
+  if (rate.delivery_date) {
+    return DateTime.fromISO(rate.delivery_date, { setZone: true }).toISODate();
+  }
+  const transitDays = rate.est_delivery_days ?? rate.delivery_days;
+  if (transitDays == null) {
+    return null;
+  }
+
+  const { deliveryWeekdays, holidays } = carrierDeliveryDays(
+    calendar,
+    rate.carrier,
+  );
+  let day = shipDay;
+  let remaining = transitDays;
+  while (remaining > 0) {
+    day = day.plus({ days: 1 });
+    if (
+      deliveryWeekdays.includes(day.weekday) &&
+      !holidays.includes(day.toISODate())
+    ) {
+      remaining--;
+    }
+  }
+  return day.toISODate();
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
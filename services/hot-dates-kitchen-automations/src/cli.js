@@ -0,0 +1,236 @@
+// Command line tools for operations staff. Run `bun run cli help` for usage.
+import { parseArgs } from "node:util";
+import { simulateRates } from "./simulate";
+import { formatDecisionTrace } from "./rules";
+import { readConfigFile } from "./utils/config-file";
+import { getLedger, formatLedger, LEDGER_FORMATS } from "./ledger";
+import { getMarginReport, formatMarginReport } from "./margin";
+import { getDigest, formatDigest, digestTimezone } from "./digest";
+import { ShopifyClient } from "./common/shopify";
+import { FulfillmentService } from "./gql";
+import { retryHeldFulfillmentOrder } from "./holds";
+import { DateTime } from "luxon";
+
+const commands = {
+  "simulate-rates": {
+    usage: `simulate-rates (--shipment <file> | --order <id>) [--candidate <file|rule set name>] [--tags <a,b>] [--shipping-method <title>] [--json]
+    Dry-run rate selection with the current rule set, and optionally a candidate rule set. Nothing is purchased or emailed.
+    --shipment   A rated EasyPost shipment saved as JSON
+    --order      A Shopify order ID (gid://shopify/Order/...), rated in test mode (requires EASYPOST_TEST_API_KEY)
+    --candidate  A rule set definition (JSON or YAML file), or the name of a rule set in the rule config
+    --tags       Order tags to match on, when using --shipment
+    --shipping-method  Checkout shipping method (Shopify shipping line code or title) to match on, when using --shipment`,
+    options: {
+      shipment: { type: "string" },
+      order: { type: "string" },
+      candidate: { type: "string" },
+      tags: { type: "string" },
+      "shipping-method": { type: "string" },
+      json: { type: "boolean" },
+    },
+    run: async (values) => {
+      const candidateRuleSet =
+        values.candidate && /\.(json|ya?ml)$/i.test(values.candidate)
+          ? await readConfigFile(values.candidate)
+          : values.candidate;
+      const simulations = await simulateRates({
+        shipment: values.shipment
+          ? await readConfigFile(values.shipment)
+          : undefined,
+        orderId: values.order,
+        tags: values.tags ? values.tags.split(",") : [],
+        shippingLine: values["shipping-method"]
+          ? {
+              title: values["shipping-method"],
+              code: values["shipping-method"],
+              price: null,
+            }
+          : null,
+        candidateRuleSet,
+      });
+
+      if (values.json) {
+        console.log(JSON.stringify(simulations, null, 2));
+        return;
+      }
+      for (const simulation of simulations) {
+        console.log(
+          `\nShipment ${simulation.shipmentId ?? "(saved)"}${simulation.fulfillmentOrderId ? ` for ${simulation.fulfillmentOrderId}` : ""}`,
+        );
+        for (const outcome of [simulation.current, simulation.candidate]) {
+          if (!outcome) continue;
+          console.log(
+            `\n${outcome === simulation.current ? "Current" : "Candidate"}: ${describeChosenRate(outcome)}`,
+          );
+          console.log(formatDecisionTrace(outcome.trace));
+        }
+        if (simulation.differences) {
+          const { chosenRateChanged, costDifference, rates } =
+            simulation.differences;
+          console.log(
+            `\nChosen rate changed: ${chosenRateChanged ? "yes" : "no"}${costDifference !== null ? ` (cost difference: $${costDifference})` : ""}`,
+          );
+          for (const rate of rates) {
+            console.log(
+              `- ${rate.carrier} ${rate.service} $${rate.rate}: ${rate.current} -> ${rate.candidate}`,
+            );
+          }
+        }
+      }
+    },
+  },
+  "export-ledger": {
+    usage: `export-ledger --from <yyyy-MM-dd> [--to <yyyy-MM-dd>] [--format csv|json] [--out <file>]
+    Export the shipping cost ledger: every label bought between two dates (UTC, inclusive), with its cost and the rates it was chosen from.
+    --to         Defaults to today
+    --format     Defaults to csv
+    --out        File to write, instead of printing`,
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      format: { type: "string", default: "csv" },
+      out: { type: "string" },
+    },
+    run: async (values) => {
+      if (!LEDGER_FORMATS.includes(values.format)) {
+        throw new Error(`--format must be one of ${LEDGER_FORMATS.join(", ")}`);
+      }
+      const purchases = getLedger({ from: values.from, to: values.to });
+      const output = formatLedger(purchases, values.format);
+      if (values.out) {
+        await Bun.write(values.out, output);
+        console.log(
+          `Wrote ${purchases.length} label purchases to ${values.out}`,
+        );
+      } else {
+        process.stdout.write(output);
+      }
+    },
+  },
+  "margin-report": {
+    usage: `margin-report --from <yyyy-MM-dd> [--to <yyyy-MM-dd>] [--json]
+    Compare what customers paid for shipping at checkout with what the labels cost, by zone, state, carrier and week (UTC, inclusive).
+    --to         Defaults to today
+    --json       Print the full report, including every order`,
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      json: { type: "boolean" },
+    },
+    run: async (values) => {
+      const report = getMarginReport({ from: values.from, to: values.to });
+      console.log(
+        values.json
+          ? JSON.stringify(report, null, 2)
+          : formatMarginReport(report),
+      );
+    },
+  },
+  digest: {
+    usage: `digest [--date <yyyy-MM-dd>]
+    Print the daily digest emailed to the shop owner, without sending it.
+    --date       Defaults to yesterday, in DAILY_DIGEST_TIMEZONE`,
+    options: {
+      date: { type: "string" },
+    },
+    run: async (values) => {
+      const day = values.date
+        ? DateTime.fromISO(values.date, { zone: digestTimezone() })
+        : DateTime.now().setZone(digestTimezone()).minus({ days: 1 });
+      if (!day.isValid) {
+        throw new Error('--date must be a date, "yyyy-MM-dd"');
+      }
+      console.log(formatDigest(getDigest(day)));
+    },
+  },
+  "register-fulfillment-service": {
+    usage: `register-fulfillment-service --name <name> [--callback-url <url>]
+    Register the app as a Shopify fulfillment service, which creates a Shopify location for it. Add the location to the fulfillment center config
+    with "fulfillmentService": true, and subscribe to the fulfillment_orders/fulfillment_request_submitted and
+    fulfillment_orders/cancellation_request_submitted webhooks (/hooks/fulfillment-request-submitted and
+    /hooks/fulfillment-cancellation-request-submitted).
+    --name          Shown in Shopify, e.g. the fulfillment center's name
+    --callback-url  Defaults to PUBLIC_BASE_URL/fulfillment-service`,
+    options: {
+      name: { type: "string" },
+      "callback-url": { type: "string" },
+    },
+    run: async (values) => {
+      if (!values.name) {
+        throw new Error("--name is required");
+      }
+      const callbackUrl =
+        values["callback-url"] ??
+        (Bun.env.PUBLIC_BASE_URL &&
+          `${Bun.env.PUBLIC_BASE_URL}/fulfillment-service`);
+      if (!callbackUrl) {
+        throw new Error(
+          "--callback-url is required if PUBLIC_BASE_URL isn't set",
+        );
+      }
+      const { fulfillmentService } = (
+        await new ShopifyClient().gqlQuery(FulfillmentService.create, {
+          name: values.name,
+          callbackUrl,
+          trackingSupport: true,
+          inventoryManagement: false,
+        })
+      ).data.fulfillmentServiceCreate;
+      console.log(
+        `Registered fulfillment service ${fulfillmentService.serviceName} (${fulfillmentService.id})
+Location: ${fulfillmentService.location.id}`,
+      );
+    },
+  },
+  "retry-fulfillment-order": {
+    usage: `retry-fulfillment-order --id <id>
+    Release the Shopify hold on a fulfillment order that failed the pre-flight checks, once it's fixed, and queue its label purchase. The server's
+    job worker picks it up.
+    --id  The fulfillment order ID, gid://shopify/FulfillmentOrder/... or just the number`,
+    options: {
+      id: { type: "string" },
+    },
+    run: async (values) => {
+      if (!values.id) {
+        throw new Error("--id is required");
+      }
+      const fulfillmentOrderId = values.id.startsWith("gid://")
+        ? values.id
+        : `gid://shopify/FulfillmentOrder/${values.id}`;
+      const jobId = await retryHeldFulfillmentOrder(
+        new ShopifyClient(),
+        fulfillmentOrderId,
+      );
+      console.log(`Released ${fulfillmentOrderId}, queued job ${jobId}`);
+    },
+  },
+};
+
+function describeChosenRate({ chosenRate, error }) {
+  if (!chosenRate) {
+    return `no rate chosen (${error})`;
+  }
+  return `${chosenRate.carrier} ${chosenRate.service} $${chosenRate.rate}`;
+}
+
+function printUsage() {
+  console.log("Usage: bun run cli <command> [options]\n");
+  for (const command of Object.values(commands)) {
+    console.log(`${command.usage}\n`);
+  }
+}
+
+const [commandName, ...args] = Bun.argv.slice(2);
+const command = commands[commandName];
+if (!command) {
+  printUsage();
+  process.exit(commandName && commandName !== "help" ? 1 : 0);
+}
+
+try {
+  const { values } = parseArgs({ args, options: command.options });
+  await command.run(values);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
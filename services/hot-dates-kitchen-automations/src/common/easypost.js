@@ -1,44 +1,272 @@
 // EasyPost API client
+// Error responses are thrown as the typed errors below, rather than returned, so that an error body never gets mistaken for a shipment.
+// Rate limiting (429) and EasyPost server errors (5xx, or EasyPost not responding) are retried with utils/retry.js.
+// https://docs.easypost.com/docs/errors
 
-//class AuthorizationError extends Error {
-//    constructor(message) {
-//        super(message)
-//        this.name = 'AuthorizationError'
-//    }
-//}
+import retry from "../utils/retry.js";
+
+export class EasyPostError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number|null} [details.status] - HTTP status, null if EasyPost didn't respond
+   * @param {string|null} [details.code] - EasyPost error code, e.g. "ADDRESS.VERIFY.FAILURE"
+   * @param {Object[]} [details.errors] - Field errors: { field, message }
+   * @param {string|null} [details.requestId] - For EasyPost support
+   */
+  constructor(
+    message,
+    { status = null, code = null, errors = [], requestId = null } = {},
+  ) {
+    super(message);
+    this.name = "EasyPostError";
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.requestId = requestId;
+  }
+}
+
+// The request was invalid, e.g. a missing field, an address that can't be verified, or a shipment that doesn't exist (400, 404, 422)
+export class EasyPostValidationError extends EasyPostError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "EasyPostValidationError";
+  }
+}
+
+// EASYPOST_API_KEY is wrong, or not allowed to do this (401, 403)
+export class EasyPostAuthError extends EasyPostError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "EasyPostAuthError";
+  }
+}
+
+// The EasyPost account can't pay for the label, e.g. its balance is too low (402)
+export class EasyPostPaymentError extends EasyPostError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "EasyPostPaymentError";
+  }
+}
+
+export class EasyPostRateLimitError extends EasyPostError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "EasyPostRateLimitError";
+  }
+}
+
+// EasyPost failed (5xx), or couldn't be reached
+export class EasyPostServerError extends EasyPostError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "EasyPostServerError";
+  }
+}
+
+const RETRYABLE_ERRORS = [EasyPostRateLimitError, EasyPostServerError];
 
 export class EasyPostClient {
   headers = new Headers();
-  constructor() {
-    this.apiKey = Bun.env.EASYPOST_API_KEY;
+  // apiKey defaults to EASYPOST_API_KEY. Pass EASYPOST_TEST_API_KEY for anything that must never buy a real label.
+  // retryOptions are passed to utils/retry.js, e.g. { maxRetries: 0 } to fail fast.
+  constructor({ apiKey, retryOptions } = {}) {
+    this.apiKey = apiKey ?? Bun.env.EASYPOST_API_KEY;
     this.baseUrl = Bun.env.EASYPOST_API_BASE_URL;
     this.headers.append("Content-Type", "application/json");
     this.headers.append("Authorization", `Basic ${btoa(`${this.apiKey}:`)}`);
+    this.retryOptions = {
+      maxRetries: Number(Bun.env.EASYPOST_MAX_RETRIES ?? 3),
+      retryInterval: Number(Bun.env.EASYPOST_RETRY_INTERVAL ?? 1000),
+      backoff: true,
+      jitter: 0.5,
+      ...retryOptions,
+    };
   }
 
   // Create a shipment
   createShipment = async function (shipment) {
-    const res = await fetch(`${this.baseUrl}/shipments`, {
-      method: "POST",
-      headers: this.headers,
-      body: JSON.stringify({
-        shipment,
-      }),
-    });
-    return await res.json();
+    return await this.#request("POST", "/shipments", { shipment });
   };
 
-  // Buy a shipment
+  // Buy a shipment. Safe to retry: if an attempt may have gone through (e.g. EasyPost timed out), the shipment is retrieved before buying
+  // again, and returned if it already has a label, so a label is never paid for twice.
   buyShipment = async function (shipmentId, rateId) {
-    const res = await fetch(`${this.baseUrl}/shipments/${shipmentId}/buy`, {
-      method: "POST",
-      headers: this.headers,
-      body: JSON.stringify({
-        rate: {
-          id: rateId,
-        },
-      }),
+    return await this.#buyOnce(
+      () =>
+        this.#send("POST", `/shipments/${shipmentId}/buy`, {
+          rate: { id: rateId },
+        }),
+      async () => {
+        const shipment = await this.#send("GET", `/shipments/${shipmentId}`);
+        return shipment.postage_label ? shipment : null;
+      },
+    );
+  };
+
+  // Retrieve a shipment
+  retrieveShipment = async function (shipmentId) {
+    return await this.#request("GET", `/shipments/${shipmentId}`);
+  };
+
+  // Fetch new rates for an existing shipment, e.g. when the rates it was created with have expired
+  // https://docs.easypost.com/docs/shipments/rates#regenerate-rates-for-a-shipment
+  rerateShipment = async function (shipmentId) {
+    const { rates } = await this.#request(
+      "POST",
+      `/shipments/${shipmentId}/rerate`,
+    );
+    return rates;
+  };
+
+  // Refund (void) a purchased shipment's label
+  // https://docs.easypost.com/docs/shipments#refund-a-shipment
+  refundShipment = async function (shipmentId) {
+    return await this.#request("POST", `/shipments/${shipmentId}/refund`);
+  };
+
+  // Create an order, for shipments of more than one parcel
+  // https://docs.easypost.com/docs/orders
+  createOrder = async function (order) {
+    return await this.#request("POST", "/orders", { order });
+  };
+
+  // Buy an order. Orders are bought by carrier and service rather than by rate, and every shipment in the order gets a label.
+  // Safe to retry, like buyShipment.
+  buyOrder = async function (orderId, { carrier, service }) {
+    return await this.#buyOnce(
+      () => this.#send("POST", `/orders/${orderId}/buy`, { carrier, service }),
+      async () => {
+        const order = await this.#send("GET", `/orders/${orderId}`);
+        return order.shipments?.length > 0 &&
+          order.shipments.every((shipment) => shipment.postage_label)
+          ? order
+          : null;
+      },
+    );
+  };
+
+  // Fetch new rates for an existing order, like rerateShipment
+  // https://docs.easypost.com/docs/orders#retrieve-rates-for-an-order
+  rerateOrder = async function (orderId) {
+    const { rates } = await this.#request("GET", `/orders/${orderId}/rates`);
+    return rates;
+  };
+
+  // Retrieve an order
+  retrieveOrder = async function (orderId) {
+    return await this.#request("GET", `/orders/${orderId}`);
+  };
+
+  // Create and verify an address. With strict, EasyPost responds with an error (thrown as an EasyPostValidationError) instead of an address
+  // if it can't be verified.
+  // https://docs.easypost.com/docs/addresses#create-and-verify-addresses
+  verifyAddress = async function (address, { strict = false } = {}) {
+    return await this.#request("POST", "/addresses", {
+      address,
+      ...(strict ? { verify_strict: true } : { verify: true }),
+    });
+  };
+
+  // Track a package, e.g. one whose label wasn't bought through EasyPost. Labels bought through EasyPost come with a tracker.
+  // https://docs.easypost.com/docs/trackers
+  createTracker = async function ({ trackingCode, carrier }) {
+    return await this.#request("POST", "/trackers", {
+      tracker: { tracking_code: trackingCode, carrier },
     });
-    return await res.json();
   };
+
+  // Retrieve a tracker
+  retrieveTracker = async function (trackerId) {
+    return await this.#request("GET", `/trackers/${trackerId}`);
+  };
+
+  // A request, retried on rate limiting and server errors
+  #request = async function (method, path, body) {
+    return await retry(
+      () => this.#send(method, path, body),
+      RETRYABLE_ERRORS,
+      this.retryOptions,
+    );
+  };
+
+  // Retries a purchase, checking whether the previous attempt went through before each retry
+  #buyOnce = async function (buy, alreadyBought) {
+    let attempted = false;
+    return await retry(
+      async () => {
+        if (attempted) {
+          const bought = await alreadyBought();
+          if (bought) {
+            return bought;
+          }
+        }
+        attempted = true;
+        return await buy();
+      },
+      RETRYABLE_ERRORS,
+      this.retryOptions,
+    );
+  };
+
+  // A single request, throwing a typed error for an error response
+  #send = async function (method, path, body) {
+    let res;
+    try {
+      res = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: this.headers,
+        ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+      });
+    } catch (e) {
+      throw new EasyPostServerError(
+        `Could not reach EasyPost (${method} ${path}): ${e.message}`,
+      );
+    }
+
+    const text = await res.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      // Not JSON, e.g. a proxy's error page
+    }
+    if (res.ok && json !== null) {
+      return json;
+    }
+    throw errorFromResponse(res, json, `${method} ${path}`);
+  };
+}
+
+/**
+ * @param {Response} res
+ * @param {Object|null} json - Parsed response body, if it was JSON
+ * @param {string} request - e.g. "POST /shipments", for the message
+ * @returns {EasyPostError}
+ */
+export function errorFromResponse(res, json, request) {
+  const error = json?.error ?? {};
+  const details = {
+    status: res.status,
+    code: error.code ?? null,
+    errors: Array.isArray(error.errors) ? error.errors : [],
+    requestId: res.headers.get("x-ep-request-uuid"),
+  };
+  const message = `EasyPost ${request} failed (${res.status}${details.code ? ` ${details.code}` : ""}): ${error.message ?? (res.ok ? "Response wasn't JSON" : res.statusText)}`;
+
+  if (res.status === 401 || res.status === 403) {
+    return new EasyPostAuthError(message, details);
+  }
+  if (res.status === 402 || details.code?.startsWith("PAYMENT")) {
+    return new EasyPostPaymentError(message, details);
+  }
+  if (res.status === 429) {
+    return new EasyPostRateLimitError(message, details);
+  }
+  if (res.status >= 500 || res.ok) {
+    return new EasyPostServerError(message, details);
+  }
+  return new EasyPostValidationError(message, details);
 }
@@ -1,40 +1,124 @@
 // Shopify API client
+// Throttled queries are retried once enough of the query cost budget has been restored, going by extensions.cost.throttleStatus, and Shopify
+// server errors are retried with backoff. userErrors of mutations (e.g. fulfillmentCreate.userErrors) are thrown as a UserError.
+// https://shopify.dev/docs/api/usage/rate-limits#graphql-admin-api-rate-limits
 
-class AuthorizationError extends Error {
+export class AuthorizationError extends Error {
   constructor(message) {
     super(message);
     this.name = "AuthorizationError";
   }
 }
 
-class UserError extends Error {
-  constructor(message) {
+export class UserError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object[]} userErrors - { field, message }
+   */
+  constructor(message, userErrors = []) {
     super(message);
     this.name = "UserError";
+    this.userErrors = userErrors;
+  }
+}
+
+export class ThrottledError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} retryAfter - Milliseconds until enough of the query cost budget has been restored
+   */
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = "ThrottledError";
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class ShopifyServerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ShopifyServerError";
   }
 }
 
 export class ShopifyClient {
   headers = new Headers();
-  constructor() {
+  // retryOptions: { maxRetries, retryInterval (milliseconds, doubled after each server error) }
+  constructor({ retryOptions } = {}) {
     this.accessToken = Bun.env.SHOPIFY_ACCESS_TOKEN;
     this.baseUrlGql = Bun.env.SHOPIFY_API_BASE_URL_GQL;
     this.headers.append("Content-Type", "application/json");
     this.headers.append("X-Shopify-Access-Token", this.accessToken);
+    this.retryOptions = {
+      maxRetries: Number(Bun.env.SHOPIFY_MAX_RETRIES ?? 5),
+      retryInterval: Number(Bun.env.SHOPIFY_RETRY_INTERVAL ?? 1000),
+      ...retryOptions,
+    };
   }
 
   // Execute arbitrary GQL queries.
   gqlQuery = async function (query, variables = {}) {
-    const headers = this.headers;
+    const { maxRetries, retryInterval } = this.retryOptions;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.#send(query, variables);
+      } catch (e) {
+        const retryable =
+          e instanceof ThrottledError || e instanceof ShopifyServerError;
+        if (!retryable || attempt >= maxRetries) {
+          throw e;
+        }
+        await Bun.sleep(
+          e instanceof ThrottledError
+            ? e.retryAfter
+            : retryInterval * Math.pow(2, attempt),
+        );
+      }
+    }
+  };
+
+  // Pages through a connection, returning all of its nodes. The query must take an $after cursor, and select pageInfo { hasNextPage endCursor }
+  // on the connection, which connectionOf picks out of the response's data.
+  // Pass after to continue from a page already fetched (e.g. by a query for the parent object).
+  paginate = async function (query, variables, connectionOf, { after } = {}) {
+    const nodes = [];
+    let cursor = after ?? null;
+    do {
+      const json = await this.gqlQuery(query, { ...variables, after: cursor });
+      const connection = connectionOf(json.data);
+      nodes.push(...connection.nodes);
+      cursor = connection.pageInfo.hasNextPage
+        ? connection.pageInfo.endCursor
+        : null;
+    } while (cursor);
+    return nodes;
+  };
+
+  #send = async function (query, variables) {
     let res;
-    res = await fetch(this.baseUrlGql, {
-      method: "POST",
-      headers: headers,
-      body: JSON.stringify({
-        query,
-        variables,
-      }),
-    });
+    try {
+      res = await fetch(this.baseUrlGql, {
+        method: "POST",
+        headers: this.headers,
+        body: JSON.stringify({
+          query,
+          variables,
+        }),
+      });
+    } catch (e) {
+      throw new ShopifyServerError(`Could not reach Shopify: ${e.message}`);
+    }
+    if (res.status === 401 || res.status === 403) {
+      throw new AuthorizationError(
+        "Shopify API unavailable. Check to make sure subscription is active or .env is correct",
+      );
+    }
+    if (res.status === 429 || res.status >= 500) {
+      throw new ShopifyServerError(
+        `Shopify responded ${res.status} ${res.statusText}`,
+      );
+    }
+
     const json = await res.json();
     if (json.errors) {
       if (Array.isArray(json.errors)) {
@@ -44,13 +128,44 @@ export class ShopifyClient {
               "Shopify API unavailable. Check to make sure subscription is active or .env is correct",
             );
           }
+          if (error?.extensions?.code === "THROTTLED") {
+            throw new ThrottledError(
+              "Shopify query throttled",
+              throttleWait(json.extensions?.cost),
+            );
+          }
         }
       }
       throw new Error(JSON.stringify(json.errors));
     }
-    if (json.userErrors && json.userErrors.length > 0) {
-      throw new UserError(JSON.stringify(json.userErrors));
+
+    const userErrors = [
+      ...(json.userErrors ?? []),
+      // Mutation payloads, e.g. data.fulfillmentCreate.userErrors
+      ...Object.values(json.data ?? {}).flatMap(
+        (payload) => payload?.userErrors ?? [],
+      ),
+    ];
+    if (userErrors.length > 0) {
+      throw new UserError(JSON.stringify(userErrors), userErrors);
     }
     return json;
   };
 }
+
+/**
+ * How long until the throttled query can be afforded again.
+ * @param {Object=} cost - extensions.cost of a throttled response
+ * @returns {number} Milliseconds
+ */
+export function throttleWait(cost) {
+  const status = cost?.throttleStatus;
+  if (!status?.restoreRate) {
+    return 1000;
+  }
+  const missing = Math.max(
+    cost.requestedQueryCost - status.currentlyAvailable,
+    0,
+  );
+  return Math.ceil((missing / status.restoreRate) * 1000);
+}
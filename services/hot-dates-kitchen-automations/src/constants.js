@@ -1,5 +1,12 @@
 export default {
-  fulfillment_centers: {
-    HAUSER: "Hauser",
+  job_types: {
+    PURCHASE_SHIPPING_LABELS: "purchase-shipping-labels",
+    ORDER_CANCELLED: "order-cancelled",
+    TRACKER_UPDATED: "tracker-updated",
+    ORDER_UPDATED: "order-updated",
+    WEEKLY_MARGIN_REPORT: "weekly-margin-report",
+    DAILY_DIGEST: "daily-digest",
+    FULFILLMENT_REQUEST: "fulfillment-request",
+    FULFILLMENT_CANCELLATION_REQUEST: "fulfillment-cancellation-request",
   },
 };
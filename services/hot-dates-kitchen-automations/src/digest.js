@@ -0,0 +1,182 @@
+// Daily operations digest for the shop owner: what was shipped the previous day, and everything that needs their attention, in one email
+// rather than only as one-off alerts. Days are calendar days in DAILY_DIGEST_TIMEZONE (default: America/Los_Angeles).
+
+import { DateTime } from "luxon";
+import { ALERT_STATUSES } from "./handlers/tracker-updated.js";
+import { shopifyOrderAdminUrl } from "./utils/utils.js";
+import {
+  getLabelPurchases,
+  getRefundedLabelPurchases,
+} from "./store/label-purchases.js";
+import {
+  getFulfillmentOrdersAwaitingApproval,
+  getHeldFulfillmentOrders,
+} from "./store/fulfillment-orders.js";
+import { getDeadLetterJobs } from "./store/jobs.js";
+import { getTrackersWithStatus } from "./store/trackers.js";
+
+/**
+ * @typedef DigestOrder
+ * @property {string} order_id
+ * @property {string} order_name
+ * @property {number} labels
+ * @property {number} cost - Dollars
+ */
+
+/**
+ * @typedef Digest
+ * @property {string} date - "yyyy-MM-dd", in the digest's timezone
+ * @property {DigestOrder[]} orders - Orders that had labels bought
+ * @property {number} labels
+ * @property {number} spend - Dollars, including labels since voided
+ * @property {Object[]} failed - Jobs moved to the dead-letter table, see store/jobs.js
+ * @property {FulfillmentOrderState[]} awaitingApproval - Every label still waiting on the shop owner, not just the day's
+ * @property {FulfillmentOrderState[]} onHold - Every fulfillment order on hold for failing the pre-flight checks, see holds.js
+ * @property {LabelPurchase[]} voided
+ * @property {TrackerState[]} trackingExceptions
+ */
+
+/**
+ * @returns {string} IANA timezone
+ */
+export function digestTimezone() {
+  return Bun.env.DAILY_DIGEST_TIMEZONE ?? "America/Los_Angeles";
+}
+
+/**
+ * @param {DateTime} day - Any time on the day
+ * @returns {Digest}
+ */
+export function getDigest(day) {
+  const start = day.setZone(digestTimezone()).startOf("day");
+  const range = {
+    from: start.toUTC().toISO(),
+    to: start.plus({ days: 1 }).toUTC().toISO(),
+  };
+
+  const purchases = getLabelPurchases(range);
+  const orders = new Map();
+  for (const purchase of purchases) {
+    const order = orders.get(purchase.order_id) ?? {
+      order_id: purchase.order_id,
+      order_name: purchase.order_name,
+      labels: 0,
+      cents: 0,
+    };
+    order.labels++;
+    order.cents += toCents(purchase.rate);
+    orders.set(purchase.order_id, order);
+  }
+
+  return {
+    date: start.toISODate(),
+    orders: [...orders.values()].map(({ cents, ...order }) => ({
+      ...order,
+      cost: cents / 100,
+    })),
+    labels: purchases.length,
+    spend:
+      purchases.reduce((acc, purchase) => acc + toCents(purchase.rate), 0) /
+      100,
+    failed: getDeadLetterJobs(range).reverse(),
+    awaitingApproval: getFulfillmentOrdersAwaitingApproval(),
+    onHold: getHeldFulfillmentOrders(),
+    voided: getRefundedLabelPurchases(range),
+    trackingExceptions: getTrackersWithStatus({
+      statuses: ALERT_STATUSES,
+      ...range,
+    }),
+  };
+}
+
+/**
+ * @param {Digest} digest
+ * @returns {number} How many items need the shop owner's attention
+ */
+export function digestProblemCount(digest) {
+  return (
+    digest.failed.length +
+    digest.awaitingApproval.length +
+    digest.onHold.length +
+    digest.trackingExceptions.length
+  );
+}
+
+/**
+ * Plain text body of the digest email, with a Shopify admin link for each order.
+ * @param {Digest} digest
+ * @returns {string}
+ */
+export function formatDigest(digest) {
+  const section = (title, lines) =>
+    `${title} (${lines.length}):\n${lines.length > 0 ? lines.map((line) => `- ${line}`).join("\n") : "- None"}`;
+
+  return `Shipping digest for ${DateTime.fromISO(digest.date).toFormat("cccc, LLLL d, yyyy")}
+
+${digest.orders.length} orders processed, ${digest.labels} labels bought, $${digest.spend.toFixed(2)} spent on labels
+
+${section(
+  "Failed",
+  digest.failed.map(
+    (job) =>
+      `${job.payload.name ?? job.payload.trackingCode ?? `Job ${job.id}`} (${job.type}): ${job.error}${orderLink(job.payload.admin_graphql_api_id)}`,
+  ),
+)}
+
+${section(
+  "Awaiting approval",
+  digest.awaitingApproval.map(
+    (state) =>
+      `${state.order_name}, since ${formatTime(state.approval_requested_at)}${orderLink(state.order_id)}`,
+  ),
+)}
+
+${section(
+  "On hold",
+  digest.onHold.map(
+    (state) =>
+      `${state.order_name}, since ${formatTime(state.held_at)}: ${state.hold_reason}${orderLink(state.order_id)}`,
+  ),
+)}
+
+${section(
+  "Tracking exceptions",
+  digest.trackingExceptions.map(
+    (tracker) =>
+      `${tracker.order_name}: ${tracker.tracking_code} is ${tracker.status}${orderLink(tracker.order_id)}`,
+  ),
+)}
+
+${section(
+  "Labels voided",
+  digest.voided.map(
+    (purchase) =>
+      `${purchase.order_name}: ${purchase.carrier} ${purchase.service} $${purchase.rate} (${purchase.tracking_code}), refund ${purchase.refund_status}${orderLink(purchase.order_id)}`,
+  ),
+)}
+
+${section(
+  "Labels bought",
+  digest.orders.map(
+    (order) =>
+      `${order.order_name}: ${order.labels} labels, $${order.cost.toFixed(2)}${orderLink(order.order_id)}`,
+  ),
+)}`;
+}
+
+// Only orders have admin links, e.g. not the tracker jobs
+function orderLink(id) {
+  return id?.startsWith("gid://shopify/Order/")
+    ? ` - ${shopifyOrderAdminUrl(id)}`
+    : "";
+}
+
+function formatTime(iso) {
+  return DateTime.fromISO(iso)
+    .setZone(digestTimezone())
+    .toFormat("LLL d, h:mm a");
+}
+
+function toCents(amount) {
+  return amount == null ? 0 : Math.round(Number(amount) * 100);
+}
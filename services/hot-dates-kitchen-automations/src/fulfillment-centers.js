@@ -0,0 +1,218 @@
+// Registry of fulfillment centers, keyed by Shopify location ID (gid://shopify/Location/...), loaded from config/fulfillment-centers.json by default, or
+// FULFILLMENT_CENTERS_PATH. Fulfillment orders assigned to a location that isn't listed use the "default" entry.
+//
+// Each center has:
+// - name: Used as the shipment's from_address name
+// - notificationEmails: Who gets the label and packing slip. Entries starting with "$" are read from that env var, e.g. "$FULFILLMENTS_TO_EMAIL"
+// - packingSlip (optional): Packing slip branding, { title, footer, logoUrl }
+// - allowedCarriers (optional): EasyPost carriers the center can hand packages to, e.g. ["USPS", "UPSDAP"]. All carriers if omitted.
+// - shipDays (optional): When the center ships, { timezone, weekdays (1 = Monday ... 7 = Sunday), cutoff ("HH:mm"), holidays (["yyyy-MM-dd"]) }, e.g.
+//   { "timezone": "America/Los_Angeles", "weekdays": [1, 2, 3, 4], "cutoff": "14:00", "holidays": ["2026-11-26", "2026-12-25"] }
+//   Orders paid outside of them are held until the next ship day. Without shipDays, labels are bought as soon as the order is paid.
+// - fulfillmentService (optional): true if the location is the one Shopify created when the app was registered as a fulfillment service (see
+//   `bun run cli register-fulfillment-service`). Labels are then only bought for fulfillment requests the app has accepted, see
+//   handlers/fulfillment-service.js, rather than as soon as the order is paid.
+
+import { IANAZone, DateTime } from "luxon";
+import { readConfigFile, createConfigLoader } from "./utils/config-file";
+
+export class FulfillmentCenterConfigError extends Error {
+  constructor(message, problems = []) {
+    super(
+      problems.length > 0 ? `${message}:\n- ${problems.join("\n- ")}` : message,
+    );
+    this.name = "FulfillmentCenterConfigError";
+    this.problems = problems;
+  }
+}
+
+export class UnknownFulfillmentCenterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnknownFulfillmentCenterError";
+  }
+}
+
+const DEFAULT_CENTERS_PATH = `${import.meta.dir}/../config/fulfillment-centers.json`;
+
+const DEFAULT_PACKING_SLIP = {
+  title: "Hot Date Kitchen",
+  footer: "Thank you for shopping with us!",
+  logoUrl: null,
+};
+
+/**
+ * @typedef ShipDays
+ * @property {string} timezone - IANA timezone, e.g. "America/Los_Angeles"
+ * @property {number[]} weekdays - 1 = Monday ... 7 = Sunday
+ * @property {string} cutoff - Local time after which orders ship the next ship day, "HH:mm"
+ * @property {string[]} holidays - "yyyy-MM-dd"
+ */
+
+/**
+ * @typedef FulfillmentCenter
+ * @property {string} id - Shopify location ID, or "default"
+ * @property {string} name
+ * @property {string[]} notificationEmails
+ * @property {{title: string, footer: string, logoUrl: string|null}} packingSlip
+ * @property {string[]|null} allowedCarriers
+ * @property {ShipDays|null} shipDays
+ * @property {boolean} fulfillmentService
+ */
+
+/**
+ * Validates a raw fulfillment center config, throwing a FulfillmentCenterConfigError listing every problem found.
+ * @param {Object} raw
+ * @returns {Object<string, FulfillmentCenter>} keyed by location ID
+ */
+export function parseFulfillmentCenterConfig(raw) {
+  if (!isObject(raw?.centers) || Object.keys(raw.centers).length === 0) {
+    throw new FulfillmentCenterConfigError(
+      "Fulfillment center config must define at least one center",
+    );
+  }
+
+  const problems = [];
+  const centers = {};
+  for (const [id, center] of Object.entries(raw.centers)) {
+    const path = `centers.${id}`;
+    if (!isObject(center)) {
+      problems.push(`${path} must be an object`);
+      continue;
+    }
+    if (typeof center.name !== "string" || center.name === "") {
+      problems.push(`${path}.name must be a non-empty string`);
+    }
+    if (
+      !Array.isArray(center.notificationEmails) ||
+      center.notificationEmails.length === 0 ||
+      !center.notificationEmails.every((email) => typeof email === "string")
+    ) {
+      problems.push(
+        `${path}.notificationEmails must be a non-empty array of strings`,
+      );
+    }
+    if (
+      center.allowedCarriers !== undefined &&
+      (!Array.isArray(center.allowedCarriers) ||
+        !center.allowedCarriers.every((carrier) => typeof carrier === "string"))
+    ) {
+      problems.push(`${path}.allowedCarriers must be an array of strings`);
+    }
+    if (center.packingSlip !== undefined && !isObject(center.packingSlip)) {
+      problems.push(`${path}.packingSlip must be an object`);
+    }
+    if (center.shipDays !== undefined) {
+      validateShipDays(center.shipDays, `${path}.shipDays`, problems);
+    }
+    if (
+      center.fulfillmentService !== undefined &&
+      typeof center.fulfillmentService !== "boolean"
+    ) {
+      problems.push(`${path}.fulfillmentService must be true or false`);
+    }
+
+    centers[id] = {
+      id,
+      name: center.name,
+      notificationEmails: center.notificationEmails,
+      packingSlip: { ...DEFAULT_PACKING_SLIP, ...center.packingSlip },
+      allowedCarriers: center.allowedCarriers ?? null,
+      shipDays: center.shipDays ? { holidays: [], ...center.shipDays } : null,
+      fulfillmentService: center.fulfillmentService ?? false,
+    };
+  }
+
+  if (problems.length > 0) {
+    throw new FulfillmentCenterConfigError(
+      "Invalid fulfillment center config",
+      problems,
+    );
+  }
+  return centers;
+}
+
+function validateShipDays(shipDays, path, problems) {
+  if (!isObject(shipDays)) {
+    problems.push(`${path} must be an object`);
+    return;
+  }
+  if (!IANAZone.isValidZone(shipDays.timezone)) {
+    problems.push(
+      `${path}.timezone must be an IANA timezone, e.g. America/Los_Angeles`,
+    );
+  }
+  if (
+    !Array.isArray(shipDays.weekdays) ||
+    shipDays.weekdays.length === 0 ||
+    !shipDays.weekdays.every(
+      (day) => Number.isInteger(day) && day >= 1 && day <= 7,
+    )
+  ) {
+    problems.push(
+      `${path}.weekdays must be a non-empty array of 1 (Monday) to 7 (Sunday)`,
+    );
+  }
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(shipDays.cutoff)) {
+    problems.push(`${path}.cutoff must be a time, "HH:mm"`);
+  }
+  if (
+    shipDays.holidays !== undefined &&
+    (!Array.isArray(shipDays.holidays) ||
+      !shipDays.holidays.every(
+        (date) => DateTime.fromFormat(String(date), "yyyy-MM-dd").isValid,
+      ))
+  ) {
+    problems.push(`${path}.holidays must be an array of dates, "yyyy-MM-dd"`);
+  }
+}
+
+/**
+ * Returns every configured fulfillment center, re-reading the file if it has changed since it was last loaded.
+ * @returns {Promise<Object<string, FulfillmentCenter>>}
+ */
+export const getFulfillmentCenters = createConfigLoader({
+  description: "fulfillment centers",
+  path: () => Bun.env.FULFILLMENT_CENTERS_PATH ?? DEFAULT_CENTERS_PATH,
+  load: async (path) => {
+    let raw;
+    try {
+      raw = await readConfigFile(path);
+    } catch (e) {
+      throw new FulfillmentCenterConfigError(
+        `Could not parse ${path}: ${e.message}`,
+      );
+    }
+    return parseFulfillmentCenterConfig(raw);
+  },
+});
+
+/**
+ * @param {string=} locationId - Shopify location ID of the fulfillment order's assigned location
+ * @returns {Promise<FulfillmentCenter>}
+ */
+export async function getFulfillmentCenter(locationId) {
+  const centers = await getFulfillmentCenters();
+  const center = centers[locationId] ?? centers.default;
+  if (!center) {
+    throw new UnknownFulfillmentCenterError(
+      `No fulfillment center configured for location ${locationId}, and no default center`,
+    );
+  }
+  return center;
+}
+
+/**
+ * Resolves a center's notification emails, reading "$ENV_VAR" entries from the environment.
+ * @param {FulfillmentCenter} center
+ * @returns {string[]}
+ */
+export function resolveNotificationEmails(center) {
+  return center.notificationEmails
+    .map((email) => (email.startsWith("$") ? Bun.env[email.slice(1)] : email))
+    .filter(Boolean);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
@@ -26,6 +26,73 @@ export const Shop = {
     `,
 };
 
+// Fields of a fulfillment order and its line items, shared by Order.byId and the queries that page through the rest of an order's fulfillment
+// orders and line items (see orders.js)
+const fulfillmentOrderLineItemFields = `
+  fragment FulfillmentOrderLineItemFields on FulfillmentOrderLineItem {
+    id
+    totalQuantity
+    remainingQuantity
+    inventoryItemId
+    variant {
+      displayName
+    }
+    sku
+    weight {
+      value
+      unit
+    }
+  }
+`;
+
+const fulfillmentOrderFields = `
+  fragment FulfillmentOrderFields on FulfillmentOrder {
+    id
+    assignedLocation {
+      name
+      location {
+        id
+      }
+      address1
+      address2
+      city
+      province
+      zip
+      countryCode
+      phone
+    }
+    orderName
+    orderProcessedAt
+    requestStatus
+    supportedActions {
+      action
+    }
+    status
+    destination {
+      email
+      firstName
+      lastName
+      address1
+      address2
+      city
+      province
+      zip
+      countryCode
+      phone
+    }
+    lineItems(first: 50) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      nodes {
+        ...FulfillmentOrderLineItemFields
+      }
+    }
+  }
+  ${fulfillmentOrderLineItemFields}
+`;
+
 export const Order = {
   byId: `
     query GetOrderById($id: ID!) {
@@ -36,8 +103,34 @@ export const Order = {
         email
         phone
         processedAt
+        cancelledAt
+        tags
+        currentSubtotalPriceSet {
+          shopMoney {
+            amount
+          }
+        }
+        shippingLines(first: 5) {
+          nodes {
+            title
+            code
+            source
+            originalPriceSet {
+              shopMoney {
+                amount
+              }
+            }
+            discountedPriceSet {
+              shopMoney {
+                amount
+              }
+            }
+          }
+        }
         shippingAddress {
           name
+          firstName
+          lastName
           company
           street1: address1
           street2: address2
@@ -45,62 +138,167 @@ export const Order = {
           province
           zip: zip
           country
+          countryCode: countryCodeV2
           phone
         }
         fulfillmentOrders(first: 10) {
-            nodes {
-              id
-              assignedLocation {
-			  	name
-                address1
-                address2
-                city
-                province
-                zip
-                countryCode
-                phone
-              }
-              orderName
-			  orderProcessedAt
-			  requestStatus
-			  supportedActions {
-			  	action
-			  }
-              status
-              destination {
-                email
-                firstName
-                lastName
-                address1
-                address2
-                city
-                province
-                zip
-                countryCode
-                phone
-              }
-              lineItems(first: 25) {
-                nodes {
-                  id
-				  totalQuantity
-				  remainingQuantity
-				  inventoryItemId
-                  variant {
-				  	displayName
-				  }
-                  sku
-                  weight {
-                    value
-                    unit
-                  }
-                }
-              }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ...FulfillmentOrderFields
+          }
+        }
+      }
+    }
+    ${fulfillmentOrderFields}
+  `,
+  fulfillmentOrders: `
+    query GetOrderFulfillmentOrders($id: ID!, $after: String) {
+      order(id: $id) {
+        fulfillmentOrders(first: 10, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ...FulfillmentOrderFields
+          }
+        }
+      }
+    }
+    ${fulfillmentOrderFields}
+  `,
+};
+
+export const FulfillmentOrder = {
+  byId: `
+    query GetFulfillmentOrderById($id: ID!) {
+      fulfillmentOrder(id: $id) {
+        id
+        orderId
+        orderName
+        status
+        requestStatus
+      }
+    }
+  `,
+  // Fulfillment service requests, see handlers/fulfillment-service.js
+  // https://shopify.dev/docs/apps/build/orders-fulfillment/fulfillment-service-apps/build-for-fulfillment-services
+  acceptFulfillmentRequest: `
+    mutation fulfillmentOrderAcceptFulfillmentRequest($id: ID!, $message: String) {
+      fulfillmentOrderAcceptFulfillmentRequest(id: $id, message: $message) {
+        fulfillmentOrder {
+          id
+          status
+          requestStatus
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+  rejectFulfillmentRequest: `
+    mutation fulfillmentOrderRejectFulfillmentRequest($id: ID!, $message: String, $reason: FulfillmentOrderRejectionReason) {
+      fulfillmentOrderRejectFulfillmentRequest(id: $id, message: $message, reason: $reason) {
+        fulfillmentOrder {
+          id
+          status
+          requestStatus
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+  acceptCancellationRequest: `
+    mutation fulfillmentOrderAcceptCancellationRequest($id: ID!, $message: String) {
+      fulfillmentOrderAcceptCancellationRequest(id: $id, message: $message) {
+        fulfillmentOrder {
+          id
+          status
+          requestStatus
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+  rejectCancellationRequest: `
+    mutation fulfillmentOrderRejectCancellationRequest($id: ID!, $message: String) {
+      fulfillmentOrderRejectCancellationRequest(id: $id, message: $message) {
+        fulfillmentOrder {
+          id
+          status
+          requestStatus
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+  // Holds for fulfillment orders that failed the pre-flight checks, see holds.js
+  // https://shopify.dev/docs/api/admin-graphql/latest/mutations/fulfillmentOrderHold
+  hold: `
+    mutation fulfillmentOrderHold($id: ID!, $fulfillmentHold: FulfillmentOrderHoldInput!) {
+      fulfillmentOrderHold(id: $id, fulfillmentHold: $fulfillmentHold) {
+        fulfillmentHold {
+          id
+          reason
+          reasonNotes
+        }
+        fulfillmentOrder {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+  releaseHold: `
+    mutation fulfillmentOrderReleaseHold($id: ID!, $holdIds: [ID!]) {
+      fulfillmentOrderReleaseHold(id: $id, holdIds: $holdIds) {
+        fulfillmentOrder {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+  lineItems: `
+    query GetFulfillmentOrderLineItems($id: ID!, $after: String) {
+      fulfillmentOrder(id: $id) {
+        lineItems(first: 50, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            ...FulfillmentOrderLineItemFields
           }
         }
       }
     }
+    ${fulfillmentOrderLineItemFields}
   `,
 };
+
 export const Fulfillment = {
   create: `
     mutation fulfillmentCreate($fulfillment: FulfillmentInput!, $message: String) {
@@ -117,4 +315,74 @@ export const Fulfillment = {
 	  }
 	}
   `,
+  cancel: `
+    mutation fulfillmentCancel($id: ID!) {
+	  fulfillmentCancel(id: $id) {
+	    fulfillment {
+		  id
+		  status
+	    }
+	    userErrors {
+	      field
+	      message
+	    }
+	  }
+	}
+  `, // https://shopify.dev/docs/api/admin-graphql/latest/mutations/fulfillmentTrackingInfoUpdate
+  trackingInfoUpdate: `
+    mutation fulfillmentTrackingInfoUpdate($fulfillmentId: ID!, $trackingInfoInput: FulfillmentTrackingInput!, $notifyCustomer: Boolean) {
+	  fulfillmentTrackingInfoUpdate(fulfillmentId: $fulfillmentId, trackingInfoInput: $trackingInfoInput, notifyCustomer: $notifyCustomer) {
+	    fulfillment {
+		  id
+		  trackingInfo {
+		    company
+		    number
+		  }
+	    }
+	    userErrors {
+	      field
+	      message
+	    }
+	  }
+	}
+  `, // https://shopify.dev/docs/api/admin-graphql/latest/mutations/fulfillmentEventCreate
+  eventCreate: `
+    mutation fulfillmentEventCreate($fulfillmentEvent: FulfillmentEventInput!) {
+	  fulfillmentEventCreate(fulfillmentEvent: $fulfillmentEvent) {
+	    fulfillmentEvent {
+		  id
+		  status
+		  happenedAt
+	    }
+	    userErrors {
+	      field
+	      message
+	    }
+	  }
+	}
+  `,
+};
+
+// Registers the app as a fulfillment service, which creates a Shopify location for it. See cli.js register-fulfillment-service.
+// https://shopify.dev/docs/api/admin-graphql/latest/mutations/fulfillmentServiceCreate
+export const FulfillmentService = {
+  create: `
+    mutation fulfillmentServiceCreate($name: String!, $callbackUrl: URL!, $trackingSupport: Boolean, $inventoryManagement: Boolean) {
+      fulfillmentServiceCreate(name: $name, callbackUrl: $callbackUrl, trackingSupport: $trackingSupport, inventoryManagement: $inventoryManagement) {
+        fulfillmentService {
+          id
+          serviceName
+          callbackUrl
+          location {
+            id
+            name
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
 };
@@ -0,0 +1,64 @@
+import { DateTime } from "luxon";
+import {
+  getDigest,
+  formatDigest,
+  digestProblemCount,
+  digestTimezone,
+} from "../digest";
+import { recipients, sendEmail } from "../notifications.js";
+import constants from "../constants";
+import logger from "../utils/logger.js";
+import { enqueueJobOnce } from "../store/jobs.js";
+
+// Early enough to deal with problems before the fulfillment center's cutoff
+const DIGEST_HOUR = 7;
+
+/**
+ * Emails the shop owner yesterday's digest (see digest.js), and schedules tomorrow's.
+ */
+export async function dailyDigestHandler() {
+  // Scheduled first, so that a failure to send this digest doesn't stop the next one. A retry finds it already scheduled.
+  scheduleDailyDigest();
+
+  const digest = getDigest(
+    DateTime.now().setZone(digestTimezone()).minus({ days: 1 }),
+  );
+  const problems = digestProblemCount(digest);
+  await sendEmail({
+    to: recipients.owner(),
+    subject: `Shipping digest - ${digest.date}${problems > 0 ? ` - ${problems} need attention` : ""}`,
+    body: { text: formatDigest(digest) },
+  });
+  logger.info(
+    `Sent shipping digest for ${digest.date} (${digest.labels} labels, ${problems} problems)`,
+  );
+}
+
+/**
+ * Queues the next daily digest, unless one is already queued. Called on startup and after each digest.
+ * @param {DateTime=} now
+ * @returns {DateTime} When the next digest will be sent
+ */
+export function scheduleDailyDigest(now = DateTime.now()) {
+  const runAt = enqueueJobOnce({
+    type: constants.job_types.DAILY_DIGEST,
+    payload: {},
+    runAt: nextDigestTime(now).toMillis(),
+  });
+  return DateTime.fromMillis(runAt, { zone: digestTimezone() });
+}
+
+/**
+ * @param {DateTime} now
+ * @returns {DateTime} The next 7am in DAILY_DIGEST_TIMEZONE
+ */
+export function nextDigestTime(now) {
+  const local = now.setZone(digestTimezone());
+  const today = local.set({
+    hour: DIGEST_HOUR,
+    minute: 0,
+    second: 0,
+    millisecond: 0,
+  });
+  return today > local ? today : today.plus({ days: 1 });
+}
@@ -0,0 +1,290 @@
+import { ShopifyClient } from "../common/shopify";
+import { EasyPostClient } from "../common/easypost";
+import { FulfillmentOrder } from "../gql";
+import { fetchOrder } from "../orders";
+import { getFulfillmentCenter } from "../fulfillment-centers";
+import { prepareShipment, checkRates } from "../label-purchase";
+import { NoSuitableRatesError, formatDecisionTrace } from "../rules";
+import { NoSuitableBoxError } from "../packaging";
+import { UndeliverableAddressError } from "../address";
+import { FulfillmentOrderValidationError } from "../utils/validation.js";
+import { FulfillmentOrderBusyError, refundLabel } from "./order-cancelled.js";
+import { recipients, sendEmail } from "../notifications.js";
+import constants from "../constants";
+import logger from "../utils/logger.js";
+import { shopifyOrderAdminUrl } from "../utils/utils.js";
+import {
+  claimFulfillmentOrder,
+  releaseFulfillmentOrder,
+  getFulfillmentOrderState,
+  recordFulfillmentRequestAccepted,
+  recordFulfillmentRequestRejected,
+  recordFulfillmentRequestCancelled,
+} from "../store/fulfillment-orders.js";
+import { enqueueJob } from "../store/jobs.js";
+
+const env = Bun.env.NODE_ENV;
+
+// Why a fulfillment request can't be fulfilled, as a Shopify FulfillmentOrderRejectionReason
+// https://shopify.dev/docs/api/admin-graphql/latest/enums/FulfillmentOrderRejectionReason
+const REJECTION_REASONS = [
+  [UndeliverableAddressError, "INCORRECT_ADDRESS"],
+  [NoSuitableRatesError, "UNDELIVERABLE_DESTINATION"],
+  [NoSuitableBoxError, "INELIGIBLE_PRODUCT"],
+  [FulfillmentOrderValidationError, "OTHER"],
+];
+
+/**
+ * Why a fulfillment request should be rejected, given the error checking it threw.
+ * @param {Error} e
+ * @returns {{reason: string, message: string, trace: DecisionTrace|null}|null} null if the error isn't a problem with the fulfillment order, e.g.
+ * EasyPost being down
+ */
+export function fulfillmentRequestRejection(e) {
+  const [, reason] =
+    REJECTION_REASONS.find(([ErrorType]) => e instanceof ErrorType) ?? [];
+  if (!reason) {
+    return null;
+  }
+  return { reason, message: e.message, trace: e.trace ?? null };
+}
+
+/**
+ * Accepts or rejects a fulfillment request for a fulfillment center that is our Shopify fulfillment service. The request is accepted if the
+ * fulfillment order passes the pre-flight checks and a rate passing the rules is available, after which the label is bought by the purchase job
+ * as usual. Otherwise it's rejected, handing the fulfillment order back to the shop. A request that was already accepted only has its acceptance
+ * recorded and the purchase job queued, in case the attempt that accepted it failed before doing so.
+ * @param {Object} reqBody - Job payload from a fulfillment_orders/fulfillment_request_submitted webhook (only admin_graphql_api_id, the submitted
+ * fulfillment order, is used)
+ */
+export async function fulfillmentRequestHandler(reqBody) {
+  const { admin_graphql_api_id: fulfillmentOrderId } = reqBody;
+
+  logger.info(`Processing fulfillment request for ${fulfillmentOrderId}`);
+
+  const shopify = new ShopifyClient();
+  const easypost = new EasyPostClient();
+
+  const { fulfillmentOrder: submitted } = (
+    await shopify.gqlQuery(FulfillmentOrder.byId, { id: fulfillmentOrderId })
+  ).data;
+  if (!submitted) {
+    logger.warn(`Fulfillment order ${fulfillmentOrderId} not found, skipping`);
+    return;
+  }
+  // ACCEPTED if a previous attempt accepted the request but failed before queueing the purchase job, in which case we pick up from there
+  const accepted = submitted.requestStatus === "ACCEPTED";
+  if (submitted.requestStatus !== "SUBMITTED" && !accepted) {
+    // e.g. the shop withdrew the request, or it was rejected
+    logger.info(
+      `Fulfillment request for ${fulfillmentOrderId} is ${submitted.requestStatus}, skipping`,
+    );
+    return;
+  }
+
+  const order = await fetchOrder(shopify, submitted.orderId);
+  if (!order) {
+    logger.warn(
+      `Order ${submitted.orderId} of fulfillment order ${fulfillmentOrderId} not found, skipping`,
+    );
+    return;
+  }
+  const fulfillmentOrder = order.fulfillmentOrders.nodes.find(
+    (node) => node.id === fulfillmentOrderId,
+  );
+  if (!fulfillmentOrder) {
+    logger.warn(
+      `Fulfillment order ${fulfillmentOrderId} not found in order ${order.name}, skipping`,
+    );
+    return;
+  }
+  const locationId = fulfillmentOrder.assignedLocation.location?.id;
+  const claim = claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId: order.id,
+    orderName: order.name,
+    locationId,
+  });
+  if (claim === null) {
+    throw new FulfillmentOrderBusyError(
+      `Fulfillment order ${fulfillmentOrderId} is being processed, fulfillment request will be retried`,
+    );
+  }
+
+  if (accepted) {
+    try {
+      if (!claim.state.fulfillment_request_accepted_at) {
+        recordFulfillmentRequestAccepted(fulfillmentOrderId);
+      }
+    } finally {
+      releaseFulfillmentOrder(fulfillmentOrderId, claim.token);
+    }
+    logger.info(
+      `Fulfillment request for ${fulfillmentOrderId} (order ${order.name}) was already accepted`,
+    );
+    queueLabelPurchase(order);
+    return;
+  }
+
+  try {
+    const center = await getFulfillmentCenter(locationId);
+    let rejection = null;
+    try {
+      // The rejection email tells the shop owner about any problem
+      const prepared = await prepareShipment({
+        easypost,
+        order,
+        fulfillmentOrder,
+        center,
+        notify: false,
+      });
+      const { chosenRate } = await checkRates({
+        easypost,
+        order,
+        center,
+        prepared,
+      });
+      logger.info(
+        `Fulfillment order ${fulfillmentOrderId} can ship ${chosenRate.carrier} ${chosenRate.service} ($${chosenRate.rate})`,
+      );
+    } catch (e) {
+      rejection = fulfillmentRequestRejection(e);
+      if (!rejection) {
+        throw e;
+      }
+    }
+
+    if (rejection) {
+      await respond(shopify, FulfillmentOrder.rejectFulfillmentRequest, {
+        id: fulfillmentOrderId,
+        reason: rejection.reason,
+        message: rejection.message,
+      });
+      recordFulfillmentRequestRejected(
+        fulfillmentOrderId,
+        `${rejection.reason}: ${rejection.message}`,
+      );
+      logger.warn(
+        `Rejected fulfillment request for ${fulfillmentOrderId} (order ${order.name}): ${rejection.reason}`,
+      );
+      await sendEmail({
+        to: recipients.owner(),
+        subject: `Order ${order.name} - Fulfillment request rejected`,
+        body: {
+          text: `Order: ${order.name}
+The fulfillment request for fulfillment order ${fulfillmentOrderId} (${center.name}) was rejected (${rejection.reason}), so no label was bought:
+${rejection.message}
+${rejection.trace ? `\nRates that were rejected:\n${formatDecisionTrace(rejection.trace)}\n` : ""}
+Fix the order and request fulfillment again, or fulfill it another way. View order in Shopify Admin: ${shopifyOrderAdminUrl(order.id)}`,
+        },
+      });
+      return;
+    }
+
+    await respond(shopify, FulfillmentOrder.acceptFulfillmentRequest, {
+      id: fulfillmentOrderId,
+    });
+    recordFulfillmentRequestAccepted(fulfillmentOrderId);
+    logger.info(
+      `Accepted fulfillment request for ${fulfillmentOrderId} (order ${order.name})`,
+    );
+  } finally {
+    releaseFulfillmentOrder(fulfillmentOrderId, claim.token);
+  }
+
+  queueLabelPurchase(order);
+}
+
+/**
+ * Queues the purchase job for an order with an accepted fulfillment request, which buys the label, or holds the order until the center's next
+ * ship day. The job skips fulfillment orders that already have a label, so queueing it twice is harmless.
+ * @param {Object} order - See fetchOrder()
+ */
+function queueLabelPurchase(order) {
+  const jobId = enqueueJob({
+    type: constants.job_types.PURCHASE_SHIPPING_LABELS,
+    payload: { admin_graphql_api_id: order.id, name: order.name },
+  });
+  logger.info(
+    `Queued ${constants.job_types.PURCHASE_SHIPPING_LABELS} job ${jobId} for order ${order.name}`,
+  );
+}
+
+/**
+ * Accepts the shop's request to cancel a fulfillment request we accepted, refunding the label if one was bought, unless the fulfillment order has
+ * already been fulfilled.
+ * @param {Object} reqBody - Job payload from a fulfillment_orders/cancellation_request_submitted webhook (only admin_graphql_api_id, the fulfillment
+ * order, is used)
+ */
+export async function fulfillmentCancellationRequestHandler(reqBody) {
+  const { admin_graphql_api_id: fulfillmentOrderId } = reqBody;
+
+  logger.info(`Processing cancellation request for ${fulfillmentOrderId}`);
+
+  const shopify = new ShopifyClient();
+  const easypost = new EasyPostClient();
+
+  const existing = getFulfillmentOrderState(fulfillmentOrderId);
+  if (!existing) {
+    // Nothing has been done for the fulfillment order yet
+    await respond(shopify, FulfillmentOrder.acceptCancellationRequest, {
+      id: fulfillmentOrderId,
+    });
+    logger.info(`Accepted cancellation request for ${fulfillmentOrderId}`);
+    return;
+  }
+
+  const claim = claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId: existing.order_id,
+    orderName: existing.order_name,
+  });
+  if (claim === null) {
+    throw new FulfillmentOrderBusyError(
+      `Fulfillment order ${fulfillmentOrderId} is being processed, cancellation request will be retried`,
+    );
+  }
+
+  try {
+    const state = claim.state;
+    if (state.fulfillment_created_at && !state.fulfillment_cancelled_at) {
+      await respond(shopify, FulfillmentOrder.rejectCancellationRequest, {
+        id: fulfillmentOrderId,
+        message:
+          "Already fulfilled, and the label sent to the fulfillment center",
+      });
+      logger.warn(
+        `Rejected cancellation request for ${fulfillmentOrderId} (order ${state.order_name}), already fulfilled`,
+      );
+      return;
+    }
+
+    const voided = await refundLabel(
+      easypost,
+      fulfillmentOrderId,
+      state,
+      claim.token,
+    );
+    await respond(shopify, FulfillmentOrder.acceptCancellationRequest, {
+      id: fulfillmentOrderId,
+    });
+    recordFulfillmentRequestCancelled(
+      fulfillmentOrderId,
+      voided?.refundStatus ?? null,
+    );
+    logger.info(
+      `Accepted cancellation request for ${fulfillmentOrderId} (order ${state.order_name})${voided ? `, label refund ${voided.refundStatus}` : ""}`,
+    );
+  } finally {
+    releaseFulfillmentOrder(fulfillmentOrderId, claim.token);
+  }
+}
+
+// Answers a fulfillment or cancellation request, outside of production only logging what would have been sent
+async function respond(shopify, mutation, variables) {
+  if (env === "production") {
+    await shopify.gqlQuery(mutation, variables);
+  } else {
+    logger.debug(
+      `Would have answered request for ${variables.id}: ${JSON.stringify(variables)}`,
+    );
+  }
+}
@@ -0,0 +1,243 @@
+import { ShopifyClient } from "../common/shopify";
+import { EasyPostClient } from "../common/easypost";
+import { Fulfillment } from "../gql";
+import logger from "../utils/logger.js";
+import { shopifyOrderAdminUrl } from "../utils/utils.js";
+import { recipients, sendEmail } from "../notifications.js";
+import { getFulfillmentCenter } from "../fulfillment-centers.js";
+import { assertFulfillmentOrderClaim } from "../label-purchase.js";
+import {
+  retrieveRatedShipment,
+  isPurchased,
+  purchasedRate,
+  purchasedShipments,
+} from "../shipment.js";
+import {
+  claimFulfillmentOrder,
+  releaseFulfillmentOrder,
+  getFulfillmentOrderStatesForOrder,
+  recordLabelPurchased,
+  recordShipmentRefunded,
+  recordRefundRequested,
+  recordFulfillmentCancelled,
+  recordCancelled,
+  recordCancellationNotified,
+} from "../store/fulfillment-orders.js";
+
+const env = Bun.env.NODE_ENV;
+
+export class FulfillmentOrderBusyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FulfillmentOrderBusyError";
+  }
+}
+
+/**
+ * Voids the labels we bought for a cancelled order, cancels the Shopify fulfillments, and tells the fulfillment center to pull the packages.
+ * @param {Object} reqBody - orders/cancelled webhook payload (only admin_graphql_api_id and name are used)
+ */
+export async function orderCancelledHandler(reqBody) {
+  const { admin_graphql_api_id: orderId, name: orderName } = reqBody;
+
+  logger.info(`Processing cancellation of order ${orderName} (${orderId})`);
+
+  const shopify = new ShopifyClient();
+  const easypost = new EasyPostClient();
+
+  // Only fulfillment orders we've started processing can have labels
+  const states = getFulfillmentOrderStatesForOrder(orderId);
+  const voidedLabels = [];
+
+  for (const {
+    fulfillment_order_id: fulfillmentOrderId,
+    location_id: locationId,
+  } of states) {
+    const claim = claimFulfillmentOrder(fulfillmentOrderId, {
+      orderId,
+      orderName,
+    });
+    if (claim === null) {
+      // The label pipeline is running for this fulfillment order right now. Throwing lets the job worker retry once it's done.
+      throw new FulfillmentOrderBusyError(
+        `Fulfillment order ${fulfillmentOrderId} is being processed, cancellation will be retried`,
+      );
+    }
+
+    try {
+      const state = claim.state;
+      if (state.cancelled_at && state.cancellation_notified_at) {
+        logger.info(
+          `Fulfillment order ${fulfillmentOrderId} already cancelled, skipping`,
+        );
+        continue;
+      }
+
+      // A retry after the email failed tells the fulfillment center about the label refunded last time
+      const voided = state.cancelled_at
+        ? state.label && {
+            label: state.label,
+            refundStatus: state.refund_status,
+          }
+        : await refundLabel(easypost, fulfillmentOrderId, state, claim.token);
+      if (voided) {
+        for (const shipment of purchasedShipments(voided.label)) {
+          voidedLabels.push({
+            fulfillmentOrderId,
+            locationId,
+            shipmentId: shipment.id,
+            trackingCode: shipment.tracker?.tracking_code,
+            labelUrl: shipment.postage_label?.label_url,
+            refundStatus: voided.refundStatus,
+          });
+        }
+      }
+
+      if (state.cancelled_at) {
+        continue;
+      }
+
+      if (state.fulfillment_id && !state.fulfillment_cancelled_at) {
+        if (env === "production") {
+          await shopify.gqlQuery(Fulfillment.cancel, {
+            id: state.fulfillment_id,
+          });
+          logger.info(
+            `Cancelled Shopify fulfillment ${state.fulfillment_id} for order ${orderName}`,
+          );
+        } else {
+          logger.debug(
+            `Would have cancelled Fulfillment ${state.fulfillment_id}`,
+          );
+        }
+        recordFulfillmentCancelled(fulfillmentOrderId);
+      }
+
+      recordCancelled(fulfillmentOrderId);
+    } finally {
+      releaseFulfillmentOrder(fulfillmentOrderId, claim.token);
+    }
+  }
+
+  if (voidedLabels.length === 0) {
+    logger.info(`No labels were bought for cancelled order ${orderName}`);
+    return;
+  }
+
+  // Each fulfillment center only hears about the packages it has to pull
+  const labelsByLocation = Map.groupBy(
+    voidedLabels,
+    (label) => label.locationId,
+  );
+  for (const [locationId, labels] of labelsByLocation) {
+    const center = await getFulfillmentCenter(locationId);
+    const labelsText = labels
+      .map(
+        (label) =>
+          `- Tracking ${label.trackingCode} (EasyPost shipment ${label.shipmentId}, refund status: ${label.refundStatus})
+  Label: ${label.labelUrl}`,
+      )
+      .join("\n");
+
+    await sendEmail({
+      to: [recipients.fulfillmentCenter(center), recipients.owner()].flat(),
+      subject: `Order ${orderName} cancelled - please pull the package`,
+      body: {
+        text: `Order ${orderName} was cancelled after its shipping label was bought.
+
+${center.name}: please do not ship this order. If the package has already been packed, pull it and do not hand it to the carrier.
+
+Voided labels:
+${labelsText}
+
+View order in Shopify Admin: ${shopifyOrderAdminUrl(orderId)}`,
+      },
+    });
+    for (const fulfillmentOrderId of new Set(
+      labels.map((label) => label.fulfillmentOrderId),
+    )) {
+      recordCancellationNotified(fulfillmentOrderId);
+    }
+  }
+}
+
+/**
+ * Requests a refund for the fulfillment order's label, if one was bought and hasn't been refunded already. Checks with EasyPost for a label bought
+ * by an attempt that crashed before recording it.
+ * @param {EasyPostClient} easypost
+ * @param {string} fulfillmentOrderId
+ * @param {FulfillmentOrderState} state
+ * @param {string} claimToken - See claimFulfillmentOrder()
+ * @returns {Promise<{label: Object, refundStatus: string}|null>} null if no label was bought
+ */
+export async function refundLabel(
+  easypost,
+  fulfillmentOrderId,
+  state,
+  claimToken,
+) {
+  let label = state.label;
+  if (!label && state.shipment_id) {
+    // A crash may have happened between buying the label and recording it
+    const shipment = await retrieveRatedShipment(easypost, state.shipment_id);
+    if (isPurchased(shipment)) {
+      label = shipment;
+      recordLabelPurchased(fulfillmentOrderId, {
+        shipmentId: shipment.id,
+        rates: shipment.rates,
+        chosenRate: purchasedRate(shipment),
+        label: shipment,
+      });
+    }
+  }
+  if (!label) {
+    return null;
+  }
+
+  let refundStatus = state.refund_status;
+  if (!refundStatus) {
+    refundStatus = await refundShipments(easypost, {
+      fulfillmentOrderId,
+      state,
+      label,
+      claimToken,
+    });
+    recordRefundRequested(fulfillmentOrderId, refundStatus);
+  }
+  return { label, refundStatus };
+}
+
+/**
+ * Requests a refund for each of the label's shipments (multi-box orders have a label per box, each refunded separately). Each refund is recorded
+ * as it's requested, so that a retry after one fails partway skips those already refunded.
+ * @param {EasyPostClient} easypost
+ * @param {Object} options
+ * @param {string} options.fulfillmentOrderId
+ * @param {FulfillmentOrderState} options.state
+ * @param {Object} options.label - EasyPost buy response
+ * @param {string} options.claimToken - See claimFulfillmentOrder()
+ * @returns {Promise<string>} The refund statuses, e.g. "submitted"
+ */
+export async function refundShipments(
+  easypost,
+  { fulfillmentOrderId, state, label, claimToken },
+) {
+  const refunds = { ...state.shipment_refunds };
+  for (const shipment of purchasedShipments(label)) {
+    if (refunds[shipment.id]) {
+      continue;
+    }
+    assertFulfillmentOrderClaim(fulfillmentOrderId, claimToken);
+    const refund = await easypost.refundShipment(shipment.id);
+    recordShipmentRefunded(
+      fulfillmentOrderId,
+      shipment.id,
+      refund.refund_status,
+    );
+    refunds[shipment.id] = refund.refund_status;
+    logger.info(
+      `Requested refund for EasyPost shipment ${shipment.id} (order ${state.order_name}): ${refund.refund_status}`,
+    );
+  }
+  return [...new Set(Object.values(refunds))].join(", ");
+}
@@ -0,0 +1,284 @@
+import { ShopifyClient } from "../common/shopify";
+import { EasyPostClient } from "../common/easypost";
+import { Fulfillment } from "../gql";
+import { fetchOrder } from "../orders";
+import { purchasedShipments } from "../shipment";
+import { getFulfillmentCenter } from "../fulfillment-centers";
+import { destinationFingerprint, withShippingAddress } from "../address";
+import {
+  prepareShipment,
+  checkRates,
+  buyLabel,
+  createPackingSlip,
+  labelEmailText,
+  isHeldForApproval,
+} from "../label-purchase";
+import { recipients, sendEmail } from "../notifications.js";
+import {
+  FulfillmentOrderBusyError,
+  refundShipments,
+} from "./order-cancelled.js";
+import { NoSuitableRatesError, formatDecisionTrace } from "../rules";
+import { shopifyOrderAdminUrl } from "../utils/utils.js";
+import { DateTime } from "luxon";
+import shopifyCarriers from "../carrier-mapping.json";
+import logger from "../utils/logger.js";
+import {
+  claimFulfillmentOrder,
+  releaseFulfillmentOrder,
+  getFulfillmentOrderState,
+  getFulfillmentOrderStatesForOrder,
+  recordLabelVoided,
+  recordEmailSent,
+} from "../store/fulfillment-orders.js";
+import { getVoidedTrackers } from "../store/trackers.js";
+
+const env = Bun.env.NODE_ENV;
+
+/**
+ * Whether an orders/updated webhook could need a label replaced, i.e. we've bought a label for the order. orders/updated fires for every change to
+ * an order (including our own fulfillments), so this keeps the rest from being queued.
+ * @param {Object} reqBody - orders/updated webhook payload
+ * @returns {boolean}
+ */
+export function orderHasLabels(reqBody) {
+  return getFulfillmentOrderStatesForOrder(reqBody.admin_graphql_api_id).some(
+    (state) => state.label || state.label_voided_at,
+  );
+}
+
+/**
+ * Replaces labels bought for an order's old shipping address after the address is edited: voids the old label, buys a new one, updates the tracking
+ * numbers on the Shopify fulfillment, and emails the fulfillment center the replacement label and packing slip.
+ * @param {Object} reqBody - orders/updated webhook payload (only admin_graphql_api_id is used)
+ */
+export async function orderUpdatedHandler(reqBody) {
+  const { admin_graphql_api_id: orderId } = reqBody;
+
+  if (!orderHasLabels(reqBody)) {
+    logger.debug(`No labels bought for order ${orderId}, nothing to update`);
+    return;
+  }
+
+  const shopify = new ShopifyClient();
+  const easypost = new EasyPostClient();
+
+  const order = await fetchOrder(shopify, orderId);
+  if (!order) {
+    logger.warn(`Order ${orderId} not found, skipping`);
+    return;
+  }
+  if (order.cancelledAt) {
+    // order-cancelled.js voids the labels
+    logger.info(`Order ${order.name} was cancelled, skipping`);
+    return;
+  }
+
+  const fingerprint = destinationFingerprint(order.shippingAddress);
+  for (const fulfillmentOrder of order.fulfillmentOrders.nodes) {
+    const claim = claimFulfillmentOrder(fulfillmentOrder.id, {
+      orderId: order.id,
+      orderName: order.name,
+      locationId: fulfillmentOrder.assignedLocation.location?.id,
+    });
+    if (claim === null) {
+      // Throwing lets the job worker retry once the label pipeline is done with it
+      throw new FulfillmentOrderBusyError(
+        `Fulfillment order ${fulfillmentOrder.id} is being processed, address change will be retried`,
+      );
+    }
+
+    try {
+      let state = claim.state;
+      if (state.cancelled_at) {
+        continue;
+      }
+
+      // A replacement that was interrupted picks up where it left off
+      if (!state.label_voided_at) {
+        if (!state.label) {
+          // The label pipeline hasn't bought a label yet, and will use the current address when it does
+          continue;
+        }
+        if (!state.destination_fingerprint) {
+          logger.warn(
+            `Label for fulfillment order ${fulfillmentOrder.id} was bought before address changes were tracked, can't tell if the address changed`,
+          );
+          continue;
+        }
+        if (state.destination_fingerprint === fingerprint) {
+          continue;
+        }
+      } else if (isHeldForApproval(state)) {
+        logger.info(
+          `Replacement label for fulfillment order ${fulfillmentOrder.id} is waiting for approval, skipping`,
+        );
+        continue;
+      }
+
+      logger.info(
+        `Shipping address of order ${order.name} changed, replacing label for fulfillment order ${fulfillmentOrder.id}`,
+      );
+
+      const center = await getFulfillmentCenter(state.location_id);
+      const updatedFulfillmentOrder = withShippingAddress(
+        fulfillmentOrder,
+        order.shippingAddress,
+      );
+      // Check the new address, and choose the replacement's rate, before voiding the old label, so that an undeliverable address or no suitable
+      // rate doesn't leave the order with no label at all
+      const prepared = await prepareShipment({
+        easypost,
+        order,
+        fulfillmentOrder: updatedFulfillmentOrder,
+        center,
+        state,
+      });
+
+      let rateSearch;
+      let voided = false;
+      if (!state.label_voided_at) {
+        try {
+          rateSearch = await checkRates({ easypost, order, center, prepared });
+        } catch (e) {
+          if (e instanceof NoSuitableRatesError) {
+            await sendEmail({
+              to: recipients.owner(),
+              subject: `Order ${order.name} - No suitable shipping rate for the new address`,
+              body: {
+                text: `Order: ${order.name}
+The shipping address changed after the label for fulfillment order ${fulfillmentOrder.id} was bought, but no rate for the new address passes
+the rules, so the old label (for the old address) was kept:
+${e.trace ? formatDecisionTrace(e.trace) : "No rates available"}
+
+View order in Shopify Admin: ${shopifyOrderAdminUrl(order.id)}`,
+              },
+            });
+          }
+          throw e;
+        }
+
+        const refundStatus = await refundShipments(easypost, {
+          fulfillmentOrderId: fulfillmentOrder.id,
+          state,
+          label: state.label,
+          claimToken: claim.token,
+        });
+        recordLabelVoided(fulfillmentOrder.id, refundStatus);
+        state = getFulfillmentOrderState(fulfillmentOrder.id);
+        voided = true;
+      }
+
+      let purchase;
+      try {
+        purchase = await buyLabel({
+          easypost,
+          order,
+          fulfillmentOrder: updatedFulfillmentOrder,
+          center,
+          state,
+          claimToken: claim.token,
+          prepared,
+          destinationFingerprint: fingerprint,
+          rateSearch,
+        });
+      } catch (e) {
+        if (voided) {
+          // The old label is void, and the job may not manage to buy a replacement
+          await sendHoldNotice(
+            order,
+            center,
+            state,
+            "A replacement label will be sent once it's bought.",
+          );
+        }
+        throw e;
+      }
+      if (purchase === null) {
+        // The old label is void either way, so tell the fulfillment center now rather than once a rate is approved
+        await sendHoldNotice(
+          order,
+          center,
+          state,
+          "A replacement label will be sent once it's approved.",
+        );
+        continue;
+      }
+      const labels = purchasedShipments(purchase.buyResponse);
+
+      // The fulfillment stays, with the new tracking numbers
+      if (state.fulfillment_id) {
+        const trackingInfoInput = {
+          company: shopifyCarriers[labels[0].selected_rate.carrier],
+          numbers: labels.map((label) => label.tracker.tracking_code),
+        };
+        if (env === "production") {
+          await shopify.gqlQuery(Fulfillment.trackingInfoUpdate, {
+            fulfillmentId: state.fulfillment_id,
+            trackingInfoInput,
+            notifyCustomer: false,
+          });
+          logger.info(
+            `Updated tracking for order ${order.name}: ${trackingInfoInput.numbers.join(", ")}`,
+          );
+        } else {
+          logger.debug(
+            `Would have updated tracking on Fulfillment ${state.fulfillment_id}:`,
+          );
+          logger.debug(JSON.stringify(trackingInfoInput, null, 2));
+        }
+      }
+
+      const packingSlipPdf = await createPackingSlip(order, prepared, center);
+
+      await sendEmail({
+        to: recipients.fulfillmentCenter(center),
+        subject: `Hot Dates Kitchen: REPLACEMENT label for order ${order.name} - old label VOID`,
+        body: {
+          text: `The shipping address for order ${order.name} changed after its label was bought.
+
+DO NOT USE the old label. It has been voided:
+${voidedTrackersText(fulfillmentOrder.id, state.label_voided_at)}
+
+If the package is already labelled, replace the label with the one below. Use the updated packing slip attached.
+
+${labelEmailText(prepared, purchase, labels)}`,
+        },
+        attachments: [
+          {
+            filename: `packing slip - ${DateTime.now().toISO()}.pdf`,
+            content: Buffer.from(packingSlipPdf),
+          },
+        ],
+      });
+      recordEmailSent(fulfillmentOrder.id);
+    } finally {
+      releaseFulfillmentOrder(fulfillmentOrder.id, claim.token);
+    }
+  }
+}
+
+// Tells the fulfillment center not to use the voided label until the replacement arrives
+async function sendHoldNotice(order, center, state, replacement) {
+  await sendEmail({
+    to: recipients.fulfillmentCenter(center),
+    subject: `Hot Dates Kitchen: HOLD order ${order.name} - old label VOID`,
+    body: {
+      text: `The shipping address for order ${order.name} changed after its label was bought.
+
+DO NOT USE the old label. It has been voided:
+${voidedTrackersText(state.fulfillment_order_id, state.label_voided_at)}
+
+Please hold the package. ${replacement}`,
+    },
+  });
+}
+
+function voidedTrackersText(fulfillmentOrderId, voidedAt) {
+  return getVoidedTrackers(fulfillmentOrderId, voidedAt)
+    .map(
+      (tracker) =>
+        `- VOID: tracking ${tracker.tracking_code} (refund status: ${tracker.refund_status})`,
+    )
+    .join("\n");
+}
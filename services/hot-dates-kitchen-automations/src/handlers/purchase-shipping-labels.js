@@ -0,0 +1,339 @@
+import { ShopifyClient } from "../common/shopify";
+import { EasyPostClient } from "../common/easypost";
+import { EmailClient } from "../common/email";
+import { Fulfillment } from "../gql";
+import { fetchOrder } from "../orders";
+import { purchasedShipments } from "../shipment";
+import { getFulfillmentCenter } from "../fulfillment-centers";
+import { nextShipDay } from "../ship-days";
+import { destinationFingerprint } from "../address";
+import {
+  preflight,
+  prepareShipment,
+  buyLabel,
+  createPackingSlip,
+  labelEmailText,
+  isHeldForApproval,
+} from "../label-purchase";
+import { recipients } from "../notifications.js";
+import { DateTime } from "luxon";
+import shopifyCarriers from "../carrier-mapping.json";
+import constants from "../constants";
+import logger from "../utils/logger.js";
+import { redactPII } from "../utils/redactPII.js";
+import { FulfillmentOrderValidationError } from "../utils/validation.js";
+import {
+  claimFulfillmentOrder,
+  releaseFulfillmentOrder,
+  getFulfillmentOrderState,
+  recordFulfillmentCreated,
+  recordEmailSent,
+  recordShipDateScheduled,
+} from "../store/fulfillment-orders.js";
+import { enqueueJob } from "../store/jobs.js";
+
+const env = Bun.env.NODE_ENV;
+
+/**
+ * Buys a shipping label for each of an order's fulfillment orders, creates the Shopify fulfillment, and emails the packing slip and label to the fulfillment center.
+ * @param {Object} reqBody - orders/paid webhook payload (only admin_graphql_api_id is used)
+ */
+export async function purchaseShippingLabelsHandler(reqBody) {
+  const { admin_graphql_api_id: orderId } = reqBody;
+
+  logger.info(`Processing shipping labels for order ${orderId}`);
+
+  // Instantiate Shopify client
+  const shopify = new ShopifyClient();
+
+  // Instantiate EasyPost client
+  const easypost = new EasyPostClient();
+
+  // Instantiate Email client
+  const mailClient = new EmailClient();
+
+  // Get order by id
+  const order = await fetchOrder(shopify, orderId);
+  if (!order) {
+    logger.warn(`Order ${orderId} not found, skipping`);
+    return;
+  }
+  logger.info(
+    `Retrieved order ${order.name} with ${order.fulfillmentOrders.nodes.length} fulfillment orders`,
+  );
+  logger.debug("order: ", JSON.stringify(redactPII(order), null, 2));
+
+  if (order.cancelledAt) {
+    logger.info(`Order ${order.name} was cancelled, skipping`);
+    return;
+  }
+
+  // We'll be generating shipping labels for each fulfillment order, so we'll loop through each fulfillment order and generate a shipping label for each
+  // Some info about Shopify fulfillment:
+  // Each FulfillmentOrder represents items assigned to a specific location/service
+  // Each Fulfillment represents an actual shipment going out
+  // One Fulfillment can satisfy multiple FulfillmentOrders if they're from the same location and ship together
+  // See the lifecycle of a FulfillmentOrder here: https://shopify.dev/docs/api/admin-graphql/latest/objects/FulfillmentOrder
+  const fulfillmentOrders = order.fulfillmentOrders.nodes;
+  const scheduledRuns = new Set(); // Jobs queued for later ship days, one per day for all of the order's fulfillment orders
+  for (const fulfillmentOrder of fulfillmentOrders) {
+    if (env === "production") {
+      // Our fulfillment closes the fulfillment order, so a purchase interrupted after creating it still has the email to send
+      const existing = getFulfillmentOrderState(fulfillmentOrder.id);
+      const resuming = Boolean(
+        existing?.fulfillment_created_at && !existing.email_sent_at,
+      );
+      if (fulfillmentOrder.status === "CLOSED" && !resuming) {
+        // Duplicate webhooks are handled by the webhook and fulfillment order stores, but there's no point in doing any work for a closed fulfillment order
+        logger.info(
+          `Fulfillment order ${fulfillmentOrder.id} already CLOSED, skipping`,
+        );
+        continue;
+      }
+      if (fulfillmentOrder.status === "ON_HOLD") {
+        // Held in the Shopify Admin, or our pre-flight hold wasn't released, see holds.js
+        logger.info(
+          `Fulfillment order ${fulfillmentOrder.id} is ON_HOLD in Shopify, skipping`,
+        );
+        continue;
+      }
+    } else {
+      logger.debug(JSON.stringify(redactPII(fulfillmentOrder), null, 2));
+    }
+
+    // Claim the fulfillment order so that concurrent webhooks for the same order can't buy a second label
+    const locationId = fulfillmentOrder.assignedLocation.location?.id;
+    const claim = claimFulfillmentOrder(fulfillmentOrder.id, {
+      orderId: order.id,
+      orderName: order.name,
+      locationId,
+    });
+    if (claim === null) {
+      logger.info(
+        `Fulfillment order ${fulfillmentOrder.id} is already being processed, skipping`,
+      );
+      continue;
+    }
+    const state = claim.state;
+
+    try {
+      if (state.cancelled_at) {
+        logger.info(
+          `Fulfillment order ${fulfillmentOrder.id} was cancelled, skipping`,
+        );
+        continue;
+      }
+
+      if (state.email_sent_at) {
+        logger.info(
+          `Fulfillment order ${fulfillmentOrder.id} already processed, skipping`,
+        );
+        continue;
+      }
+
+      if (state.label_voided_at) {
+        // The label is being replaced after an address change, see order-updated.js
+        logger.info(
+          `Fulfillment order ${fulfillmentOrder.id} label is being replaced, skipping`,
+        );
+        continue;
+      }
+
+      if (state.held_at) {
+        // Failed the pre-flight checks, and waits for the fix to be retried, see holds.js
+        logger.info(
+          `Fulfillment order ${fulfillmentOrder.id} is on hold until retried, skipping`,
+        );
+        continue;
+      }
+
+      if (isHeldForApproval(state)) {
+        // Bought by the approval route instead, see approval.js
+        logger.info(
+          `Fulfillment order ${fulfillmentOrder.id} label is waiting for approval, skipping`,
+        );
+        continue;
+      }
+
+      logger.info(
+        `Processing fulfillment order ${fulfillmentOrder.id} (${fulfillmentOrder.destination?.city}, ${fulfillmentOrder.destination?.province})`,
+      );
+
+      // Each fulfillment order ships from its own fulfillment center
+      const center = await getFulfillmentCenter(locationId);
+      logger.info(
+        `Fulfillment order ${fulfillmentOrder.id} ships from ${center.name}`,
+      );
+
+      if (center.fulfillmentService && !state.fulfillment_request_accepted_at) {
+        // Shopify sends a fulfillment request for the fulfillment order, which is checked and accepted first, see fulfillment-service.js
+        logger.info(
+          `Fulfillment order ${fulfillmentOrder.id} has no accepted fulfillment request, skipping`,
+        );
+        continue;
+      }
+
+      // Before the ship-day hold, so that the shop owner hears about problems while there's time to fix them
+      try {
+        await preflight({ shopify, order, fulfillmentOrder, state });
+      } catch (e) {
+        if (!(e instanceof FulfillmentOrderValidationError)) {
+          throw e;
+        }
+        logger.warn(
+          `Fulfillment order ${fulfillmentOrder.id} failed the pre-flight checks and was put on hold: ${e.message}`,
+        );
+        continue;
+      }
+
+      // Outside the center's ship days (e.g. after the cutoff, or on a weekend), hold the order so the label is bought, and the fulfillment
+      // center told to pack it, on the day it ships. Once a shipment has been created, the order was already in a ship day.
+      const shipDay = center.shipDays ? nextShipDay(center.shipDays) : null;
+      if (
+        shipDay &&
+        !state.shipment_id &&
+        shipDay > DateTime.now().setZone(shipDay.zone).startOf("day")
+      ) {
+        const shipDate = shipDay.toISODate();
+        if (
+          state.ship_date !== shipDate &&
+          !scheduledRuns.has(shipDay.toMillis())
+        ) {
+          const jobId = enqueueJob({
+            type: constants.job_types.PURCHASE_SHIPPING_LABELS,
+            payload: { admin_graphql_api_id: order.id, name: order.name },
+            runAt: shipDay.toMillis(),
+          });
+          scheduledRuns.add(shipDay.toMillis());
+          logger.info(
+            `Queued job ${jobId} to buy labels for order ${order.name} on ${shipDate}`,
+          );
+        }
+        recordShipDateScheduled(fulfillmentOrder.id, shipDate);
+        logger.info(
+          `Fulfillment order ${fulfillmentOrder.id} held until ${center.name}'s next ship day, ${shipDate}`,
+        );
+        continue;
+      }
+
+      const prepared = await prepareShipment({
+        easypost,
+        order,
+        fulfillmentOrder,
+        center,
+        state,
+      });
+      const purchase = await buyLabel({
+        easypost,
+        order,
+        fulfillmentOrder,
+        center,
+        state,
+        claimToken: claim.token,
+        prepared,
+        destinationFingerprint: destinationFingerprint(order.shippingAddress),
+      });
+      if (purchase === null) {
+        continue;
+      }
+
+      // Create Shopify Fulfillment, which closes a FulfillmentOrder
+      // https://shopify.dev/docs/apps/build/orders-fulfillment/order-management-apps/build-fulfillment-solutions
+      // https://shopify.dev/docs/api/admin-graphql/latest/mutations/fulfillmentCreate
+      // TODO: LATER: A multi-location concern, but: typically, each fulfillment order corresponds to a separate fulfillment, and multiple fulfillment orders usually arise from having multiple locations. However, there are edge cases where a single Fulfillment could be created to address multiple fulfillment orders, although these aren't that common. If those edge cases arise, the below conditional would need to be adjusted.
+      const labels = purchasedShipments(purchase.buyResponse);
+      if (
+        !state.fulfillment_created_at &&
+        fulfillmentOrder.supportedActions
+          .map((obj) => obj.action)
+          .includes("CREATE_FULFILLMENT")
+      ) {
+        // Create fullfillment
+        const fulfillment = {
+          lineItemsByFulfillmentOrder: [
+            {
+              fulfillmentOrderId: fulfillmentOrder.id,
+              // By not specifying fulfillmentOrderLineItems, we automatically fulfill the entire order (i.e. we do not perform a partial fulfillment).
+            },
+          ],
+          notifyCustomer: false,
+          originAddress: {
+            address1: fulfillmentOrder.assignedLocation.address1,
+            address2: fulfillmentOrder.assignedLocation.address2,
+            city: fulfillmentOrder.assignedLocation.city,
+            countryCode: fulfillmentOrder.assignedLocation.countryCode,
+            provinceCode: fulfillmentOrder.assignedLocation.province,
+            zip: fulfillmentOrder.assignedLocation.zip,
+          },
+          trackingInfo: {
+            company: shopifyCarriers[labels[0].selected_rate.carrier], // enum, case sensitive: https://shopify.dev/docs/api/admin-graphql/latest/objects/FulfillmentTrackingInfo#supported-tracking-companies. Shopify will allow you to click in the UI to get shipping info if the correct company is set.
+            // One tracking number per box, all on the one fulfillment
+            numbers: labels.map((label) => label.tracker.tracking_code),
+          },
+        };
+        if (env === "production") {
+          const fulfillmentResponse = await shopify.gqlQuery(
+            Fulfillment.create,
+            {
+              fulfillment: fulfillment,
+            },
+          );
+          recordFulfillmentCreated(
+            fulfillmentOrder.id,
+            fulfillmentResponse.data.fulfillmentCreate.fulfillment?.id ?? null,
+          );
+          logger.info(
+            `Created Shopify fulfillment for order ${order.name}, tracking: ${fulfillment.trackingInfo.numbers.join(", ")}`,
+          );
+        } else {
+          logger.debug(
+            `Would have created Fulfillment for FulfillmentOrder ${fulfillmentOrder.id}:`,
+          );
+          logger.debug(JSON.stringify(redactPII(fulfillment), null, 2));
+          recordFulfillmentCreated(fulfillmentOrder.id, null);
+        }
+      }
+
+      const packingSlipPdf = await createPackingSlip(order, prepared, center);
+
+      const message = {
+        from: Bun.env.FULFILLMENTS_FROM_EMAIL,
+        to: recipients.fulfillmentCenter(center),
+        subject: "Hot Dates Kitchen: Fulfillment order",
+        body: {
+          text: `${labelEmailText(prepared, purchase, labels)}
+
+Packing slip attached.`,
+        },
+        attachments: [
+          {
+            filename: `packing slip - ${DateTime.now().toISO()}.pdf`,
+            content: Buffer.from(packingSlipPdf),
+          },
+        ],
+      };
+      if (Bun.env.SEND_LIVE_EMAILS === "true") {
+        await mailClient.sendMail(message);
+        logger.info(`Sent fulfillment notification for order ${order.name}`);
+      } else {
+        logger.debug(
+          "Would have sent message (file contents replaced with length):",
+        );
+        const debugMessage = {
+          ...message,
+          attachments: message.attachments.map((att) => {
+            return {
+              filename: att.filename,
+              contentLength: att.content ? att.content.length : null,
+              href: att.href ? att.href : undefined,
+            };
+          }),
+        };
+        logger.debug(JSON.stringify(debugMessage, null, 2));
+      }
+      recordEmailSent(fulfillmentOrder.id);
+    } finally {
+      releaseFulfillmentOrder(fulfillmentOrder.id, claim.token);
+    }
+  }
+}
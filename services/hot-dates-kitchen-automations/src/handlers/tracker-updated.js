@@ -0,0 +1,149 @@
+import { ShopifyClient } from "../common/shopify";
+import { Fulfillment } from "../gql";
+import logger from "../utils/logger.js";
+import { shopifyOrderAdminUrl } from "../utils/utils.js";
+import { recipients, sendEmail } from "../notifications.js";
+import {
+  getTracker,
+  getCurrentTrackers,
+  recordTrackerStatus,
+  recordTrackerAlerted,
+} from "../store/trackers.js";
+
+const env = Bun.env.NODE_ENV;
+
+// EasyPost tracker status -> Shopify FulfillmentEventStatus. Statuses not listed (pre_transit, unknown, cancelled, error) aren't pushed.
+// https://docs.easypost.com/docs/trackers#tracker-object
+// https://shopify.dev/docs/api/admin-graphql/latest/enums/FulfillmentEventStatus
+export const FULFILLMENT_EVENT_STATUSES = {
+  in_transit: "IN_TRANSIT",
+  out_for_delivery: "OUT_FOR_DELIVERY",
+  delivered: "DELIVERED",
+  available_for_pickup: "READY_FOR_PICKUP",
+  failure: "FAILURE",
+  return_to_sender: "FAILURE",
+};
+
+// Perishable dates can't sit in a depot, so the shop owner hears about these right away (and again in the daily digest)
+export const ALERT_STATUSES = ["failure", "return_to_sender"];
+
+/**
+ * Pushes an EasyPost tracking update to the Shopify fulfillment as a fulfillment event, and alerts the shop owner about delivery exceptions.
+ * @param {Object} payload - See the EasyPost tracker webhook route in index.js
+ * @param {string} payload.trackingCode
+ * @param {string} payload.status - EasyPost tracker status
+ * @param {string=} payload.statusDetail
+ * @param {string=} payload.estDeliveryDate
+ * @param {Object=} payload.latestEvent - The tracker's latest tracking detail: { message, datetime, city, state, zip, country }
+ */
+export async function trackerUpdatedHandler(payload) {
+  const { trackingCode, status, statusDetail, estDeliveryDate, latestEvent } =
+    payload;
+
+  const tracker = getTracker(trackingCode);
+  if (!tracker) {
+    logger.info(
+      `Tracker ${trackingCode} isn't for one of our labels, ignoring`,
+    );
+    return;
+  }
+  if (tracker.voided_at) {
+    logger.info(`Tracker ${trackingCode} is for a voided label, ignoring`);
+    return;
+  }
+  if (
+    latestEvent?.datetime &&
+    tracker.event_at &&
+    new Date(latestEvent.datetime) < new Date(tracker.event_at)
+  ) {
+    // EasyPost doesn't guarantee webhook order, e.g. an in_transit update can arrive after delivered
+    logger.info(
+      `Tracker ${trackingCode} update (${status} at ${latestEvent.datetime}) is older than the last one recorded, ignoring`,
+    );
+    return;
+  }
+  // A new delivery problem, or one whose alert failed last time
+  const alert =
+    ALERT_STATUSES.includes(status) &&
+    (tracker.status !== status || tracker.alerted_status !== status);
+  if (tracker.status === status && !alert) {
+    logger.debug(`Tracker ${trackingCode} still ${status}, ignoring`);
+    return;
+  }
+
+  // Recorded once the fulfillment event is created, so that a retry after the alert fails doesn't create it again
+  if (tracker.status !== status) {
+    logger.info(
+      `Tracker ${trackingCode} (order ${tracker.order_name}) is now ${status}`,
+    );
+    await createFulfillmentEvent(tracker, payload);
+    recordTrackerStatus(trackingCode, status, latestEvent?.datetime);
+  }
+
+  if (alert) {
+    await sendEmail({
+      to: recipients.owner(),
+      subject: `Order ${tracker.order_name} - Delivery problem (${status.replaceAll("_", " ")})`,
+      body: {
+        text: `Order: ${tracker.order_name}
+Tracking: ${trackingCode}
+Status: ${status}${statusDetail ? ` (${statusDetail})` : ""}
+Latest event: ${latestEvent?.message ?? "none"}${latestEvent?.city ? `, ${latestEvent.city} ${latestEvent.state ?? ""}` : ""}
+
+The package may be sitting at a carrier facility. Please contact the carrier or customer.
+
+View order in Shopify Admin: ${shopifyOrderAdminUrl(tracker.order_id)}`,
+      },
+    });
+    recordTrackerAlerted(trackingCode, status);
+  }
+}
+
+// Pushes the tracking update to the tracker's Shopify fulfillment, which has a tracking number per box
+async function createFulfillmentEvent(tracker, payload) {
+  const { trackingCode, status, statusDetail, estDeliveryDate, latestEvent } =
+    payload;
+  const eventStatus = FULFILLMENT_EVENT_STATUSES[status];
+  if (!eventStatus) {
+    return;
+  }
+  if (
+    status === "delivered" &&
+    getCurrentTrackers(tracker.fulfillment_order_id).some(
+      (other) =>
+        other.tracking_code !== trackingCode && other.status !== "delivered",
+    )
+  ) {
+    // The fulfillment is delivered once every box is, the last box's update creates the event
+    logger.info(
+      `Other boxes of order ${tracker.order_name} aren't delivered yet, no fulfillment event for ${trackingCode}`,
+    );
+    return;
+  }
+
+  const fulfillmentEvent = {
+    fulfillmentId: tracker.fulfillment_id,
+    status: eventStatus,
+    message: latestEvent?.message ?? statusDetail ?? null,
+    happenedAt: latestEvent?.datetime ?? new Date().toISOString(),
+    city: latestEvent?.city ?? null,
+    province: latestEvent?.state ?? null,
+    zip: latestEvent?.zip ?? null,
+    country: latestEvent?.country ?? null,
+    estimatedDeliveryAt: estDeliveryDate ?? null,
+  };
+  if (env === "production" && tracker.fulfillment_id) {
+    // Throws a UserError if Shopify rejects the event
+    await new ShopifyClient().gqlQuery(Fulfillment.eventCreate, {
+      fulfillmentEvent,
+    });
+    logger.info(
+      `Created ${eventStatus} fulfillment event for order ${tracker.order_name}`,
+    );
+  } else {
+    logger.debug(
+      `Would have created fulfillment event for order ${tracker.order_name}:`,
+    );
+    logger.debug(JSON.stringify(fulfillmentEvent, null, 2));
+  }
+}
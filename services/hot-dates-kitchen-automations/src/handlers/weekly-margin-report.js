@@ -0,0 +1,66 @@
+import { DateTime } from "luxon";
+import { getMarginReport, formatMarginReport, lastWeekRange } from "../margin";
+import { recipients, sendEmail } from "../notifications.js";
+import constants from "../constants";
+import logger from "../utils/logger.js";
+import { enqueueJobOnce } from "../store/jobs.js";
+
+// Monday morning for the shop owner
+const REPORT_WEEKDAY = 1;
+const REPORT_HOUR = 8;
+
+/**
+ * Emails the shop owner last week's shipping margin (see margin.js), and schedules next week's report.
+ */
+export async function weeklyMarginReportHandler() {
+  // Scheduled first, so that a failure to send this report doesn't stop the next one. A retry finds it already scheduled.
+  scheduleWeeklyMarginReport();
+
+  const range = lastWeekRange();
+  const report = getMarginReport(range);
+  await sendEmail({
+    to: recipients.owner(),
+    subject: `Shipping margin report - week of ${range.from}`,
+    body: { text: formatMarginReport(report) },
+  });
+  logger.info(
+    `Sent shipping margin report for ${range.from} to ${range.to} (${report.orders.length} orders)`,
+  );
+}
+
+/**
+ * Queues the next weekly margin report, unless one is already queued. Called on startup and after each report.
+ * @param {DateTime=} now
+ * @returns {DateTime} When the next report will be sent
+ */
+export function scheduleWeeklyMarginReport(now = DateTime.now()) {
+  const runAt = enqueueJobOnce({
+    type: constants.job_types.WEEKLY_MARGIN_REPORT,
+    payload: {},
+    runAt: nextReportTime(now).toMillis(),
+  });
+  return DateTime.fromMillis(runAt, { zone: reportTimezone() });
+}
+
+/**
+ * @param {DateTime} now
+ * @returns {DateTime} The next Monday at 8am in MARGIN_REPORT_TIMEZONE
+ */
+export function nextReportTime(now) {
+  const local = now.setZone(reportTimezone());
+  let runAt = local.set({
+    weekday: REPORT_WEEKDAY,
+    hour: REPORT_HOUR,
+    minute: 0,
+    second: 0,
+    millisecond: 0,
+  });
+  if (runAt <= local) {
+    runAt = runAt.plus({ weeks: 1 });
+  }
+  return runAt;
+}
+
+function reportTimezone() {
+  return Bun.env.MARGIN_REPORT_TIMEZONE ?? "America/Los_Angeles";
+}
@@ -0,0 +1,115 @@
+// Fulfillment orders that fail the pre-flight checks (see utils/validation.js) are put on hold in Shopify, with the problems as the reason, so the
+// order shows why it isn't shipping in the Shopify Admin. Once the order or product is fixed, retrying the fulfillment order releases the hold and
+// queues its label purchase, which runs the pre-flight checks again.
+// https://shopify.dev/docs/api/admin-graphql/latest/mutations/fulfillmentOrderHold
+
+import { FulfillmentOrder } from "./gql";
+import { UserError } from "./common/shopify";
+import constants from "./constants";
+import logger from "./utils/logger.js";
+import { extractNumberFromShopifyGuid } from "./utils/utils.js";
+import {
+  getFulfillmentOrderState,
+  recordHoldPlaced,
+  recordHoldReleased,
+} from "./store/fulfillment-orders.js";
+import { enqueueJob } from "./store/jobs.js";
+
+const env = Bun.env.NODE_ENV;
+
+export class HoldRetryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "HoldRetryError";
+  }
+}
+
+/**
+ * Puts the fulfillment order on hold in Shopify, with the problems found as the reason. Outside of production the hold is only recorded.
+ * @param {ShopifyClient} shopify
+ * @param {string} fulfillmentOrderId
+ * @param {string[]} problems - See validateFulfillmentOrder()
+ */
+export async function holdFulfillmentOrder(
+  shopify,
+  fulfillmentOrderId,
+  problems,
+) {
+  const reason = problems.join(" ");
+  let holdId = null;
+  if (env === "production") {
+    const response = await shopify.gqlQuery(FulfillmentOrder.hold, {
+      id: fulfillmentOrderId,
+      fulfillmentHold: { reason: "OTHER", reasonNotes: reason },
+    });
+    holdId = response.data.fulfillmentOrderHold.fulfillmentHold.id;
+    logger.info(`Put fulfillment order ${fulfillmentOrderId} on hold`);
+  } else {
+    logger.debug(
+      `Would have put FulfillmentOrder ${fulfillmentOrderId} on hold: ${reason}`,
+    );
+  }
+  recordHoldPlaced(fulfillmentOrderId, { holdId, reason });
+}
+
+/**
+ * Releases the fulfillment order's hold and queues its order's label purchase.
+ * @param {ShopifyClient} shopify
+ * @param {string} fulfillmentOrderId
+ * @returns {Promise<number>} ID of the queued job
+ * @throws {HoldRetryError} If the fulfillment order isn't on hold
+ */
+export async function retryHeldFulfillmentOrder(shopify, fulfillmentOrderId) {
+  const state = getFulfillmentOrderState(fulfillmentOrderId);
+  if (!state?.held_at) {
+    throw new HoldRetryError(
+      `Fulfillment order ${fulfillmentOrderId} isn't on hold`,
+    );
+  }
+  if (state.cancelled_at) {
+    throw new HoldRetryError(
+      `Order ${state.order_name} was cancelled, fulfillment order ${fulfillmentOrderId} can't be retried`,
+    );
+  }
+
+  if (env === "production" && state.hold_id) {
+    try {
+      await shopify.gqlQuery(FulfillmentOrder.releaseHold, {
+        id: fulfillmentOrderId,
+        holdIds: [state.hold_id],
+      });
+      logger.info(`Released hold on fulfillment order ${fulfillmentOrderId}`);
+    } catch (e) {
+      // Most likely someone released the hold in the Shopify Admin already. The purchase job skips the fulfillment order if it's still on hold.
+      if (!(e instanceof UserError)) {
+        throw e;
+      }
+      logger.warn(
+        `Couldn't release hold on fulfillment order ${fulfillmentOrderId}, retrying anyway: ${e.message}`,
+      );
+    }
+  } else {
+    logger.debug(
+      `Would have released hold ${state.hold_id} on FulfillmentOrder ${fulfillmentOrderId}`,
+    );
+  }
+  recordHoldReleased(fulfillmentOrderId);
+
+  const jobId = enqueueJob({
+    type: constants.job_types.PURCHASE_SHIPPING_LABELS,
+    payload: { admin_graphql_api_id: state.order_id, name: state.order_name },
+  });
+  logger.info(
+    `Queued ${constants.job_types.PURCHASE_SHIPPING_LABELS} job ${jobId} to retry fulfillment order ${fulfillmentOrderId} (order ${state.order_name})`,
+  );
+  return jobId;
+}
+
+/**
+ * How to retry a held fulfillment order, for emails.
+ * @param {string} fulfillmentOrderId
+ * @returns {string}
+ */
+export function retryInstructions(fulfillmentOrderId) {
+  return `Once it's fixed, retry it with "bun run cli retry-fulfillment-order --id ${fulfillmentOrderId}", or POST ${Bun.env.PUBLIC_BASE_URL ?? ""}/fulfillment-orders/${extractNumberFromShopifyGuid(fulfillmentOrderId)}/retry with the admin token.`;
+}
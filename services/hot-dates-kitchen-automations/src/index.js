@@ -1,18 +1,61 @@
 import * as Sentry from "@sentry/bun";
-import { ShopifyClient } from "./common/shopify";
-import { EasyPostClient } from "./common/easypost";
-import { EmailClient } from "./common/email";
-import { Order, Fulfillment } from "./gql";
-import rules, { NoSuitableRatesError } from "./rules";
-import { createPackingSlipPdfs } from "./packing-slip/packing-slip-generator";
+import { NoSuitableRatesError } from "./rules";
+import { NoSuitableBoxError, getPackagingConfig } from "./packaging";
+import { UndeliverableAddressError } from "./address";
+import { EasyPostValidationError, EasyPostAuthError } from "./common/easypost";
+import { ShopifyClient, UserError } from "./common/shopify";
+import {
+  getApprovalPolicy,
+  isApprovalPolicyEnabled,
+  ApprovalLinkError,
+  verifyApprovalToken,
+  pendingApproval,
+  recordApprovalDecision,
+} from "./approval";
+import { getRuleConfig, RuleConfigError } from "./rule-config";
+import { getFulfillmentCenters } from "./fulfillment-centers";
+import { getCarrierCalendar } from "./carrier-calendar";
+import { simulateRates, SimulationInputError } from "./simulate";
+import { purchaseShippingLabelsHandler } from "./handlers/purchase-shipping-labels.js";
+import { orderCancelledHandler } from "./handlers/order-cancelled.js";
+import { trackerUpdatedHandler } from "./handlers/tracker-updated.js";
+import {
+  orderUpdatedHandler,
+  orderHasLabels,
+} from "./handlers/order-updated.js";
+import {
+  weeklyMarginReportHandler,
+  scheduleWeeklyMarginReport,
+} from "./handlers/weekly-margin-report.js";
+import {
+  dailyDigestHandler,
+  scheduleDailyDigest,
+} from "./handlers/daily-digest.js";
+import {
+  fulfillmentRequestHandler,
+  fulfillmentCancellationRequestHandler,
+} from "./handlers/fulfillment-service.js";
+import { retryHeldFulfillmentOrder, HoldRetryError } from "./holds";
 import constants from "./constants";
-import { DateTime } from "luxon";
-import shopifyCarriers from "./carrier-mapping.json";
 import logger from "./utils/logger.js";
-import { redactPII } from "./utils/redactPII.js";
-import retry from "./utils/retry.js";
-import { extractNumberFromShopifyGuid } from "./utils/utils.js";
-import { validateShopifyWebhookHmac } from "./utils/webhook-validation.js";
+import {
+  validateShopifyWebhookHmac,
+  validateEasyPostWebhookHmac,
+} from "./utils/webhook-validation.js";
+import { isAuthorizedAdminRequest } from "./utils/admin-auth.js";
+import {
+  getLedger,
+  formatLedger,
+  LedgerRangeError,
+  LEDGER_FORMATS,
+} from "./ledger.js";
+import { getMarginReport } from "./margin.js";
+import { FulfillmentOrderValidationError } from "./utils/validation.js";
+import { beginWebhook } from "./store/webhooks.js";
+import { enqueueJob, requeueRunningJobs } from "./store/jobs.js";
+import { getDb } from "./store/db.js";
+import { recordApprovalCleared } from "./store/fulfillment-orders.js";
+import { JobWorker } from "./job-worker.js";
 
 const env = Bun.env.NODE_ENV;
 
@@ -23,311 +66,339 @@ if (env === "production") {
   });
 }
 
-/**
- * @param {Request} req
- */
-async function purchaseShippingLabelsHandler(reqBody) {
-  const { admin_graphql_api_id: orderId } = reqBody;
+// Fail fast on an invalid shipping rule, fulfillment center, packaging, carrier calendar or approval config, rather than when the first order comes in
+const ruleConfig = await getRuleConfig();
+logger.info(
+  `Loaded ${Object.keys(ruleConfig.ruleSets).length} shipping rule sets, active: ${ruleConfig.activeRuleSet}`,
+);
 
-  logger.info(`Processing shipping labels for order ${orderId}`);
+const fulfillmentCenters = await getFulfillmentCenters();
+logger.info(
+  `Loaded ${Object.keys(fulfillmentCenters).length} fulfillment centers`,
+);
 
-  // Instantiate Shopify client
-  const shopify = new ShopifyClient();
+const packaging = await getPackagingConfig();
+logger.info(`Loaded ${packaging.boxes.length} boxes`);
 
-  // Instantiate EasyPost client
-  const easypost = new EasyPostClient();
+const carrierCalendar = await getCarrierCalendar();
+logger.info(
+  `Loaded delivery calendars for ${Object.keys(carrierCalendar).length} carriers`,
+);
 
-  // Instantiate Email client
-  const mailClient = new EmailClient();
+if (isApprovalPolicyEnabled(await getApprovalPolicy())) {
+  logger.info("Approval policy enabled");
+}
 
-  // Get order by id
-  const order = (await shopify.gqlQuery(Order.byId, { id: orderId })).data
-    .order;
-  logger.info(
-    `Retrieved order ${order.name} with ${order.fulfillmentOrders.nodes.length} fulfillment orders`,
-  );
-  logger.debug("order: ", JSON.stringify(redactPII(order), null, 2));
-
-  // We'll be generating shipping labels for each fulfillment order, so we'll loop through each fulfillment order and generate a shipping label for each
-  // Some info about Shopify fulfillment:
-  // Each FulfillmentOrder represents items assigned to a specific location/service
-  // Each Fulfillment represents an actual shipment going out
-  // One Fulfillment can satisfy multiple FulfillmentOrders if they're from the same location and ship together
-  // See the lifecycle of a FulfillmentOrder here: https://shopify.dev/docs/api/admin-graphql/latest/objects/FulfillmentOrder
-  const fulfillmentOrders = order.fulfillmentOrders.nodes;
-  for (const fulfillmentOrder of fulfillmentOrders) {
+// Jobs left running when the previous process stopped (e.g. during a deploy) are picked up again
+const requeuedJobs = requeueRunningJobs();
+if (requeuedJobs > 0) {
+  logger.warn(`Requeued ${requeuedJobs} jobs interrupted by a restart`);
+}
+
+const worker = new JobWorker({
+  handlers: {
+    [constants.job_types.PURCHASE_SHIPPING_LABELS]: {
+      run: purchaseShippingLabelsHandler,
+      // Rate search already retries, and notifies the shop owner when it gives up. A missing box needs a packaging config change, and a validation error or undeliverable address needs the order or product fixing.
+      // The EasyPost client retries rate limiting and server errors itself; a request EasyPost rejects, or a bad API key, won't succeed on a retry.
+      permanentErrors: [
+        NoSuitableRatesError,
+        NoSuitableBoxError,
+        FulfillmentOrderValidationError,
+        UndeliverableAddressError,
+        EasyPostValidationError,
+        EasyPostAuthError,
+      ],
+    },
+    [constants.job_types.ORDER_CANCELLED]: {
+      run: orderCancelledHandler,
+    },
+    [constants.job_types.TRACKER_UPDATED]: {
+      run: trackerUpdatedHandler,
+    },
+    [constants.job_types.ORDER_UPDATED]: {
+      run: orderUpdatedHandler,
+      // Same as buying the original label. The old label is only voided once the new address has been checked.
+      permanentErrors: [
+        NoSuitableRatesError,
+        NoSuitableBoxError,
+        FulfillmentOrderValidationError,
+        UndeliverableAddressError,
+        EasyPostValidationError,
+        EasyPostAuthError,
+      ],
+    },
+    [constants.job_types.WEEKLY_MARGIN_REPORT]: {
+      run: weeklyMarginReportHandler,
+    },
+    [constants.job_types.DAILY_DIGEST]: {
+      run: dailyDigestHandler,
+    },
+    [constants.job_types.FULFILLMENT_REQUEST]: {
+      run: fulfillmentRequestHandler,
+      // Problems with the fulfillment order reject the request rather than throwing. Shopify refuses an answer to a request that's been withdrawn.
+      permanentErrors: [UserError, EasyPostValidationError, EasyPostAuthError],
+    },
+    [constants.job_types.FULFILLMENT_CANCELLATION_REQUEST]: {
+      run: fulfillmentCancellationRequestHandler,
+      permanentErrors: [UserError],
+    },
+  },
+  concurrency: Number(Bun.env.JOB_CONCURRENCY ?? 1),
+  retryOptions: {
+    maxRetries: Number(Bun.env.JOB_MAX_RETRIES ?? 3),
+    retryInterval: Number(Bun.env.JOB_RETRY_INTERVAL ?? 60000),
+    maxDelay: Number(Bun.env.JOB_RETRY_MAX_DELAY ?? 15 * 60000),
+    backoff: true,
+  },
+  onDeadLetter: (job, e) => {
     if (env === "production") {
-      if (fulfillmentOrder.status === "CLOSED") {
-        // Protects against duplicate webhooks (although the real way is to use the shopify header and a persistence layer)
-        logger.info(
-          `Fulfillment order ${fulfillmentOrder.id} already CLOSED, skipping`,
-        );
-        continue;
-      }
-    } else {
-      logger.debug(JSON.stringify(redactPII(fulfillmentOrder), null, 2));
+      Sentry.captureException(e, { extra: { job } });
     }
+  },
+});
+worker.start();
 
-    logger.info(
-      `Processing fulfillment order ${fulfillmentOrder.id} (${fulfillmentOrder.destination.city}, ${fulfillmentOrder.destination.province})`,
-    );
-
-    const shipment = {
-      from_address: {
-        name: constants.fulfillment_centers.HAUSER,
-        street1: fulfillmentOrder.assignedLocation.address1,
-        street2: fulfillmentOrder.assignedLocation.address2,
-        city: fulfillmentOrder.assignedLocation.city,
-        state: fulfillmentOrder.assignedLocation.province,
-        zip: fulfillmentOrder.assignedLocation.zip,
-        country: fulfillmentOrder.assignedLocation.countryCode,
-        phone: fulfillmentOrder.assignedLocation.phone,
-      },
-      to_address: {
-        name:
-          fulfillmentOrder.destination.firstName +
-          " " +
-          fulfillmentOrder.destination.lastName,
-        street1: fulfillmentOrder.destination.address1,
-        street2: fulfillmentOrder.destination.address2,
-        city: fulfillmentOrder.destination.city,
-        state: fulfillmentOrder.destination.province,
-        zip: fulfillmentOrder.destination.zip,
-        country: fulfillmentOrder.destination.countryCode,
-        phone: fulfillmentOrder.destination.phone,
-        email: fulfillmentOrder.destination.email,
-      },
-      parcel: {
-        // Easypost parcel always requires weight in ounces.
-        // TODO: Are dimensions required?
-        mode: env === "production" ? "production" : "test",
-        weight: fulfillmentOrder.lineItems.nodes.reduce((acc, item) => {
-          if (item.weight.unit === "POUNDS") {
-            return acc + item.weight.value * 16;
-          } else if (item.weight.unit === "OUNCES") {
-            return acc + item.weight.value;
-          } else {
-            throw new Error(
-              `Item has weight specified in units ${item.weight.unit}. Please update the product's weight in the Admin in either pounds or ounces.`,
-            );
-          }
-        }, 0),
-      },
-    };
-    //logger.debug('Shipment:\n' + JSON.stringify(shipment, null, 2));
-
-    // The "rates" list returned by "create shipment" can sometimes return different results between calls, and some results might pass rules, while others don't. So we implement a gentle retry to see if we get a better roll of the die.
-    // TODO: Are there repercussions for creating multiple shipments? I'm assuming the only real repercussion is *purchasing* a shipment...but worth looking into.
-    let chosenRate;
-    let shipmentResponse;
-    try {
-      chosenRate = await retry(
-        async function () {
-          // Create shipment
-          shipmentResponse = await easypost.createShipment(shipment);
-          logger.info(
-            `Created EasyPost shipment ${shipmentResponse.id}, received ${shipmentResponse.rates?.length || 0} rates`,
-          );
-          logger.debug(
-            "Shipment response:\n" + JSON.stringify(shipmentResponse, null, 2),
-          );
+const nextMarginReport = scheduleWeeklyMarginReport();
+logger.info(`Next shipping margin report: ${nextMarginReport.toISO()}`);
+const nextDigest = scheduleDailyDigest();
+logger.info(`Next shipping digest: ${nextDigest.toISO()}`);
 
-          if (!shipmentResponse.rates) {
-            throw new Error(
-              "Shipment response from Easypost returned no rates",
-            );
-          }
+/**
+ * Shopify webhook routes all validate the HMAC, ignore duplicate deliveries, and persist the webhook as a job before responding, so that it survives restarts.
+ * Only the resource's ID and name are kept, to avoid storing the customer's PII.
+ * @param {string} jobType - See constants.job_types
+ * @param {Object} [options]
+ * @param {function(Object): boolean} [options.filter] - Only webhooks whose body passes are queued, for topics that fire far more often than we act on
+ * @param {function(Object): Object} [options.payload] - The job's payload, for topics whose body isn't the resource itself. Defaults to the body's
+ * admin_graphql_api_id and name.
+ */
+function shopifyWebhookRoute(
+  jobType,
+  {
+    filter,
+    payload = (body) => ({
+      admin_graphql_api_id: body.admin_graphql_api_id,
+      name: body.name,
+    }),
+  } = {},
+) {
+  return async (req) => {
+    // Get raw body for HMAC validation
+    const rawBody = await req.arrayBuffer();
+    const bodyBuffer = Buffer.from(rawBody);
+
+    // Validate Shopify webhook HMAC
+    if (env === "production") {
+      const hmacHeader = req.headers.get("X-Shopify-Hmac-SHA256");
+      const webhookSecret = Bun.env.SHOPIFY_WEBHOOK_SECRET;
 
-          // Choose a rate
-          return await rules(shipmentResponse);
-        },
-        [NoSuitableRatesError],
-        {
-          maxRetries: Bun.env.SHIPPING_RATE_SEARCH_RETRIES,
-          retryInterval: Bun.env.SHIPPING_RATE_SEARCH_RETRY_INTERVAL,
-          backoff: false,
-        },
-      ); // Wait a while to see if new rates available (an immediate retry seems to return the same options, but waiting a while seems to do better)
-    } catch (e) {
-      if (e instanceof NoSuitableRatesError) {
-        // Email shop owner about no suitable rate found
-        const shopifyOrderUrl = `${Bun.env.SHOPIFY_ADMIN_BASE_URL}/orders/${extractNumberFromShopifyGuid(order.id)}`;
-        const emailMessage = {
-          from: Bun.env.FULFILLMENTS_FROM_EMAIL,
-          to:
-            env === "production"
-              ? Bun.env.SHOP_OWNER_EMAIL
-              : Bun.env.TEST_TO_EMAIL,
-          subject: `Order ${order.name} - No suitable shipping rate found`,
-          body: {
-            text: `Order: ${order.name}
-Available rates that were rejected:
-${
-  shipmentResponse?.rates
-    ? shipmentResponse.rates
-        .map(
-          (rate) =>
-            `${rate.carrier} ${rate.service}: $${rate.rate} (${rate.delivery_days} days)`,
-        )
-        .join("\n")
-    : "No rates available"
-}
+      if (!hmacHeader) {
+        return new Response("Unauthorized", { status: 401 });
+      }
 
-View order in Shopify Admin: ${shopifyOrderUrl}
+      if (!validateShopifyWebhookHmac(hmacHeader, bodyBuffer, webhookSecret)) {
+        logger.warn("Shopify webhook HMAC validation failed");
+        return new Response("Unauthorized", { status: 401 });
+      }
+    }
 
-Error: ${e.message}`,
-          },
-        };
+    // Parse JSON body after validation
+    const body = JSON.parse(bodyBuffer.toString("utf8"));
 
-        if (Bun.env.SEND_LIVE_EMAILS === "true") {
-          await mailClient.sendMail(emailMessage);
-          logger.warn(
-            `No suitable shipping rate found for order ${order.name}, notified shop owner`,
-          );
-        } else {
-          logger.debug("Would have sent no suitable rate email:");
-          logger.debug(JSON.stringify(emailMessage, null, 2));
-        }
+    if (filter && !filter(body)) {
+      return new Response("ok");
+    }
 
-        // Re-throw the error to maintain the existing error handling flow
-        throw e;
+    const jobPayload = payload(body);
+
+    // For debugging
+    //await Bun.write('sample-payload-2.json', JSON.stringify(body, null, 2))
+
+    // Ignore webhooks we've already handled (or are handling). Shopify always sends this header, but manual test requests may not.
+    // The webhook and its job are recorded together, so that a crash in between can't leave a webhook that's never processed.
+    const webhookId = req.headers.get("X-Shopify-Webhook-Id");
+    const jobId = getDb().transaction(() => {
+      if (
+        webhookId &&
+        !beginWebhook({
+          webhookId,
+          topic: req.headers.get("X-Shopify-Topic"),
+          resourceId: jobPayload.admin_graphql_api_id,
+        })
+      ) {
+        return null;
       }
+      return enqueueJob({
+        type: jobType,
+        payload: jobPayload,
+        webhookId,
+      });
+    })();
+    if (jobId === null) {
+      logger.info(`Duplicate webhook ${webhookId}, ignoring`);
+      return new Response("ok");
     }
-
-    // Buy the rate
-    const buyResponse = await easypost.buyShipment(
-      shipmentResponse.id,
-      chosenRate.id,
-    );
-    logger.info(`Purchased shipping label for order ${order.name}`);
-    logger.debug(
-      "Buy response:\n" + JSON.stringify(redactPII(buyResponse), null, 2),
+    logger.info(
+      `Queued ${jobType} job ${jobId} for ${jobPayload.admin_graphql_api_id}`,
     );
+    worker.notify();
+    return new Response("ok");
+  };
+}
 
-    // Create Shopify Fulfillment, which closes a FulfillmentOrder
-    // https://shopify.dev/docs/apps/build/orders-fulfillment/order-management-apps/build-fulfillment-solutions
-    // https://shopify.dev/docs/api/admin-graphql/latest/mutations/fulfillmentCreate
-    // TODO: LATER: A multi-location concern, but: typically, each fulfillment order corresponds to a separate fulfillment, and multiple fulfillment orders usually arise from having multiple locations. However, there are edge cases where a single Fulfillment could be created to address multiple fulfillment orders, although these aren't that common. If those edge cases arise, the below conditional would need to be adjusted.
+/**
+ * EasyPost tracker.updated webhooks, persisted as jobs like Shopify webhooks. Only the tracker's status and latest event are kept.
+ * https://docs.easypost.com/docs/trackers
+ */
+async function easypostTrackerRoute(req) {
+  const rawBody = await req.arrayBuffer();
+  const bodyBuffer = Buffer.from(rawBody);
+
+  if (env === "production") {
+    const signatureHeader = req.headers.get("X-Hmac-Signature");
     if (
-      fulfillmentOrder.supportedActions
-        .map((obj) => obj.action)
-        .includes("CREATE_FULFILLMENT")
+      !signatureHeader ||
+      !validateEasyPostWebhookHmac(
+        signatureHeader,
+        bodyBuffer,
+        Bun.env.EASYPOST_WEBHOOK_SECRET,
+      )
     ) {
-      // Create fullfillment
-      const fulfillment = {
-        lineItemsByFulfillmentOrder: [
-          {
-            fulfillmentOrderId: fulfillmentOrder.id,
-            // By not specifying fulfillmentOrderLineItems, we automatically fulfill the entire order (i.e. we do not perform a partial fulfillment).
-          },
-        ],
-        notifyCustomer: false,
-        originAddress: {
-          address1: fulfillmentOrder.assignedLocation.address1,
-          address2: fulfillmentOrder.assignedLocation.address2,
-          city: fulfillmentOrder.assignedLocation.city,
-          countryCode: fulfillmentOrder.assignedLocation.countryCode,
-          provinceCode: fulfillmentOrder.assignedLocation.province,
-          zip: fulfillmentOrder.assignedLocation.zip,
-        },
-        trackingInfo: {
-          company: shopifyCarriers[buyResponse.selected_rate.carrier], // enum, case sensitive: https://shopify.dev/docs/api/admin-graphql/latest/objects/FulfillmentTrackingInfo#supported-tracking-companies. Shopify will allow you to click in the UI to get shipping info if the correct company is set.
-          number: buyResponse.tracker.tracking_code,
-        },
-      };
-      if (env === "production") {
-        await shopify.gqlQuery(Fulfillment.create, {
-          fulfillment: fulfillment,
-        });
-        logger.info(
-          `Created Shopify fulfillment for order ${order.name}, tracking: ${fulfillment.trackingInfo.number}`,
-        );
-      } else {
-        logger.debug(
-          `Would have created Fulfillment for FulfillmentOrder ${fulfillmentOrder.id}:`,
-        );
-        logger.debug(JSON.stringify(redactPII(fulfillment), null, 2));
-      }
+      logger.warn("EasyPost webhook HMAC validation failed");
+      return new Response("Unauthorized", { status: 401 });
     }
+  }
+
+  const event = JSON.parse(bodyBuffer.toString("utf8"));
+  // Other events (e.g. batch or refund updates) may be sent to the same webhook URL
+  if (event.description !== "tracker.updated") {
+    return new Response("ok");
+  }
 
-    // Create packing slip pdf
-    const pdfsReponse = await createPackingSlipPdfs([fulfillmentOrder], order);
-    if (pdfsReponse.errors.length > 0) {
-      logger.error(
-        `Failed to generate packing slips for order ${order.name}:`,
-        JSON.stringify(pdfsReponse.errors, null, 2),
-      );
-      return;
+  const tracker = event.result;
+  const latestDetail = tracker.tracking_details?.at(-1);
+  // Recorded together, like Shopify webhooks
+  const jobId = getDb().transaction(() => {
+    if (
+      event.id &&
+      !beginWebhook({
+        webhookId: event.id,
+        topic: event.description,
+        resourceId: tracker.id,
+      })
+    ) {
+      return null;
     }
+    return enqueueJob({
+      type: constants.job_types.TRACKER_UPDATED,
+      payload: {
+        trackingCode: tracker.tracking_code,
+        status: tracker.status,
+        statusDetail: tracker.status_detail ?? null,
+        estDeliveryDate: tracker.est_delivery_date ?? null,
+        latestEvent: latestDetail
+          ? {
+              message: latestDetail.message,
+              datetime: latestDetail.datetime,
+              city: latestDetail.tracking_location?.city ?? null,
+              state: latestDetail.tracking_location?.state ?? null,
+              zip: latestDetail.tracking_location?.zip ?? null,
+              country: latestDetail.tracking_location?.country ?? null,
+            }
+          : null,
+      },
+      webhookId: event.id,
+    });
+  })();
+  if (jobId === null) {
+    logger.info(`Duplicate EasyPost event ${event.id}, ignoring`);
+    return new Response("ok");
+  }
+  logger.info(
+    `Queued ${constants.job_types.TRACKER_UPDATED} job ${jobId} for tracker ${tracker.tracking_code} (${tracker.status})`,
+  );
+  worker.notify();
+  return new Response("ok");
+}
 
-    if (pdfsReponse.pdfs === undefined) {
-      logger.error(`Packing slip PDFs undefined for order ${order.name}`);
-      return;
+/**
+ * Approve and reject links in approval emails, see approval.js. Opening a link (GET) only shows what it will do, since email clients and link
+ * scanners may open links by themselves; the page's button (POST) records the decision. An approved label is bought by re-running the job that held it.
+ */
+async function approvalRoute(req) {
+  let decision;
+  let state;
+  try {
+    decision = verifyApprovalToken(req.params.token);
+    state = pendingApproval(decision);
+  } catch (e) {
+    if (e instanceof ApprovalLinkError) {
+      return approvalPage(e.message, { status: 400 });
     }
+    throw e;
+  }
 
-    logger.info(
-      `Generated ${pdfsReponse.pdfs.length} packing slip PDFs for order ${order.name}`,
-    );
+  const rate = state.rates?.find((rate) => rate.id === decision.rateId);
+  // e.g. an older email's link, after the label was rated again. The label is rated again, and approval requested again if the policy still matches.
+  const rerate = decision.action === "approve" && !rate;
+  let description;
+  if (rerate) {
+    description = `The rate you chose for order ${state.order_name} is no longer offered. Rate the label again? You'll be emailed again if it still needs approval.`;
+  } else if (decision.action === "approve") {
+    description = `Buy the ${rate.carrier} ${rate.service} label ($${rate.rate}) for order ${state.order_name}?`;
+  } else {
+    description = `Reject the shipping label for order ${state.order_name}? No label will be bought.`;
+  }
+  if (req.method === "GET") {
+    return approvalPage(description, { confirm: decision.action });
+  }
 
-    const packingSlipPdf = pdfsReponse.pdfs[0];
-    // Debugging
-    //await Bun.write('/Users/waycroft/Downloads/packingSlip.pdf', packingSlipPdf)
+  if (rerate) {
+    recordApprovalCleared(decision.fulfillmentOrderId);
+  } else {
+    recordApprovalDecision(decision);
+  }
+  if (decision.action === "reject") {
+    logger.info(`Label for order ${state.order_name} rejected`);
+    return approvalPage(
+      `Rejected. Buy the label for order ${state.order_name} in Shopify.`,
+    );
+  }
 
-    // Email packing slip and shipping label
-    const allRatesText = shipmentResponse.rates
-      .map((rate) => 
-        `- ${rate.carrier} ${rate.service}: $${rate.rate} (${rate.delivery_days} days, ${rate.est_delivery_days} delivery days, guaranteed: ${rate.delivery_date_guaranteed}, mode: ${rate.mode}, weight: ${shipment.parcel.weight}oz, ID: ${rate.id})`
-      )
-      .join('\n');
-
-    const message = {
-      from: Bun.env.FULFILLMENTS_FROM_EMAIL,
-      to:
-        env === "production"
-          ? Bun.env.FULFILLMENTS_TO_EMAIL
-          : Bun.env.TEST_TO_EMAIL,
-      subject: "Hot Dates Kitchen: Fulfillment order",
-      body: {
-        text: `Shipping label link: ${buyResponse.postage_label.label_url}
-
-Chosen shipping rate:
-- Carrier: ${chosenRate.carrier}
-- Service: ${chosenRate.service}
-- Cost: $${chosenRate.rate}
-- Delivery days: ${chosenRate.delivery_days}
-
-All available rates:
-${allRatesText}
-
-Packing slip attached.`,
-      },
-      attachments: [
-        {
-          filename: `packing slip - ${DateTime.now().toISO()}.pdf`,
-          content: Buffer.from(packingSlipPdf),
-        },
-      ],
-    };
-    if (Bun.env.SEND_LIVE_EMAILS === "true") {
-      await mailClient.sendMail(message);
-      logger.info(`Sent fulfillment notification for order ${order.name}`);
-    } else {
-      logger.debug(
-        "Would have sent message (file contents replaced with length):",
-      );
-      const debugMessage = {
-        ...message,
-        attachments: message.attachments.map((att) => {
-          return {
-            filename: att.filename,
-            contentLength: att.content ? att.content.length : null,
-            href: att.href ? att.href : undefined,
-          };
-        }),
-      };
-      logger.debug(JSON.stringify(debugMessage, null, 2));
-    }
+  // A replacement label (see order-updated.js) is held by the order-updated job, a first label by the purchase job
+  const jobType = state.label_voided_at
+    ? constants.job_types.ORDER_UPDATED
+    : constants.job_types.PURCHASE_SHIPPING_LABELS;
+  const jobId = enqueueJob({
+    type: jobType,
+    payload: { admin_graphql_api_id: state.order_id, name: state.order_name },
+  });
+  worker.notify();
+  if (rerate) {
+    logger.info(
+      `Rate ${decision.rateId} for order ${state.order_name} is no longer offered, queued ${jobType} job ${jobId} to rate it again`,
+    );
+    return approvalPage(
+      `The label for order ${state.order_name} is being rated again.`,
+    );
   }
+  logger.info(
+    `Rate ${decision.rateId} approved for order ${state.order_name}, queued ${jobType} job ${jobId}`,
+  );
+  return approvalPage(
+    `Approved. The label for order ${state.order_name} is being bought, and will be emailed to the fulfillment center.`,
+  );
+}
+
+function approvalPage(message, { status = 200, confirm } = {}) {
+  const form = confirm
+    ? `<form method="post"><button type="submit">${confirm === "approve" ? "Approve" : "Reject"}</button></form>`
+    : "";
+  return new Response(
+    `<!doctype html><html><head><meta charset="utf-8"><title>Hot Dates Kitchen label approval</title></head><body><p>${Bun.escapeHTML(message)}</p>${form}</body></html>`,
+    { status, headers: { "Content-Type": "text/html; charset=utf-8" } },
+  );
 }
 
 const server = Bun.serve({
@@ -336,44 +407,158 @@ const server = Bun.serve({
     "/health": new Response("OK"),
     "/favicon.ico": new Response("Not found", { status: 404 }),
     "/hooks/purchase-shipping-labels": {
-      POST: async (req) => {
-        // Get raw body for HMAC validation
-        const rawBody = await req.arrayBuffer();
-        const bodyBuffer = Buffer.from(rawBody);
+      POST: shopifyWebhookRoute(constants.job_types.PURCHASE_SHIPPING_LABELS),
+    },
+    "/hooks/order-cancelled": {
+      POST: shopifyWebhookRoute(constants.job_types.ORDER_CANCELLED),
+    },
+    "/hooks/order-updated": {
+      POST: shopifyWebhookRoute(constants.job_types.ORDER_UPDATED, {
+        filter: orderHasLabels,
+      }),
+    },
+    // For fulfillment centers that are our Shopify fulfillment service, see handlers/fulfillment-service.js
+    "/hooks/fulfillment-request-submitted": {
+      POST: shopifyWebhookRoute(constants.job_types.FULFILLMENT_REQUEST, {
+        payload: (body) => ({
+          admin_graphql_api_id: body.submitted_fulfillment_order.id,
+        }),
+      }),
+    },
+    "/hooks/fulfillment-cancellation-request-submitted": {
+      POST: shopifyWebhookRoute(
+        constants.job_types.FULFILLMENT_CANCELLATION_REQUEST,
+        {
+          payload: (body) => ({
+            admin_graphql_api_id: body.fulfillment_order.id,
+          }),
+        },
+      ),
+    },
+    // The fulfillment service's callback URL. Shopify notifies it of new requests without saying which fulfillment orders they're for, so requests
+    // are handled from the webhooks above instead.
+    "/fulfillment-service/fulfillment_order_notification": {
+      POST: () => new Response("ok"),
+    },
+    "/hooks/easypost/tracker": {
+      POST: easypostTrackerRoute,
+    },
+    "/approvals/:token": {
+      GET: approvalRoute,
+      POST: approvalRoute,
+    },
+    // Shipping cost ledger for bookkeeping, e.g. /ledger/labels?from=2026-10-01&to=2026-10-31&format=csv. See ledger.js.
+    "/ledger/labels": {
+      GET: (req) => {
+        if (!isAuthorizedAdminRequest(req)) {
+          return new Response("Unauthorized", { status: 401 });
+        }
 
-        // Validate Shopify webhook HMAC
-        if (env === "production") {
-          const hmacHeader = req.headers.get("X-Shopify-Hmac-SHA256");
-          const webhookSecret = Bun.env.SHOPIFY_WEBHOOK_SECRET;
+        const params = new URL(req.url).searchParams;
+        const format = params.get("format") ?? "csv";
+        if (!LEDGER_FORMATS.includes(format)) {
+          return Response.json(
+            { error: `format must be one of ${LEDGER_FORMATS.join(", ")}` },
+            { status: 400 },
+          );
+        }
+        let purchases;
+        try {
+          purchases = getLedger({
+            from: params.get("from"),
+            to: params.get("to") ?? undefined,
+          });
+        } catch (e) {
+          if (e instanceof LedgerRangeError) {
+            return Response.json({ error: e.message }, { status: 400 });
+          }
+          throw e;
+        }
+        if (format === "json") {
+          return Response.json({ purchases });
+        }
+        return new Response(formatLedger(purchases, "csv"), {
+          headers: {
+            "Content-Type": "text/csv; charset=utf-8",
+            "Content-Disposition": 'attachment; filename="label-purchases.csv"',
+          },
+        });
+      },
+    },
+    // Shipping margin per order and by zone, state, carrier and week, e.g. /reports/margin?from=2026-10-01&to=2026-10-31. See margin.js.
+    "/reports/margin": {
+      GET: (req) => {
+        if (!isAuthorizedAdminRequest(req)) {
+          return new Response("Unauthorized", { status: 401 });
+        }
 
-          if (!hmacHeader) {
-            return new Response("Unauthorized", { status: 401 });
+        const params = new URL(req.url).searchParams;
+        try {
+          return Response.json(
+            getMarginReport({
+              from: params.get("from"),
+              to: params.get("to") ?? undefined,
+            }),
+          );
+        } catch (e) {
+          if (e instanceof LedgerRangeError) {
+            return Response.json({ error: e.message }, { status: 400 });
           }
+          throw e;
+        }
+      },
+    },
+    // Releases the Shopify hold on a fulfillment order that failed the pre-flight checks and buys its label again, e.g.
+    // /fulfillment-orders/6131724353707/retry. See holds.js.
+    "/fulfillment-orders/:id/retry": {
+      POST: async (req) => {
+        if (!isAuthorizedAdminRequest(req)) {
+          return new Response("Unauthorized", { status: 401 });
+        }
 
-          if (
-            !validateShopifyWebhookHmac(hmacHeader, bodyBuffer, webhookSecret)
-          ) {
-            logger.warn("Shopify webhook HMAC validation failed");
-            return new Response("Unauthorized", { status: 401 });
+        try {
+          const jobId = await retryHeldFulfillmentOrder(
+            new ShopifyClient(),
+            `gid://shopify/FulfillmentOrder/${req.params.id}`,
+          );
+          worker.notify();
+          return Response.json({ jobId });
+        } catch (e) {
+          if (e instanceof HoldRetryError) {
+            return Response.json({ error: e.message }, { status: 400 });
           }
+          throw e;
+        }
+      },
+    },
+    // Dry-run rate selection against a saved EasyPost shipment or a Shopify order. See simulate.js.
+    "/simulate/rates": {
+      POST: async (req) => {
+        if (!isAuthorizedAdminRequest(req)) {
+          return new Response("Unauthorized", { status: 401 });
         }
 
-        // Parse JSON body after validation
-        const body = JSON.parse(bodyBuffer.toString("utf8"));
+        let body;
+        try {
+          body = await req.json();
+        } catch {
+          return Response.json({ error: "Invalid JSON" }, { status: 400 });
+        }
 
-        // For debugging
-        //await Bun.write('sample-payload-2.json', JSON.stringify(body, null, 2))
-        purchaseShippingLabelsHandler(body).catch((e) => {
-          logger.error(
-            `Webhook processing failed for order ${body.admin_graphql_api_id}:`,
-            e.message,
-          );
-          logger.debug("Full error details:", e);
-          if (env === "production") {
-            Sentry.captureException(e);
+        try {
+          const simulations = await simulateRates(body);
+          return Response.json({ simulations });
+        } catch (e) {
+          if (
+            e instanceof SimulationInputError ||
+            e instanceof RuleConfigError
+          ) {
+            return Response.json({ error: e.message }, { status: 400 });
           }
-        });
-        return new Response("ok");
+          logger.error("Rate simulation failed:", e.message);
+          logger.debug("Full error details:", e);
+          return Response.json({ error: e.message }, { status: 500 });
+        }
       },
     },
   },
@@ -387,3 +572,18 @@ if (server) {
   logger.info(`Shopify API base URL: ${Bun.env.SHOPIFY_API_BASE_URL_GQL}`);
   logger.info(`SEND_LIVE_EMAILS set to: ${Bun.env.SEND_LIVE_EMAILS}`);
 }
+
+// systemd sends SIGTERM on restart (see deploy.sh). Stop accepting requests and give running jobs a chance to finish; anything unfinished is requeued on the next startup.
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, shutting down`);
+  server.stop();
+  const unfinished = await worker.stop(
+    Number(Bun.env.SHUTDOWN_TIMEOUT ?? 20000),
+  );
+  if (unfinished > 0) {
+    logger.warn(`${unfinished} jobs still running, they will be requeued`);
+  }
+  process.exit(0);
+}
+process.on("SIGTERM", shutdown);
+process.on("SIGINT", shutdown);
@@ -0,0 +1,151 @@
+// Background worker for the persisted job queue (see store/jobs.js).
+// A failed job is put back in the queue to run again after a delay from utils/retry.js (rather than waiting for it, which would keep other jobs
+// from running), and moved to the dead-letter table once it runs out of retries.
+
+import logger from "./utils/logger.js";
+import { retryDelay } from "./utils/retry.js";
+import {
+  claimDueJobs,
+  completeJob,
+  deadLetterJob,
+  recordJobAttempt,
+  rescheduleJob,
+} from "./store/jobs.js";
+import { completeWebhook, failWebhook } from "./store/webhooks.js";
+
+/**
+ * @typedef JobHandler
+ * @property {function(Object): Promise<void>} run - Called with the job's payload
+ * @property {Array<Function>=} permanentErrors - Error types that shouldn't be retried, e.g. because the handler already retries them itself
+ */
+
+export class JobWorker {
+  #handlers;
+  #concurrency;
+  #pollInterval;
+  #retryOptions;
+  #onDeadLetter;
+  #running = new Set();
+  #timer;
+  #stopped = true;
+
+  /**
+   * @param {Object} options
+   * @param {Object<string, JobHandler>} options.handlers - Keyed by job type
+   * @param {number} options.concurrency - Maximum number of jobs run at once (default: 1)
+   * @param {number} options.pollInterval - Milliseconds between checks for due jobs (default: 1000)
+   * @param {Object} options.retryOptions - Options for utils/retry.js (except timeout). maxRetries counts attempts made before a restart, too.
+   * @param {function(Job, Error): void} options.onDeadLetter - Called when a job is moved to the dead-letter table
+   */
+  constructor({
+    handlers,
+    concurrency = 1,
+    pollInterval = 1000,
+    retryOptions = {},
+    onDeadLetter,
+  }) {
+    this.#handlers = handlers;
+    this.#concurrency = concurrency;
+    this.#pollInterval = pollInterval;
+    this.#retryOptions = retryOptions;
+    this.#onDeadLetter = onDeadLetter;
+  }
+
+  start() {
+    this.#stopped = false;
+    this.#poll();
+  }
+
+  // Check for due jobs right away instead of waiting for the next poll, e.g. after enqueueing a job
+  notify() {
+    if (this.#stopped) return;
+    clearTimeout(this.#timer);
+    this.#poll();
+  }
+
+  /**
+   * Stops picking up new jobs, and waits for running jobs to finish.
+   * Jobs still running after the timeout are requeued on the next startup.
+   * @param {number} timeout - Milliseconds
+   * @returns {Promise<number>} number of jobs still running
+   */
+  async stop(timeout = 10000) {
+    this.#stopped = true;
+    clearTimeout(this.#timer);
+    await Promise.race([
+      Promise.allSettled([...this.#running]),
+      new Promise((resolve) => setTimeout(resolve, timeout)),
+    ]);
+    return this.#running.size;
+  }
+
+  #poll() {
+    const available = this.#concurrency - this.#running.size;
+    if (available > 0) {
+      for (const job of claimDueJobs(available)) {
+        const running = this.#runJob(job).finally(() => {
+          this.#running.delete(running);
+          this.notify();
+        });
+        this.#running.add(running);
+      }
+    }
+    this.#timer = setTimeout(() => this.#poll(), this.#pollInterval);
+  }
+
+  async #runJob(job) {
+    const handler = this.#handlers[job.type];
+    if (!handler) {
+      this.#deadLetter(
+        job,
+        new Error(`No handler registered for job type ${job.type}`),
+      );
+      return;
+    }
+
+    // Attempts made before a restart count against the retry budget, so a job that crashes the process can't run forever
+    const { maxRetries = 3, ...retryOptions } = this.#retryOptions;
+    if (job.attempts > maxRetries) {
+      this.#deadLetter(
+        job,
+        new Error(job.last_error ?? "Job ran out of retries"),
+      );
+      return;
+    }
+
+    const attempts = recordJobAttempt(job.id);
+    try {
+      await handler.run(job.payload);
+    } catch (e) {
+      logger.warn(`Job ${job.id} (${job.type}) failed: ${e.message}`);
+      if (
+        attempts > maxRetries ||
+        handler.permanentErrors?.some((ErrorType) => e instanceof ErrorType)
+      ) {
+        this.#deadLetter(job, e);
+        return;
+      }
+      const delay = retryDelay(attempts, retryOptions);
+      rescheduleJob(job.id, Date.now() + delay, e);
+      logger.info(
+        `Job ${job.id} (${job.type}) will be retried in ${Math.round(delay / 1000)}s`,
+      );
+      return;
+    }
+
+    completeJob(job.id);
+    if (job.webhook_id) completeWebhook(job.webhook_id);
+    logger.info(`Job ${job.id} (${job.type}) completed`);
+  }
+
+  #deadLetter(job, error) {
+    deadLetterJob(job.id, error);
+    if (job.webhook_id) failWebhook(job.webhook_id, error);
+    logger.error(
+      `Job ${job.id} (${job.type}) moved to dead-letter queue:`,
+      error.message,
+    );
+    logger.debug("Full error details:", error);
+    this.#onDeadLetter?.(job, error);
+  }
+}
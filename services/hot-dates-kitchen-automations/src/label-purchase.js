@@ -0,0 +1,705 @@
+// The steps of buying a label for a fulfillment order, shared by the orders/paid handler (first label) and the orders/updated handler (replacement
+// label after an address change): pre-flight checks, packing, rating, approval, buying, and the packing slip and label email for the fulfillment center.
+
+import rules, { NoSuitableRatesError, formatDecisionTrace } from "./rules";
+import { orderShippingLine, getShippingMethod } from "./rule-config";
+import {
+  buildShipment,
+  buildEasyPostOrder,
+  packFulfillmentOrder,
+  retrieveRatedShipment,
+  isPurchased,
+  purchasedRate,
+} from "./shipment";
+import { getPackagingConfig } from "./packaging";
+import { verifyDestination, UndeliverableAddressError } from "./address";
+import { EasyPostValidationError } from "./common/easypost";
+import { getApprovalPolicy, approvalReasons, approvalUrl } from "./approval";
+import { nextShipDay } from "./ship-days";
+import { orderShippingCharged } from "./margin";
+import { holdFulfillmentOrder, retryInstructions } from "./holds";
+import { recipients, sendEmail } from "./notifications.js";
+import { createPackingSlipPdfs } from "./packing-slip/packing-slip-generator";
+import logger from "./utils/logger.js";
+import { redactPII } from "./utils/redactPII.js";
+import retry from "./utils/retry.js";
+import { shopifyOrderAdminUrl } from "./utils/utils.js";
+import {
+  validateFulfillmentOrder,
+  FulfillmentOrderValidationError,
+} from "./utils/validation.js";
+import {
+  renewFulfillmentOrderClaim,
+  recordShipmentCreated,
+  recordRatesSeen,
+  recordLabelPurchased,
+  recordApprovalRequested,
+  recordApprovalCleared,
+} from "./store/fulfillment-orders.js";
+
+const env = Bun.env.NODE_ENV;
+
+export class FulfillmentOrderClaimLostError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FulfillmentOrderClaimLostError";
+  }
+}
+
+/**
+ * Renews the claim on a fulfillment order right before spending money on it (buying or refunding a label). Claims expire (see
+ * store/fulfillment-orders.js), and once another process has taken over, it may be buying a label of its own.
+ * @param {string} fulfillmentOrderId
+ * @param {string} claimToken - See claimFulfillmentOrder()
+ * @throws {FulfillmentOrderClaimLostError}
+ */
+export function assertFulfillmentOrderClaim(fulfillmentOrderId, claimToken) {
+  if (!renewFulfillmentOrderClaim(fulfillmentOrderId, claimToken)) {
+    throw new FulfillmentOrderClaimLostError(
+      `Claim on fulfillment order ${fulfillmentOrderId} expired and was taken over, stopping`,
+    );
+  }
+}
+
+/**
+ * @typedef PreparedShipment
+ * @property {FulfillmentOrder} verifiedFulfillmentOrder - With the destination normalized by EasyPost
+ * @property {Parcel[]} parcels
+ * @property {Object} shipment - EasyPost shipment, or EasyPost order if there's more than one parcel
+ * @property {boolean} multiParcel
+ * @property {DateTime|null} shipDay - Day the label is for, if the fulfillment center has a ship-day calendar
+ */
+
+/**
+ * Pre-flight checks (see utils/validation.js), run before any EasyPost call so that no label is bought for bad data (e.g. products with no weight).
+ * If they fail, the shop owner is emailed the problems, and, given a Shopify client, the fulfillment order is put on hold until it's retried (see
+ * holds.js).
+ * @param {Object} options
+ * @param {ShopifyClient=} options.shopify - To put the fulfillment order on hold
+ * @param {Order} options.order
+ * @param {FulfillmentOrder} options.fulfillmentOrder
+ * @param {FulfillmentOrderState=} options.state - Once the fulfillment has been created (e.g. a label being replaced, or a purchase resumed), the
+ * line items are fulfilled
+ * @param {boolean=} options.notify - false if the caller tells the shop owner itself
+ * @throws {FulfillmentOrderValidationError}
+ */
+export async function preflight({
+  shopify,
+  order,
+  fulfillmentOrder,
+  state,
+  notify = true,
+}) {
+  const problems = validateFulfillmentOrder(fulfillmentOrder, {
+    fulfilled: Boolean(state?.fulfillment_created_at || state?.label),
+  });
+  if (problems.length === 0) {
+    return;
+  }
+  const error = new FulfillmentOrderValidationError(
+    `Fulfillment order ${fulfillmentOrder.id} failed validation`,
+    problems,
+  );
+  if (!notify) {
+    throw error;
+  }
+
+  if (shopify) {
+    await holdFulfillmentOrder(shopify, fulfillmentOrder.id, problems);
+  }
+  await sendEmail({
+    to: recipients.owner(),
+    subject: `Order ${order.name} - Can't buy shipping label`,
+    body: {
+      text: `Order: ${order.name}
+Fulfillment order ${fulfillmentOrder.id} needs fixing before a shipping label can be bought:
+- ${problems.join("\n- ")}
+${shopify ? `\nThe fulfillment order is on hold in Shopify. ${retryInstructions(fulfillmentOrder.id)}\n` : ""}
+View order in Shopify Admin: ${shopifyOrderAdminUrl(order.id)}`,
+    },
+  });
+  throw error;
+}
+
+/**
+ * Runs the pre-flight checks, verifies the destination, and packs the fulfillment order, notifying the shop owner if any of that fails.
+ * @param {Object} options
+ * @param {EasyPostClient} options.easypost
+ * @param {Order} options.order
+ * @param {FulfillmentOrder} options.fulfillmentOrder
+ * @param {FulfillmentCenter} options.center
+ * @param {FulfillmentOrderState=} options.state
+ * @param {boolean=} options.notify - false if the caller tells the shop owner itself
+ * @returns {Promise<PreparedShipment>}
+ * @throws {FulfillmentOrderValidationError|UndeliverableAddressError|NoSuitableBoxError}
+ */
+export async function prepareShipment({
+  easypost,
+  order,
+  fulfillmentOrder,
+  center,
+  state,
+  notify = true,
+}) {
+  await preflight({ order, fulfillmentOrder, state, notify });
+
+  // Ship to (and print on the packing slip) the destination as normalized by EasyPost, and stop before buying a label if it's undeliverable
+  let verifiedFulfillmentOrder;
+  try {
+    verifiedFulfillmentOrder = await verifyDestination(
+      easypost,
+      fulfillmentOrder,
+    );
+  } catch (e) {
+    if (notify && e instanceof UndeliverableAddressError) {
+      await sendEmail({
+        to: recipients.owner(),
+        subject: `Order ${order.name} - Undeliverable shipping address`,
+        body: {
+          text: `Order: ${order.name}
+EasyPost couldn't verify the shipping address, so no label was bought:
+- ${e.problems.join("\n- ")}
+
+Please correct the address with the customer. View order in Shopify Admin: ${shopifyOrderAdminUrl(order.id)}`,
+        },
+      });
+    }
+    throw e;
+  }
+
+  const parcels = packFulfillmentOrder(
+    fulfillmentOrder,
+    await getPackagingConfig(),
+  );
+  logger.info(
+    `Packing fulfillment order ${fulfillmentOrder.id} in ${parcels.length} boxes: ${parcels.map((parcel) => `${parcel.box?.name ?? "no box"} (${parcel.weight}oz)`).join(", ")}`,
+  );
+
+  // A single box is an EasyPost shipment. Several boxes are an EasyPost order, which is rated and bought as a whole, with a label per box.
+  const mode = env === "production" ? "production" : "test";
+  const multiParcel = parcels.length > 1;
+  const shipDay = center.shipDays ? nextShipDay(center.shipDays) : null;
+  const shipment = multiParcel
+    ? buildEasyPostOrder(verifiedFulfillmentOrder, {
+        mode,
+        center,
+        parcels,
+        shipDay,
+      })
+    : buildShipment(verifiedFulfillmentOrder, {
+        mode,
+        center,
+        parcel: parcels[0],
+        shipDay,
+      });
+  //logger.debug('Shipment:\n' + JSON.stringify(shipment, null, 2));
+
+  return { verifiedFulfillmentOrder, parcels, shipment, multiParcel, shipDay };
+}
+
+/**
+ * @typedef PurchasedLabel
+ * @property {Object} chosenRate
+ * @property {Object[]} rates
+ * @property {DecisionTrace|null} rateTrace - null if the label was bought by an attempt that crashed before recording it
+ * @property {Object} buyResponse - EasyPost shipment or order
+ */
+
+/**
+ * Whether the label is waiting on the shop owner's approval, or they rejected it. Either way there's nothing to do until they approve a rate.
+ * @param {FulfillmentOrderState} state
+ * @returns {boolean}
+ */
+export function isHeldForApproval(state) {
+  return Boolean(state.approval_requested_at) && !state.approved_rate_id;
+}
+
+/**
+ * Rates and buys the label, or resumes from a label a previous attempt already bought. The purchase is recorded as soon as it's made.
+ * If the approval policy (see approval.js) matches the chosen rate, the shop owner is emailed the candidate rates instead, and nothing is bought
+ * until they approve one.
+ * @param {Object} options
+ * @param {EasyPostClient} options.easypost
+ * @param {Order} options.order
+ * @param {FulfillmentOrder} options.fulfillmentOrder
+ * @param {FulfillmentCenter} options.center
+ * @param {FulfillmentOrderState} options.state
+ * @param {string} options.claimToken - See claimFulfillmentOrder()
+ * @param {PreparedShipment} options.prepared
+ * @param {string=} options.destinationFingerprint - See address.js
+ * @param {Object=} options.rateSearch - A rate already chosen with checkRates() (e.g. by order-updated.js before voiding the old label), to record
+ * and buy instead of searching again
+ * @returns {Promise<PurchasedLabel|null>} null if the label is held for approval
+ * @throws {NoSuitableRatesError}
+ */
+export async function buyLabel({
+  easypost,
+  order,
+  fulfillmentOrder,
+  center,
+  state,
+  claimToken,
+  prepared,
+  destinationFingerprint,
+  rateSearch,
+}) {
+  const { shipment, multiParcel } = prepared;
+
+  if (state.label) {
+    // A previous attempt already bought the label, so resume from there
+    logger.info(
+      `Label for fulfillment order ${fulfillmentOrder.id} already purchased (shipment ${state.shipment_id}), resuming`,
+    );
+    return {
+      chosenRate: state.chosen_rate,
+      rates: state.rates,
+      rateTrace: state.rate_trace,
+      buyResponse: state.label,
+    };
+  }
+
+  if (state.shipment_id) {
+    // A previous attempt may have crashed between buying the label and recording the purchase, so check with EasyPost before buying again
+    const previousShipment = await retrieveRatedShipment(
+      easypost,
+      state.shipment_id,
+    );
+    if (isPurchased(previousShipment)) {
+      const chosenRate = purchasedRate(previousShipment);
+      recordLabelPurchased(fulfillmentOrder.id, {
+        shipmentId: previousShipment.id,
+        rates: previousShipment.rates,
+        chosenRate,
+        label: previousShipment,
+        destinationFingerprint,
+        shippingCharged: orderShippingCharged(order),
+        destinationProvince:
+          prepared.verifiedFulfillmentOrder.destination.province,
+      });
+      logger.info(
+        `Found purchased label on EasyPost shipment ${previousShipment.id} for fulfillment order ${fulfillmentOrder.id}, resuming`,
+      );
+      return {
+        chosenRate,
+        rates: previousShipment.rates,
+        rateTrace: null,
+        buyResponse: previousShipment,
+      };
+    }
+  }
+
+  const approvedRate = state.rates?.find(
+    (rate) => rate.id === state.approved_rate_id,
+  );
+  if (state.approved_rate_id && !approvedRate) {
+    // Rate the label again, asking for approval again if the policy still matches
+    logger.warn(
+      `Approved rate ${state.approved_rate_id} for fulfillment order ${fulfillmentOrder.id} wasn't recorded, rating again`,
+    );
+    recordApprovalCleared(fulfillmentOrder.id);
+  } else if (state.approved_rate_id) {
+    // The shop owner approved one of the rates of the held shipment
+    logger.info(
+      `Buying approved rate ${approvedRate.carrier} ${approvedRate.service} for fulfillment order ${fulfillmentOrder.id}`,
+    );
+    try {
+      return await buy(easypost, {
+        order,
+        fulfillmentOrder,
+        claimToken,
+        prepared,
+        shipmentId: state.shipment_id,
+        rates: state.rates,
+        chosenRate: approvedRate,
+        rateTrace: state.rate_trace,
+        destinationFingerprint,
+      });
+    } catch (e) {
+      if (!(e instanceof EasyPostValidationError)) {
+        throw e;
+      }
+      // e.g. the rate expired while waiting for approval. Rate the label again, asking for approval again if the policy still matches.
+      logger.warn(
+        `Approved rate for fulfillment order ${fulfillmentOrder.id} can no longer be bought, rating again: ${e.message}`,
+      );
+      recordApprovalCleared(fulfillmentOrder.id);
+    }
+  }
+
+  let shipmentResponse;
+  let chosenRate;
+  let rateTrace;
+  try {
+    ({
+      shipmentResponse,
+      chosenRate,
+      trace: rateTrace,
+    } = rateSearch ??
+    (await searchRates(easypost, {
+      fulfillmentOrderId: fulfillmentOrder.id,
+      shipment,
+      multiParcel,
+      chooseRate: await rateChooser(order, center, prepared),
+    })));
+  } catch (e) {
+    if (e instanceof NoSuitableRatesError) {
+      // Email shop owner about no suitable rate found
+      await sendEmail({
+        to: recipients.owner(),
+        subject: `Order ${order.name} - No suitable shipping rate found`,
+        body: {
+          text: `Order: ${order.name}
+Available rates that were rejected:
+${e.trace ? formatDecisionTrace(e.trace) : "No rates available"}
+
+View order in Shopify Admin: ${shopifyOrderAdminUrl(order.id)}
+
+Error: ${e.message}`,
+        },
+      });
+      logger.warn(
+        `No suitable shipping rate found for order ${order.name}, notified shop owner`,
+      );
+    }
+    throw e;
+  }
+  if (rateSearch) {
+    recordShipmentCreated(fulfillmentOrder.id, shipmentResponse.id);
+    recordRatesSeen(
+      fulfillmentOrder.id,
+      shipmentResponse.id,
+      shipmentResponse.rates,
+    );
+  }
+
+  // For an EasyPost order (several boxes), the zone is the same for every shipment
+  const zone = (shipmentResponse.shipments?.[0] ?? shipmentResponse).usps_zone;
+  const reasons = approvalReasons(await getApprovalPolicy(), {
+    rate: Number(chosenRate.rate),
+    subtotal: orderSubtotal(order),
+    zone: zone == null ? null : Number(zone),
+    tags: order.tags,
+  });
+  if (reasons.length > 0) {
+    await requestApproval({
+      order,
+      fulfillmentOrder,
+      shipmentResponse,
+      rateTrace,
+      reasons,
+    });
+    return null;
+  }
+
+  return await buy(easypost, {
+    order,
+    fulfillmentOrder,
+    claimToken,
+    prepared,
+    shipmentId: shipmentResponse.id,
+    rates: shipmentResponse.rates,
+    chosenRate,
+    rateTrace,
+    destinationFingerprint,
+  });
+}
+
+/**
+ * Checks that a rate passing the rules is available for the shipment, without recording or buying anything, e.g. before accepting a fulfillment
+ * request (see handlers/fulfillment-service.js).
+ * @param {Object} options
+ * @param {EasyPostClient} options.easypost
+ * @param {Order} options.order
+ * @param {FulfillmentCenter} options.center
+ * @param {PreparedShipment} options.prepared
+ * @returns {Promise<{shipmentResponse: Object, chosenRate: Object, trace: Object}>}
+ * @throws {NoSuitableRatesError}
+ */
+export async function checkRates({ easypost, order, center, prepared }) {
+  return await searchRates(easypost, {
+    shipment: prepared.shipment,
+    multiParcel: prepared.multiParcel,
+    chooseRate: await rateChooser(order, center, prepared),
+  });
+}
+
+// Chooses a rate for the order's shipment with the rules, given the checkout shipping method
+async function rateChooser(order, center, prepared) {
+  const shippingLine = orderShippingLine(order);
+  const shippingMethod = await getShippingMethod(shippingLine);
+  if (shippingLine && !shippingMethod) {
+    logger.info(
+      `Shipping method "${shippingLine.title}" (${shippingLine.code}) of order ${order.name} isn't in shippingMethods, rating by the rule set alone`,
+    );
+  }
+  return (ratedShipment) =>
+    rules(ratedShipment, {
+      tags: order.tags,
+      allowedCarriers: center.allowedCarriers,
+      shippingLine,
+      shippingMethod,
+      shipDay: prepared.shipDay,
+      holidays: center.shipDays?.holidays,
+    });
+}
+
+/**
+ * Creates the EasyPost shipment (or order) and chooses a rate. The rates EasyPost returns can differ between calls, and some might pass the rules
+ * while others don't, so if none pass, the same shipment is rerated until one does, rather than creating a new shipment each time. A rerate
+ * replaces the shipment's rates, and only the latest ones can be bought, so the rules choose from those. Earlier attempts had no rate passing
+ * anyway, and each set of rates is recorded in the fulfillment order's rate_history to compare against.
+ * Attempts are spaced by SHIPPING_RATE_SEARCH_RETRY_INTERVAL (an immediate retry seems to return the same rates, but waiting a while seems to
+ * do better), doubling after each attempt if SHIPPING_RATE_SEARCH_BACKOFF is "true", up to SHIPPING_RATE_SEARCH_MAX_DELAY.
+ * @param {EasyPostClient} easypost
+ * @param {Object} options
+ * @param {string=} options.fulfillmentOrderId - Where to record the shipment and rates, nothing is recorded if omitted
+ * @param {Object} options.shipment - EasyPost shipment, or EasyPost order if multiParcel
+ * @param {boolean} options.multiParcel
+ * @param {function(Object): Promise<{chosenRate: Object, trace: Object}>} options.chooseRate - Given the shipment with its latest rates, e.g. rules.js
+ * @param {Object=} options.retryOptions - Overrides, see utils/retry.js
+ * @returns {Promise<{shipmentResponse: Object, chosenRate: Object, trace: Object}>} shipmentResponse has the latest rates
+ * @throws {NoSuitableRatesError}
+ */
+export async function searchRates(
+  easypost,
+  { fulfillmentOrderId, shipment, multiParcel, chooseRate, retryOptions },
+) {
+  const kind = multiParcel ? "order" : "shipment";
+  let shipmentResponse = null;
+  return await retry(
+    async function () {
+      let rates;
+      if (!shipmentResponse) {
+        shipmentResponse = multiParcel
+          ? await easypost.createOrder(shipment)
+          : await easypost.createShipment(shipment);
+        logger.info(
+          `Created EasyPost ${kind} ${shipmentResponse.id}, received ${shipmentResponse.rates?.length || 0} rates`,
+        );
+        if (fulfillmentOrderId) {
+          recordShipmentCreated(fulfillmentOrderId, shipmentResponse.id);
+        }
+        logger.debug(
+          "Shipment response:\n" + JSON.stringify(shipmentResponse, null, 2),
+        );
+        rates = shipmentResponse.rates;
+      } else {
+        rates = multiParcel
+          ? await easypost.rerateOrder(shipmentResponse.id)
+          : await easypost.rerateShipment(shipmentResponse.id);
+        logger.info(
+          `Rerated EasyPost ${kind} ${shipmentResponse.id}, received ${rates?.length || 0} rates`,
+        );
+      }
+
+      if (!rates) {
+        throw new Error("Shipment response from Easypost returned no rates");
+      }
+      if (fulfillmentOrderId) {
+        recordRatesSeen(fulfillmentOrderId, shipmentResponse.id, rates);
+      }
+      shipmentResponse = { ...shipmentResponse, rates };
+
+      // Choose a rate
+      const { chosenRate, trace } = await chooseRate(shipmentResponse);
+      return { shipmentResponse, chosenRate, trace };
+    },
+    [NoSuitableRatesError],
+    {
+      maxRetries: Number(Bun.env.SHIPPING_RATE_SEARCH_RETRIES ?? 3),
+      retryInterval: Number(
+        Bun.env.SHIPPING_RATE_SEARCH_RETRY_INTERVAL ?? 1000,
+      ),
+      backoff: Bun.env.SHIPPING_RATE_SEARCH_BACKOFF === "true",
+      maxDelay: Number(Bun.env.SHIPPING_RATE_SEARCH_MAX_DELAY ?? 5 * 60 * 1000),
+      jitter: 0,
+      ...retryOptions,
+    },
+  );
+}
+
+async function buy(
+  easypost,
+  {
+    order,
+    fulfillmentOrder,
+    claimToken,
+    prepared,
+    shipmentId,
+    rates,
+    chosenRate,
+    rateTrace,
+    destinationFingerprint,
+  },
+) {
+  assertFulfillmentOrderClaim(fulfillmentOrder.id, claimToken);
+  const buyResponse = prepared.multiParcel
+    ? await easypost.buyOrder(shipmentId, chosenRate)
+    : await easypost.buyShipment(shipmentId, chosenRate.id);
+  recordLabelPurchased(fulfillmentOrder.id, {
+    shipmentId,
+    rates,
+    chosenRate,
+    trace: rateTrace,
+    label: buyResponse,
+    destinationFingerprint,
+    shippingCharged: orderShippingCharged(order),
+    destinationProvince: prepared.verifiedFulfillmentOrder.destination.province,
+  });
+  logger.info(
+    `Purchased ${prepared.parcels.length} shipping labels for order ${order.name}`,
+  );
+  logger.debug(
+    "Buy response:\n" + JSON.stringify(redactPII(buyResponse), null, 2),
+  );
+
+  return { chosenRate, rates, rateTrace, buyResponse };
+}
+
+// Holds the label, and emails the shop owner a link to buy each rate that passed the rules (the chosen one first), and one to reject them all
+async function requestApproval({
+  order,
+  fulfillmentOrder,
+  shipmentResponse,
+  rateTrace,
+  reasons,
+}) {
+  const policy = await getApprovalPolicy();
+  const expiresAt = new Date(
+    Date.now() + policy.linkExpiryHours * 60 * 60 * 1000,
+  );
+  const decision = {
+    fulfillmentOrderId: fulfillmentOrder.id,
+    shipmentId: shipmentResponse.id,
+  };
+  const candidates = rateTrace.rates
+    .filter((rate) => rate.outcome !== "rejected")
+    .sort((a, b) => (b.outcome === "chosen") - (a.outcome === "chosen"));
+  const candidatesText = candidates
+    .map(
+      (rate) =>
+        `- ${rate.carrier} ${rate.service}: $${rate.rate} (${rate.delivery_days} days)${rate.outcome === "chosen" ? " [chosen by the rules]" : ""}
+  Approve: ${approvalUrl({ ...decision, action: "approve", rateId: rate.id }, expiresAt)}`,
+    )
+    .join("\n");
+
+  await sendEmail({
+    to: recipients.owner(),
+    subject: `Order ${order.name} - Shipping label needs approval`,
+    body: {
+      text: `Order: ${order.name}
+The shipping label for fulfillment order ${fulfillmentOrder.id} hasn't been bought, because:
+- ${reasons.join("\n- ")}
+
+Approve one of these rates to buy the label and send it to the fulfillment center:
+${candidatesText}
+
+Or reject them all, and buy the label yourself: ${approvalUrl({ ...decision, action: "reject" }, expiresAt)}
+
+These links expire ${expiresAt.toUTCString()}.
+
+Rate decision:
+${formatDecisionTrace(rateTrace)}
+
+View order in Shopify Admin: ${shopifyOrderAdminUrl(order.id)}`,
+    },
+  });
+  // Only once the email is sent, so the label isn't held without the shop owner knowing. If sending fails, the job's retry rates it again.
+  recordApprovalRequested(fulfillmentOrder.id, {
+    rates: shipmentResponse.rates,
+    trace: rateTrace,
+  });
+  logger.info(
+    `Label for order ${order.name} held for approval: ${reasons.join("; ")}`,
+  );
+}
+
+// In dollars, or null if Shopify didn't return it
+function orderSubtotal(order) {
+  const amount = order.currentSubtotalPriceSet?.shopMoney.amount;
+  return amount == null ? null : Number(amount);
+}
+
+/**
+ * @param {Order} order
+ * @param {PreparedShipment} prepared
+ * @param {FulfillmentCenter} center
+ * @returns {Promise<Uint8Array>}
+ */
+export async function createPackingSlip(order, prepared, center) {
+  const pdfsReponse = await createPackingSlipPdfs(
+    [prepared.verifiedFulfillmentOrder],
+    order,
+    {
+      branding: center.packingSlip,
+      parcels: prepared.parcels,
+      fulfilled: true,
+    },
+  );
+  // The label has already been bought at this point, so throw rather than return: the fulfillment order is left unfinished and a redelivered webhook resumes from here
+  if (pdfsReponse.errors.length > 0) {
+    throw new Error(
+      `Failed to generate packing slips for order ${order.name}: ${JSON.stringify(pdfsReponse.errors, null, 2)}`,
+    );
+  }
+
+  if (pdfsReponse.pdfs === undefined) {
+    throw new Error(`Packing slip PDFs undefined for order ${order.name}`);
+  }
+
+  logger.info(
+    `Generated ${pdfsReponse.pdfs.length} packing slip PDFs for order ${order.name}`,
+  );
+
+  // Debugging
+  //await Bun.write('/Users/waycroft/Downloads/packingSlip.pdf', pdfsReponse.pdfs[0])
+  return pdfsReponse.pdfs[0];
+}
+
+/**
+ * The body of the label email: each box with its label and contents, and how the rate was chosen.
+ * EasyPost keeps an order's shipments in the order they were created, so labels line up with parcels.
+ * @param {PreparedShipment} prepared
+ * @param {PurchasedLabel} purchase
+ * @param {Object[]} labels - See purchasedShipments() in shipment.js
+ * @returns {string}
+ */
+export function labelEmailText(prepared, purchase, labels) {
+  const { parcels } = prepared;
+  const { chosenRate, rates, rateTrace } = purchase;
+
+  const totalWeight = parcels.reduce((acc, parcel) => acc + parcel.weight, 0);
+  const boxesText = parcels
+    .map(
+      (parcel, i) =>
+        `Box ${i + 1} of ${parcels.length}: ${parcel.box ? `${parcel.box.name} (${parcel.box.length} x ${parcel.box.width} x ${parcel.box.height} in, ${parcel.weight}oz)` : `${parcel.weight}oz`}
+- Shipping label link: ${labels[i]?.postage_label.label_url}
+- Tracking: ${labels[i]?.tracker?.tracking_code}
+- Contents: ${parcel.items.map((item) => `${item.quantity} x ${item.lineItem.variant.displayName}`).join(", ")}`,
+    )
+    .join("\n\n");
+  const allRatesText = rates
+    .map(
+      (rate) =>
+        `- ${rate.carrier} ${rate.service}: $${rate.rate} (${rate.delivery_days} days, ${rate.est_delivery_days} delivery days, guaranteed: ${rate.delivery_date_guaranteed}, mode: ${rate.mode}, weight: ${totalWeight}oz, ID: ${rate.id})`,
+    )
+    .join("\n");
+
+  const shipDayText = prepared.shipDay
+    ? `Ship on: ${prepared.shipDay.toFormat("cccc, LLLL d")}\n\n`
+    : "";
+
+  return `${shipDayText}${boxesText}
+
+Chosen shipping rate:
+- Carrier: ${chosenRate.carrier}
+- Service: ${chosenRate.service}
+- Cost: $${chosenRate.rate}
+- Delivery days: ${chosenRate.delivery_days}
+
+Rate decision:
+${formatDecisionTrace(rateTrace)}
+
+All available rates:
+${allRatesText}`;
+}
@@ -0,0 +1,98 @@
+// Export of the shipping cost ledger (see store/label-purchases.js) for bookkeeping, as CSV or JSON, over a range of purchase dates.
+// Dates are "yyyy-MM-dd" in UTC, matching the EasyPost invoice, and both ends of the range are included.
+
+import { DateTime } from "luxon";
+import { getLabelPurchases } from "./store/label-purchases";
+
+export class LedgerRangeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LedgerRangeError";
+  }
+}
+
+export const LEDGER_FORMATS = ["csv", "json"];
+
+const CSV_COLUMNS = [
+  "purchased_at",
+  "order_name",
+  "order_id",
+  "fulfillment_order_id",
+  "shipment_id",
+  "easypost_shipment_id",
+  "carrier",
+  "service",
+  "rate",
+  "currency",
+  "zone",
+  "weight",
+  "destination_province",
+  "shipping_charged",
+  "tracking_code",
+  "label_url",
+  "shipment_created_at",
+  "refund_status",
+  "candidate_rates",
+];
+
+/**
+ * Label purchases made between two dates.
+ * @param {Object} range
+ * @param {string} range.from - "yyyy-MM-dd"
+ * @param {string=} range.to - "yyyy-MM-dd", defaults to today
+ * @returns {LabelPurchase[]}
+ * @throws {LedgerRangeError}
+ */
+export function getLedger({ from, to }) {
+  const start = parseDate("from", from);
+  const end = to ? parseDate("to", to) : DateTime.utc().startOf("day");
+  if (end < start) {
+    throw new LedgerRangeError("to must not be before from");
+  }
+  return getLabelPurchases({
+    from: start.toISO(),
+    to: end.plus({ days: 1 }).toISO(),
+  });
+}
+
+/**
+ * @param {LabelPurchase[]} purchases
+ * @param {"csv"|"json"} format
+ * @returns {string}
+ */
+export function formatLedger(purchases, format) {
+  if (format === "json") {
+    return `${JSON.stringify(purchases, null, 2)}\n`;
+  }
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const purchase of purchases) {
+    lines.push(
+      CSV_COLUMNS.map((column) =>
+        csvValue(
+          column === "candidate_rates" && purchase[column] != null
+            ? JSON.stringify(purchase[column])
+            : purchase[column],
+        ),
+      ).join(","),
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function parseDate(name, value) {
+  const date = DateTime.fromFormat(String(value ?? ""), "yyyy-MM-dd", {
+    zone: "utc",
+  });
+  if (!date.isValid) {
+    throw new LedgerRangeError(`${name} must be a date, "yyyy-MM-dd"`);
+  }
+  return date;
+}
+
+function csvValue(value) {
+  if (value == null) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
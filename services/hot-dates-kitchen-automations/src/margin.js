@@ -0,0 +1,232 @@
+// Shipping margin: what customers paid for shipping at checkout against what we spent on labels, per order and by zone, destination state,
+// carrier and week, so that the Shopify shipping rates can be set from real data. Built on the cost ledger (see ledger.js), leaving out labels that
+// were refunded. Dates are "yyyy-MM-dd" in UTC, like the ledger, and an order falls in the week its first label was bought.
+
+import { DateTime } from "luxon";
+import { getLedger } from "./ledger";
+
+const REFUND_REJECTED = "rejected";
+
+/**
+ * @typedef OrderMargin
+ * @property {string} order_id
+ * @property {string} order_name
+ * @property {string} week - "yyyy-MM-dd" of the Monday
+ * @property {number|null} zone
+ * @property {string|null} state - Destination state (province)
+ * @property {string} carrier - Carriers of the order's labels, e.g. "USPS" or "USPS+UPSDAP"
+ * @property {number} labels
+ * @property {number} label_cost - Dollars
+ * @property {number|null} shipping_charged - Dollars, null for orders bought before the margin report existed
+ * @property {number|null} margin - shipping_charged - label_cost
+ */
+
+/**
+ * @typedef MarginGroup
+ * @property {string} key - e.g. the zone, or "unknown"
+ * @property {number} orders
+ * @property {number} label_cost
+ * @property {number} shipping_charged
+ * @property {number} margin
+ * @property {number|null} margin_percent - Of shipping_charged, null if nothing was charged
+ */
+
+/**
+ * @typedef MarginReport
+ * @property {string} from
+ * @property {string} to
+ * @property {OrderMargin[]} orders
+ * @property {MarginGroup} totals - Of the orders whose shipping charge is known
+ * @property {number} ordersWithoutCharge - Orders left out of the totals and groups
+ * @property {MarginGroup[]} byZone
+ * @property {MarginGroup[]} byState
+ * @property {MarginGroup[]} byCarrier
+ * @property {MarginGroup[]} byWeek
+ */
+
+/**
+ * What the customer paid for the order's shipping at checkout, after discounts.
+ * @param {Order} order
+ * @returns {string|null} Dollars, or null if Shopify didn't return the shipping lines
+ */
+export function orderShippingCharged(order) {
+  const shippingLines = order.shippingLines?.nodes;
+  if (!shippingLines) {
+    return null;
+  }
+  const cents = shippingLines.reduce(
+    (acc, line) =>
+      acc +
+      toCents(
+        (line.discountedPriceSet ?? line.originalPriceSet)?.shopMoney.amount,
+      ),
+    0,
+  );
+  return (cents / 100).toFixed(2);
+}
+
+/**
+ * @param {Object} range
+ * @param {string} range.from - "yyyy-MM-dd"
+ * @param {string=} range.to - "yyyy-MM-dd", defaults to today
+ * @returns {MarginReport}
+ * @throws {LedgerRangeError}
+ */
+export function getMarginReport({ from, to }) {
+  const end = to ?? DateTime.utc().toISODate();
+  return { from, to: end, ...marginReport(getLedger({ from, to: end })) };
+}
+
+/**
+ * Groups label purchases by order, and totals them.
+ * @param {LabelPurchase[]} purchases
+ * @returns {Omit<MarginReport, "from"|"to">}
+ */
+export function marginReport(purchases) {
+  const byOrder = new Map();
+  for (const purchase of purchases) {
+    if (purchase.refund_status && purchase.refund_status !== REFUND_REJECTED) {
+      continue;
+    }
+    const order = byOrder.get(purchase.order_id);
+    if (order) {
+      order.purchases.push(purchase);
+    } else {
+      byOrder.set(purchase.order_id, { purchases: [purchase] });
+    }
+  }
+
+  const orders = [...byOrder.values()].map(({ purchases: labels }) => {
+    const [first] = labels;
+    const costCents = labels.reduce(
+      (acc, label) => acc + toCents(label.rate),
+      0,
+    );
+    // Every fulfillment order of an order records the order's shipping charge
+    const charged = labels.find((label) => label.shipping_charged != null);
+    const chargedCents = charged ? toCents(charged.shipping_charged) : null;
+    return {
+      order_id: first.order_id,
+      order_name: first.order_name,
+      week: DateTime.fromISO(first.purchased_at, { zone: "utc" })
+        .startOf("week")
+        .toISODate(),
+      zone: labels.find((label) => label.zone != null)?.zone ?? null,
+      state:
+        labels.find((label) => label.destination_province)
+          ?.destination_province ?? null,
+      carrier: [...new Set(labels.map((label) => label.carrier))].join("+"),
+      labels: labels.length,
+      label_cost: costCents / 100,
+      shipping_charged: chargedCents === null ? null : chargedCents / 100,
+      margin: chargedCents === null ? null : (chargedCents - costCents) / 100,
+    };
+  });
+
+  const known = orders.filter((order) => order.shipping_charged !== null);
+  return {
+    orders,
+    totals: { key: "total", ...summarize(known) },
+    ordersWithoutCharge: orders.length - known.length,
+    byZone: groupBy(known, (order) => order.zone),
+    byState: groupBy(known, (order) => order.state),
+    byCarrier: groupBy(known, (order) => order.carrier),
+    byWeek: groupBy(known, (order) => order.week),
+  };
+}
+
+/**
+ * Plain text summary for the weekly email and the CLI, with the orders that lost the most on shipping.
+ * @param {MarginReport} report
+ * @param {Object=} options
+ * @param {number=} options.worstOrders - How many of the lowest margin orders to list (default: 10)
+ * @returns {string}
+ */
+export function formatMarginReport(report, { worstOrders = 10 } = {}) {
+  const section = (title, groups) =>
+    `${title}:\n${groups.length > 0 ? groups.map((group) => `- ${formatGroup(group)}`).join("\n") : "- No orders"}`;
+  const worst = report.orders
+    .filter((order) => order.margin !== null)
+    .sort((a, b) => a.margin - b.margin)
+    .slice(0, worstOrders);
+
+  return `Shipping margin, ${report.from} to ${report.to} (UTC)
+
+${formatGroup(report.totals)}${report.ordersWithoutCharge > 0 ? `\n${report.ordersWithoutCharge} orders left out, their shipping charge wasn't recorded` : ""}
+
+${section("By zone", report.byZone)}
+
+${section("By state", report.byState)}
+
+${section("By carrier", report.byCarrier)}
+
+${section("By week", report.byWeek)}
+
+Lowest margin orders:
+${worst.length > 0 ? worst.map((order) => `- ${order.order_name}: charged $${order.shipping_charged.toFixed(2)}, labels $${order.label_cost.toFixed(2)}, margin ${formatDollars(order.margin)} (${order.carrier}, zone ${order.zone ?? "unknown"}, ${order.state ?? "unknown"})`).join("\n") : "- No orders"}`;
+}
+
+/**
+ * The previous Monday to Sunday.
+ * @param {DateTime=} now
+ * @returns {{ from: string, to: string }} "yyyy-MM-dd"
+ */
+export function lastWeekRange(now = DateTime.utc()) {
+  const monday = now.setZone("utc").startOf("week").minus({ weeks: 1 });
+  return {
+    from: monday.toISODate(),
+    to: monday.plus({ days: 6 }).toISODate(),
+  };
+}
+
+function summarize(orders) {
+  const costCents = orders.reduce(
+    (acc, order) => acc + toCents(order.label_cost),
+    0,
+  );
+  const chargedCents = orders.reduce(
+    (acc, order) => acc + toCents(order.shipping_charged),
+    0,
+  );
+  return {
+    orders: orders.length,
+    label_cost: costCents / 100,
+    shipping_charged: chargedCents / 100,
+    margin: (chargedCents - costCents) / 100,
+    margin_percent:
+      chargedCents > 0
+        ? Math.round(((chargedCents - costCents) / chargedCents) * 1000) / 10
+        : null,
+  };
+}
+
+// Sorted by key, with "unknown" last
+function groupBy(orders, keyOf) {
+  const groups = new Map();
+  for (const order of orders) {
+    const key = String(keyOf(order) ?? "unknown");
+    groups.set(key, [...(groups.get(key) ?? []), order]);
+  }
+  return [...groups.entries()]
+    .sort(([a], [b]) =>
+      a === "unknown"
+        ? 1
+        : b === "unknown"
+          ? -1
+          : a.localeCompare(b, "en", { numeric: true }),
+    )
+    .map(([key, group]) => ({ key, ...summarize(group) }));
+}
+
+function formatGroup(group) {
+  return `${group.key}: ${group.orders} orders, charged $${group.shipping_charged.toFixed(2)}, labels $${group.label_cost.toFixed(2)}, margin ${formatDollars(group.margin)}${group.margin_percent !== null ? ` (${group.margin_percent}%)` : ""}`;
+}
+
+function formatDollars(amount) {
+  return amount < 0 ? `-$${(-amount).toFixed(2)}` : `$${amount.toFixed(2)}`;
+}
+
+// Money is added up in cents, to avoid floating point drift over many orders
+function toCents(amount) {
+  return amount == null ? 0 : Math.round(Number(amount) * 100);
+}
@@ -0,0 +1,48 @@
+// Sending emails to the shop owner and fulfillment center.
+// Outside of production every email goes to TEST_TO_EMAIL, and no email is sent at all unless SEND_LIVE_EMAILS is "true".
+
+import { EmailClient } from "./common/email";
+import { resolveNotificationEmails } from "./fulfillment-centers";
+import logger from "./utils/logger.js";
+
+const env = Bun.env.NODE_ENV;
+
+export const recipients = {
+  owner: () =>
+    env === "production" ? Bun.env.SHOP_OWNER_EMAIL : Bun.env.TEST_TO_EMAIL,
+  /**
+   * @param {FulfillmentCenter} center
+   */
+  fulfillmentCenter: (center) =>
+    env === "production"
+      ? resolveNotificationEmails(center)
+      : Bun.env.TEST_TO_EMAIL,
+};
+
+/**
+ * Sends an email from FULFILLMENTS_FROM_EMAIL, or logs it if live emails are disabled.
+ * @param {Object} message - See EmailClient.sendMail (from defaults to FULFILLMENTS_FROM_EMAIL)
+ * @param {EmailClient=} mailClient
+ */
+export async function sendEmail(message, mailClient = new EmailClient()) {
+  const email = { from: Bun.env.FULFILLMENTS_FROM_EMAIL, ...message };
+  if (Bun.env.SEND_LIVE_EMAILS === "true") {
+    await mailClient.sendMail(email);
+    logger.info(`Sent email: ${email.subject}`);
+  } else {
+    logger.debug("Would have sent email (file contents replaced with length):");
+    logger.debug(
+      JSON.stringify(
+        {
+          ...email,
+          attachments: email.attachments?.map((att) => ({
+            filename: att.filename,
+            contentLength: att.content ? att.content.length : null,
+          })),
+        },
+        null,
+        2,
+      ),
+    );
+  }
+}
@@ -0,0 +1,62 @@
+// Fetching a Shopify order with all of its fulfillment orders and line items. Order.byId gets the first page of each, and the rest are paged
+// through here, so that a large order is never silently truncated.
+
+import { Order, FulfillmentOrder } from "./gql";
+
+/**
+ * @param {ShopifyClient} shopify
+ * @param {string} orderId - gid://shopify/Order/...
+ * @returns {Promise<Order|null>} null if there's no such order. fulfillmentOrders and each of their lineItems have every node, and no pageInfo.
+ */
+export async function fetchOrder(shopify, orderId) {
+  const { order } = (await shopify.gqlQuery(Order.byId, { id: orderId })).data;
+  if (!order) {
+    return null;
+  }
+
+  const fulfillmentOrders = await remainingNodes(
+    shopify,
+    order.fulfillmentOrders,
+    Order.fulfillmentOrders,
+    { id: orderId },
+    (data) => data.order.fulfillmentOrders,
+  );
+  return {
+    ...order,
+    fulfillmentOrders: {
+      nodes: await Promise.all(
+        fulfillmentOrders.map(async (fulfillmentOrder) => ({
+          ...fulfillmentOrder,
+          lineItems: {
+            nodes: await remainingNodes(
+              shopify,
+              fulfillmentOrder.lineItems,
+              FulfillmentOrder.lineItems,
+              { id: fulfillmentOrder.id },
+              (data) => data.fulfillmentOrder.lineItems,
+            ),
+          },
+        })),
+      ),
+    },
+  };
+}
+
+// The nodes of a connection's first page, followed by those of the pages after it
+async function remainingNodes(
+  shopify,
+  connection,
+  query,
+  variables,
+  connectionOf,
+) {
+  if (!connection.pageInfo?.hasNextPage) {
+    return connection.nodes;
+  }
+  return [
+    ...connection.nodes,
+    ...(await shopify.paginate(query, variables, connectionOf, {
+      after: connection.pageInfo.endCursor,
+    })),
+  ];
+}
@@ -0,0 +1,279 @@
+// Box catalog, and packing a fulfillment order's line items into boxes. Loaded from config/packaging.json by default, or PACKAGING_PATH.
+// Dimensions are in inches and weights in ounces, as EasyPost expects.
+//
+// - boxes: Keyed by box name, { length, width, height (inner dimensions), tareWeight, maxWeight (box + contents) }
+// - products: Keyed by SKU. Either:
+//   - { length, width, height }: The product's dimensions. It fits a box if a unit fits inside it, and the units' combined volume fits.
+//   - { boxes: { "<box name>": <units per box> } }: A packing rule, for products that don't pack by volume (e.g. gift tins that need inserts). Only the listed boxes can hold the product.
+// - defaultBox (optional): Box used when a line item has no product entry. Without it, a fulfillment order with any such line item is sent as a
+//   single parcel with only its weight, as before there was a catalog.
+//
+// Line items mixing both kinds each take up a share of the box, e.g. 3 units of a 6-per-box SKU take half of it, leaving half its volume for the rest.
+// Orders too big or heavy for any one box are split into several parcels.
+
+import { readConfigFile, createConfigLoader } from "./utils/config-file";
+
+export class PackagingConfigError extends Error {
+  constructor(message, problems = []) {
+    super(
+      problems.length > 0 ? `${message}:\n- ${problems.join("\n- ")}` : message,
+    );
+    this.name = "PackagingConfigError";
+    this.problems = problems;
+  }
+}
+
+export class NoSuitableBoxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "NoSuitableBoxError";
+  }
+}
+
+const DEFAULT_PACKAGING_PATH = `${import.meta.dir}/../config/packaging.json`;
+
+const DIMENSIONS = ["length", "width", "height"];
+
+/**
+ * @typedef Box
+ * @property {string} name
+ * @property {number} length
+ * @property {number} width
+ * @property {number} height
+ * @property {number} tareWeight
+ * @property {number} maxWeight
+ */
+
+/**
+ * @typedef PackagingConfig
+ * @property {Box[]} boxes - Smallest first
+ * @property {Object<string, Object>} products - Keyed by SKU
+ * @property {string|null} defaultBox
+ */
+
+/**
+ * Validates a raw packaging config, throwing a PackagingConfigError listing every problem found.
+ * @param {Object} raw
+ * @returns {PackagingConfig}
+ */
+export function parsePackagingConfig(raw) {
+  if (!isObject(raw?.boxes) || Object.keys(raw.boxes).length === 0) {
+    throw new PackagingConfigError(
+      "Packaging config must define at least one box",
+    );
+  }
+
+  const problems = [];
+  const boxes = [];
+  for (const [name, box] of Object.entries(raw.boxes)) {
+    const path = `boxes.${name}`;
+    if (!isObject(box)) {
+      problems.push(`${path} must be an object`);
+      continue;
+    }
+    for (const key of [...DIMENSIONS, "maxWeight"]) {
+      if (!isPositiveNumber(box[key])) {
+        problems.push(`${path}.${key} must be a positive number`);
+      }
+    }
+    if (
+      box.tareWeight !== undefined &&
+      !(typeof box.tareWeight === "number" && box.tareWeight >= 0)
+    ) {
+      problems.push(`${path}.tareWeight must be a number, 0 or more`);
+    }
+    boxes.push({
+      name,
+      length: box.length,
+      width: box.width,
+      height: box.height,
+      tareWeight: box.tareWeight ?? 0,
+      maxWeight: box.maxWeight,
+    });
+  }
+  boxes.sort((a, b) => volume(a) - volume(b));
+
+  const boxNames = new Set(boxes.map((box) => box.name));
+  const products = raw.products ?? {};
+  if (!isObject(products)) {
+    problems.push("products must be an object, keyed by SKU");
+  } else {
+    for (const [sku, product] of Object.entries(products)) {
+      const path = `products.${sku}`;
+      if (!isObject(product)) {
+        problems.push(`${path} must be an object`);
+      } else if (product.boxes !== undefined) {
+        if (!isObject(product.boxes)) {
+          problems.push(`${path}.boxes must be an object`);
+          continue;
+        }
+        for (const [boxName, units] of Object.entries(product.boxes)) {
+          if (!boxNames.has(boxName)) {
+            problems.push(`${path}.boxes refers to unknown box ${boxName}`);
+          }
+          if (!Number.isInteger(units) || units < 1) {
+            problems.push(
+              `${path}.boxes.${boxName} must be a whole number of units, 1 or more`,
+            );
+          }
+        }
+      } else if (!DIMENSIONS.every((key) => isPositiveNumber(product[key]))) {
+        problems.push(
+          `${path} must have either a positive length, width and height, or boxes`,
+        );
+      }
+    }
+  }
+
+  if (raw.defaultBox !== undefined && !boxNames.has(raw.defaultBox)) {
+    problems.push(`defaultBox refers to unknown box ${raw.defaultBox}`);
+  }
+
+  if (problems.length > 0) {
+    throw new PackagingConfigError("Invalid packaging config", problems);
+  }
+  return { boxes, products, defaultBox: raw.defaultBox ?? null };
+}
+
+/**
+ * Returns the packaging config, re-reading the file if it has changed since it was last loaded.
+ * @returns {Promise<PackagingConfig>}
+ */
+export const getPackagingConfig = createConfigLoader({
+  description: "packaging",
+  path: () => Bun.env.PACKAGING_PATH ?? DEFAULT_PACKAGING_PATH,
+  load: async (path) => {
+    let raw;
+    try {
+      raw = await readConfigFile(path);
+    } catch (e) {
+      throw new PackagingConfigError(`Could not parse ${path}: ${e.message}`);
+    }
+    return parsePackagingConfig(raw);
+  },
+});
+
+/**
+ * @typedef PackingItem
+ * @property {string} sku
+ * @property {number} quantity
+ * @property {number} unitWeight - In ounces
+ */
+
+/**
+ * @typedef Parcel
+ * @property {Box|null} box - null for a weight-only parcel, see defaultBox
+ * @property {number} weight - Packed weight in ounces, including the box
+ * @property {PackingItem[]} items - What goes in this box. Any other properties of the items passed in are kept.
+ */
+
+/**
+ * Packs items into as few parcels as the box catalog allows: a single box if one fits everything, otherwise filling the largest box that fits one
+ * item at a time and starting a new parcel when it's full. Each parcel then gets the smallest box that fits its contents.
+ * @param {PackingItem[]} items
+ * @param {PackagingConfig} packaging
+ * @returns {Parcel[]} A single weight-only parcel if an item has no packaging configured, and there's no default box
+ * @throws {NoSuitableBoxError} If a single unit doesn't fit any box
+ */
+export function packParcels(items, packaging) {
+  const hasUnknownSku = items.some((item) => !packaging.products[item.sku]);
+  if (hasUnknownSku && !packaging.defaultBox) {
+    return [{ box: null, weight: contentsWeight(items), items }];
+  }
+
+  const single = smallestBoxFor(items, packaging);
+  if (single) {
+    return [parcel(single, items)];
+  }
+
+  for (const item of items) {
+    if (!smallestBoxFor([{ ...item, quantity: 1 }], packaging)) {
+      throw new NoSuitableBoxError(
+        `No box fits a single ${item.sku} (${item.unitWeight}oz)`,
+      );
+    }
+  }
+
+  const parcels = [];
+  let current = new Map(); // item -> units of it in the parcel being filled
+  for (const item of items) {
+    for (let unit = 0; unit < item.quantity; unit++) {
+      const withUnit = new Map(current).set(item, (current.get(item) ?? 0) + 1);
+      if (smallestBoxFor(parcelItems(withUnit), packaging)) {
+        current = withUnit;
+        continue;
+      }
+      parcels.push(parcelFor(current, packaging));
+      current = new Map([[item, 1]]);
+    }
+  }
+  parcels.push(parcelFor(current, packaging));
+  return parcels;
+}
+
+function smallestBoxFor(items, packaging) {
+  const weight = contentsWeight(items);
+  return packaging.boxes.find(
+    (box) =>
+      weight + box.tareWeight <= box.maxWeight &&
+      boxShareUsed(items, box, packaging) <= 1,
+  );
+}
+
+function parcel(box, items) {
+  return { box, weight: contentsWeight(items) + box.tareWeight, items };
+}
+
+function parcelFor(contents, packaging) {
+  const items = parcelItems(contents);
+  return parcel(smallestBoxFor(items, packaging), items);
+}
+
+function parcelItems(contents) {
+  return [...contents].map(([item, quantity]) => ({ ...item, quantity }));
+}
+
+function contentsWeight(items) {
+  return items.reduce((acc, item) => acc + item.unitWeight * item.quantity, 0);
+}
+
+// Share of the box the items take up, where 1 is a full box. Infinity if any item can't go in the box at all.
+// Items with no packaging configured only go in the default box, and are limited by its max weight alone.
+function boxShareUsed(items, box, packaging) {
+  let share = 0;
+  for (const item of items) {
+    const product = packaging.products[item.sku];
+    if (!product) {
+      if (box.name !== packaging.defaultBox) return Infinity;
+    } else if (product.boxes) {
+      const unitsPerBox = product.boxes[box.name];
+      if (!unitsPerBox) return Infinity;
+      share += item.quantity / unitsPerBox;
+    } else {
+      if (!fitsInside(product, box)) return Infinity;
+      share += (item.quantity * volume(product)) / volume(box);
+    }
+  }
+  return share;
+}
+
+// Whether a single unit fits, in any orientation
+function fitsInside(product, box) {
+  const productSides = DIMENSIONS.map((key) => product[key]).sort(
+    (a, b) => a - b,
+  );
+  const boxSides = DIMENSIONS.map((key) => box[key]).sort((a, b) => a - b);
+  return productSides.every((side, i) => side <= boxSides[i]);
+}
+
+function volume({ length, width, height }) {
+  return length * width * height;
+}
+
+function isPositiveNumber(value) {
+  return typeof value === "number" && value > 0;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
@@ -24,12 +24,30 @@ ${fulfillmentOrder.assignedLocation.city} ${fulfillmentOrder.assignedLocation.pr
 ${fulfillmentOrder.assignedLocation.phone}
 `;
 
+const DEFAULT_BRANDING = {
+  title: "Hot Date Kitchen",
+  footer: "Thank you for shopping with us!",
+  logoUrl: null,
+};
+
 // TODO: do we actually need the Order? Or can we pull everything we need from fulfillmentOrder fields
-const createHtml = async (fulfillmentOrder, order, errors) => {
+const createHtml = async (
+  fulfillmentOrder,
+  order,
+  errors,
+  branding,
+  parcels,
+) => {
   const lineItems = fulfillmentOrder.lineItems.nodes;
   try {
     let htmlString = htmlTemplate;
     htmlString = htmlString
+      .replace(
+        "{{ brand_logo }}",
+        branding.logoUrl ? `<img class="logo" src="${branding.logoUrl}">` : "",
+      )
+      .replace("{{ brand_title }}", branding.title)
+      .replace("{{ footer }}", branding.footer)
       .replace("{{ order_id }}", fulfillmentOrder.orderName)
       // TODO: orderProcessedAt is not the same as the order's "createdAt" date. Will this be a problem?
       .replace(
@@ -42,18 +60,39 @@ const createHtml = async (fulfillmentOrder, order, errors) => {
       .replace("{{ customer_address }}", getToAddress(fulfillmentOrder));
 
     let tableRows = "";
-    for (let i = 0; i < lineItems.length; i++) {
-      const displayName = getDefaultVariantDisplayName(
-        lineItems[i].variant.displayName,
-      );
-      const newRow = `<tr>
+    if (parcels && parcels.length > 1) {
+      // Tell the packer which items go in which box
+      parcels.forEach((parcel, i) => {
+        for (const item of parcel.items) {
+          const displayName = getDefaultVariantDisplayName(
+            item.lineItem.variant.displayName,
+          );
+          tableRows += `<tr>
+        <td>${i + 1} of ${parcels.length} (${parcel.box.name})</td>
+        <td>${displayName}</td>
+        <td>${item.quantity}</td>
+      </tr>`;
+        }
+      });
+    } else {
+      for (let i = 0; i < lineItems.length; i++) {
+        const displayName = getDefaultVariantDisplayName(
+          lineItems[i].variant.displayName,
+        );
+        const newRow = `<tr>
         <td>${displayName}</td>
         <td>${lineItems[i].totalQuantity}</td>
       </tr>`;
-      tableRows += newRow;
+        tableRows += newRow;
+      }
     }
 
-    htmlString = htmlString.replace("{{ table_body }}", tableRows);
+    htmlString = htmlString
+      .replace(
+        "{{ box_header }}",
+        parcels && parcels.length > 1 ? "<th>Box</th>" : "",
+      )
+      .replace("{{ table_body }}", tableRows);
     return htmlString;
   } catch (err) {
     logger.error(err);
@@ -89,10 +128,19 @@ const convertToPdf = async (htmlString, errors) => {
  * Returns { pdfs: Uint8Array[], errors: string[] }
  * @param {FulfillmentOrder[]} fulfillmentOrders
  * @param {Order} order
+ * @param {Object} options
+ * @param {{title: string, footer: string, logoUrl: string|null}} options.branding - The fulfillment center's packing slip branding
+ * @param {Parcel[]=} options.parcels - When a single fulfillment order ships in several boxes, lists which items go in which box
+ * @param {boolean=} options.fulfilled - The label was bought, so the line items may be fulfilled already, see validateFulfillmentOrder
  * @returns {Promise<CreatePdfsResponse>}
  */
 
-const createPackingSlipPdfs = async (fulfillmentOrders, order) => {
+const createPackingSlipPdfs = async (
+  fulfillmentOrders,
+  order,
+  options = {},
+) => {
+  const branding = { ...DEFAULT_BRANDING, ...options.branding };
   const start = performance.now();
   const pdfs = [];
   const errors = [];
@@ -102,7 +150,11 @@ const createPackingSlipPdfs = async (fulfillmentOrders, order) => {
       `\rProcessing packing slip: ${fulfillmentOrderCount + 1}/${fulfillmentOrders.length}`,
     );
     // check for missing required fields
-    errors.push(...validateFulfillmentOrder(fulfillmentOrders[i]));
+    errors.push(
+      ...validateFulfillmentOrder(fulfillmentOrders[i], {
+        fulfilled: options.fulfilled,
+      }),
+    );
     if (errors.length > 0) {
       errors.push(
         `Packing slip for order ${fulfillmentOrders[i].id} not processed.`,
@@ -110,7 +162,13 @@ const createPackingSlipPdfs = async (fulfillmentOrders, order) => {
       // required field missing, early out
       continue;
     }
-    const htmlString = await createHtml(fulfillmentOrders[i], order, errors);
+    const htmlString = await createHtml(
+      fulfillmentOrders[i],
+      order,
+      errors,
+      branding,
+      options.parcels,
+    );
     pdfs.push(await convertToPdf(htmlString, errors));
     ++fulfillmentOrderCount;
   }
@@ -7,13 +7,15 @@ const htmlTemplate = `
     body { font-family: Arial, sans-serif; font-size: 12px; }
     .footer { text-align: center; margin-block-start: 32px; }
     .address { margin-bottom: 20px; }
+    .logo { max-height: 64px; }
     table { width: 100%; border-collapse: collapse; }
     th, td { border: 1px solid #000; padding: 8px; text-align: left; }
   </style>
 </head>
 <body>
   <div class="header">
-    <h1>Hot Date Kitchen</h1>
+    {{ brand_logo }}
+    <h1>{{ brand_title }}</h1>
     <h2>Packing Slip</h2>
     <p>Order: {{ order_id }}</p>
     <p>Order date: {{ order_date }}</p>
@@ -30,6 +32,7 @@ const htmlTemplate = `
   <table>
     <thead>
       <tr>
+        {{ box_header }}
         <th>Item</th>
         <th>Quantity</th>
       </tr>
@@ -40,7 +43,7 @@ const htmlTemplate = `
   </table>
 
   <div class="footer">
-    <p>Thank you for shopping with us!</p>
+    <p>{{ footer }}</p>
   </div>
 </body>
 </html>
@@ -0,0 +1,373 @@
+// Loads and validates shipping rate rule sets from a JSON or YAML file (config/shipping-rules.json by default, or SHIPPING_RULES_PATH).
+// The file is re-read whenever it changes, so shipping policy can be updated without a deploy. An invalid file is rejected and the last valid rules stay in effect.
+//
+// A rule set is an ordered list of rules, each of which either keeps ("filter") or drops ("exclude") the rates it matches, followed by sort keys used to pick
+// the winner from the remaining rates. A rule matches with either:
+// - "match": an object of conditions on rate fields, all of which must hold, e.g. { "zone": { "gt": 2 }, "carrier": "USPS" }
+// - "expression": a JSONata expression evaluated against the rate, e.g. "carrier = 'USPS' and $number(rate) > 20"
+//
+// Every rate has the EasyPost rate fields (carrier, service, rate, delivery_days, ...) plus the shipment's zone, destination state, weight (ounces), the order's tags,
+// the shipping method the customer chose at checkout (shippingMethod and shippingCode, the Shopify shipping line's title and code, and shippingPrice),
+// and when it's projected to arrive (see carrier-calendar.js):
+// - arrivalDate: "yyyy-MM-dd", e.g. { "arrivalDate": { "lte": "2026-12-23" } } for "arrives by December 23rd"
+// - arrivalDaysAfterShip: Calendar days from the ship day to arrival, so a 2-day rate shipped on a Thursday is 4 if it arrives on Monday
+// - guaranteed: Whether the carrier guarantees the delivery date, e.g. { "guaranteed": true }
+// - deliversOnDayOff: Whether it arrives on a weekend or holiday
+//
+// lt, lte, gt and gte compare numbers, or dates written "yyyy-MM-dd". A "match" field or sort key that isn't one of these (RATE_FIELDS in rules.js)
+// is rejected, since it would never match, or sort nothing.
+//
+// "shippingMethods" (optional) maps Shopify shipping methods to what they promise the customer, applied before the active rule set. Keyed by the
+// shipping line's code or title (case-insensitive), each has either or both of:
+// - services: EasyPost services that can fulfill it, e.g. ["Express", "NextDayAir"]
+// - maxDeliveryDays: Rates taking longer (or with unknown delivery days) are rejected
+// Orders with a shipping method that isn't listed are rated by the rule set alone.
+
+import jsonata from "jsonata";
+import { DateTime } from "luxon";
+import { readConfigFile, createConfigLoader } from "./utils/config-file";
+import { RATE_FIELDS } from "./rules";
+
+export class RuleConfigError extends Error {
+  constructor(message, problems = []) {
+    super(
+      problems.length > 0 ? `${message}:\n- ${problems.join("\n- ")}` : message,
+    );
+    this.name = "RuleConfigError";
+    this.problems = problems;
+  }
+}
+
+export const RULE_TYPES = ["filter", "exclude"];
+export const MATCH_OPERATORS = [
+  "eq",
+  "ne",
+  "in",
+  "notIn",
+  "lt",
+  "lte",
+  "gt",
+  "gte",
+];
+const SORT_ORDERS = ["asc", "desc"];
+
+const DEFAULT_RULES_PATH = `${import.meta.dir}/../config/shipping-rules.json`;
+
+/**
+ * @typedef Rule
+ * @property {string} name
+ * @property {"filter"|"exclude"} type
+ * @property {Object=} match - Conditions keyed by rate field
+ * @property {Object=} expression - Compiled JSONata expression
+ * @property {string=} description
+ */
+
+/**
+ * @typedef RuleSet
+ * @property {string} name
+ * @property {string=} description
+ * @property {Rule[]} rules
+ * @property {{key: string, order: "asc"|"desc"}[]} sort
+ */
+
+/**
+ * @typedef ShippingMethod
+ * @property {string} name - Key in shippingMethods
+ * @property {string[]|null} services
+ * @property {number|null} maxDeliveryDays
+ */
+
+/**
+ * @typedef RuleConfig
+ * @property {string} activeRuleSet
+ * @property {Object<string, RuleSet>} ruleSets
+ * @property {Object<string, ShippingMethod>} shippingMethods - Keyed by lowercased Shopify shipping line code or title
+ */
+
+/**
+ * Validates a raw rule config and compiles its JSONata expressions.
+ * Throws a RuleConfigError listing every problem found.
+ * @param {Object} raw
+ * @returns {RuleConfig}
+ */
+export function parseRuleConfig(raw) {
+  const problems = [];
+  if (!isObject(raw)) {
+    throw new RuleConfigError("Rule config must be an object");
+  }
+  if (!isObject(raw.ruleSets) || Object.keys(raw.ruleSets).length === 0) {
+    throw new RuleConfigError("Rule config must define at least one rule set");
+  }
+  if (!(raw.activeRuleSet in raw.ruleSets)) {
+    problems.push(
+      `activeRuleSet "${raw.activeRuleSet}" is not a defined rule set`,
+    );
+  }
+
+  const ruleSets = {};
+  for (const [name, ruleSet] of Object.entries(raw.ruleSets)) {
+    ruleSets[name] = parseRuleSet(ruleSet, `ruleSets.${name}`, problems);
+    ruleSets[name].name = name;
+  }
+
+  const shippingMethods = parseShippingMethods(raw.shippingMethods, problems);
+
+  if (problems.length > 0) {
+    throw new RuleConfigError("Invalid shipping rule config", problems);
+  }
+  return { activeRuleSet: raw.activeRuleSet, ruleSets, shippingMethods };
+}
+
+function parseShippingMethods(raw, problems) {
+  if (raw === undefined) {
+    return {};
+  }
+  if (!isObject(raw)) {
+    problems.push(
+      "shippingMethods must be an object, keyed by shipping line code or title",
+    );
+    return {};
+  }
+  const shippingMethods = {};
+  for (const [name, method] of Object.entries(raw)) {
+    const path = `shippingMethods.${name}`;
+    if (
+      !isObject(method) ||
+      (method.services === undefined && method.maxDeliveryDays === undefined)
+    ) {
+      problems.push(`${path} must have services, maxDeliveryDays or both`);
+      continue;
+    }
+    if (
+      method.services !== undefined &&
+      !(
+        Array.isArray(method.services) &&
+        method.services.length > 0 &&
+        method.services.every((service) => typeof service === "string")
+      )
+    ) {
+      problems.push(`${path}.services must be a non-empty array of strings`);
+    }
+    if (
+      method.maxDeliveryDays !== undefined &&
+      !(Number.isInteger(method.maxDeliveryDays) && method.maxDeliveryDays > 0)
+    ) {
+      problems.push(
+        `${path}.maxDeliveryDays must be a whole number, 1 or more`,
+      );
+    }
+    shippingMethods[name.toLowerCase()] = {
+      name,
+      services: method.services ?? null,
+      maxDeliveryDays: method.maxDeliveryDays ?? null,
+    };
+  }
+  return shippingMethods;
+}
+
+/**
+ * Validates a single raw rule set, e.g. a candidate rule set that isn't part of the config file.
+ * @param {Object} raw
+ * @param {string} name
+ * @returns {RuleSet}
+ */
+export function parseRuleSetDefinition(raw, name) {
+  const problems = [];
+  const ruleSet = parseRuleSet(raw, name, problems);
+  if (problems.length > 0) {
+    throw new RuleConfigError("Invalid shipping rule set", problems);
+  }
+  return { ...ruleSet, name };
+}
+
+function parseRuleSet(raw, path, problems) {
+  if (!isObject(raw)) {
+    problems.push(`${path} must be an object`);
+    return { rules: [], sort: [] };
+  }
+  if (!Array.isArray(raw.rules)) {
+    problems.push(`${path}.rules must be an array`);
+  }
+  if (raw.sort !== undefined && !Array.isArray(raw.sort)) {
+    problems.push(`${path}.sort must be an array`);
+  }
+
+  const rules = (Array.isArray(raw.rules) ? raw.rules : []).map((rule, i) =>
+    parseRule(rule, `${path}.rules[${i}]`, problems),
+  );
+
+  const sort = (Array.isArray(raw.sort) ? raw.sort : []).map((sortKey, i) => {
+    const sortPath = `${path}.sort[${i}]`;
+    if (typeof sortKey?.key !== "string") {
+      problems.push(`${sortPath}.key must be a string`);
+    } else if (!RATE_FIELDS.includes(sortKey.key)) {
+      problems.push(`${sortPath}.key "${sortKey.key}" is not a rate field`);
+    }
+    const order = sortKey?.order ?? "asc";
+    if (!SORT_ORDERS.includes(order)) {
+      problems.push(
+        `${sortPath}.order must be one of ${SORT_ORDERS.join(", ")}`,
+      );
+    }
+    return { key: sortKey?.key, order };
+  });
+
+  return { description: raw.description, rules, sort };
+}
+
+function parseRule(raw, path, problems) {
+  if (!isObject(raw)) {
+    problems.push(`${path} must be an object`);
+    return {};
+  }
+  const rule = {
+    name: raw.name ?? path,
+    type: raw.type,
+    description: raw.description,
+  };
+  if (!RULE_TYPES.includes(raw.type)) {
+    problems.push(`${path}.type must be one of ${RULE_TYPES.join(", ")}`);
+  }
+  if ((raw.match === undefined) === (raw.expression === undefined)) {
+    problems.push(`${path} must have exactly one of "match" or "expression"`);
+  }
+
+  if (raw.match !== undefined) {
+    if (!isObject(raw.match) || Object.keys(raw.match).length === 0) {
+      problems.push(`${path}.match must be a non-empty object`);
+    } else {
+      for (const [field, condition] of Object.entries(raw.match)) {
+        if (!RATE_FIELDS.includes(field)) {
+          problems.push(`${path}.match.${field} is not a rate field`);
+        }
+        validateCondition(condition, `${path}.match.${field}`, problems);
+      }
+      rule.match = raw.match;
+    }
+  }
+
+  if (raw.expression !== undefined) {
+    try {
+      rule.expression = jsonata(raw.expression);
+      rule.expressionSource = raw.expression;
+    } catch (e) {
+      problems.push(`${path}.expression is not valid JSONata: ${e.message}`);
+    }
+  }
+
+  return rule;
+}
+
+// A condition is a value (equality), an array of values (one of), or an object of operators, e.g. { "gte": 1, "lt": 5 }
+function validateCondition(condition, path, problems) {
+  if (!isObject(condition)) return;
+  const operators = Object.keys(condition);
+  if (operators.length === 0) {
+    problems.push(`${path} must have at least one operator`);
+  }
+  for (const operator of operators) {
+    if (!MATCH_OPERATORS.includes(operator)) {
+      problems.push(
+        `${path}.${operator} is not a known operator (${MATCH_OPERATORS.join(", ")})`,
+      );
+    } else if (
+      ["in", "notIn"].includes(operator) &&
+      !Array.isArray(condition[operator])
+    ) {
+      problems.push(`${path}.${operator} must be an array`);
+    } else if (
+      ["lt", "lte", "gt", "gte"].includes(operator) &&
+      typeof condition[operator] !== "number" &&
+      !DateTime.fromFormat(String(condition[operator]), "yyyy-MM-dd").isValid
+    ) {
+      problems.push(
+        `${path}.${operator} must be a number, or a date "yyyy-MM-dd"`,
+      );
+    }
+  }
+}
+
+/**
+ * Reads and validates a rule config file. YAML files must end in .yaml or .yml.
+ * @param {string} path
+ * @returns {Promise<RuleConfig>}
+ */
+export async function loadRuleConfig(path) {
+  let raw;
+  try {
+    raw = await readConfigFile(path);
+  } catch (e) {
+    throw new RuleConfigError(`Could not parse ${path}: ${e.message}`);
+  }
+  return parseRuleConfig(raw);
+}
+
+/**
+ * Returns the current rule config, re-reading the file if it has changed since it was last loaded.
+ * @returns {Promise<RuleConfig>}
+ */
+export const getRuleConfig = createConfigLoader({
+  description: "shipping rules",
+  path: () => Bun.env.SHIPPING_RULES_PATH ?? DEFAULT_RULES_PATH,
+  load: loadRuleConfig,
+});
+
+/**
+ * @param {string=} name - Defaults to the config's activeRuleSet
+ * @returns {Promise<RuleSet>}
+ */
+export async function getRuleSet(name) {
+  const config = await getRuleConfig();
+  const ruleSetName = name ?? config.activeRuleSet;
+  const ruleSet = config.ruleSets[ruleSetName];
+  if (!ruleSet) {
+    throw new RuleConfigError(`Unknown rule set "${ruleSetName}"`);
+  }
+  return ruleSet;
+}
+
+/**
+ * @typedef ShippingLine
+ * @property {string|null} title - e.g. "Overnight"
+ * @property {string|null} code
+ * @property {number|null} price - What the customer paid for shipping, in dollars
+ */
+
+/**
+ * The shipping method the customer chose at checkout.
+ * @param {Order} order - See Order.byId in gql.js
+ * @returns {ShippingLine|null} null if the order has no shipping line (e.g. local pickup)
+ */
+export function orderShippingLine(order) {
+  const shippingLine = order.shippingLines?.nodes[0];
+  if (!shippingLine) {
+    return null;
+  }
+  const price = shippingLine.originalPriceSet?.shopMoney.amount;
+  return {
+    title: shippingLine.title ?? null,
+    code: shippingLine.code ?? null,
+    price: price == null ? null : Number(price),
+  };
+}
+
+/**
+ * Looks up a shipping line in the config's shippingMethods, by code first, then title.
+ * @param {ShippingLine|null} shippingLine
+ * @returns {Promise<ShippingMethod|null>} null if the shipping method isn't mapped
+ */
+export async function getShippingMethod(shippingLine) {
+  if (!shippingLine) {
+    return null;
+  }
+  const { shippingMethods } = await getRuleConfig();
+  return (
+    shippingMethods[shippingLine.code?.toLowerCase()] ??
+    shippingMethods[shippingLine.title?.toLowerCase()] ??
+    null
+  );
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
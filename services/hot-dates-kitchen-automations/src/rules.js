@@ -1,65 +1,368 @@
-import jsonata from "jsonata";
 import logger from "./utils/logger";
+import { getRuleSet } from "./rule-config";
+import { DateTime } from "luxon";
+import { isDayOff } from "./ship-days";
+import {
+  getCarrierCalendar,
+  carrierDeliveryDays,
+  projectedArrivalDate,
+} from "./carrier-calendar";
 
 export class NoSuitableRatesError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {DecisionTrace=} options.trace - Why each rate was rejected
+   */
   constructor(message, options) {
     super(message, options);
     this.name = "NoSuitableRatesError";
+    this.trace = options?.trace;
   }
 }
 
-export default async function (easypostShipment) {
-  // TODO: Implement rules
-  // Until an interface for rules is designed, just hardcode the rules, which are:
-  // This function should return an easypost rate ID
+/**
+ * @typedef TracedRate
+ * @property {string} id
+ * @property {string} carrier
+ * @property {string} service
+ * @property {string} rate
+ * @property {number|null} delivery_days
+ * @property {string|null} arrival_date - Projected, "yyyy-MM-dd"
+ * @property {"chosen"|"passed"|"rejected"} outcome
+ * @property {string|null} rule - Name of the rule that rejected the rate
+ * @property {string} reason
+ */
+
+/**
+ * @typedef DecisionTrace
+ * @property {string} ruleSet - Name of the rule set applied
+ * @property {TracedRate[]} rates - Every candidate rate, in the order EasyPost returned them
+ * @property {TracedRate|null} chosen
+ */
+
+/**
+ * @typedef RateDecision
+ * @property {Object} chosenRate - The chosen EasyPost rate
+ * @property {DecisionTrace} trace
+ */
+
+/**
+ * Chooses a rate from an EasyPost shipment by applying a rule set (see rule-config.js), and explains why every rate was accepted or rejected.
+ * @param {Object} easypostShipment - EasyPost shipment or order, including its rates
+ * @param {Object} context - Order details the rules can match on
+ * @param {string[]} context.tags - Shopify order tags
+ * @param {string[]=} context.allowedCarriers - Carriers the fulfillment center can use, applied before the rule set
+ * @param {ShippingLine=} context.shippingLine - Shipping method the customer chose at checkout
+ * @param {ShippingMethod=} context.shippingMethod - What that shipping method allows, applied before the rule set. See rule-config.js.
+ * @param {DateTime=} context.shipDay - Day the label is for, if the fulfillment center has a ship-day calendar (see ship-days.js): rates
+ *   arriving on a weekend or holiday are rejected before the rule set. Arrival dates are projected from today otherwise.
+ * @param {string[]=} context.holidays - "yyyy-MM-dd", days the fulfillment center's packages shouldn't arrive, besides weekends and carrier holidays
+ * @param {RuleSet=} ruleSet - Defaults to the active rule set
+ * @returns {Promise<RateDecision>}
+ */
+export default async function (easypostShipment, context = {}, ruleSet) {
+  ruleSet ??= await getRuleSet();
 
   const rates = easypostShipment.rates;
 
   if (Array.isArray(rates) && rates.length === 0) {
-    throw new NoSuitableRatesError("Easypost shipment returned zero rates");
+    throw new NoSuitableRatesError("Easypost shipment returned zero rates", {
+      trace: { ruleSet: ruleSet.name, rates: [], chosen: null },
+    });
   }
 
-  const zone = easypostShipment.usps_zone;
-
   logger.debug("Rates:\n" + JSON.stringify(rates, null, 2));
 
-  let chosenRate;
+  const traced = rates.map((rate) => ({
+    id: rate.id,
+    carrier: rate.carrier,
+    service: rate.service,
+    rate: rate.rate,
+    delivery_days: rate.delivery_days,
+    outcome: "passed",
+    rule: null,
+    reason: "",
+  }));
 
-  // Farzad's logic
-  const ratesFor2DaysOrLess = await jsonata(
-    "$[delivery_days<=2] ~> $sort(function($l, $r) {$number($l.rate) > $number($r.rate)})",
-  ).evaluate(rates);
+  const calendar = await getCarrierCalendar();
+  const shipDay = context.shipDay ?? DateTime.now().startOf("day");
+  let candidates = rates.map((rate, i) => {
+    const fields = rateFields(rate, easypostShipment, context, {
+      calendar,
+      shipDay,
+    });
+    traced[i].arrival_date = fields.arrivalDate;
+    return { rate, trace: traced[i], fields };
+  });
 
-  logger.debug(
-    "Rates for 2 days or less:\n" +
-      JSON.stringify(ratesFor2DaysOrLess, null, 2),
+  for (const rule of [...contextRules(context), ...ruleSet.rules]) {
+    const matches = await Promise.all(
+      candidates.map((candidate) => ruleMatches(rule, candidate.fields)),
+    );
+    candidates = candidates.filter((candidate, i) => {
+      const kept = rule.type === "filter" ? matches[i] : !matches[i];
+      if (!kept) {
+        candidate.trace.outcome = "rejected";
+        candidate.trace.rule = rule.name;
+        candidate.trace.reason =
+          rule.type === "filter"
+            ? `did not match filter ${rule.name} (${describeRule(rule, candidate.fields)})`
+            : `matched exclusion ${rule.name} (${describeRule(rule, candidate.fields)})`;
+      }
+      return kept;
+    });
+    logger.debug(
+      `Rule ${rule.name} (${rule.type}) left ${candidates.length} rates`,
+    );
+  }
+
+  candidates.sort((a, b) =>
+    compareBySortKeys(ruleSet.sort, a.fields, b.fields),
   );
 
-  if (ratesFor2DaysOrLess === undefined) {
-    throw new NoSuitableRatesError("No rates for 2 days or less");
-  }
+  const sortDescription =
+    ruleSet.sort.length > 0
+      ? ruleSet.sort.map(({ key, order }) => `${key} ${order}`).join(", ")
+      : "original order";
+  candidates.forEach((candidate, i) => {
+    candidate.trace.outcome = i === 0 ? "chosen" : "passed";
+    candidate.trace.reason = `passed all rules, ranked ${i + 1} of ${candidates.length} by ${sortDescription}`;
+  });
+
+  const trace = {
+    ruleSet: ruleSet.name,
+    rates: traced,
+    chosen: candidates[0]?.trace ?? null,
+  };
+  logger.debug(formatDecisionTrace(trace));
 
-  // 1. Only choose rates that have expected delivery of 2 days or less
-  // 2. If the usps zone is 3 or higher, don't choose USPS as the carrier (zones 1-2 can use any carrier)
-  if (zone > 2) {
-    const nonUSPSRates = ratesFor2DaysOrLess.filter(
-      (rate) => rate.carrier !== "USPS",
+  const chosenRate = candidates[0]?.rate;
+  if (chosenRate === undefined) {
+    throw new NoSuitableRatesError(
+      `No rates passed the rules in rule set ${ruleSet.name}`,
+      { trace },
     );
-    logger.debug(
-      "Cheapest non-USPS rate:\n" + JSON.stringify(nonUSPSRates?.[0], null, 2),
+  }
+
+  return { chosenRate, trace };
+}
+
+/**
+ * Formats a decision trace as plain text, one line per rate, for emails and logs.
+ * @param {DecisionTrace} trace
+ * @returns {string}
+ */
+export function formatDecisionTrace(trace) {
+  if (!trace) {
+    return "No decision trace available";
+  }
+  const lines = [`Rule set: ${trace.ruleSet}`];
+  if (trace.rates.length === 0) {
+    lines.push("No rates available");
+  }
+  for (const rate of trace.rates) {
+    lines.push(
+      `- [${rate.outcome.toUpperCase()}] ${rate.carrier} ${rate.service}: $${rate.rate} (${rate.delivery_days} days${rate.arrival_date ? `, arrives ${rate.arrival_date}` : ""}) - ${rate.reason}`,
     );
-    chosenRate = nonUSPSRates?.[0];
-  } else {
-    chosenRate = ratesFor2DaysOrLess?.[0];
   }
+  return lines.join("\n");
+}
 
-  logger.debug(
-    "Cheapest rate:\n" + JSON.stringify(ratesFor2DaysOrLess?.[0], null, 2),
+// e.g. "zone gt 2 (was 5) and carrier = USPS (was USPS)"
+function describeRule(rule, fields) {
+  if (rule.expression) {
+    return `expression: ${rule.expressionSource}`;
+  }
+  return Object.entries(rule.match)
+    .map(
+      ([field, condition]) =>
+        `${field} ${describeCondition(condition)} (was ${JSON.stringify(fields[field] ?? null)})`,
+    )
+    .join(" and ");
+}
+
+function describeCondition(condition) {
+  if (Array.isArray(condition)) {
+    return `in [${condition.join(", ")}]`;
+  }
+  if (condition === null || typeof condition !== "object") {
+    return `= ${condition}`;
+  }
+  return Object.entries(condition)
+    .map(([operator, operand]) =>
+      Array.isArray(operand)
+        ? `${operator} [${operand.join(", ")}]`
+        : `${operator} ${operand}`,
+    )
+    .join(", ");
+}
+
+// Rules that come from the order (where it ships from, and the shipping method the customer chose), rather than from the rule set
+function contextRules(context) {
+  const contextRules = [];
+  if (context.allowedCarriers) {
+    contextRules.push({
+      name: "fulfillment-center-carriers",
+      type: "filter",
+      match: { carrier: context.allowedCarriers },
+    });
+  }
+  // Honor what the customer paid for, e.g. no 2-day label for overnight, and no overnight label for standard
+  const method = context.shippingMethod;
+  if (method?.services) {
+    contextRules.push({
+      name: `shipping-method-${method.name}-services`,
+      type: "filter",
+      match: { service: method.services },
+    });
+  }
+  if (method?.maxDeliveryDays) {
+    contextRules.push({
+      name: `shipping-method-${method.name}-delivery-days`,
+      type: "filter",
+      match: { delivery_days: { lte: method.maxDeliveryDays } },
+    });
+  }
+  // Perishables mustn't sit in a warehouse waiting for Monday
+  if (context.shipDay) {
+    contextRules.push({
+      name: "no-weekend-or-holiday-delivery",
+      type: "exclude",
+      match: { deliversOnDayOff: true },
+    });
+  }
+  return contextRules;
+}
+
+// The fields a rule can match on or sort by, see rateFields()
+// https://docs.easypost.com/docs/shipments/rates#rate-object
+export const RATE_FIELDS = [
+  "id",
+  "object",
+  "mode",
+  "created_at",
+  "updated_at",
+  "carrier",
+  "carrier_account_id",
+  "service",
+  "rate",
+  "currency",
+  "retail_rate",
+  "retail_currency",
+  "list_rate",
+  "list_currency",
+  "billing_type",
+  "delivery_days",
+  "delivery_date",
+  "delivery_date_guaranteed",
+  "est_delivery_days",
+  "shipment_id",
+  "zone",
+  "state",
+  "weight",
+  "tags",
+  "shippingMethod",
+  "shippingCode",
+  "shippingPrice",
+  "arrivalDate",
+  "arrivalDaysAfterShip",
+  "guaranteed",
+  "deliversOnDayOff",
+];
+
+// The fields a rule can match on: the EasyPost rate itself, plus details of the shipment and order.
+// For an EasyPost order (several boxes), weight is the total across its shipments.
+function rateFields(rate, easypostShipment, context, { calendar, shipDay }) {
+  const shipments = easypostShipment.shipments;
+  const zone = shipments ? shipments[0]?.usps_zone : easypostShipment.usps_zone;
+  const weight = shipments
+    ? shipments.reduce((acc, shipment) => acc + shipment.parcel.weight, 0)
+    : (easypostShipment.parcel?.weight ?? null);
+  const arrivalDate = projectedArrivalDate(rate, shipDay, calendar);
+  return {
+    ...rate,
+    rate: Number(rate.rate),
+    zone: zone == null ? null : Number(zone),
+    state: easypostShipment.to_address?.state ?? null,
+    weight,
+    tags: context.tags ?? [],
+    shippingMethod: context.shippingLine?.title ?? null,
+    shippingCode: context.shippingLine?.code ?? null,
+    shippingPrice: context.shippingLine?.price ?? null,
+    arrivalDate,
+    // Rounded, since a day can be 23 or 25 hours around daylight saving changes
+    arrivalDaysAfterShip: arrivalDate
+      ? Math.round(
+          DateTime.fromISO(arrivalDate, { zone: shipDay.zone })
+            .diff(shipDay.startOf("day"), "days")
+            .as("days"),
+        )
+      : null,
+    guaranteed: rate.delivery_date_guaranteed === true,
+    deliversOnDayOff: arrivalDate
+      ? isDayOff(arrivalDate, [
+          ...(context.holidays ?? []),
+          ...carrierDeliveryDays(calendar, rate.carrier).holidays,
+        ])
+      : null,
+  };
+}
+
+async function ruleMatches(rule, fields) {
+  if (rule.expression) {
+    return Boolean(await rule.expression.evaluate(fields));
+  }
+  return Object.entries(rule.match).every(([field, condition]) =>
+    conditionMatches(condition, fields[field]),
   );
+}
 
-  if (chosenRate === undefined) {
-    throw new NoSuitableRatesError(`chosenRate: ${chosenRate}`);
+// Array fields (e.g. tags) match if any of their values match
+function conditionMatches(condition, value) {
+  if (Array.isArray(value)) {
+    return value.some((v) => conditionMatches(condition, v));
+  }
+  if (Array.isArray(condition)) {
+    return condition.includes(value);
+  }
+  if (condition === null || typeof condition !== "object") {
+    return value === condition;
   }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "eq":
+        return value === operand;
+      case "ne":
+        return value !== operand;
+      case "in":
+        return operand.includes(value);
+      case "notIn":
+        return !operand.includes(value);
+      case "lt":
+        return value != null && value < operand;
+      case "lte":
+        return value != null && value <= operand;
+      case "gt":
+        return value != null && value > operand;
+      case "gte":
+        return value != null && value >= operand;
+      default:
+        return false;
+    }
+  });
+}
 
-  return chosenRate;
+// Missing values always sort last
+function compareBySortKeys(sortKeys, a, b) {
+  for (const { key, order } of sortKeys) {
+    const left = a[key];
+    const right = b[key];
+    if (left === right) continue;
+    if (left == null) return 1;
+    if (right == null) return -1;
+    const comparison = left < right ? -1 : 1;
+    return order === "desc" ? -comparison : comparison;
+  }
+  return 0;
 }
@@ -0,0 +1,55 @@
+// Ship-day calendar of a fulfillment center (see shipDays in fulfillment-centers.js). We ship food, so a label is only bought for a day the center
+// ships, and not for a delivery that would sit in a carrier's warehouse over a weekend or holiday.
+
+import { DateTime } from "luxon";
+
+const WEEKEND = [6, 7];
+
+/**
+ * The next day the center ships: today if it's a ship day and before the cutoff, otherwise the next weekday that isn't a holiday.
+ * @param {ShipDays} shipDays
+ * @param {DateTime=} now
+ * @returns {DateTime} Start of the ship day, in the center's timezone
+ */
+export function nextShipDay(shipDays, now = DateTime.now()) {
+  const local = now.setZone(shipDays.timezone);
+  const [hour, minute] = shipDays.cutoff.split(":").map(Number);
+  let day = local.startOf("day");
+  if (local >= day.set({ hour, minute })) {
+    day = day.plus({ days: 1 });
+  }
+  // Bounded, in case every ship day in the coming year is a holiday
+  for (let i = 0; i < 366; i++) {
+    if (isShipDay(shipDays, day)) {
+      return day;
+    }
+    day = day.plus({ days: 1 });
+  }
+  throw new Error(
+    `No ship day in the next year, check weekdays and holidays in the fulfillment center config`,
+  );
+}
+
+/**
+ * @param {ShipDays} shipDays
+ * @param {DateTime} day
+ * @returns {boolean}
+ */
+export function isShipDay(shipDays, day) {
+  return (
+    shipDays.weekdays.includes(day.weekday) &&
+    !shipDays.holidays.includes(day.toISODate())
+  );
+}
+
+/**
+ * Whether a package delivered on a day would be left waiting, on a weekend or a holiday.
+ * @param {string} date - "yyyy-MM-dd"
+ * @param {string[]} holidays - "yyyy-MM-dd"
+ * @returns {boolean}
+ */
+export function isDayOff(date, holidays) {
+  return (
+    WEEKEND.includes(DateTime.fromISO(date).weekday) || holidays.includes(date)
+  );
+}
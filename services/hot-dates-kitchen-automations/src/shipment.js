@@ -0,0 +1,160 @@
+// Building EasyPost shipments from Shopify fulfillment orders
+
+import { packParcels } from "./packaging";
+import { toOunces } from "./utils/weight";
+
+/**
+ * Builds the EasyPost shipment to rate and buy for a fulfillment order.
+ * @param {FulfillmentOrder} fulfillmentOrder
+ * @param {Object} options
+ * @param {"production"|"test"} options.mode
+ * @param {FulfillmentCenter} options.center - The fulfillment center the order ships from
+ * @param {Parcel} options.parcel - See packFulfillmentOrder
+ * @param {DateTime=} options.shipDay - Day the label is for, if not today. See ship-days.js.
+ * @returns {Object} EasyPost shipment
+ */
+export function buildShipment(
+  fulfillmentOrder,
+  { mode, center, parcel, shipDay },
+) {
+  return {
+    from_address: {
+      name: center.name,
+      street1: fulfillmentOrder.assignedLocation.address1,
+      street2: fulfillmentOrder.assignedLocation.address2,
+      city: fulfillmentOrder.assignedLocation.city,
+      state: fulfillmentOrder.assignedLocation.province,
+      zip: fulfillmentOrder.assignedLocation.zip,
+      country: fulfillmentOrder.assignedLocation.countryCode,
+      phone: fulfillmentOrder.assignedLocation.phone,
+    },
+    to_address: {
+      name:
+        fulfillmentOrder.destination.firstName +
+        " " +
+        fulfillmentOrder.destination.lastName,
+      street1: fulfillmentOrder.destination.address1,
+      street2: fulfillmentOrder.destination.address2,
+      city: fulfillmentOrder.destination.city,
+      state: fulfillmentOrder.destination.province,
+      zip: fulfillmentOrder.destination.zip,
+      country: fulfillmentOrder.destination.countryCode,
+      phone: fulfillmentOrder.destination.phone,
+      email: fulfillmentOrder.destination.email,
+    },
+    parcel: buildParcel(parcel, mode),
+    ...labelOptions(shipDay),
+  };
+}
+
+/**
+ * Builds an EasyPost order, for fulfillment orders packed in more than one box. An order is rated and bought as a whole, with one label per parcel.
+ * https://docs.easypost.com/docs/orders
+ * @param {FulfillmentOrder} fulfillmentOrder
+ * @param {Object} options
+ * @param {"production"|"test"} options.mode
+ * @param {FulfillmentCenter} options.center
+ * @param {Parcel[]} options.parcels
+ * @param {DateTime=} options.shipDay
+ * @returns {Object} EasyPost order
+ */
+export function buildEasyPostOrder(
+  fulfillmentOrder,
+  { mode, center, parcels, shipDay },
+) {
+  const { from_address, to_address } = buildShipment(fulfillmentOrder, {
+    mode,
+    center,
+    parcel: parcels[0],
+  });
+  return {
+    from_address,
+    to_address,
+    shipments: parcels.map((parcel) => ({ parcel: buildParcel(parcel, mode) })),
+    ...labelOptions(shipDay),
+  };
+}
+
+// Rates and the label's ship date are for the day the package is handed to the carrier
+function labelOptions(shipDay) {
+  return shipDay ? { options: { label_date: shipDay.toISO() } } : {};
+}
+
+// Easypost parcels take dimensions in inches, and only require the weight
+function buildParcel(parcel, mode) {
+  if (!parcel.box) {
+    return { mode, weight: parcel.weight };
+  }
+  return {
+    mode,
+    length: parcel.box.length,
+    width: parcel.box.width,
+    height: parcel.box.height,
+    weight: parcel.weight,
+  };
+}
+
+/**
+ * Packs a fulfillment order's line items into one or more boxes.
+ * @param {FulfillmentOrder} fulfillmentOrder
+ * @param {PackagingConfig} packaging
+ * @returns {Parcel[]} Each parcel's items include the Shopify lineItem
+ * @throws {NoSuitableBoxError}
+ */
+export function packFulfillmentOrder(fulfillmentOrder, packaging) {
+  const items = fulfillmentOrder.lineItems.nodes.map((lineItem) => ({
+    lineItem,
+    sku: lineItem.sku,
+    quantity: lineItem.totalQuantity,
+    unitWeight: toOunces(lineItem.weight),
+  }));
+  return packParcels(items, packaging);
+}
+
+/**
+ * Retrieves an EasyPost shipment or order (see buildEasyPostOrder) by ID.
+ * @param {EasyPostClient} easypost
+ * @param {string} id - "shp_..." or "order_..."
+ * @returns {Promise<Object>}
+ */
+export async function retrieveRatedShipment(easypost, id) {
+  return id.startsWith("order_")
+    ? await easypost.retrieveOrder(id)
+    : await easypost.retrieveShipment(id);
+}
+
+/**
+ * The EasyPost shipments a purchase produced a label for: the shipment itself, or each shipment of an order.
+ * @param {Object} label - EasyPost shipment or order
+ * @returns {Object[]}
+ */
+export function purchasedShipments(label) {
+  return label.shipments ?? [label];
+}
+
+/**
+ * @param {Object} label - EasyPost shipment or order
+ * @returns {boolean} Whether every parcel has a label
+ */
+export function isPurchased(label) {
+  const shipments = purchasedShipments(label);
+  return (
+    shipments.length > 0 &&
+    shipments.every((shipment) => shipment.postage_label)
+  );
+}
+
+/**
+ * The rate a shipment or order was bought at. An order's shipments each have their own selected rate, so this finds the order rate for their carrier and service.
+ * @param {Object} label - EasyPost shipment or order
+ * @returns {Object|undefined}
+ */
+export function purchasedRate(label) {
+  if (!label.shipments) {
+    return label.selected_rate;
+  }
+  const { carrier, service } = label.shipments[0].selected_rate;
+  return label.rates?.find(
+    (rate) => rate.carrier === carrier && rate.service === service,
+  );
+}
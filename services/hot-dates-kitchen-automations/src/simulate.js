@@ -0,0 +1,222 @@
+// Dry-runs rate selection against a shipment, with the current rule set and optionally a candidate rule set, so that rule changes can be tested
+// without waiting for a real order. Nothing is purchased or emailed: order shipments are only ever created with the EasyPost test API key.
+
+import { ShopifyClient } from "./common/shopify";
+import { EasyPostClient } from "./common/easypost";
+import { fetchOrder } from "./orders";
+import rules, { NoSuitableRatesError } from "./rules";
+import {
+  getRuleSet,
+  parseRuleSetDefinition,
+  orderShippingLine,
+  getShippingMethod,
+} from "./rule-config";
+import {
+  buildShipment,
+  buildEasyPostOrder,
+  packFulfillmentOrder,
+} from "./shipment";
+import { getFulfillmentCenter } from "./fulfillment-centers";
+import { getPackagingConfig } from "./packaging";
+import { nextShipDay } from "./ship-days";
+import logger from "./utils/logger";
+
+export class SimulationInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SimulationInputError";
+  }
+}
+
+/**
+ * @typedef SimulationOutcome
+ * @property {string} ruleSet
+ * @property {Object|null} chosenRate
+ * @property {string|null} error - Why no rate was chosen
+ * @property {DecisionTrace} trace
+ */
+
+/**
+ * @typedef Simulation
+ * @property {string|null} fulfillmentOrderId - Only set when simulating a Shopify order
+ * @property {string|null} shipmentId
+ * @property {SimulationOutcome} current
+ * @property {SimulationOutcome|null} candidate
+ * @property {Object|null} differences
+ */
+
+/**
+ * Either `shipment` or `orderId` is required.
+ * @param {Object} options
+ * @param {Object=} options.shipment - A rated EasyPost shipment, e.g. saved from the debug logs
+ * @param {string=} options.orderId - Shopify order ID (gid://shopify/Order/...) to fetch and rate in test mode
+ * @param {string[]=} options.tags - Order tags to match on, when simulating a saved shipment
+ * @param {ShippingLine=} options.shippingLine - Checkout shipping method to match on, when simulating a saved shipment, e.g. { "title": "Overnight" }
+ * @param {Object|string=} options.candidateRuleSet - Rule set definition, or the name of a rule set in the config
+ * @returns {Promise<Simulation[]>}
+ */
+export async function simulateRates({
+  shipment,
+  orderId,
+  tags = [],
+  shippingLine = null,
+  candidateRuleSet,
+}) {
+  if ((shipment == null) === (orderId == null)) {
+    throw new SimulationInputError(
+      'Provide exactly one of "shipment" or "orderId"',
+    );
+  }
+
+  const currentRuleSet = await getRuleSet();
+  const candidate = await resolveCandidateRuleSet(candidateRuleSet);
+
+  let shipments;
+  if (shipment != null) {
+    if (!Array.isArray(shipment.rates)) {
+      throw new SimulationInputError(
+        "Shipment must be a rated EasyPost shipment (with a rates array)",
+      );
+    }
+    const context = {
+      tags,
+      shippingLine,
+      shippingMethod: await getShippingMethod(shippingLine),
+    };
+    shipments = [{ fulfillmentOrderId: null, shipment, context }];
+  } else {
+    shipments = await rateOrderInTestMode(orderId);
+  }
+
+  const simulations = [];
+  for (const { fulfillmentOrderId, shipment, context } of shipments) {
+    const current = await simulate(shipment, context, currentRuleSet);
+    const candidateOutcome = candidate
+      ? await simulate(shipment, context, candidate)
+      : null;
+    simulations.push({
+      fulfillmentOrderId,
+      shipmentId: shipment.id ?? null,
+      current,
+      candidate: candidateOutcome,
+      differences: candidateOutcome ? compare(current, candidateOutcome) : null,
+    });
+  }
+  return simulations;
+}
+
+async function resolveCandidateRuleSet(candidateRuleSet) {
+  if (candidateRuleSet == null) {
+    return null;
+  }
+  if (typeof candidateRuleSet === "string") {
+    return await getRuleSet(candidateRuleSet);
+  }
+  return parseRuleSetDefinition(candidateRuleSet, "candidate");
+}
+
+async function rateOrderInTestMode(orderId) {
+  const apiKey = Bun.env.EASYPOST_TEST_API_KEY;
+  if (!apiKey) {
+    throw new Error(
+      "EASYPOST_TEST_API_KEY must be set to simulate rates for an order",
+    );
+  }
+  const easypost = new EasyPostClient({ apiKey });
+  const shopify = new ShopifyClient();
+
+  const order = await fetchOrder(shopify, orderId);
+  if (!order) {
+    throw new SimulationInputError(`Order ${orderId} not found`);
+  }
+
+  const packaging = await getPackagingConfig();
+  const shippingLine = orderShippingLine(order);
+  const shippingMethod = await getShippingMethod(shippingLine);
+  const shipments = [];
+  for (const fulfillmentOrder of order.fulfillmentOrders.nodes) {
+    const center = await getFulfillmentCenter(
+      fulfillmentOrder.assignedLocation.location?.id,
+    );
+    const parcels = packFulfillmentOrder(fulfillmentOrder, packaging);
+    const shipDay = center.shipDays ? nextShipDay(center.shipDays) : null;
+    const shipment =
+      parcels.length > 1
+        ? await easypost.createOrder(
+            buildEasyPostOrder(fulfillmentOrder, {
+              mode: "test",
+              center,
+              parcels,
+              shipDay,
+            }),
+          )
+        : await easypost.createShipment(
+            buildShipment(fulfillmentOrder, {
+              mode: "test",
+              center,
+              parcel: parcels[0],
+              shipDay,
+            }),
+          );
+    logger.info(
+      `Created test EasyPost ${parcels.length > 1 ? "order" : "shipment"} ${shipment.id} for fulfillment order ${fulfillmentOrder.id}, received ${shipment.rates?.length || 0} rates`,
+    );
+    shipments.push({
+      fulfillmentOrderId: fulfillmentOrder.id,
+      shipment: { ...shipment, rates: shipment.rates ?? [] },
+      context: {
+        tags: order.tags,
+        allowedCarriers: center.allowedCarriers,
+        shippingLine,
+        shippingMethod,
+        shipDay,
+        holidays: center.shipDays?.holidays,
+      },
+    });
+  }
+  return shipments;
+}
+
+async function simulate(shipment, context, ruleSet) {
+  try {
+    const { chosenRate, trace } = await rules(shipment, context, ruleSet);
+    return { ruleSet: ruleSet.name, chosenRate, error: null, trace };
+  } catch (e) {
+    if (e instanceof NoSuitableRatesError) {
+      return {
+        ruleSet: ruleSet.name,
+        chosenRate: null,
+        error: e.message,
+        trace: e.trace,
+      };
+    }
+    throw e;
+  }
+}
+
+function compare(current, candidate) {
+  const candidateRates = new Map(
+    candidate.trace.rates.map((rate) => [rate.id, rate]),
+  );
+  return {
+    chosenRateChanged: current.chosenRate?.id !== candidate.chosenRate?.id,
+    // Positive when the candidate rule set would spend more
+    costDifference:
+      current.chosenRate && candidate.chosenRate
+        ? (
+            Number(candidate.chosenRate.rate) - Number(current.chosenRate.rate)
+          ).toFixed(2)
+        : null,
+    rates: current.trace.rates
+      .filter((rate) => candidateRates.get(rate.id)?.outcome !== rate.outcome)
+      .map((rate) => ({
+        id: rate.id,
+        carrier: rate.carrier,
+        service: rate.service,
+        rate: rate.rate,
+        current: rate.outcome,
+        candidate: candidateRates.get(rate.id)?.outcome,
+        candidateReason: candidateRates.get(rate.id)?.reason,
+      })),
+  };
+}
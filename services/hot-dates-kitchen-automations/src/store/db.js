@@ -0,0 +1,110 @@
+// Local persistence layer (SQLite via bun:sqlite)
+// The database file must live outside of the release directory so that it survives deploys (see deploy.sh).
+
+import { Database } from "bun:sqlite";
+import { existsSync, mkdirSync, realpathSync } from "node:fs";
+import { dirname, relative, resolve, isAbsolute } from "node:path";
+import migrations from "./migrations";
+import logger from "../utils/logger";
+
+let db;
+
+export class DatabasePathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DatabasePathError";
+  }
+}
+
+/**
+ * Opens a database at the given path and brings its schema up to date.
+ * @param {string} path - File path, or ":memory:"
+ * @returns {Database}
+ */
+export function openDb(path) {
+  if (path !== ":memory:") {
+    mkdirSync(dirname(path), { recursive: true });
+  }
+  const database = new Database(path, { create: true, strict: true });
+  database.exec("PRAGMA journal_mode = WAL;");
+  database.exec("PRAGMA busy_timeout = 5000;");
+  migrate(database);
+  return database;
+}
+
+/**
+ * Where the database lives: DATABASE_PATH, or data/automations.sqlite in the working directory during development. Tests get an in-memory
+ * database unless DATABASE_PATH is set. In production the working directory is a release directory that deploy.sh deletes a few deploys later,
+ * taking the job queue and the fulfillment order state (and with it the guarantee against buying a second label) with it, so DATABASE_PATH
+ * is required and must point outside of it.
+ * @param {Object} [env] - Defaults to Bun.env
+ * @param {string} [cwd] - The release directory in production
+ * @returns {string}
+ * @throws {DatabasePathError}
+ */
+export function databasePath(env = Bun.env, cwd = process.cwd()) {
+  if (env.NODE_ENV !== "production") {
+    return (
+      env.DATABASE_PATH ??
+      (env.NODE_ENV === "test" ? ":memory:" : "data/automations.sqlite")
+    );
+  }
+  if (!env.DATABASE_PATH) {
+    throw new DatabasePathError(
+      "DATABASE_PATH must be set in production, e.g. to the shared directory deploy.sh creates",
+    );
+  }
+  const path = resolve(cwd, env.DATABASE_PATH);
+  if (isInside(canonicalPath(path), canonicalPath(cwd))) {
+    throw new DatabasePathError(
+      `DATABASE_PATH ${path} is inside the release directory ${cwd}, which is replaced on deploy`,
+    );
+  }
+  return path;
+}
+
+/**
+ * Returns the shared database connection, opening it on first use.
+ * @returns {Database}
+ * @throws {DatabasePathError}
+ */
+export function getDb() {
+  if (!db) {
+    const path = databasePath();
+    db = openDb(path);
+    logger.info(`Opened database at ${path}`);
+  }
+  return db;
+}
+
+// Resolves symlinks (e.g. deploy.sh's "current" link to the release directory) as far as the path exists
+function canonicalPath(path) {
+  if (existsSync(path)) {
+    return realpathSync(path);
+  }
+  const parent = dirname(path);
+  return parent === path
+    ? path
+    : resolve(canonicalPath(parent), relative(parent, path));
+}
+
+function isInside(path, directory) {
+  const fromDirectory = relative(directory, path);
+  return (
+    fromDirectory === "" ||
+    (!fromDirectory.startsWith("..") && !isAbsolute(fromDirectory))
+  );
+}
+
+// Migrations are applied in order and tracked with SQLite's user_version pragma, so never edit or reorder an existing migration; append a new one instead.
+function migrate(database) {
+  const { user_version: currentVersion } = database
+    .query("PRAGMA user_version")
+    .get();
+  for (let i = currentVersion; i < migrations.length; i++) {
+    database.transaction(() => {
+      database.exec(migrations[i]);
+      database.exec(`PRAGMA user_version = ${i + 1}`);
+    })();
+  }
+}
@@ -0,0 +1,579 @@
+// Per-fulfillment-order processing state.
+// Each step of the label pipeline (shipment created, label purchased, fulfillment created, email sent) is recorded as soon as it completes, so that
+// a redelivered webhook never buys a second label, and a crash halfway through resumes from the last completed step instead of starting over.
+
+import { getDb } from "./db";
+import { recordTrackers, voidTrackers } from "./trackers";
+import { recordLabelCosts, recordLabelRefunds } from "./label-purchases";
+
+// How long a claim on a fulfillment order is honored before another process may take over (e.g. after a crash). Renewed before each label
+// purchase or refund, see renewFulfillmentOrderClaim().
+const LOCK_TTL_MS = 15 * 60 * 1000;
+
+const JSON_COLUMNS = [
+  "rates",
+  "chosen_rate",
+  "rate_trace",
+  "label",
+  "rate_history",
+  "shipment_refunds",
+];
+
+/**
+ * @typedef RateSet
+ * @property {string} shipment_id - EasyPost shipment or order
+ * @property {string} rated_at
+ * @property {Object[]} rates - { id, carrier, service, rate, delivery_days }
+ */
+
+/**
+ * @typedef FulfillmentOrderState
+ * @property {string} fulfillment_order_id
+ * @property {string} order_id
+ * @property {string} order_name
+ * @property {string|null} location_id - Shopify location ID of the fulfillment center
+ * @property {string|null} shipment_id - EasyPost shipment ID of the most recently created shipment, or EasyPost order ID if the fulfillment order ships in several boxes
+ * @property {Object[]|null} rates - EasyPost rates of the purchased shipment
+ * @property {Object|null} chosen_rate - EasyPost rate that was purchased
+ * @property {DecisionTrace|null} rate_trace - Why the rate was chosen, see rules.js
+ * @property {Object|null} label - EasyPost buy response (a shipment, or an order with a label per shipment)
+ * @property {string|null} fulfillment_id - Shopify Fulfillment ID
+ * @property {string|null} shipment_created_at
+ * @property {string|null} label_purchased_at
+ * @property {string|null} fulfillment_created_at
+ * @property {string|null} email_sent_at
+ * @property {string|null} refund_status - EasyPost refund status of the label, once a refund has been requested
+ * @property {Object<string, string>|null} shipment_refunds - EasyPost refund status by shipment ID, as each of the label's shipments is refunded
+ * @property {string|null} fulfillment_cancelled_at
+ * @property {string|null} cancelled_at - Set once the order is cancelled; a cancelled fulfillment order is never processed again
+ * @property {string|null} cancellation_notified_at - Set once the fulfillment center is told to pull the cancelled order's package
+ * @property {string|null} destination_fingerprint - Hash of the shipping address the label was bought for, see address.js
+ * @property {string|null} label_voided_at - Set when the label is voided to be replaced, and cleared once the replacement has been emailed
+ * @property {string|null} approval_requested_at - Set when the label is held for the shop owner's approval, see approval.js
+ * @property {string|null} approved_rate_id - EasyPost rate the shop owner approved
+ * @property {string|null} approval_rejected_at
+ * @property {string|null} ship_date - "yyyy-MM-dd" the fulfillment order was held until, see ship-days.js
+ * @property {string|null} shipping_charged - What the customer paid for the order's shipping at checkout, in dollars, see margin.js
+ * @property {string|null} destination_province
+ * @property {RateSet[]|null} rate_history - Every set of rates EasyPost returned for the fulfillment order's shipments, oldest first
+ * @property {string|null} fulfillment_request_accepted_at - Only fulfillment centers that are our Shopify fulfillment service get fulfillment requests, see handlers/fulfillment-service.js
+ * @property {string|null} fulfillment_request_rejected_at
+ * @property {string|null} fulfillment_request_rejection - Why the request was rejected, e.g. "INCORRECT_ADDRESS: ..."
+ * @property {string|null} fulfillment_request_cancelled_at - Set when the shop cancels an accepted request, until the next request is accepted
+ * @property {string|null} hold_id - Shopify FulfillmentHold placed because the fulfillment order failed the pre-flight checks, see holds.js
+ * @property {string|null} held_at - Set until the hold is released by a retry
+ * @property {string|null} hold_reason - The problems found, as given to Shopify
+ */
+
+/**
+ * @typedef FulfillmentOrderClaim
+ * @property {string} token - Pass to releaseFulfillmentOrder() when done
+ * @property {FulfillmentOrderState} state
+ */
+
+/**
+ * Takes an exclusive claim on a fulfillment order so that concurrent webhooks for the same order don't process it twice.
+ * Returns null if another process currently holds the claim.
+ * @param {string} fulfillmentOrderId
+ * @param {Object} order
+ * @param {string} order.orderId
+ * @param {string} order.orderName
+ * @param {string=} order.locationId - Shopify location ID of the fulfillment order's assigned location
+ * @returns {FulfillmentOrderClaim|null}
+ */
+export function claimFulfillmentOrder(
+  fulfillmentOrderId,
+  { orderId, orderName, locationId },
+) {
+  const db = getDb();
+  const token = crypto.randomUUID();
+  return db.transaction(() => {
+    const now = new Date().toISOString();
+    db.query(
+      `INSERT INTO fulfillment_orders (fulfillment_order_id, order_id, order_name, location_id, created_at, updated_at)
+       VALUES ($fulfillmentOrderId, $orderId, $orderName, $locationId, $now, $now)
+       ON CONFLICT (fulfillment_order_id) DO UPDATE SET location_id = COALESCE(location_id, $locationId)`,
+    ).run({
+      fulfillmentOrderId,
+      orderId,
+      orderName: orderName ?? null,
+      locationId: locationId ?? null,
+      now,
+    });
+
+    const { changes } = db
+      .query(
+        `UPDATE fulfillment_orders SET lock_token = $token, locked_until = $lockedUntil
+         WHERE fulfillment_order_id = $fulfillmentOrderId AND (lock_token IS NULL OR locked_until < $nowMs)`,
+      )
+      .run({
+        fulfillmentOrderId,
+        token,
+        lockedUntil: Date.now() + LOCK_TTL_MS,
+        nowMs: Date.now(),
+      });
+    if (changes === 0) {
+      return null;
+    }
+    return { token, state: getFulfillmentOrderState(fulfillmentOrderId) };
+  })();
+}
+
+/**
+ * Releases a claim taken with claimFulfillmentOrder(). Does nothing if the claim has since been taken over.
+ * @param {string} fulfillmentOrderId
+ * @param {string} token
+ */
+export function releaseFulfillmentOrder(fulfillmentOrderId, token) {
+  getDb()
+    .query(
+      `UPDATE fulfillment_orders SET lock_token = NULL, locked_until = NULL
+       WHERE fulfillment_order_id = $fulfillmentOrderId AND lock_token = $token`,
+    )
+    .run({ fulfillmentOrderId, token });
+}
+
+/**
+ * Extends a claim taken with claimFulfillmentOrder(), e.g. right before buying a label, so that a slow rate search can't outlast the claim.
+ * @param {string} fulfillmentOrderId
+ * @param {string} token
+ * @returns {boolean} false if the claim has been taken over since
+ */
+export function renewFulfillmentOrderClaim(fulfillmentOrderId, token) {
+  const { changes } = getDb()
+    .query(
+      `UPDATE fulfillment_orders SET locked_until = $lockedUntil
+       WHERE fulfillment_order_id = $fulfillmentOrderId AND lock_token = $token`,
+    )
+    .run({
+      fulfillmentOrderId,
+      token,
+      lockedUntil: Date.now() + LOCK_TTL_MS,
+    });
+  return changes > 0;
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ * @returns {FulfillmentOrderState|null}
+ */
+export function getFulfillmentOrderState(fulfillmentOrderId) {
+  const row = getDb()
+    .query(
+      "SELECT * FROM fulfillment_orders WHERE fulfillment_order_id = $fulfillmentOrderId",
+    )
+    .get({ fulfillmentOrderId });
+  return row ? parseRow(row) : null;
+}
+
+/**
+ * @param {string} orderId
+ * @returns {FulfillmentOrderState[]}
+ */
+export function getFulfillmentOrderStatesForOrder(orderId) {
+  return getDb()
+    .query(
+      "SELECT * FROM fulfillment_orders WHERE order_id = $orderId ORDER BY created_at",
+    )
+    .all({ orderId })
+    .map(parseRow);
+}
+
+/**
+ * @returns {FulfillmentOrderState[]} Fulfillment orders whose label is waiting on the shop owner's approval, oldest request first
+ */
+export function getFulfillmentOrdersAwaitingApproval() {
+  return getDb()
+    .query(
+      `SELECT * FROM fulfillment_orders
+       WHERE approval_requested_at IS NOT NULL AND approved_rate_id IS NULL AND approval_rejected_at IS NULL AND cancelled_at IS NULL
+       ORDER BY approval_requested_at`,
+    )
+    .all()
+    .map(parseRow);
+}
+
+/**
+ * @returns {FulfillmentOrderState[]} Fulfillment orders on hold for failing the pre-flight checks, oldest hold first
+ */
+export function getHeldFulfillmentOrders() {
+  return getDb()
+    .query(
+      `SELECT * FROM fulfillment_orders
+       WHERE held_at IS NOT NULL AND cancelled_at IS NULL
+       ORDER BY held_at`,
+    )
+    .all()
+    .map(parseRow);
+}
+
+/**
+ * Records that the fulfillment order is held until a ship day, and a job has been queued to buy its label then.
+ * @param {string} fulfillmentOrderId
+ * @param {string} shipDate - "yyyy-MM-dd"
+ */
+export function recordShipDateScheduled(fulfillmentOrderId, shipDate) {
+  update(fulfillmentOrderId, { ship_date: shipDate });
+}
+
+/**
+ * Must be recorded before buying, so that a crash mid-purchase can be detected by retrieving the shipment.
+ * @param {string} fulfillmentOrderId
+ * @param {string} shipmentId
+ */
+export function recordShipmentCreated(fulfillmentOrderId, shipmentId) {
+  update(fulfillmentOrderId, {
+    shipment_id: shipmentId,
+    shipment_created_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Adds a set of rates to the fulfillment order's rate_history.
+ * @param {string} fulfillmentOrderId
+ * @param {string} shipmentId
+ * @param {Object[]} rates - EasyPost rates
+ */
+export function recordRatesSeen(fulfillmentOrderId, shipmentId, rates) {
+  const rateSet = {
+    shipment_id: shipmentId,
+    rated_at: new Date().toISOString(),
+    rates: rates.map(({ id, carrier, service, rate, delivery_days }) => ({
+      id,
+      carrier,
+      service,
+      rate,
+      delivery_days,
+    })),
+  };
+  getDb()
+    .query(
+      `UPDATE fulfillment_orders SET rate_history = json_insert(COALESCE(rate_history, '[]'), '$[#]', json($rateSet)), updated_at = $now
+       WHERE fulfillment_order_id = $fulfillmentOrderId`,
+    )
+    .run({
+      fulfillmentOrderId,
+      rateSet: JSON.stringify(rateSet),
+      now: new Date().toISOString(),
+    });
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ * @param {Object} purchase
+ * @param {string} purchase.shipmentId
+ * @param {Object[]} purchase.rates
+ * @param {Object} purchase.chosenRate
+ * @param {DecisionTrace=} purchase.trace
+ * @param {Object} purchase.label - EasyPost buy response. Its trackers and costs are recorded too, see trackers.js and label-purchases.js.
+ * @param {string=} purchase.destinationFingerprint - Left as it was if not given
+ * @param {string=} purchase.shippingCharged - What the customer paid for the order's shipping, in dollars. Left as it was if not given.
+ * @param {string=} purchase.destinationProvince - Left as it was if not given
+ */
+export function recordLabelPurchased(
+  fulfillmentOrderId,
+  {
+    shipmentId,
+    rates,
+    chosenRate,
+    trace,
+    label,
+    destinationFingerprint,
+    shippingCharged,
+    destinationProvince,
+  },
+) {
+  getDb().transaction(() => {
+    update(fulfillmentOrderId, {
+      shipment_id: shipmentId,
+      rates: JSON.stringify(rates ?? null),
+      chosen_rate: JSON.stringify(chosenRate ?? null),
+      rate_trace: JSON.stringify(trace ?? null),
+      label: JSON.stringify(label),
+      label_purchased_at: new Date().toISOString(),
+      ...(destinationFingerprint
+        ? { destination_fingerprint: destinationFingerprint }
+        : {}),
+      ...(shippingCharged != null ? { shipping_charged: shippingCharged } : {}),
+      ...(destinationProvince
+        ? { destination_province: destinationProvince }
+        : {}),
+    });
+    recordTrackers(fulfillmentOrderId, label);
+    recordLabelCosts(fulfillmentOrderId, { shipmentId, label, rates });
+  })();
+}
+
+/**
+ * Forgets a refunded label so that a replacement can be bought, keeping the Shopify fulfillment. The label's trackers are marked void.
+ * @param {string} fulfillmentOrderId
+ * @param {string} refundStatus - EasyPost refund status of the voided label
+ */
+export function recordLabelVoided(fulfillmentOrderId, refundStatus) {
+  const now = new Date().toISOString();
+  getDb().transaction(() => {
+    update(fulfillmentOrderId, {
+      shipment_id: null,
+      rates: null,
+      chosen_rate: null,
+      rate_trace: null,
+      label: null,
+      shipment_created_at: null,
+      label_purchased_at: null,
+      email_sent_at: null,
+      refund_status: null,
+      shipment_refunds: null,
+      label_voided_at: now,
+      approval_requested_at: null,
+      approved_rate_id: null,
+      approval_rejected_at: null,
+    });
+    voidTrackers(fulfillmentOrderId, refundStatus, now);
+    recordLabelRefunds(fulfillmentOrderId, refundStatus);
+  })();
+}
+
+/**
+ * Holds the label for the shop owner's approval. The candidate rates are kept so the approved one can be bought from the shipment later.
+ * @param {string} fulfillmentOrderId
+ * @param {Object} request
+ * @param {Object[]} request.rates - EasyPost rates of the shipment in shipment_id
+ * @param {DecisionTrace} request.trace
+ */
+export function recordApprovalRequested(fulfillmentOrderId, { rates, trace }) {
+  update(fulfillmentOrderId, {
+    rates: JSON.stringify(rates),
+    rate_trace: JSON.stringify(trace),
+    approval_requested_at: new Date().toISOString(),
+    approved_rate_id: null,
+    approval_rejected_at: null,
+  });
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ * @param {string} rateId - One of the rates recorded by recordApprovalRequested
+ */
+export function recordRateApproved(fulfillmentOrderId, rateId) {
+  update(fulfillmentOrderId, { approved_rate_id: rateId });
+}
+
+/**
+ * Forgets the approval, e.g. when the approved rate can no longer be bought, so the label is rated (and approved, if need be) again.
+ * @param {string} fulfillmentOrderId
+ */
+export function recordApprovalCleared(fulfillmentOrderId) {
+  update(fulfillmentOrderId, {
+    rates: null,
+    rate_trace: null,
+    approval_requested_at: null,
+    approved_rate_id: null,
+    approval_rejected_at: null,
+  });
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ */
+export function recordApprovalRejected(fulfillmentOrderId) {
+  update(fulfillmentOrderId, {
+    approval_rejected_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ * @param {Object} hold
+ * @param {string|null} hold.holdId - null when no hold was placed (e.g. outside of production)
+ * @param {string} hold.reason
+ */
+export function recordHoldPlaced(fulfillmentOrderId, { holdId, reason }) {
+  update(fulfillmentOrderId, {
+    hold_id: holdId,
+    held_at: new Date().toISOString(),
+    hold_reason: reason,
+  });
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ */
+export function recordHoldReleased(fulfillmentOrderId) {
+  update(fulfillmentOrderId, {
+    hold_id: null,
+    held_at: null,
+    hold_reason: null,
+  });
+}
+
+/**
+ * Labels are only bought for a fulfillment request once it's been accepted.
+ * @param {string} fulfillmentOrderId
+ */
+export function recordFulfillmentRequestAccepted(fulfillmentOrderId) {
+  update(fulfillmentOrderId, {
+    fulfillment_request_accepted_at: new Date().toISOString(),
+    fulfillment_request_rejected_at: null,
+    fulfillment_request_rejection: null,
+    fulfillment_request_cancelled_at: null,
+  });
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ * @param {string} rejection - e.g. "INCORRECT_ADDRESS: ..."
+ */
+export function recordFulfillmentRequestRejected(
+  fulfillmentOrderId,
+  rejection,
+) {
+  update(fulfillmentOrderId, {
+    fulfillment_request_accepted_at: null,
+    fulfillment_request_rejected_at: new Date().toISOString(),
+    fulfillment_request_rejection: rejection,
+  });
+}
+
+/**
+ * Forgets the fulfillment order's label (refunded, if one was bought) and its acceptance, so that it starts over if the shop sends another
+ * fulfillment request, e.g. after editing the order. The label's trackers are marked void.
+ * @param {string} fulfillmentOrderId
+ * @param {string|null} refundStatus - EasyPost refund status of the voided label, null if no label was bought
+ */
+export function recordFulfillmentRequestCancelled(
+  fulfillmentOrderId,
+  refundStatus,
+) {
+  const now = new Date().toISOString();
+  getDb().transaction(() => {
+    update(fulfillmentOrderId, {
+      shipment_id: null,
+      rates: null,
+      chosen_rate: null,
+      rate_trace: null,
+      label: null,
+      shipment_created_at: null,
+      label_purchased_at: null,
+      refund_status: null,
+      shipment_refunds: null,
+      approval_requested_at: null,
+      approved_rate_id: null,
+      approval_rejected_at: null,
+      ship_date: null,
+      fulfillment_request_accepted_at: null,
+      fulfillment_request_cancelled_at: now,
+    });
+    if (refundStatus) {
+      voidTrackers(fulfillmentOrderId, refundStatus, now);
+      recordLabelRefunds(fulfillmentOrderId, refundStatus);
+    }
+  })();
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ * @param {string|null} fulfillmentId - null when no fulfillment was created (e.g. outside of production)
+ */
+export function recordFulfillmentCreated(fulfillmentOrderId, fulfillmentId) {
+  update(fulfillmentOrderId, {
+    fulfillment_id: fulfillmentId,
+    fulfillment_created_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Also marks a replacement label (see recordLabelVoided) as done.
+ * @param {string} fulfillmentOrderId
+ */
+export function recordEmailSent(fulfillmentOrderId) {
+  update(fulfillmentOrderId, {
+    email_sent_at: new Date().toISOString(),
+    label_voided_at: null,
+  });
+}
+
+/**
+ * Records the refund of one of the label's shipments, so that a retry after a failed refund doesn't request it again (which EasyPost rejects).
+ * @param {string} fulfillmentOrderId
+ * @param {string} shipmentId
+ * @param {string} refundStatus
+ */
+export function recordShipmentRefunded(
+  fulfillmentOrderId,
+  shipmentId,
+  refundStatus,
+) {
+  getDb()
+    .query(
+      `UPDATE fulfillment_orders SET shipment_refunds = json_set(COALESCE(shipment_refunds, '{}'), $path, $refundStatus), updated_at = $now
+       WHERE fulfillment_order_id = $fulfillmentOrderId`,
+    )
+    .run({
+      fulfillmentOrderId,
+      path: `$."${shipmentId}"`,
+      refundStatus,
+      now: new Date().toISOString(),
+    });
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ * @param {string} refundStatus - e.g. "submitted", "refunded", "rejected"
+ */
+export function recordRefundRequested(fulfillmentOrderId, refundStatus) {
+  getDb().transaction(() => {
+    update(fulfillmentOrderId, { refund_status: refundStatus });
+    recordLabelRefunds(fulfillmentOrderId, refundStatus);
+  })();
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ */
+export function recordFulfillmentCancelled(fulfillmentOrderId) {
+  update(fulfillmentOrderId, {
+    fulfillment_cancelled_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ */
+export function recordCancelled(fulfillmentOrderId) {
+  update(fulfillmentOrderId, { cancelled_at: new Date().toISOString() });
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ */
+export function recordCancellationNotified(fulfillmentOrderId) {
+  update(fulfillmentOrderId, {
+    cancellation_notified_at: new Date().toISOString(),
+  });
+}
+
+function update(fulfillmentOrderId, fields) {
+  const assignments = Object.keys(fields)
+    .map((column) => `${column} = $${column}`)
+    .join(", ");
+  getDb()
+    .query(
+      `UPDATE fulfillment_orders SET ${assignments}, updated_at = $updated_at
+       WHERE fulfillment_order_id = $fulfillmentOrderId`,
+    )
+    .run({
+      ...fields,
+      updated_at: new Date().toISOString(),
+      fulfillmentOrderId,
+    });
+}
+
+function parseRow(row) {
+  const state = { ...row };
+  for (const column of JSON_COLUMNS) {
+    state[column] = row[column] == null ? null : JSON.parse(row[column]);
+  }
+  delete state.lock_token;
+  delete state.locked_until;
+  return state;
+}
@@ -0,0 +1,216 @@
+// Persisted job queue. Jobs survive restarts (including deploys), and jobs that run out of retries are moved to the dead_letter_jobs table.
+
+import { getDb } from "./db";
+
+export const JobStatus = {
+  PENDING: "pending",
+  RUNNING: "running",
+  COMPLETED: "completed",
+};
+
+/**
+ * @typedef Job
+ * @property {number} id
+ * @property {string} type
+ * @property {Object} payload
+ * @property {string|null} webhook_id
+ * @property {string} status
+ * @property {number} attempts - Number of times the job has been started
+ * @property {number} run_at - Epoch millis before which the job won't run
+ * @property {string|null} last_error
+ */
+
+/**
+ * @param {Object} job
+ * @param {string} job.type
+ * @param {Object} job.payload - Must be JSON serializable
+ * @param {string=} job.webhookId - Webhook that the job was created from, if any
+ * @param {number=} job.runAt - Epoch millis, defaults to now
+ * @returns {number} job ID
+ */
+export function enqueueJob({ type, payload, webhookId, runAt }) {
+  const now = new Date().toISOString();
+  const { lastInsertRowid } = getDb()
+    .query(
+      `INSERT INTO jobs (type, payload, webhook_id, status, run_at, created_at, updated_at)
+       VALUES ($type, $payload, $webhookId, $status, $runAt, $now, $now)`,
+    )
+    .run({
+      type,
+      payload: JSON.stringify(payload),
+      webhookId: webhookId ?? null,
+      status: JobStatus.PENDING,
+      runAt: runAt ?? Date.now(),
+      now,
+    });
+  return Number(lastInsertRowid);
+}
+
+/**
+ * @param {string} type
+ * @returns {Job|null} The next pending job of the type, if any, e.g. to avoid scheduling a recurring job twice
+ */
+export function getPendingJob(type) {
+  const row = getDb()
+    .query(
+      `SELECT * FROM jobs WHERE type = $type AND status = $status
+       ORDER BY run_at, id LIMIT 1`,
+    )
+    .get({ type, status: JobStatus.PENDING });
+  return row ? parseRow(row) : null;
+}
+
+/**
+ * Queues a recurring job (e.g. a scheduled report) unless one of its type is already queued, so that it isn't scheduled twice after a restart.
+ * @param {Object} job - See enqueueJob()
+ * @param {string} job.type
+ * @param {Object} job.payload
+ * @param {number} job.runAt
+ * @returns {number} When the queued job will run, epoch millis
+ */
+export function enqueueJobOnce({ type, payload, runAt }) {
+  const pending = getPendingJob(type);
+  if (pending) {
+    return pending.run_at;
+  }
+  enqueueJob({ type, payload, runAt });
+  return runAt;
+}
+
+/**
+ * Marks up to `limit` due jobs as running and returns them, oldest first.
+ * @param {number} limit
+ * @returns {Job[]}
+ */
+export function claimDueJobs(limit) {
+  const db = getDb();
+  return db.transaction(() => {
+    const rows = db
+      .query(
+        `SELECT * FROM jobs WHERE status = $status AND run_at <= $now
+         ORDER BY run_at, id LIMIT $limit`,
+      )
+      .all({ status: JobStatus.PENDING, now: Date.now(), limit });
+    const markRunning = db.query(
+      "UPDATE jobs SET status = $status, updated_at = $now WHERE id = $id",
+    );
+    for (const row of rows) {
+      markRunning.run({
+        id: row.id,
+        status: JobStatus.RUNNING,
+        now: new Date().toISOString(),
+      });
+    }
+    return rows.map((row) => ({
+      ...parseRow(row),
+      status: JobStatus.RUNNING,
+    }));
+  })();
+}
+
+/**
+ * Records that a job has been started.
+ * @param {number} jobId
+ * @returns {number} attempts so far, including this one
+ */
+export function recordJobAttempt(jobId) {
+  const { attempts } = getDb()
+    .query(
+      `UPDATE jobs SET attempts = attempts + 1, updated_at = $now
+       WHERE id = $id RETURNING attempts`,
+    )
+    .get({ id: jobId, now: new Date().toISOString() });
+  return attempts;
+}
+
+/**
+ * Puts a failed job back in the queue, to run again at runAt.
+ * @param {number} jobId
+ * @param {number} runAt - Epoch millis
+ * @param {Error} error
+ */
+export function rescheduleJob(jobId, runAt, error) {
+  getDb()
+    .query(
+      `UPDATE jobs SET status = $status, run_at = $runAt, last_error = $error, updated_at = $now
+       WHERE id = $id`,
+    )
+    .run({
+      id: jobId,
+      status: JobStatus.PENDING,
+      runAt,
+      error: error?.message ?? null,
+      now: new Date().toISOString(),
+    });
+}
+
+/**
+ * @param {number} jobId
+ */
+export function completeJob(jobId) {
+  getDb()
+    .query("UPDATE jobs SET status = $status, updated_at = $now WHERE id = $id")
+    .run({
+      id: jobId,
+      status: JobStatus.COMPLETED,
+      now: new Date().toISOString(),
+    });
+}
+
+/**
+ * Moves a job that has run out of retries to the dead-letter table.
+ * @param {number} jobId
+ * @param {Error} error
+ */
+export function deadLetterJob(jobId, error) {
+  const db = getDb();
+  db.transaction(() => {
+    db.query(
+      `INSERT INTO dead_letter_jobs (id, type, payload, webhook_id, attempts, error, created_at, failed_at)
+       SELECT id, type, payload, webhook_id, attempts, $error, created_at, $now FROM jobs WHERE id = $id`,
+    ).run({
+      id: jobId,
+      error: error?.message ?? null,
+      now: new Date().toISOString(),
+    });
+    db.query("DELETE FROM jobs WHERE id = $id").run({ id: jobId });
+  })();
+}
+
+/**
+ * Puts jobs left running by a process that stopped (or crashed) before finishing them back in the queue.
+ * Must only be called on startup, before the worker starts.
+ * @returns {number} number of jobs requeued
+ */
+export function requeueRunningJobs() {
+  const { changes } = getDb()
+    .query(
+      "UPDATE jobs SET status = $pending, updated_at = $now WHERE status = $running",
+    )
+    .run({
+      pending: JobStatus.PENDING,
+      running: JobStatus.RUNNING,
+      now: new Date().toISOString(),
+    });
+  return changes;
+}
+
+/**
+ * @param {Object=} range - Only jobs that failed in the range, e.g. for the daily digest
+ * @param {string} range.from - ISO timestamp, inclusive
+ * @param {string} range.to - ISO timestamp, exclusive
+ * @returns {Object[]} Most recent failure first
+ */
+export function getDeadLetterJobs({ from, to } = {}) {
+  const query = from
+    ? getDb().query(
+        `SELECT * FROM dead_letter_jobs WHERE failed_at >= $from AND failed_at < $to
+         ORDER BY failed_at DESC`,
+      )
+    : getDb().query("SELECT * FROM dead_letter_jobs ORDER BY failed_at DESC");
+  return (from ? query.all({ from, to }) : query.all()).map(parseRow);
+}
+
+function parseRow(row) {
+  return { ...row, payload: JSON.parse(row.payload) };
+}
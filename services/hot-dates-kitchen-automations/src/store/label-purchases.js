@@ -0,0 +1,128 @@
+// Shipping cost ledger: every label bought, with what was paid and the rates it was chosen from, so that bookkeeping can reconcile against the
+// EasyPost invoice long after the label email has been sent. One row per label, i.e. per EasyPost shipment.
+
+import { getDb } from "./db";
+
+/**
+ * @typedef LabelPurchase
+ * @property {string} easypost_shipment_id
+ * @property {string} fulfillment_order_id
+ * @property {string} shipment_id - EasyPost shipment, or EasyPost order if the fulfillment order shipped in several boxes
+ * @property {string|null} carrier
+ * @property {string|null} service
+ * @property {string|null} rate - As EasyPost returned it, e.g. "9.50"
+ * @property {string|null} currency
+ * @property {Object[]|null} candidate_rates - Every rate the label was chosen from, { carrier, service, rate, delivery_days }
+ * @property {number|null} zone
+ * @property {number|null} weight - Ounces
+ * @property {string|null} label_url
+ * @property {string|null} tracking_code
+ * @property {string|null} shipment_created_at
+ * @property {string} purchased_at
+ * @property {string|null} refund_status - EasyPost refund status, once the label has been voided
+ * @property {string|null} refund_requested_at
+ * @property {string} order_id
+ * @property {string} order_name
+ * @property {string|null} shipping_charged - What the customer paid for the order's shipping, in dollars
+ * @property {string|null} destination_province
+ */
+
+/**
+ * Records each label in an EasyPost buy response (a shipment, or an order with a label per shipment).
+ * @param {string} fulfillmentOrderId
+ * @param {Object} purchase
+ * @param {string} purchase.shipmentId - EasyPost shipment or order ID
+ * @param {Object} purchase.label - EasyPost buy response
+ * @param {Object[]=} purchase.rates - The rates the label was chosen from
+ */
+export function recordLabelCosts(
+  fulfillmentOrderId,
+  { shipmentId, label, rates },
+) {
+  const query = getDb().query(
+    `INSERT OR IGNORE INTO label_purchases (easypost_shipment_id, fulfillment_order_id, shipment_id, carrier, service, rate, currency, candidate_rates,
+       zone, weight, label_url, tracking_code, shipment_created_at, purchased_at)
+     VALUES ($easypostShipmentId, $fulfillmentOrderId, $shipmentId, $carrier, $service, $rate, $currency, $candidateRates,
+       $zone, $weight, $labelUrl, $trackingCode, $shipmentCreatedAt, $now)`,
+  );
+  const candidateRates = rates
+    ? JSON.stringify(
+        rates.map(({ carrier, service, rate, delivery_days }) => ({
+          carrier,
+          service,
+          rate,
+          delivery_days,
+        })),
+      )
+    : null;
+  for (const shipment of label.shipments ?? [label]) {
+    if (!shipment.id) continue;
+    query.run({
+      easypostShipmentId: shipment.id,
+      fulfillmentOrderId,
+      shipmentId,
+      carrier: shipment.selected_rate?.carrier ?? null,
+      service: shipment.selected_rate?.service ?? null,
+      rate: shipment.selected_rate?.rate ?? null,
+      currency: shipment.selected_rate?.currency ?? null,
+      candidateRates,
+      zone: shipment.usps_zone == null ? null : Number(shipment.usps_zone),
+      weight: shipment.parcel?.weight ?? null,
+      labelUrl: shipment.postage_label?.label_url ?? null,
+      trackingCode: shipment.tracker?.tracking_code ?? null,
+      shipmentCreatedAt: shipment.created_at ?? null,
+      now: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * Records the refund of a fulfillment order's labels, e.g. when the order is cancelled or its label replaced.
+ * @param {string} fulfillmentOrderId
+ * @param {string} refundStatus - EasyPost refund status
+ */
+export function recordLabelRefunds(fulfillmentOrderId, refundStatus) {
+  getDb()
+    .query(
+      `UPDATE label_purchases SET refund_status = $refundStatus, refund_requested_at = $now
+       WHERE fulfillment_order_id = $fulfillmentOrderId AND refund_status IS NULL`,
+    )
+    .run({ fulfillmentOrderId, refundStatus, now: new Date().toISOString() });
+}
+
+/**
+ * @param {Object} range
+ * @param {string} range.from - ISO timestamp, inclusive
+ * @param {string} range.to - ISO timestamp, exclusive
+ * @returns {LabelPurchase[]} Oldest first
+ */
+export function getLabelPurchases({ from, to }) {
+  return selectLabelPurchases("purchased_at", { from, to });
+}
+
+/**
+ * @param {Object} range
+ * @param {string} range.from - ISO timestamp, inclusive
+ * @param {string} range.to - ISO timestamp, exclusive
+ * @returns {LabelPurchase[]} Labels whose refund was requested in the range, oldest refund first
+ */
+export function getRefundedLabelPurchases({ from, to }) {
+  return selectLabelPurchases("refund_requested_at", { from, to });
+}
+
+function selectLabelPurchases(column, { from, to }) {
+  return getDb()
+    .query(
+      `SELECT label_purchases.*, fulfillment_orders.order_id, fulfillment_orders.order_name, fulfillment_orders.shipping_charged,
+         fulfillment_orders.destination_province
+       FROM label_purchases JOIN fulfillment_orders USING (fulfillment_order_id)
+       WHERE ${column} >= $from AND ${column} < $to
+       ORDER BY ${column}, easypost_shipment_id`,
+    )
+    .all({ from, to })
+    .map((row) => ({
+      ...row,
+      candidate_rates:
+        row.candidate_rates == null ? null : JSON.parse(row.candidate_rates),
+    }));
+}
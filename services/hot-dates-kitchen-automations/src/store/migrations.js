@@ -0,0 +1,208 @@
+// Ordered list of schema migrations. See migrate() in db.js.
+
+export default [
+  // 1: Webhook idempotency and per-fulfillment-order processing state
+  `
+  CREATE TABLE webhooks (
+    webhook_id TEXT PRIMARY KEY,
+    topic TEXT,
+    resource_id TEXT,
+    status TEXT NOT NULL,
+    error TEXT,
+    received_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE fulfillment_orders (
+    fulfillment_order_id TEXT PRIMARY KEY,
+    order_id TEXT NOT NULL,
+    order_name TEXT,
+    shipment_id TEXT,
+    rates TEXT,
+    chosen_rate TEXT,
+    label TEXT,
+    fulfillment_id TEXT,
+    shipment_created_at TEXT,
+    label_purchased_at TEXT,
+    fulfillment_created_at TEXT,
+    email_sent_at TEXT,
+    lock_token TEXT,
+    locked_until INTEGER,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE INDEX fulfillment_orders_order_id ON fulfillment_orders (order_id);
+  `,
+  // 2: Background job queue and dead-letter table
+  `
+  CREATE TABLE jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    webhook_id TEXT,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    run_at INTEGER NOT NULL,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE INDEX jobs_status_run_at ON jobs (status, run_at);
+
+  CREATE TABLE dead_letter_jobs (
+    id INTEGER PRIMARY KEY,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    webhook_id TEXT,
+    attempts INTEGER NOT NULL,
+    error TEXT,
+    created_at TEXT NOT NULL,
+    failed_at TEXT NOT NULL
+  );
+  `,
+  // 3: Rate decision trace of the purchased label
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN rate_trace TEXT;
+  `,
+  // 4: Order cancellations
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN refund_status TEXT;
+  ALTER TABLE fulfillment_orders ADD COLUMN fulfillment_cancelled_at TEXT;
+  ALTER TABLE fulfillment_orders ADD COLUMN cancelled_at TEXT;
+  `,
+  // 5: Fulfillment center (Shopify location) of each fulfillment order
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN location_id TEXT;
+  `,
+  // 6: EasyPost trackers (one per label), for pushing tracking events to Shopify. Backfilled from labels already bought.
+  `
+  CREATE TABLE trackers (
+    tracking_code TEXT PRIMARY KEY,
+    fulfillment_order_id TEXT NOT NULL REFERENCES fulfillment_orders (fulfillment_order_id),
+    easypost_shipment_id TEXT,
+    status TEXT,
+    status_updated_at TEXT,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE INDEX trackers_fulfillment_order_id ON trackers (fulfillment_order_id);
+
+  INSERT OR IGNORE INTO trackers (tracking_code, fulfillment_order_id, easypost_shipment_id, created_at)
+  SELECT json_extract(label, '$.tracker.tracking_code'), fulfillment_order_id, json_extract(label, '$.id'), COALESCE(label_purchased_at, updated_at)
+  FROM fulfillment_orders
+  WHERE json_extract(label, '$.tracker.tracking_code') IS NOT NULL;
+
+  INSERT OR IGNORE INTO trackers (tracking_code, fulfillment_order_id, easypost_shipment_id, created_at)
+  SELECT json_extract(shipment.value, '$.tracker.tracking_code'), fulfillment_order_id, json_extract(shipment.value, '$.id'), COALESCE(label_purchased_at, updated_at)
+  FROM fulfillment_orders, json_each(fulfillment_orders.label, '$.shipments') AS shipment
+  WHERE json_extract(shipment.value, '$.tracker.tracking_code') IS NOT NULL;
+  `,
+  // 7: Replacing labels after an address change
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN destination_fingerprint TEXT;
+  ALTER TABLE fulfillment_orders ADD COLUMN label_voided_at TEXT;
+  ALTER TABLE trackers ADD COLUMN voided_at TEXT;
+  ALTER TABLE trackers ADD COLUMN refund_status TEXT;
+  `,
+  // 8: Labels held for the shop owner's approval
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN approval_requested_at TEXT;
+  ALTER TABLE fulfillment_orders ADD COLUMN approved_rate_id TEXT;
+  ALTER TABLE fulfillment_orders ADD COLUMN approval_rejected_at TEXT;
+  `,
+  // 9: Fulfillment orders held until their fulfillment center's next ship day
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN ship_date TEXT;
+  `,
+  // 10: Shipping cost ledger, one row per label. Backfilled from labels already bought.
+  `
+  CREATE TABLE label_purchases (
+    easypost_shipment_id TEXT PRIMARY KEY,
+    fulfillment_order_id TEXT NOT NULL REFERENCES fulfillment_orders (fulfillment_order_id),
+    shipment_id TEXT NOT NULL,
+    carrier TEXT,
+    service TEXT,
+    rate TEXT,
+    currency TEXT,
+    candidate_rates TEXT,
+    zone INTEGER,
+    weight REAL,
+    label_url TEXT,
+    tracking_code TEXT,
+    shipment_created_at TEXT,
+    purchased_at TEXT NOT NULL,
+    refund_status TEXT
+  );
+
+  CREATE INDEX label_purchases_purchased_at ON label_purchases (purchased_at);
+
+  INSERT OR IGNORE INTO label_purchases (easypost_shipment_id, fulfillment_order_id, shipment_id, carrier, service, rate, currency, candidate_rates, zone, weight, label_url, tracking_code, shipment_created_at, purchased_at, refund_status)
+  SELECT json_extract(label, '$.id'), fulfillment_order_id, shipment_id, json_extract(label, '$.selected_rate.carrier'), json_extract(label, '$.selected_rate.service'),
+    json_extract(label, '$.selected_rate.rate'), json_extract(label, '$.selected_rate.currency'),
+    (SELECT json_group_array(json_object('carrier', json_extract(rate.value, '$.carrier'), 'service', json_extract(rate.value, '$.service'),
+      'rate', json_extract(rate.value, '$.rate'), 'delivery_days', json_extract(rate.value, '$.delivery_days'))) FROM json_each(fulfillment_orders.rates) AS rate WHERE rate.type = 'object'),
+    json_extract(label, '$.usps_zone'), json_extract(label, '$.parcel.weight'),
+    json_extract(label, '$.postage_label.label_url'), json_extract(label, '$.tracker.tracking_code'), shipment_created_at, COALESCE(label_purchased_at, updated_at), refund_status
+  FROM fulfillment_orders
+  WHERE json_extract(label, '$.selected_rate') IS NOT NULL;
+
+  INSERT OR IGNORE INTO label_purchases (easypost_shipment_id, fulfillment_order_id, shipment_id, carrier, service, rate, currency, candidate_rates, zone, weight, label_url, tracking_code, shipment_created_at, purchased_at, refund_status)
+  SELECT json_extract(shipment.value, '$.id'), fulfillment_order_id, shipment_id, json_extract(shipment.value, '$.selected_rate.carrier'), json_extract(shipment.value, '$.selected_rate.service'),
+    json_extract(shipment.value, '$.selected_rate.rate'), json_extract(shipment.value, '$.selected_rate.currency'),
+    (SELECT json_group_array(json_object('carrier', json_extract(rate.value, '$.carrier'), 'service', json_extract(rate.value, '$.service'),
+      'rate', json_extract(rate.value, '$.rate'), 'delivery_days', json_extract(rate.value, '$.delivery_days'))) FROM json_each(fulfillment_orders.rates) AS rate WHERE rate.type = 'object'),
+    json_extract(shipment.value, '$.usps_zone'), json_extract(shipment.value, '$.parcel.weight'),
+    json_extract(shipment.value, '$.postage_label.label_url'), json_extract(shipment.value, '$.tracker.tracking_code'), shipment_created_at, COALESCE(label_purchased_at, updated_at), refund_status
+  FROM fulfillment_orders, json_each(fulfillment_orders.label, '$.shipments') AS shipment
+  WHERE json_extract(shipment.value, '$.selected_rate') IS NOT NULL;
+  `,
+  // 11: What the customer paid for shipping at checkout, and where the order went, for the shipping margin report (see margin.js)
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN shipping_charged TEXT;
+  ALTER TABLE fulfillment_orders ADD COLUMN destination_province TEXT;
+
+  UPDATE fulfillment_orders SET destination_province = COALESCE(json_extract(label, '$.to_address.state'), json_extract(label, '$.shipments[0].to_address.state'))
+  WHERE label IS NOT NULL;
+  `,
+  // 12: When labels were refunded, for the daily digest (see digest.js)
+  `
+  ALTER TABLE label_purchases ADD COLUMN refund_requested_at TEXT;
+  `,
+  // 13: Every set of rates seen while searching for a suitable rate, see searchRates() in label-purchase.js
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN rate_history TEXT;
+  `,
+  // 14: Fulfillment requests, for fulfillment centers Shopify knows as our fulfillment service (see handlers/fulfillment-service.js)
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN fulfillment_request_accepted_at TEXT;
+  ALTER TABLE fulfillment_orders ADD COLUMN fulfillment_request_rejected_at TEXT;
+  ALTER TABLE fulfillment_orders ADD COLUMN fulfillment_request_rejection TEXT;
+  ALTER TABLE fulfillment_orders ADD COLUMN fulfillment_request_cancelled_at TEXT;
+  `,
+  // 15: Shopify fulfillment holds for fulfillment orders that failed the pre-flight checks (see holds.js)
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN hold_id TEXT;
+  ALTER TABLE fulfillment_orders ADD COLUMN held_at TEXT;
+  ALTER TABLE fulfillment_orders ADD COLUMN hold_reason TEXT;
+  `,
+  // 16: Refund status of each of a multi-box label's shipments, recorded as each refund is requested
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN shipment_refunds TEXT;
+  `,
+  // 17: When the tracking event behind a tracker's status happened, so that webhooks arriving out of order don't move it backwards
+  `
+  ALTER TABLE trackers ADD COLUMN event_at TEXT;
+  `,
+  // 18: When the fulfillment center was told to pull a cancelled order's package, so that a failed email is sent again on retry
+  `
+  ALTER TABLE fulfillment_orders ADD COLUMN cancellation_notified_at TEXT;
+  UPDATE fulfillment_orders SET cancellation_notified_at = cancelled_at WHERE cancelled_at IS NOT NULL;
+  `,
+  // 19: The delivery problem the shop owner was last alerted about, so that a failed alert is sent again on retry (see handlers/tracker-updated.js)
+  `
+  ALTER TABLE trackers ADD COLUMN alerted_status TEXT;
+  UPDATE trackers SET alerted_status = status WHERE status IN ('failure', 'return_to_sender');
+  `,
+];
@@ -0,0 +1,146 @@
+// EasyPost trackers for the labels we've bought, so that tracker webhooks can be matched to the Shopify fulfillment they belong to.
+
+import { getDb } from "./db";
+
+/**
+ * @typedef TrackerState
+ * @property {string} tracking_code
+ * @property {string} fulfillment_order_id
+ * @property {string|null} easypost_shipment_id
+ * @property {string|null} status - Latest EasyPost tracker status pushed to Shopify
+ * @property {string|null} status_updated_at
+ * @property {string|null} event_at - When the tracking event with the latest status happened, per EasyPost
+ * @property {string|null} alerted_status - Delivery problem status the shop owner was last alerted about
+ * @property {string|null} voided_at - Set when the label was voided and replaced
+ * @property {string|null} refund_status - EasyPost refund status, once voided
+ * @property {string} order_id
+ * @property {string} order_name
+ * @property {string|null} location_id
+ * @property {string|null} fulfillment_id - Shopify Fulfillment ID
+ */
+
+/**
+ * Records the tracker of each label in an EasyPost buy response (a shipment, or an order with a label per shipment).
+ * @param {string} fulfillmentOrderId
+ * @param {Object} label - EasyPost buy response
+ */
+export function recordTrackers(fulfillmentOrderId, label) {
+  const query = getDb().query(
+    `INSERT OR IGNORE INTO trackers (tracking_code, fulfillment_order_id, easypost_shipment_id, created_at)
+     VALUES ($trackingCode, $fulfillmentOrderId, $shipmentId, $now)`,
+  );
+  for (const shipment of label.shipments ?? [label]) {
+    const trackingCode = shipment.tracker?.tracking_code;
+    if (!trackingCode) continue;
+    query.run({
+      trackingCode,
+      fulfillmentOrderId,
+      shipmentId: shipment.id ?? null,
+      now: new Date().toISOString(),
+    });
+  }
+}
+
+/**
+ * @param {string} trackingCode
+ * @returns {TrackerState|null} null if the tracking code isn't for a label we bought
+ */
+export function getTracker(trackingCode) {
+  return getDb()
+    .query(
+      `SELECT trackers.*, fulfillment_orders.order_id, fulfillment_orders.order_name, fulfillment_orders.location_id, fulfillment_orders.fulfillment_id
+       FROM trackers JOIN fulfillment_orders USING (fulfillment_order_id)
+       WHERE tracking_code = $trackingCode`,
+    )
+    .get({ trackingCode });
+}
+
+/**
+ * @param {string} trackingCode
+ * @param {string} status - EasyPost tracker status
+ * @param {string|null} eventAt - When the tracking event happened, if EasyPost sent it. The previous event_at is kept otherwise.
+ */
+export function recordTrackerStatus(trackingCode, status, eventAt) {
+  getDb()
+    .query(
+      `UPDATE trackers SET status = $status, status_updated_at = $now, event_at = COALESCE($eventAt, event_at)
+       WHERE tracking_code = $trackingCode`,
+    )
+    .run({
+      trackingCode,
+      status,
+      eventAt: eventAt ?? null,
+      now: new Date().toISOString(),
+    });
+}
+
+/**
+ * @param {string} trackingCode
+ * @param {string} status - EasyPost tracker status the shop owner was alerted about
+ */
+export function recordTrackerAlerted(trackingCode, status) {
+  getDb()
+    .query(
+      "UPDATE trackers SET alerted_status = $status WHERE tracking_code = $trackingCode",
+    )
+    .run({ trackingCode, status });
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ * @returns {TrackerState[]} The trackers of the fulfillment order's current label, one per box
+ */
+export function getCurrentTrackers(fulfillmentOrderId) {
+  return getDb()
+    .query(
+      `SELECT * FROM trackers WHERE fulfillment_order_id = $fulfillmentOrderId AND voided_at IS NULL ORDER BY created_at`,
+    )
+    .all({ fulfillmentOrderId });
+}
+
+/**
+ * Marks the trackers of a fulfillment order's current labels as void, when the labels are refunded to be replaced.
+ * @param {string} fulfillmentOrderId
+ * @param {string} refundStatus
+ * @param {string} voidedAt - ISO timestamp, the same as the fulfillment order's label_voided_at
+ */
+export function voidTrackers(fulfillmentOrderId, refundStatus, voidedAt) {
+  getDb()
+    .query(
+      `UPDATE trackers SET voided_at = $voidedAt, refund_status = $refundStatus
+       WHERE fulfillment_order_id = $fulfillmentOrderId AND voided_at IS NULL`,
+    )
+    .run({ fulfillmentOrderId, refundStatus, voidedAt });
+}
+
+/**
+ * @param {string} fulfillmentOrderId
+ * @param {string} voidedAt - The fulfillment order's label_voided_at
+ * @returns {TrackerState[]} The trackers of the labels voided at that time
+ */
+export function getVoidedTrackers(fulfillmentOrderId, voidedAt) {
+  return getDb()
+    .query(
+      `SELECT * FROM trackers WHERE fulfillment_order_id = $fulfillmentOrderId AND voided_at = $voidedAt ORDER BY created_at`,
+    )
+    .all({ fulfillmentOrderId, voidedAt });
+}
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.statuses - EasyPost tracker statuses, e.g. failure
+ * @param {string} options.from - ISO timestamp, inclusive
+ * @param {string} options.to - ISO timestamp, exclusive
+ * @returns {TrackerState[]} Trackers of current labels that changed to one of the statuses in the range, with their order
+ */
+export function getTrackersWithStatus({ statuses, from, to }) {
+  return getDb()
+    .query(
+      `SELECT trackers.*, fulfillment_orders.order_id, fulfillment_orders.order_name
+       FROM trackers JOIN fulfillment_orders USING (fulfillment_order_id)
+       WHERE trackers.status IN (SELECT value FROM json_each($statuses)) AND status_updated_at >= $from AND status_updated_at < $to
+         AND voided_at IS NULL
+       ORDER BY status_updated_at`,
+    )
+    .all({ statuses: JSON.stringify(statuses), from, to });
+}
@@ -0,0 +1,98 @@
+// Webhook idempotency, keyed on the X-Shopify-Webhook-Id header for Shopify webhooks, or the event ID for EasyPost webhooks.
+// Both may deliver the same webhook more than once, and redeliver whenever we don't respond in time.
+
+import { getDb } from "./db";
+import { JobStatus } from "./jobs";
+
+export const WebhookStatus = {
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+// A webhook left in "processing" for longer than this, with no job queued or running for it (see store/jobs.js), is assumed to have been abandoned
+// by a crashed process. Jobs can take much longer than this, waiting between retries.
+const STALE_PROCESSING_MS = 15 * 60 * 1000;
+
+/**
+ * Records receipt of a webhook.
+ * Returns false if the webhook has already been completed or is currently being processed, in which case it should be ignored.
+ * Failed (or abandoned) webhooks may be processed again.
+ * @param {Object} webhook
+ * @param {string} webhook.webhookId - X-Shopify-Webhook-Id header, or EasyPost event ID
+ * @param {string} webhook.topic - X-Shopify-Topic header, or EasyPost event description
+ * @param {string} webhook.resourceId - e.g. the order's admin_graphql_api_id
+ * @returns {boolean}
+ */
+export function beginWebhook({ webhookId, topic, resourceId }) {
+  const db = getDb();
+  return db.transaction(() => {
+    const existing = db
+      .query(
+        "SELECT status, updated_at FROM webhooks WHERE webhook_id = $webhookId",
+      )
+      .get({ webhookId });
+
+    if (existing?.status === WebhookStatus.COMPLETED) {
+      return false;
+    }
+    if (
+      existing?.status === WebhookStatus.PROCESSING &&
+      (Date.now() - Date.parse(existing.updated_at) < STALE_PROCESSING_MS ||
+        hasUnfinishedJob(webhookId))
+    ) {
+      return false;
+    }
+
+    const now = new Date().toISOString();
+    db.query(
+      `INSERT INTO webhooks (webhook_id, topic, resource_id, status, received_at, updated_at)
+       VALUES ($webhookId, $topic, $resourceId, $status, $now, $now)
+       ON CONFLICT (webhook_id) DO UPDATE SET status = $status, error = NULL, updated_at = $now`,
+    ).run({
+      webhookId,
+      topic: topic ?? null,
+      resourceId: resourceId ?? null,
+      status: WebhookStatus.PROCESSING,
+      now,
+    });
+    return true;
+  })();
+}
+
+/**
+ * @param {string} webhookId
+ */
+export function completeWebhook(webhookId) {
+  setWebhookStatus(webhookId, WebhookStatus.COMPLETED, null);
+}
+
+/**
+ * @param {string} webhookId
+ * @param {Error} error
+ */
+export function failWebhook(webhookId, error) {
+  setWebhookStatus(webhookId, WebhookStatus.FAILED, error?.message ?? null);
+}
+
+function hasUnfinishedJob(webhookId) {
+  return Boolean(
+    getDb()
+      .query(
+        "SELECT 1 FROM jobs WHERE webhook_id = $webhookId AND status IN ($pending, $running)",
+      )
+      .get({
+        webhookId,
+        pending: JobStatus.PENDING,
+        running: JobStatus.RUNNING,
+      }),
+  );
+}
+
+function setWebhookStatus(webhookId, status, error) {
+  getDb()
+    .query(
+      "UPDATE webhooks SET status = $status, error = $error, updated_at = $now WHERE webhook_id = $webhookId",
+    )
+    .run({ webhookId, status, error, now: new Date().toISOString() });
+}
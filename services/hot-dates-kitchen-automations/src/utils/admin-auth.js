@@ -0,0 +1,18 @@
+// Authentication for our own (non-webhook) routes, e.g. rate simulation.
+// Requests must send "Authorization: Bearer <ADMIN_API_TOKEN>".
+import { timingSafeEqual } from "node:crypto";
+
+/**
+ * @param {Request} req
+ * @returns {boolean}
+ */
+export function isAuthorizedAdminRequest(req) {
+  const token = Bun.env.ADMIN_API_TOKEN;
+  const header = req.headers.get("Authorization");
+  if (!token || !header?.startsWith("Bearer ")) {
+    return false;
+  }
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(header.slice("Bearer ".length));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
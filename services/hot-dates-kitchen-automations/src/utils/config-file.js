@@ -0,0 +1,53 @@
+import logger from "./logger";
+
+/**
+ * Reads a JSON or YAML config file. YAML files must end in .yaml or .yml.
+ * @param {string} path
+ * @returns {Promise<any>}
+ */
+export async function readConfigFile(path) {
+  const text = await Bun.file(path).text();
+  return /\.ya?ml$/i.test(path) ? Bun.YAML.parse(text) : JSON.parse(text);
+}
+
+/**
+ * Creates a getter for a config file that is re-read whenever it changes, so that config can be updated without a deploy.
+ * If the changed file is invalid, the error is logged and the previous config is kept.
+ * @param {Object} options
+ * @param {string} options.description - For log messages, e.g. "shipping rules"
+ * @param {function(): string} options.path - Resolved on every call, so it can come from an env var
+ * @param {function(string): Promise<any>} options.load - Reads and validates the file, throwing if it's invalid
+ * @returns {function(): Promise<any>}
+ */
+export function createConfigLoader({ description, path: getPath, load }) {
+  let cached; // { path, lastModified, config }
+
+  return async function () {
+    const path = getPath();
+    const lastModified = Bun.file(path).lastModified;
+    if (
+      cached &&
+      cached.path === path &&
+      cached.lastModified === lastModified
+    ) {
+      return cached.config;
+    }
+
+    try {
+      const config = await load(path);
+      if (cached) {
+        logger.warn(`Reloaded ${description} from ${path}`);
+      }
+      cached = { path, lastModified, config };
+    } catch (e) {
+      if (!cached) throw e;
+      logger.error(
+        `Ignoring changes to ${path}, keeping previous ${description}:`,
+        e.message,
+      );
+      // Don't re-read the broken file on every call
+      cached.lastModified = lastModified;
+    }
+    return cached.config;
+  };
+}
@@ -77,27 +77,52 @@ export default async function retry(asyncFn, ErrorTypes = [], options = {}) {
 
       attempt++;
 
-      // Calculate delay
-      let delay;
-      if (backoff) {
-        // Exponential backoff
-        delay = retryInterval * Math.pow(backoffMultiplier, attempt - 1);
-      } else {
-        // Linear retry
-        delay = retryInterval;
-      }
+      // Wait before retrying
+      const delay = retryDelay(attempt, {
+        backoff,
+        backoffMultiplier,
+        retryInterval,
+        jitter,
+        maxDelay,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
 
-      // Apply maximum delay limit
-      delay = Math.min(delay, maxDelay);
+/**
+ * Delay before a retry, e.g. to schedule it rather than wait for it (see job-worker.js)
+ * @param {number} attempt - The retry, starting from 1
+ * @param {Object} options - See retry(), with the same defaults
+ * @returns {number} Milliseconds
+ */
+export function retryDelay(attempt, options = {}) {
+  const {
+    backoff = true,
+    backoffMultiplier = 2,
+    retryInterval = 1000,
+    jitter = 1,
+    maxDelay = 30000,
+  } = options;
 
-      // Apply jitter
-      if (jitter > 0) {
-        const jitterAmount = delay * jitter * Math.random();
-        delay = delay + jitterAmount - (delay * jitter) / 2;
-      }
+  // Calculate delay
+  let delay;
+  if (backoff) {
+    // Exponential backoff
+    delay = retryInterval * Math.pow(backoffMultiplier, attempt - 1);
+  } else {
+    // Linear retry
+    delay = retryInterval;
+  }
 
-      // Wait before retrying
-      await new Promise((resolve) => setTimeout(resolve, Math.max(0, delay)));
-    }
+  // Apply maximum delay limit
+  delay = Math.min(delay, maxDelay);
+
+  // Apply jitter
+  if (jitter > 0) {
+    const jitterAmount = delay * jitter * Math.random();
+    delay = delay + jitterAmount - (delay * jitter) / 2;
   }
+
+  return Math.max(0, delay);
 }
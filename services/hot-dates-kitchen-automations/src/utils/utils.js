@@ -24,3 +24,12 @@ export function getDefaultVariantDisplayName(variantDisplayName) {
   }
   return null;
 }
+
+/*
+ * Link to an order in the Shopify Admin, for emails.
+ * @param {string} orderId - A shopify guid, e.g. gid://shopify/Order/6131724353707
+ * @returns {string}
+ */
+export function shopifyOrderAdminUrl(orderId) {
+  return `${Bun.env.SHOPIFY_ADMIN_BASE_URL}/orders/${extractNumberFromShopifyGuid(orderId)}`;
+}
@@ -1,9 +1,41 @@
+import { lineItemWeightProblem } from "./weight";
+
+export class FulfillmentOrderValidationError extends Error {
+  constructor(message, problems = []) {
+    super(
+      problems.length > 0 ? `${message}:\n- ${problems.join("\n- ")}` : message,
+    );
+    this.name = "FulfillmentOrderValidationError";
+    this.problems = problems;
+  }
+}
+
+// Readable names of the address fields, for problems the shop owner has to fix (e.g. in a Shopify fulfillment hold, see holds.js)
+const ADDRESS_FIELDS = {
+  firstName: "first name",
+  lastName: "last name",
+  address1: "street address",
+  city: "city",
+  province: "state",
+  zip: "ZIP code",
+  countryCode: "country",
+};
+
+const US_ZIP = /^\d{5}(-\d{4})?$/;
+
 /**
- * Returns an list of missing required fields
+ * Pre-flight checks of everything needed to rate, buy and pack a fulfillment order: the shipping address, the fulfillment location's address,
+ * and each line item's SKU, quantity and weight. Run before any EasyPost call.
  * @param {fulfillmentOrder} fulfillmentOrders
- * @returns {string[]} errors
+ * @param {Object} [options]
+ * @param {boolean} [options.fulfilled] - Our fulfillment was already created (e.g. the label is being replaced), so its line items are expected
+ * to be fulfilled
+ * @returns {string[]} Problems, worded for the shop owner
  */
-export const validateFulfillmentOrder = (fulfillmentOrder) => {
+export const validateFulfillmentOrder = (
+  fulfillmentOrder,
+  { fulfilled = false } = {},
+) => {
   const errors = [];
   const requiredFields = ["id"];
 
@@ -23,53 +55,85 @@ export const validateFulfillmentOrder = (fulfillmentOrder) => {
   errors.push(...validateAssignedLocation(assignedLocation));
 
   const lineItems = fulfillmentOrder.lineItems.nodes;
+  if (lineItems.length === 0) {
+    errors.push("The fulfillment order has no line items.");
+  }
   for (let i = 0; i < lineItems.length; i++) {
-    errors.push(...validateLineItem(lineItems[i], fulfillmentOrder.id));
+    errors.push(...validateLineItem(lineItems[i], fulfilled));
   }
 
-  // TODO: Do we need to ensure there is enough inventory? Or does Shopify do that automatically?
-
   return errors;
 };
 
-const validateDestination = (destination, orderId) => {
-  const requiredFields = [
-    "firstName",
-    "lastName",
-    "address1",
-    "city",
-    "province",
-    "zip",
-    "countryCode",
-  ];
-
-  return requiredFields
-    .filter((field) => !destination[field])
-    .map(
-      (field) =>
-        `destination.${field} is missing in order ${orderId ?? "Unknown"}.`,
-    );
+const validateDestination = (destination) => {
+  if (!destination) {
+    return ["The order has no shipping address."];
+  }
+  return validateAddress(destination, "Shipping address");
 };
 
-const validateAssignedLocation = (assignedLocation, orderId) => {
-  const requiredFields = ["address1", "city", "province", "zip", "countryCode"];
+const validateAssignedLocation = (assignedLocation) => {
+  if (!assignedLocation) {
+    return ["The fulfillment order has no fulfillment location."];
+  }
+  const { firstName, lastName, ...requiredFields } = ADDRESS_FIELDS;
+  return validateAddress(
+    assignedLocation,
+    `Address of fulfillment location ${assignedLocation.name ?? "Unknown"}`,
+    requiredFields,
+  );
+};
 
-  return requiredFields
-    .filter((field) => !assignedLocation[field])
-    .map(
-      (field) =>
-        `assignedLocation.${field} is missing in order ${orderId ?? "Unknown"}.`,
-    );
+const validateAddress = (
+  address,
+  description,
+  requiredFields = ADDRESS_FIELDS,
+) => {
+  const errors = Object.entries(requiredFields)
+    .filter(([field]) => !address[field])
+    .map(([, name]) => `${description} is missing the ${name}.`);
+  if (
+    address.zip &&
+    address.countryCode === "US" &&
+    !US_ZIP.test(address.zip)
+  ) {
+    errors.push(`${description} has an invalid ZIP code, "${address.zip}".`);
+  }
+  return errors;
 };
 
-// TODO: Consider what fields could be missing (and thus need to be validated) vs which fields we'll invariably expect
-const validateLineItem = (lineItem, orderId) => {
-  const requiredFields = [];
+const validateLineItem = (lineItem, fulfilled) => {
+  const name =
+    lineItem.sku || lineItem.variant?.displayName || lineItem.id || "Unknown";
+  const errors = [];
 
-  return requiredFields
-    .filter((field) => !lineItem[field])
-    .map(
-      (field) =>
-        `${field} is missing in line item ${lineItem.id || "Unknown"} in order ${orderId || "Unknown"}`,
+  // Boxes are chosen by SKU, see packaging.js
+  if (!lineItem.sku) {
+    errors.push(
+      `Line item ${name} has no SKU. Please add one to the product variant in the Admin.`,
+    );
+  }
+  if (!Number.isInteger(lineItem.totalQuantity) || lineItem.totalQuantity < 1) {
+    errors.push(
+      `Line item ${name} has a quantity of ${lineItem.totalQuantity}.`,
     );
+  } else if (
+    !fulfilled &&
+    Number.isInteger(lineItem.remainingQuantity) &&
+    lineItem.remainingQuantity < lineItem.totalQuantity
+  ) {
+    // Labels and packing slips are for the whole fulfillment order, so the fulfilled items would be shipped again
+    errors.push(
+      `Line item ${name} was partly fulfilled already (${lineItem.remainingQuantity} of ${lineItem.totalQuantity} left to fulfill).`,
+    );
+  }
+
+  // A missing weight would quietly underweight the parcel, and the carrier would bill the difference later
+  const weightProblem = lineItemWeightProblem(lineItem);
+  if (weightProblem) {
+    errors.push(
+      `Line item ${name} ${weightProblem}. Please update the product's weight in the Admin.`,
+    );
+  }
+  return errors;
 };
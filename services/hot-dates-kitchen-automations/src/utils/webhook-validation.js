@@ -1,4 +1,4 @@
-// We should always validate that webhooks are coming from Shopify
+// We should always validate that webhooks are coming from Shopify (or EasyPost)
 import { timingSafeEqual } from "node:crypto";
 
 export function validateShopifyWebhookHmac(
@@ -15,3 +15,26 @@ export function validateShopifyWebhookHmac(
     Buffer.from(hmacHeader),
   );
 }
+
+// EasyPost signs webhooks with the webhook's secret, in the X-Hmac-Signature header: "hmac-sha256-hex=<hex digest of the body>"
+// https://docs.easypost.com/guides/webhooks-guide#hmac-validation
+export function validateEasyPostWebhookHmac(
+  signatureHeader,
+  bodyBuffer,
+  webhookSecret,
+) {
+  // Nothing can be verified without the secret, so the webhook is rejected (401) rather than failing (500)
+  if (!webhookSecret) {
+    return false;
+  }
+  const expected = `hmac-sha256-hex=${new Bun.CryptoHasher(
+    "sha256",
+    webhookSecret.normalize("NFKD"),
+  )
+    .update(bodyBuffer)
+    .digest("hex")}`;
+  return (
+    signatureHeader.length === expected.length &&
+    timingSafeEqual(Buffer.from(expected), Buffer.from(signatureHeader))
+  );
+}
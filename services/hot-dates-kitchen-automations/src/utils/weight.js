@@ -0,0 +1,49 @@
+// Converting Shopify weights to ounces, which is what EasyPost expects. Shopify weights are per unit: packaging.js multiplies by quantity.
+// https://shopify.dev/docs/api/admin-graphql/latest/enums/WeightUnit
+
+const OUNCES_PER_GRAM = 1 / 28.349523125;
+
+export const OUNCES_PER_UNIT = {
+  GRAMS: OUNCES_PER_GRAM,
+  KILOGRAMS: 1000 * OUNCES_PER_GRAM,
+  POUNDS: 16,
+  OUNCES: 1,
+};
+
+export class WeightUnitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WeightUnitError";
+  }
+}
+
+/**
+ * @param {{value: number, unit: string}} weight - Shopify Weight
+ * @returns {number} ounces
+ */
+export function toOunces(weight) {
+  const ouncesPerUnit = OUNCES_PER_UNIT[weight?.unit];
+  if (ouncesPerUnit === undefined) {
+    throw new WeightUnitError(`Unknown weight unit ${weight?.unit}`);
+  }
+  return weight.value * ouncesPerUnit;
+}
+
+/**
+ * Problems with a line item's weight that would make its parcel rate as lighter than it is: a missing or zero weight, or a unit we don't know.
+ * @param {Object} lineItem
+ * @returns {string|null}
+ */
+export function lineItemWeightProblem(lineItem) {
+  const { weight } = lineItem;
+  if (weight == null || weight.value == null) {
+    return "has no weight";
+  }
+  if (OUNCES_PER_UNIT[weight.unit] === undefined) {
+    return `has weight in unknown units ${weight.unit}`;
+  }
+  if (!(weight.value > 0)) {
+    return "has a weight of zero";
+  }
+  return null;
+}
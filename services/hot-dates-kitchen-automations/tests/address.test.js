@@ -0,0 +1,94 @@
+import { test, expect, afterEach } from "bun:test";
+import { verifyDestination, UndeliverableAddressError } from "../src/address";
+import { EasyPostValidationError } from "../src/common/easypost";
+
+const fulfillmentOrder = {
+  id: "gid://shopify/FulfillmentOrder/1",
+  destination: {
+    firstName: "Bob",
+    lastName: "Smith",
+    address1: "417 montgomery st",
+    address2: "",
+    city: "san francisco",
+    province: "CA",
+    zip: "94104",
+    countryCode: "US",
+    phone: null,
+    email: "bob@example.com",
+  },
+};
+
+// Stands in for EasyPostClient, returning a canned verification (or throwing a canned error) and remembering what it was asked
+const fakeEasyPost = (response) => ({
+  requests: [],
+  async verifyAddress(address, options) {
+    this.requests.push({ address, options });
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  },
+});
+
+afterEach(() => {
+  delete Bun.env.FALLBACK_RECIPIENT_PHONE;
+});
+
+test("Uses the normalized address and fallback phone", async () => {
+  Bun.env.FALLBACK_RECIPIENT_PHONE = "555-0100";
+  const easypost = fakeEasyPost({
+    id: "adr_1",
+    street1: "417 MONTGOMERY ST",
+    street2: "",
+    city: "SAN FRANCISCO",
+    state: "CA",
+    zip: "94104-1129",
+    country: "US",
+    verifications: { delivery: { success: true, errors: [] } },
+  });
+
+  const verified = await verifyDestination(easypost, fulfillmentOrder);
+  expect(easypost.requests[0].address.phone).toBe("555-0100");
+  expect(verified.destination).toMatchObject({
+    firstName: "Bob",
+    address1: "417 MONTGOMERY ST",
+    zip: "94104-1129",
+    phone: "555-0100",
+  });
+  // The original is left alone
+  expect(fulfillmentOrder.destination.zip).toBe("94104");
+});
+
+test("Throws for an undeliverable address", async () => {
+  const easypost = fakeEasyPost({
+    id: "adr_2",
+    verifications: {
+      delivery: {
+        success: false,
+        errors: [{ field: "street1", message: "Address not found" }],
+      },
+    },
+  });
+
+  const error = await verifyDestination(easypost, fulfillmentOrder).catch(
+    (e) => e,
+  );
+  expect(error).toBeInstanceOf(UndeliverableAddressError);
+  expect(error.problems).toEqual(["street1: Address not found"]);
+});
+
+test("Throws for a verify_strict error response", async () => {
+  const easypost = fakeEasyPost(
+    new EasyPostValidationError("Unable to verify address.", {
+      status: 422,
+      code: "ADDRESS.VERIFY.FAILURE",
+      errors: [{ field: "street1", message: "Address not found" }],
+    }),
+  );
+
+  const error = await verifyDestination(easypost, fulfillmentOrder).catch(
+    (e) => e,
+  );
+  expect(error).toBeInstanceOf(UndeliverableAddressError);
+  expect(error.problems).toEqual(["street1: Address not found"]);
+});
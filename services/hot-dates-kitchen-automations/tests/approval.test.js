@@ -0,0 +1,366 @@
+import { test, expect, afterEach, spyOn } from "bun:test";
+import nodemailer from "nodemailer";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  parseApprovalPolicy,
+  isApprovalPolicyEnabled,
+  approvalReasons,
+  createApprovalToken,
+  verifyApprovalToken,
+  recordApprovalDecision,
+  ApprovalPolicyError,
+  ApprovalLinkError,
+} from "../src/approval";
+import { isHeldForApproval, buyLabel } from "../src/label-purchase";
+import { EasyPostClient } from "../src/common/easypost";
+import {
+  claimFulfillmentOrder,
+  getFulfillmentOrderState,
+  recordShipmentCreated,
+  recordApprovalRequested,
+  recordRateApproved,
+} from "../src/store/fulfillment-orders";
+
+Bun.env.APPROVAL_LINK_SECRET = "test-approval-secret";
+Bun.env.PUBLIC_BASE_URL = "https://automations.test";
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete Bun.env.SEND_LIVE_EMAILS;
+  delete Bun.env.APPROVAL_POLICY_PATH;
+});
+
+// Fails buying the approved shipment's rate, and answers a new shipment with the given rate, which can be bought. Remembers each request.
+function fakeEasyPost(approvedShipmentId, rerated) {
+  Bun.env.EASYPOST_API_BASE_URL = "https://easypost.test/v2";
+  Bun.env.EASYPOST_MAX_RETRIES = "0";
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    const request = `${init.method} ${new URL(url).pathname.replace("/v2", "")}`;
+    requests.push(request);
+    switch (request) {
+      case `GET /shipments/${approvedShipmentId}`:
+        return Response.json({ id: approvedShipmentId, postage_label: null });
+      case `POST /shipments/${approvedShipmentId}/buy`:
+        return Response.json(
+          { error: { code: "SHIPMENT.RATE.INVALID", message: "Rate expired" } },
+          { status: 422 },
+        );
+      case "POST /shipments":
+        return Response.json({
+          id: "shp_rerated",
+          usps_zone: 1,
+          to_address: { state: "CA" },
+          parcel: { weight: 24 },
+          rates: [rerated],
+        });
+      case "POST /shipments/shp_rerated/buy":
+        return Response.json({
+          id: "shp_rerated",
+          selected_rate: rerated,
+          postage_label: { label_url: "https://labels.test/shp_rerated.png" },
+          tracker: { tracking_code: `TRACK_${approvedShipmentId}` },
+        });
+    }
+    throw new Error(`Unexpected request ${request}`);
+  };
+  return requests;
+}
+
+// buyLabel() options for a single box fulfillment order
+function labelToBuy(fulfillmentOrderId, orderName, claimToken) {
+  return {
+    easypost: new EasyPostClient(),
+    order: {
+      id: `gid://shopify/Order/${orderName.slice(1)}`,
+      name: orderName,
+      tags: [],
+    },
+    fulfillmentOrder: { id: fulfillmentOrderId },
+    center: { allowedCarriers: null, shipDays: null },
+    state: getFulfillmentOrderState(fulfillmentOrderId),
+    claimToken,
+    prepared: {
+      shipment: {},
+      multiParcel: false,
+      parcels: [{}],
+      verifiedFulfillmentOrder: { destination: { province: "CA" } },
+      shipDay: null,
+    },
+  };
+}
+
+const priority = (id, amount) => ({
+  id,
+  carrier: "USPS",
+  service: "Priority",
+  rate: amount,
+  delivery_days: 2,
+});
+
+const policy = parseApprovalPolicy({
+  rateAbove: 40,
+  ratePercentOfSubtotalAbove: 25,
+  zoneAbove: 7,
+  tags: ["wholesale"],
+});
+
+test("Approval policy defaults to no approvals", () => {
+  const empty = parseApprovalPolicy({});
+  expect(empty).toMatchObject({
+    rateAbove: null,
+    tags: [],
+    linkExpiryHours: 72,
+  });
+  expect(isApprovalPolicyEnabled(empty)).toBe(false);
+  expect(isApprovalPolicyEnabled(policy)).toBe(true);
+});
+
+test("Invalid approval policies list every problem", () => {
+  expect(() =>
+    parseApprovalPolicy({
+      rateAbove: "40",
+      tags: "wholesale",
+      linkExpiryHours: 0,
+    }),
+  ).toThrow(ApprovalPolicyError);
+  let error;
+  try {
+    parseApprovalPolicy({ rateAbove: -1, zoneAbove: "8" });
+  } catch (e) {
+    error = e;
+  }
+  expect(error.problems).toEqual([
+    "rateAbove must be a number, 0 or more",
+    "zoneAbove must be a number, 0 or more",
+  ]);
+});
+
+test("An approval policy that can hold labels needs approval links to be configured", () => {
+  expect(() => parseApprovalPolicy({ rateAbove: 40 }, {})).toThrow(
+    "APPROVAL_LINK_SECRET must be set to email approval links",
+  );
+  expect(() =>
+    parseApprovalPolicy(
+      { tags: ["wholesale"] },
+      { APPROVAL_LINK_SECRET: "secret" },
+    ),
+  ).toThrow("PUBLIC_BASE_URL must be set to email approval links");
+  expect(
+    parseApprovalPolicy(
+      { rateAbove: 40 },
+      { APPROVAL_LINK_SECRET: "secret", PUBLIC_BASE_URL: "https://a.test" },
+    ).rateAbove,
+  ).toBe(40);
+  // Nothing is ever held, so no links are sent
+  expect(parseApprovalPolicy({}, {}).rateAbove).toBeNull();
+});
+
+test("Labels matching any part of the policy need approval", () => {
+  const ordinary = { rate: 12.5, subtotal: 100, zone: 5, tags: [] };
+  expect(approvalReasons(policy, ordinary)).toEqual([]);
+  expect(approvalReasons(policy, { ...ordinary, rate: 45 })).toEqual([
+    "Rate $45 is above $40",
+    "Rate is 45.0% of the $100 subtotal, above 25%",
+  ]);
+  expect(approvalReasons(policy, { ...ordinary, zone: 8 })).toEqual([
+    "Zone 8 is above 7",
+  ]);
+  expect(
+    approvalReasons(policy, { ...ordinary, tags: ["gift", "wholesale"] }),
+  ).toEqual(["Order is tagged wholesale"]);
+  // Unknown subtotal or zone doesn't hold the label
+  expect(
+    approvalReasons(policy, { ...ordinary, subtotal: null, zone: null }),
+  ).toEqual([]);
+});
+
+test("Approval links can't be tampered with or used after they expire", () => {
+  const decision = {
+    fulfillmentOrderId: "gid://shopify/FulfillmentOrder/1",
+    shipmentId: "shp_1",
+    action: "approve",
+    rateId: "rate_1",
+  };
+  const expiresAt = new Date("2030-01-01T00:00:00Z");
+  const token = createApprovalToken(decision, expiresAt);
+  expect(verifyApprovalToken(token, new Date("2029-12-31T00:00:00Z"))).toEqual(
+    decision,
+  );
+
+  expect(() =>
+    verifyApprovalToken(token, new Date("2030-01-02T00:00:00Z")),
+  ).toThrow("This approval link has expired");
+
+  const [, signature] = token.split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ ...decision, rateId: "rate_2", expiresAt }),
+  ).toString("base64url");
+  expect(() => verifyApprovalToken(`${forged}.${signature}`)).toThrow(
+    ApprovalLinkError,
+  );
+  expect(() => verifyApprovalToken("not-a-token")).toThrow(ApprovalLinkError);
+});
+
+test("A held label can be approved once, with one of its rates", () => {
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/approval-1";
+  claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId: "gid://shopify/Order/approval-1",
+    orderName: "#4001",
+  });
+  recordShipmentCreated(fulfillmentOrderId, "shp_held");
+  recordApprovalRequested(fulfillmentOrderId, {
+    rates: [
+      { id: "rate_1", carrier: "USPS", service: "Priority", rate: "45.00" },
+    ],
+    trace: { ruleSet: "default", rates: [], chosen: null },
+  });
+  expect(isHeldForApproval(getFulfillmentOrderState(fulfillmentOrderId))).toBe(
+    true,
+  );
+
+  const decision = {
+    fulfillmentOrderId,
+    shipmentId: "shp_held",
+    action: "approve",
+  };
+  expect(() =>
+    recordApprovalDecision({ ...decision, rateId: "rate_unknown" }),
+  ).toThrow("Unknown rate");
+  expect(() =>
+    recordApprovalDecision({
+      ...decision,
+      shipmentId: "shp_old",
+      rateId: "rate_1",
+    }),
+  ).toThrow("This label is no longer waiting for approval");
+
+  recordApprovalDecision({ ...decision, rateId: "rate_1" });
+  const state = getFulfillmentOrderState(fulfillmentOrderId);
+  expect(state.approved_rate_id).toBe("rate_1");
+  expect(isHeldForApproval(state)).toBe(false);
+
+  expect(() =>
+    recordApprovalDecision({ ...decision, action: "reject" }),
+  ).toThrow("This label was already approved");
+});
+
+test("A rejected label stays held", () => {
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/approval-2";
+  claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId: "gid://shopify/Order/approval-2",
+    orderName: "#4002",
+  });
+  recordShipmentCreated(fulfillmentOrderId, "shp_rejected");
+  recordApprovalRequested(fulfillmentOrderId, {
+    rates: [],
+    trace: { ruleSet: "default", rates: [], chosen: null },
+  });
+  recordApprovalDecision({
+    fulfillmentOrderId,
+    shipmentId: "shp_rejected",
+    action: "reject",
+  });
+  const state = getFulfillmentOrderState(fulfillmentOrderId);
+  expect(state.approval_rejected_at).not.toBeNull();
+  expect(isHeldForApproval(state)).toBe(true);
+});
+
+test("An approved rate that can no longer be bought is rated again", async () => {
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/approval-3";
+  const claim = claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId: "gid://shopify/Order/4003",
+    orderName: "#4003",
+  });
+  recordShipmentCreated(fulfillmentOrderId, "shp_approved");
+  recordApprovalRequested(fulfillmentOrderId, {
+    rates: [priority("rate_old", "45.00")],
+    trace: { ruleSet: "default", rates: [], chosen: null },
+  });
+  recordRateApproved(fulfillmentOrderId, "rate_old");
+  const requests = fakeEasyPost("shp_approved", priority("rate_new", "12.00"));
+
+  const purchase = await buyLabel(
+    labelToBuy(fulfillmentOrderId, "#4003", claim.token),
+  );
+
+  expect(requests).toEqual([
+    "GET /shipments/shp_approved",
+    "POST /shipments/shp_approved/buy",
+    "POST /shipments",
+    "POST /shipments/shp_rerated/buy",
+  ]);
+  expect(purchase.chosenRate.id).toBe("rate_new");
+  expect(getFulfillmentOrderState(fulfillmentOrderId)).toMatchObject({
+    shipment_id: "shp_rerated",
+    approval_requested_at: null,
+    approved_rate_id: null,
+  });
+});
+
+test("An approved rate missing from the held shipment's rates is rated again", async () => {
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/approval-5";
+  const claim = claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId: "gid://shopify/Order/4005",
+    orderName: "#4005",
+  });
+  recordShipmentCreated(fulfillmentOrderId, "shp_missing");
+  recordApprovalRequested(fulfillmentOrderId, {
+    rates: [priority("rate_other", "45.00")],
+    trace: { ruleSet: "default", rates: [], chosen: null },
+  });
+  recordRateApproved(fulfillmentOrderId, "rate_gone");
+  const requests = fakeEasyPost("shp_missing", priority("rate_new", "12.00"));
+
+  const purchase = await buyLabel(
+    labelToBuy(fulfillmentOrderId, "#4005", claim.token),
+  );
+
+  expect(requests).toEqual([
+    "GET /shipments/shp_missing",
+    "POST /shipments",
+    "POST /shipments/shp_rerated/buy",
+  ]);
+  expect(purchase.chosenRate.id).toBe("rate_new");
+  expect(getFulfillmentOrderState(fulfillmentOrderId)).toMatchObject({
+    approval_requested_at: null,
+    approved_rate_id: null,
+  });
+});
+
+test("A label is only held for approval once the shop owner has been emailed", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "hdk-approval-"));
+  try {
+    Bun.env.APPROVAL_POLICY_PATH = join(dir, "approval.json");
+    writeFileSync(
+      Bun.env.APPROVAL_POLICY_PATH,
+      JSON.stringify({ rateAbove: 10 }),
+    );
+    Bun.env.SEND_LIVE_EMAILS = "true";
+    spyOn(nodemailer, "createTransport").mockReturnValue({
+      verify: async () => true,
+      sendMail: async () => {
+        throw new Error("SMTP is down");
+      },
+    });
+    const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/approval-4";
+    const claim = claimFulfillmentOrder(fulfillmentOrderId, {
+      orderId: "gid://shopify/Order/4004",
+      orderName: "#4004",
+    });
+    fakeEasyPost("shp_unused", priority("rate_held", "12.00"));
+
+    await expect(
+      buyLabel(labelToBuy(fulfillmentOrderId, "#4004", claim.token)),
+    ).rejects.toThrow("SMTP is down");
+    const state = getFulfillmentOrderState(fulfillmentOrderId);
+    expect(state.approval_requested_at).toBeNull();
+    expect(state.label).toBeNull();
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,192 @@
+import { test, expect } from "bun:test";
+import { DateTime } from "luxon";
+import {
+  parseCarrierCalendar,
+  projectedArrivalDate,
+  CarrierCalendarConfigError,
+} from "../src/carrier-calendar";
+import rules from "../src/rules";
+import { parseRuleSetDefinition, RuleConfigError } from "../src/rule-config";
+
+const calendar = parseCarrierCalendar({
+  carriers: {
+    default: { deliveryWeekdays: [1, 2, 3, 4, 5], holidays: ["2026-11-26"] },
+    USPS: { deliveryWeekdays: [1, 2, 3, 4, 5, 6] },
+  },
+});
+
+const thursday = DateTime.fromISO("2026-10-22", {
+  zone: "America/Los_Angeles",
+});
+
+test("Transit days are counted on the days the carrier delivers", () => {
+  expect(
+    projectedArrivalDate(
+      { carrier: "UPSDAP", delivery_days: 2 },
+      thursday,
+      calendar,
+    ),
+  ).toBe("2026-10-26");
+  expect(
+    projectedArrivalDate(
+      { carrier: "USPS", delivery_days: 2 },
+      thursday,
+      calendar,
+    ),
+  ).toBe("2026-10-24");
+  // est_delivery_days is preferred over delivery_days
+  expect(
+    projectedArrivalDate(
+      { carrier: "USPS", delivery_days: 2, est_delivery_days: 1 },
+      thursday,
+      calendar,
+    ),
+  ).toBe("2026-10-23");
+});
+
+test("Carrier holidays aren't delivery days", () => {
+  const dayBeforeThanksgiving = DateTime.fromISO("2026-11-25");
+  expect(
+    projectedArrivalDate(
+      { carrier: "FedExDefault", delivery_days: 1 },
+      dayBeforeThanksgiving,
+      calendar,
+    ),
+  ).toBe("2026-11-27");
+});
+
+test("EasyPost's delivery date wins over transit days", () => {
+  expect(
+    projectedArrivalDate(
+      {
+        carrier: "UPSDAP",
+        delivery_days: 2,
+        delivery_date: "2026-10-23T18:00:00Z",
+      },
+      thursday,
+      calendar,
+    ),
+  ).toBe("2026-10-23");
+  expect(
+    projectedArrivalDate({ carrier: "UPSDAP" }, thursday, calendar),
+  ).toBeNull();
+});
+
+test("Carrier calendars need a default and valid days", () => {
+  expect(() => parseCarrierCalendar({ carriers: {} })).toThrow(
+    CarrierCalendarConfigError,
+  );
+  let error;
+  try {
+    parseCarrierCalendar({
+      carriers: {
+        default: { deliveryWeekdays: [] },
+        USPS: { deliveryWeekdays: [1], holidays: ["Christmas"] },
+      },
+    });
+  } catch (e) {
+    error = e;
+  }
+  expect(error.problems).toEqual([
+    "carriers.default.deliveryWeekdays must be a non-empty array of 1 (Monday) to 7 (Sunday)",
+    'carriers.USPS.holidays must be an array of dates, "yyyy-MM-dd"',
+  ]);
+});
+
+test("Rules can require an arrival date and a guaranteed delivery", async () => {
+  const shipment = {
+    usps_zone: 5,
+    parcel: { weight: 24 },
+    rates: [
+      {
+        id: "rate_ground",
+        carrier: "UPSDAP",
+        service: "Ground",
+        rate: "8.00",
+        delivery_days: 4,
+      },
+      {
+        id: "rate_2day",
+        carrier: "UPSDAP",
+        service: "2ndDayAir",
+        rate: "18.00",
+        delivery_days: 2,
+        delivery_date_guaranteed: true,
+      },
+      {
+        id: "rate_priority",
+        carrier: "USPS",
+        service: "Priority",
+        rate: "9.50",
+        delivery_days: 2,
+        delivery_date_guaranteed: false,
+      },
+    ],
+  };
+  const arrivesByMonday = parseRuleSetDefinition(
+    {
+      rules: [
+        {
+          name: "arrives-by-monday",
+          type: "filter",
+          match: { arrivalDate: { lte: "2026-10-26" } },
+        },
+      ],
+      sort: [{ key: "rate", order: "asc" }],
+    },
+    "candidate",
+  );
+  const { chosenRate, trace } = await rules(
+    shipment,
+    { shipDay: thursday },
+    arrivesByMonday,
+  );
+  expect(chosenRate.id).toBe("rate_2day");
+  expect(trace.rates[0]).toMatchObject({
+    rule: "arrives-by-monday",
+    arrival_date: "2026-10-28",
+  });
+  // Arrives Saturday, which the ship-day calendar rejects anyway
+  expect(trace.rates[2]).toMatchObject({
+    rule: "no-weekend-or-holiday-delivery",
+    arrival_date: "2026-10-24",
+  });
+
+  const guaranteed = parseRuleSetDefinition(
+    {
+      rules: [
+        { name: "guaranteed", type: "filter", match: { guaranteed: true } },
+        {
+          name: "within-4-days",
+          type: "filter",
+          match: { arrivalDaysAfterShip: { lte: 4 } },
+        },
+      ],
+    },
+    "candidate",
+  );
+  const { trace: guaranteedTrace } = await rules(
+    shipment,
+    { shipDay: thursday },
+    guaranteed,
+  );
+  // Monday is 4 days after Thursday
+  expect(guaranteedTrace.chosen.id).toBe("rate_2day");
+  expect(guaranteedTrace.rates[0].rule).toBe("guaranteed");
+});
+
+test("Comparisons must be numbers or dates", () => {
+  expect(() =>
+    parseRuleSetDefinition(
+      {
+        rules: [
+          {
+            type: "filter",
+            match: { arrivalDate: { lte: "next Monday" } },
+          },
+        ],
+      },
+      "candidate",
+    ),
+  ).toThrow(RuleConfigError);
+});
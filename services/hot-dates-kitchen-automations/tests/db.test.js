@@ -0,0 +1,55 @@
+import { test, expect } from "bun:test";
+import { mkdtempSync, mkdirSync, symlinkSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { databasePath, DatabasePathError } from "../src/store/db";
+
+test("Outside of production the database defaults to data/, or memory for tests", () => {
+  expect(databasePath({ NODE_ENV: "test" })).toBe(":memory:");
+  expect(databasePath({ NODE_ENV: "development" })).toBe(
+    "data/automations.sqlite",
+  );
+  expect(
+    databasePath({ NODE_ENV: "development", DATABASE_PATH: "/tmp/a.sqlite" }),
+  ).toBe("/tmp/a.sqlite");
+});
+
+test("In production the database must live outside of the release directory", () => {
+  const base = mkdtempSync(join(tmpdir(), "hdk-deploy-"));
+  try {
+    const release = join(base, "releases", "20261019-120000");
+    mkdirSync(join(release, "data"), { recursive: true });
+    mkdirSync(join(base, "shared"));
+    symlinkSync(release, join(base, "current"));
+    const production = (DATABASE_PATH) => ({
+      NODE_ENV: "production",
+      DATABASE_PATH,
+    });
+
+    expect(
+      databasePath(
+        production(join(base, "shared/automations.sqlite")),
+        release,
+      ),
+    ).toBe(join(base, "shared/automations.sqlite"));
+    expect(
+      databasePath(production("../../shared/automations.sqlite"), release),
+    ).toBe(join(base, "shared/automations.sqlite"));
+
+    expect(() => databasePath({ NODE_ENV: "production" }, release)).toThrow(
+      DatabasePathError,
+    );
+    expect(() =>
+      databasePath(production("data/automations.sqlite"), release),
+    ).toThrow(DatabasePathError);
+    // Through the "current" symlink, and into a directory that doesn't exist yet
+    expect(() =>
+      databasePath(
+        production(join(base, "current/state/automations.sqlite")),
+        release,
+      ),
+    ).toThrow(DatabasePathError);
+  } finally {
+    rmSync(base, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,111 @@
+import { test, expect } from "bun:test";
+import { DateTime } from "luxon";
+import { getDigest, formatDigest, digestProblemCount } from "../src/digest";
+import { nextDigestTime } from "../src/handlers/daily-digest";
+import {
+  claimFulfillmentOrder,
+  recordShipmentCreated,
+  recordLabelPurchased,
+  recordLabelVoided,
+  recordApprovalRequested,
+} from "../src/store/fulfillment-orders";
+import { recordTrackerStatus } from "../src/store/trackers";
+import { enqueueJob, deadLetterJob } from "../src/store/jobs";
+
+Bun.env.SHOPIFY_ADMIN_BASE_URL = "https://admin.shopify.com/store/hot-dates";
+
+function label(id, trackingCode, rate) {
+  return {
+    id,
+    selected_rate: { carrier: "USPS", service: "Priority", rate },
+    tracker: { tracking_code: trackingCode },
+  };
+}
+
+test("The digest covers the day's labels and everything needing attention", () => {
+  const shipped = "gid://shopify/FulfillmentOrder/digest-1";
+  claimFulfillmentOrder(shipped, {
+    orderId: "gid://shopify/Order/7001",
+    orderName: "#7001",
+  });
+  recordShipmentCreated(shipped, "shp_digest_old");
+  recordLabelPurchased(shipped, {
+    shipmentId: "shp_digest_old",
+    label: label("shp_digest_old", "DIGEST-OLD", "9.50"),
+  });
+  recordLabelVoided(shipped, "submitted");
+  recordLabelPurchased(shipped, {
+    shipmentId: "shp_digest_new",
+    label: label("shp_digest_new", "DIGEST-NEW", "10.25"),
+  });
+  recordTrackerStatus("DIGEST-NEW", "return_to_sender");
+
+  const held = "gid://shopify/FulfillmentOrder/digest-2";
+  claimFulfillmentOrder(held, {
+    orderId: "gid://shopify/Order/7002",
+    orderName: "#7002",
+  });
+  recordShipmentCreated(held, "shp_digest_held");
+  recordApprovalRequested(held, {
+    rates: [],
+    trace: { ruleSet: "default", rates: [], chosen: null },
+  });
+
+  const jobId = enqueueJob({
+    type: "purchase-shipping-labels",
+    payload: {
+      admin_graphql_api_id: "gid://shopify/Order/7003",
+      name: "#7003",
+    },
+  });
+  deadLetterJob(jobId, new Error("No suitable rates"));
+
+  const digest = getDigest(DateTime.now());
+  const ours = (items, key = "order_name") =>
+    items.filter((item) => ["#7001", "#7002"].includes(item[key]));
+  expect(ours(digest.orders)).toEqual([
+    {
+      order_id: "gid://shopify/Order/7001",
+      order_name: "#7001",
+      labels: 2,
+      cost: 19.75,
+    },
+  ]);
+  expect(ours(digest.voided).map((purchase) => purchase.tracking_code)).toEqual(
+    ["DIGEST-OLD"],
+  );
+  expect(
+    ours(digest.trackingExceptions).map((tracker) => tracker.tracking_code),
+  ).toEqual(["DIGEST-NEW"]);
+  expect(
+    ours(digest.awaitingApproval).map((state) => state.fulfillment_order_id),
+  ).toEqual([held]);
+  expect(digestProblemCount(digest)).toBeGreaterThanOrEqual(3);
+
+  const text = formatDigest(digest);
+  expect(text).toContain(
+    "- #7003 (purchase-shipping-labels): No suitable rates - https://admin.shopify.com/store/hot-dates/orders/7003",
+  );
+  expect(text).toContain(
+    "- #7001: DIGEST-NEW is return_to_sender - https://admin.shopify.com/store/hot-dates/orders/7001",
+  );
+  expect(text).toContain(
+    "- #7001: 2 labels, $19.75 - https://admin.shopify.com/store/hot-dates/orders/7001",
+  );
+
+  // Nothing from today is in yesterday's digest
+  const yesterday = getDigest(DateTime.now().minus({ days: 1 }));
+  expect(ours(yesterday.orders)).toEqual([]);
+  expect(yesterday.failed.some((job) => job.id === jobId)).toBe(false);
+});
+
+test("The digest is sent at 7am in its timezone", () => {
+  const zone = "America/Los_Angeles";
+  expect(
+    nextDigestTime(DateTime.fromISO("2026-10-19T06:30:00", { zone })).toISO(),
+  ).toBe("2026-10-19T07:00:00.000-07:00");
+  // Across the end of daylight saving time
+  expect(
+    nextDigestTime(DateTime.fromISO("2026-10-31T09:00:00", { zone })).toISO(),
+  ).toBe("2026-11-01T07:00:00.000-08:00");
+});
@@ -0,0 +1,124 @@
+import { test, expect, afterEach } from "bun:test";
+import {
+  EasyPostClient,
+  EasyPostValidationError,
+  EasyPostAuthError,
+  EasyPostPaymentError,
+  EasyPostServerError,
+} from "../src/common/easypost";
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// Replaces fetch with canned responses, in order, remembering each request as "METHOD /path"
+function fakeFetch(responses) {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push(`${init.method} ${new URL(url).pathname}`);
+    const response = responses.shift();
+    if (response instanceof Error) {
+      throw response;
+    }
+    const [status, body] = response;
+    return new Response(
+      typeof body === "string" ? body : JSON.stringify(body),
+      { status, headers: { "x-ep-request-uuid": "req_1" } },
+    );
+  };
+  return requests;
+}
+
+function client() {
+  Bun.env.EASYPOST_API_BASE_URL = "https://easypost.test/v2";
+  return new EasyPostClient({
+    apiKey: "test",
+    retryOptions: { maxRetries: 2, retryInterval: 0, jitter: 0 },
+  });
+}
+
+test("Error responses are thrown as typed errors, not returned", async () => {
+  fakeFetch([
+    [
+      422,
+      {
+        error: {
+          code: "SHIPMENT.INVALID_PARAMS",
+          message: "Invalid parcel",
+          errors: [{ field: "parcel.weight", message: "must be positive" }],
+        },
+      },
+    ],
+    [401, { error: { code: "APIKEY.INACTIVE", message: "Inactive key" } }],
+    [402, { error: { code: "PAYMENT.REQUIRED", message: "Balance too low" } }],
+  ]);
+  const easypost = client();
+
+  const validation = await easypost.createShipment({}).catch((e) => e);
+  expect(validation).toBeInstanceOf(EasyPostValidationError);
+  expect(validation).toMatchObject({
+    status: 422,
+    code: "SHIPMENT.INVALID_PARAMS",
+    errors: [{ field: "parcel.weight", message: "must be positive" }],
+    requestId: "req_1",
+  });
+  expect(validation.message).toBe(
+    "EasyPost POST /shipments failed (422 SHIPMENT.INVALID_PARAMS): Invalid parcel",
+  );
+  expect(
+    await easypost.retrieveShipment("shp_1").catch((e) => e),
+  ).toBeInstanceOf(EasyPostAuthError);
+  expect(
+    await easypost.buyShipment("shp_1", "rate_1").catch((e) => e),
+  ).toBeInstanceOf(EasyPostPaymentError);
+});
+
+test("Rate limiting and server errors are retried", async () => {
+  const requests = fakeFetch([
+    [429, { error: { code: "RATE_LIMITED", message: "Slow down" } }],
+    new TypeError("fetch failed"),
+    [200, { id: "shp_1", rates: [] }],
+  ]);
+  expect(await client().createShipment({})).toEqual({ id: "shp_1", rates: [] });
+  expect(requests).toHaveLength(3);
+
+  fakeFetch([
+    [503, "<html>Unavailable</html>"],
+    [502, ""],
+    [500, ""],
+  ]);
+  const error = await client()
+    .retrieveShipment("shp_1")
+    .catch((e) => e);
+  expect(error).toBeInstanceOf(EasyPostServerError);
+  expect(error.status).toBe(500);
+});
+
+test("A retried purchase doesn't buy the label twice", async () => {
+  // The first buy goes through, but EasyPost times out before responding
+  const requests = fakeFetch([
+    [504, ""],
+    [200, { id: "shp_1", postage_label: { label_url: "https://label" } }],
+  ]);
+  const shipment = await client().buyShipment("shp_1", "rate_1");
+  expect(shipment.postage_label.label_url).toBe("https://label");
+  expect(requests).toEqual([
+    "POST /v2/shipments/shp_1/buy",
+    "GET /v2/shipments/shp_1",
+  ]);
+
+  // Not bought yet, so it's bought again
+  const retried = fakeFetch([
+    [500, ""],
+    [200, { id: "order_1", shipments: [{ id: "shp_2" }] }],
+    [200, { id: "order_1", shipments: [{ id: "shp_2", postage_label: {} }] }],
+  ]);
+  await client().buyOrder("order_1", { carrier: "USPS", service: "Priority" });
+  expect(retried).toEqual([
+    "POST /v2/orders/order_1/buy",
+    "GET /v2/orders/order_1",
+    "POST /v2/orders/order_1/buy",
+  ]);
+});
@@ -0,0 +1,71 @@
+import { test, expect } from "bun:test";
+import {
+  parseFulfillmentCenterConfig,
+  resolveNotificationEmails,
+  FulfillmentCenterConfigError,
+} from "../src/fulfillment-centers";
+import rules from "../src/rules";
+
+test("Fulfillment center config fills in defaults", () => {
+  const centers = parseFulfillmentCenterConfig({
+    centers: {
+      default: { name: "Hauser", notificationEmails: ["ops@example.com"] },
+    },
+  });
+  expect(centers.default).toMatchObject({
+    id: "default",
+    name: "Hauser",
+    allowedCarriers: null,
+    shipDays: null,
+    fulfillmentService: false,
+  });
+  expect(centers.default.packingSlip.title).toBe("Hot Date Kitchen");
+});
+
+test("Fulfillment center config reports every problem", () => {
+  let error;
+  try {
+    parseFulfillmentCenterConfig({
+      centers: {
+        "gid://shopify/Location/1": {
+          name: "",
+          notificationEmails: [],
+          shipDays: {
+            timezone: "Mars/Olympus",
+            weekdays: [0],
+            cutoff: "25:00",
+          },
+          fulfillmentService: "yes",
+        },
+      },
+    });
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(FulfillmentCenterConfigError);
+  expect(error.problems).toHaveLength(6);
+});
+
+test("Notification emails are read from env vars", () => {
+  Bun.env.TEST_CENTER_EMAIL = "center@example.com";
+  const emails = resolveNotificationEmails({
+    notificationEmails: ["$TEST_CENTER_EMAIL", "$UNSET_CENTER_EMAIL", "a@b.c"],
+  });
+  expect(emails).toEqual(["center@example.com", "a@b.c"]);
+});
+
+test("Rates are limited to the fulfillment center's carriers", async () => {
+  const { chosenRate, trace } = await rules(
+    {
+      usps_zone: 1,
+      rates: [
+        { id: "usps", carrier: "USPS", rate: "5.00", delivery_days: 1 },
+        { id: "ups", carrier: "UPSDAP", rate: "9.00", delivery_days: 1 },
+      ],
+    },
+    { allowedCarriers: ["UPSDAP"] },
+    { name: "test", rules: [], sort: [{ key: "rate", order: "asc" }] },
+  );
+  expect(chosenRate.id).toBe("ups");
+  expect(trace.rates[0].rule).toBe("fulfillment-center-carriers");
+});
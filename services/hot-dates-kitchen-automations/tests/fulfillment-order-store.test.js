@@ -0,0 +1,119 @@
+import { test, expect } from "bun:test";
+import { getDb } from "../src/store/db";
+import { enqueueJob, completeJob } from "../src/store/jobs";
+import {
+  claimFulfillmentOrder,
+  releaseFulfillmentOrder,
+  renewFulfillmentOrderClaim,
+  recordShipmentCreated,
+  recordLabelPurchased,
+  getFulfillmentOrderState,
+} from "../src/store/fulfillment-orders";
+import {
+  beginWebhook,
+  completeWebhook,
+  failWebhook,
+} from "../src/store/webhooks";
+
+test("beginWebhook ignores webhooks that are processing or completed", () => {
+  const webhook = { webhookId: "webhook-1", topic: "orders/paid" };
+  expect(beginWebhook(webhook)).toBe(true);
+  expect(beginWebhook(webhook)).toBe(false);
+  completeWebhook(webhook.webhookId);
+  expect(beginWebhook(webhook)).toBe(false);
+});
+
+test("beginWebhook allows failed webhooks to be processed again", () => {
+  const webhook = { webhookId: "webhook-2", topic: "orders/paid" };
+  expect(beginWebhook(webhook)).toBe(true);
+  failWebhook(webhook.webhookId, new Error("EasyPost unavailable"));
+  expect(beginWebhook(webhook)).toBe(true);
+});
+
+test("beginWebhook ignores old webhooks while their job is queued or running", () => {
+  const webhook = { webhookId: "webhook-3", topic: "orders/paid" };
+  expect(beginWebhook(webhook)).toBe(true);
+  const jobId = enqueueJob({
+    type: "purchase-shipping-labels",
+    payload: {},
+    webhookId: webhook.webhookId,
+  });
+  // e.g. the job is waiting to be retried
+  const anHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const age = () =>
+    getDb()
+      .query("UPDATE webhooks SET updated_at = $at WHERE webhook_id = $id")
+      .run({ id: webhook.webhookId, at: anHourAgo });
+  age();
+  expect(beginWebhook(webhook)).toBe(false);
+
+  // The process crashed after the job finished, without completing the webhook
+  completeJob(jobId);
+  age();
+  expect(beginWebhook(webhook)).toBe(true);
+});
+
+test("claimFulfillmentOrder only allows one claim at a time", () => {
+  const order = { orderId: "gid://shopify/Order/1", orderName: "#1001" };
+  const claim = claimFulfillmentOrder(
+    "gid://shopify/FulfillmentOrder/1",
+    order,
+  );
+  expect(claim).not.toBeNull();
+  expect(
+    claimFulfillmentOrder("gid://shopify/FulfillmentOrder/1", order),
+  ).toBeNull();
+
+  releaseFulfillmentOrder("gid://shopify/FulfillmentOrder/1", claim.token);
+  expect(
+    claimFulfillmentOrder("gid://shopify/FulfillmentOrder/1", order),
+  ).not.toBeNull();
+});
+
+test("completed steps are returned with the next claim", () => {
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/2";
+  const order = { orderId: "gid://shopify/Order/2", orderName: "#1002" };
+  const claim = claimFulfillmentOrder(fulfillmentOrderId, order);
+  expect(claim.state.label).toBeNull();
+
+  recordShipmentCreated(fulfillmentOrderId, "shp_123");
+  recordLabelPurchased(fulfillmentOrderId, {
+    shipmentId: "shp_123",
+    rates: [{ id: "rate_1" }],
+    chosenRate: { id: "rate_1" },
+    label: { id: "shp_123", tracker: { tracking_code: "9400" } },
+  });
+  releaseFulfillmentOrder(fulfillmentOrderId, claim.token);
+
+  const { state } = claimFulfillmentOrder(fulfillmentOrderId, order);
+  expect(state.shipment_id).toBe("shp_123");
+  expect(state.chosen_rate).toEqual({ id: "rate_1" });
+  expect(state.label.tracker.tracking_code).toBe("9400");
+  expect(state.label_purchased_at).not.toBeNull();
+  expect(state.email_sent_at).toBeNull();
+  expect(getFulfillmentOrderState(fulfillmentOrderId).order_name).toBe("#1002");
+});
+
+test("An expired claim that was taken over can't be renewed", () => {
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/3";
+  const order = { orderId: "gid://shopify/Order/3", orderName: "#1003" };
+  const claim = claimFulfillmentOrder(fulfillmentOrderId, order);
+  expect(renewFulfillmentOrderClaim(fulfillmentOrderId, claim.token)).toBe(
+    true,
+  );
+
+  // e.g. a slow rate search
+  getDb()
+    .query(
+      "UPDATE fulfillment_orders SET locked_until = 0 WHERE fulfillment_order_id = $id",
+    )
+    .run({ id: fulfillmentOrderId });
+  const takeover = claimFulfillmentOrder(fulfillmentOrderId, order);
+  expect(takeover).not.toBeNull();
+  expect(renewFulfillmentOrderClaim(fulfillmentOrderId, claim.token)).toBe(
+    false,
+  );
+  expect(renewFulfillmentOrderClaim(fulfillmentOrderId, takeover.token)).toBe(
+    true,
+  );
+});
@@ -0,0 +1,262 @@
+import { test, expect, afterEach, spyOn } from "bun:test";
+import nodemailer from "nodemailer";
+import {
+  fulfillmentRequestHandler,
+  fulfillmentRequestRejection,
+} from "../src/handlers/fulfillment-service";
+import { NoSuitableRatesError } from "../src/rules";
+import { UndeliverableAddressError } from "../src/address";
+import { EasyPostServerError } from "../src/common/easypost";
+import { FulfillmentOrderValidationError } from "../src/utils/validation";
+import {
+  claimFulfillmentOrder,
+  releaseFulfillmentOrder,
+  getFulfillmentOrderState,
+  recordShipmentCreated,
+  recordLabelPurchased,
+  recordFulfillmentRequestAccepted,
+  recordFulfillmentRequestRejected,
+  recordFulfillmentRequestCancelled,
+} from "../src/store/fulfillment-orders";
+import { getTracker } from "../src/store/trackers";
+import { getDb } from "../src/store/db";
+import constants from "../src/constants";
+
+const orderId = "gid://shopify/Order/service-1";
+const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/service-1";
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete Bun.env.SEND_LIVE_EMAILS;
+});
+
+test("Problems with the fulfillment order reject its fulfillment request", () => {
+  expect(
+    fulfillmentRequestRejection(
+      new UndeliverableAddressError("Undeliverable", ["Address not found"]),
+    ),
+  ).toMatchObject({ reason: "INCORRECT_ADDRESS" });
+  expect(
+    fulfillmentRequestRejection(
+      new FulfillmentOrderValidationError("Failed validation", [
+        "Missing weight",
+      ]),
+    ),
+  ).toMatchObject({
+    reason: "OTHER",
+    message: "Failed validation:\n- Missing weight",
+  });
+
+  const trace = { ruleSet: "default", rates: [], chosen: null };
+  expect(
+    fulfillmentRequestRejection(
+      new NoSuitableRatesError("No rates", { trace }),
+    ),
+  ).toEqual({
+    reason: "UNDELIVERABLE_DESTINATION",
+    message: "No rates",
+    trace,
+  });
+});
+
+test("Fulfillment requests aren't rejected for outages", () => {
+  expect(
+    fulfillmentRequestRejection(new EasyPostServerError("EasyPost is down")),
+  ).toBeNull();
+  expect(fulfillmentRequestRejection(new Error("Unexpected"))).toBeNull();
+});
+
+test("A cancelled fulfillment request forgets its label until the next request is accepted", () => {
+  claimFulfillmentOrder(fulfillmentOrderId, { orderId, orderName: "#4001" });
+  recordFulfillmentRequestRejected(
+    fulfillmentOrderId,
+    "INCORRECT_ADDRESS: Address not found",
+  );
+  expect(getFulfillmentOrderState(fulfillmentOrderId)).toMatchObject({
+    fulfillment_request_accepted_at: null,
+    fulfillment_request_rejection: "INCORRECT_ADDRESS: Address not found",
+  });
+
+  recordFulfillmentRequestAccepted(fulfillmentOrderId);
+  recordShipmentCreated(fulfillmentOrderId, "shp_service");
+  recordLabelPurchased(fulfillmentOrderId, {
+    shipmentId: "shp_service",
+    label: { id: "shp_service", tracker: { tracking_code: "SERVICE1" } },
+  });
+  let state = getFulfillmentOrderState(fulfillmentOrderId);
+  expect(state.fulfillment_request_accepted_at).not.toBeNull();
+  expect(state.fulfillment_request_rejected_at).toBeNull();
+  expect(state.fulfillment_request_rejection).toBeNull();
+
+  recordFulfillmentRequestCancelled(fulfillmentOrderId, "submitted");
+  state = getFulfillmentOrderState(fulfillmentOrderId);
+  expect(state).toMatchObject({
+    shipment_id: null,
+    label: null,
+    refund_status: null,
+    fulfillment_request_accepted_at: null,
+    cancelled_at: null,
+  });
+  expect(state.fulfillment_request_cancelled_at).not.toBeNull();
+  expect(getTracker("SERVICE1").voided_at).not.toBeNull();
+
+  recordFulfillmentRequestAccepted(fulfillmentOrderId);
+  state = getFulfillmentOrderState(fulfillmentOrderId);
+  expect(state.fulfillment_request_accepted_at).not.toBeNull();
+  expect(state.fulfillment_request_cancelled_at).toBeNull();
+});
+
+test("A fulfillment request accepted by an attempt that then failed is recorded, and its label purchase queued", async () => {
+  const acceptedOrderId = "gid://shopify/Order/service-2";
+  const acceptedId = "gid://shopify/FulfillmentOrder/service-2";
+  // The previous attempt accepted the request in Shopify, but failed before recording it
+  const claim = claimFulfillmentOrder(acceptedId, {
+    orderId: acceptedOrderId,
+    orderName: "#4002",
+  });
+  releaseFulfillmentOrder(acceptedId, claim.token);
+
+  const page = (nodes) => ({
+    pageInfo: { hasNextPage: false, endCursor: null },
+    nodes,
+  });
+  const submitted = {
+    data: {
+      fulfillmentOrder: {
+        id: acceptedId,
+        orderId: acceptedOrderId,
+        requestStatus: "ACCEPTED",
+      },
+    },
+  };
+  const order = {
+    data: {
+      order: {
+        id: acceptedOrderId,
+        name: "#4002",
+        fulfillmentOrders: page([
+          {
+            id: acceptedId,
+            assignedLocation: { location: { id: "gid://shopify/Location/1" } },
+            lineItems: page([]),
+          },
+        ]),
+      },
+    },
+  };
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    const { query } = JSON.parse(init.body);
+    requests.push(query);
+    return Response.json(
+      query.includes("GetFulfillmentOrderById") ? submitted : order,
+    );
+  };
+
+  await fulfillmentRequestHandler({ admin_graphql_api_id: acceptedId });
+
+  // Not accepted again
+  expect(requests).toHaveLength(2);
+  const acceptedAt =
+    getFulfillmentOrderState(acceptedId).fulfillment_request_accepted_at;
+  expect(acceptedAt).not.toBeNull();
+  const queued = () =>
+    getDb()
+      .query("SELECT payload FROM jobs WHERE type = $type")
+      .all({ type: constants.job_types.PURCHASE_SHIPPING_LABELS })
+      .map((job) => JSON.parse(job.payload))
+      .filter((payload) => payload.admin_graphql_api_id === acceptedOrderId);
+  expect(queued()).toEqual([
+    { admin_graphql_api_id: acceptedOrderId, name: "#4002" },
+  ]);
+
+  // A redelivered webhook keeps the recorded acceptance (the purchase job skips the fulfillment order once its label is bought)
+  await fulfillmentRequestHandler({ admin_graphql_api_id: acceptedId });
+  expect(requests).toHaveLength(4);
+  expect(
+    getFulfillmentOrderState(acceptedId).fulfillment_request_accepted_at,
+  ).toBe(acceptedAt);
+  expect(queued()).toHaveLength(2);
+});
+
+test("A fulfillment request for an order that's gone is skipped", async () => {
+  const goneId = "gid://shopify/FulfillmentOrder/service-3";
+  globalThis.fetch = async (url, init) => {
+    const { query } = JSON.parse(init.body);
+    return Response.json(
+      query.includes("GetFulfillmentOrderById")
+        ? {
+            data: {
+              fulfillmentOrder: {
+                id: goneId,
+                orderId: "gid://shopify/Order/service-3",
+                requestStatus: "SUBMITTED",
+              },
+            },
+          }
+        : { data: { order: null } },
+    );
+  };
+
+  await fulfillmentRequestHandler({ admin_graphql_api_id: goneId });
+  expect(getFulfillmentOrderState(goneId)).toBeNull();
+});
+
+test("The shop owner gets one email about a rejected fulfillment request", async () => {
+  const rejectedOrderId = "gid://shopify/Order/service-4";
+  const rejectedId = "gid://shopify/FulfillmentOrder/service-4";
+  const page = (nodes) => ({
+    pageInfo: { hasNextPage: false, endCursor: null },
+    nodes,
+  });
+  globalThis.fetch = async (url, init) => {
+    const { query } = JSON.parse(init.body);
+    return Response.json(
+      query.includes("GetFulfillmentOrderById")
+        ? {
+            data: {
+              fulfillmentOrder: {
+                id: rejectedId,
+                orderId: rejectedOrderId,
+                requestStatus: "SUBMITTED",
+              },
+            },
+          }
+        : {
+            data: {
+              order: {
+                id: rejectedOrderId,
+                name: "#4004",
+                fulfillmentOrders: page([
+                  {
+                    id: rejectedId,
+                    assignedLocation: {
+                      location: { id: "gid://shopify/Location/1" },
+                    },
+                    lineItems: page([]),
+                  },
+                ]),
+              },
+            },
+          },
+    );
+  };
+  Bun.env.SEND_LIVE_EMAILS = "true";
+  const sent = [];
+  spyOn(nodemailer, "createTransport").mockReturnValue({
+    verify: async () => true,
+    sendMail: async (message) => sent.push(message),
+  });
+
+  await fulfillmentRequestHandler({ admin_graphql_api_id: rejectedId });
+
+  expect(sent.map((message) => message.subject)).toEqual([
+    "Order #4004 - Fulfillment request rejected",
+  ]);
+  expect(sent[0].text).toContain("The fulfillment order has no line items.");
+  expect(
+    getFulfillmentOrderState(rejectedId).fulfillment_request_rejected_at,
+  ).not.toBeNull();
+});
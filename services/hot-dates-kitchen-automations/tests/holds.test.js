@@ -0,0 +1,130 @@
+import { test, expect } from "bun:test";
+import { DateTime } from "luxon";
+import { retryHeldFulfillmentOrder, HoldRetryError } from "../src/holds";
+import { preflight } from "../src/label-purchase";
+import { getDigest, formatDigest } from "../src/digest";
+import {
+  validateFulfillmentOrder,
+  FulfillmentOrderValidationError,
+} from "../src/utils/validation";
+import {
+  claimFulfillmentOrder,
+  getFulfillmentOrderState,
+  getHeldFulfillmentOrders,
+} from "../src/store/fulfillment-orders";
+
+const address = {
+  firstName: "Bob",
+  lastName: "Smith",
+  address1: "123 Avenue Blvd",
+  city: "New Albany",
+  province: "IN",
+  zip: "47150",
+  countryCode: "US",
+};
+
+const fulfillmentOrder = (id, overrides = {}) => ({
+  id,
+  destination: address,
+  assignedLocation: { ...address, name: "Date Town" },
+  lineItems: {
+    nodes: [
+      {
+        id: "gid://shopify/FulfillmentOrderLineItem/1",
+        sku: "JAR",
+        totalQuantity: 2,
+        remainingQuantity: 2,
+        weight: { value: 8, unit: "OUNCES" },
+      },
+    ],
+  },
+  ...overrides,
+});
+
+test("Pre-flight problems are worded for the shop owner", () => {
+  expect(
+    validateFulfillmentOrder(
+      fulfillmentOrder("gid://shopify/FulfillmentOrder/1"),
+    ),
+  ).toEqual([]);
+
+  expect(
+    validateFulfillmentOrder(
+      fulfillmentOrder("gid://shopify/FulfillmentOrder/1", {
+        destination: { ...address, address1: "", zip: "4715" },
+        lineItems: {
+          nodes: [
+            {
+              id: "gid://shopify/FulfillmentOrderLineItem/1",
+              variant: { displayName: "Date Jar" },
+              totalQuantity: 2,
+              remainingQuantity: 1,
+              weight: { value: 8, unit: "OUNCES" },
+            },
+          ],
+        },
+      }),
+    ),
+  ).toEqual([
+    "Shipping address is missing the street address.",
+    'Shipping address has an invalid ZIP code, "4715".',
+    "Line item Date Jar has no SKU. Please add one to the product variant in the Admin.",
+    "Line item Date Jar was partly fulfilled already (1 of 2 left to fulfill).",
+  ]);
+
+  expect(
+    validateFulfillmentOrder(
+      fulfillmentOrder("gid://shopify/FulfillmentOrder/1", {
+        destination: null,
+        lineItems: { nodes: [] },
+      }),
+    ),
+  ).toEqual([
+    "The order has no shipping address.",
+    "The fulfillment order has no line items.",
+  ]);
+});
+
+test("A fulfillment order that fails the pre-flight checks is held until retried", async () => {
+  const id = "gid://shopify/FulfillmentOrder/hold-1";
+  claimFulfillmentOrder(id, {
+    orderId: "gid://shopify/Order/hold-1",
+    orderName: "#5001",
+  });
+
+  await expect(
+    preflight({
+      shopify: {},
+      order: { id: "gid://shopify/Order/hold-1", name: "#5001" },
+      fulfillmentOrder: fulfillmentOrder(id, { destination: null }),
+    }),
+  ).rejects.toThrow(FulfillmentOrderValidationError);
+  expect(getFulfillmentOrderState(id)).toMatchObject({
+    hold_id: null,
+    hold_reason: "The order has no shipping address.",
+  });
+  expect(
+    getHeldFulfillmentOrders().map((state) => state.fulfillment_order_id),
+  ).toContain(id);
+  expect(formatDigest(getDigest(DateTime.now()))).toContain(
+    ": The order has no shipping address.",
+  );
+
+  const jobId = await retryHeldFulfillmentOrder({}, id);
+  expect(jobId).toBeGreaterThan(0);
+  expect(getFulfillmentOrderState(id).held_at).toBeNull();
+  expect(
+    getHeldFulfillmentOrders().map((state) => state.fulfillment_order_id),
+  ).not.toContain(id);
+
+  // Retrying again, or a fulfillment order that was never held, does nothing
+  await expect(retryHeldFulfillmentOrder({}, id)).rejects.toThrow(
+    HoldRetryError,
+  );
+  await expect(
+    retryHeldFulfillmentOrder(
+      {},
+      "gid://shopify/FulfillmentOrder/hold-unknown",
+    ),
+  ).rejects.toThrow(HoldRetryError);
+});
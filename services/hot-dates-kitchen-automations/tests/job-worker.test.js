@@ -0,0 +1,128 @@
+import { test, expect } from "bun:test";
+import { JobWorker } from "../src/job-worker";
+import {
+  enqueueJob,
+  claimDueJobs,
+  requeueRunningJobs,
+  getDeadLetterJobs,
+  getPendingJob,
+} from "../src/store/jobs";
+
+class PermanentError extends Error {}
+
+const waitFor = async (condition, timeout = 1000) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error("Timed out");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+const retryOptions = { maxRetries: 2, retryInterval: 1, jitter: 0 };
+
+test("runs queued jobs with their payload", async () => {
+  const payloads = [];
+  const worker = new JobWorker({
+    handlers: { echo: { run: async (payload) => payloads.push(payload) } },
+    pollInterval: 5,
+    retryOptions,
+  });
+  enqueueJob({ type: "echo", payload: { orderId: 1 } });
+  worker.start();
+  await waitFor(() => payloads.length === 1);
+  await worker.stop();
+  expect(payloads).toEqual([{ orderId: 1 }]);
+});
+
+test("retries failed jobs, then moves them to the dead-letter table", async () => {
+  let attempts = 0;
+  const deadLettered = [];
+  const worker = new JobWorker({
+    handlers: {
+      flaky: {
+        run: async () => {
+          attempts++;
+          throw new Error("EasyPost unavailable");
+        },
+      },
+    },
+    pollInterval: 5,
+    retryOptions,
+    onDeadLetter: (job, e) => deadLettered.push([job.id, e.message]),
+  });
+  const jobId = enqueueJob({ type: "flaky", payload: {} });
+  worker.start();
+  await waitFor(() => deadLettered.length === 1);
+  await worker.stop();
+
+  expect(attempts).toBe(3);
+  expect(deadLettered).toEqual([[jobId, "EasyPost unavailable"]]);
+  const deadLetterJob = getDeadLetterJobs().find((job) => job.id === jobId);
+  expect(deadLetterJob.attempts).toBe(3);
+  expect(deadLetterJob.error).toBe("EasyPost unavailable");
+});
+
+test("does not retry permanent errors", async () => {
+  let attempts = 0;
+  const deadLettered = [];
+  const worker = new JobWorker({
+    handlers: {
+      permanent: {
+        run: async () => {
+          attempts++;
+          throw new PermanentError("No suitable rates");
+        },
+        permanentErrors: [PermanentError],
+      },
+    },
+    pollInterval: 5,
+    retryOptions,
+    onDeadLetter: (job) => deadLettered.push(job.id),
+  });
+  enqueueJob({ type: "permanent", payload: {} });
+  worker.start();
+  await waitFor(() => deadLettered.length === 1);
+  await worker.stop();
+  expect(attempts).toBe(1);
+});
+
+test("jobs interrupted by a restart are requeued", () => {
+  const jobId = enqueueJob({ type: "interrupted", payload: {} });
+  expect(claimDueJobs(10).map((job) => job.id)).toContain(jobId);
+  expect(claimDueJobs(10).map((job) => job.id)).not.toContain(jobId);
+
+  expect(requeueRunningJobs()).toBeGreaterThan(0);
+  expect(claimDueJobs(10).map((job) => job.id)).toContain(jobId);
+});
+
+test("a job waiting to be retried doesn't hold up other jobs", async () => {
+  const ran = [];
+  const worker = new JobWorker({
+    handlers: {
+      failing: {
+        run: async () => {
+          ran.push("failing");
+          throw new Error("EasyPost unavailable");
+        },
+      },
+      echo: { run: async () => ran.push("echo") },
+    },
+    pollInterval: 5,
+    retryOptions: { ...retryOptions, retryInterval: 60000 },
+  });
+  const jobId = enqueueJob({ type: "failing", payload: {} });
+  enqueueJob({ type: "echo", payload: {} });
+  worker.start();
+  await waitFor(() => ran.includes("echo"));
+  await worker.stop();
+
+  expect(ran).toEqual(["failing", "echo"]);
+  // Queued for later, rather than dead-lettered or retried right away
+  expect(getDeadLetterJobs().some((job) => job.id === jobId)).toBe(false);
+  expect(getPendingJob("failing")).toMatchObject({
+    id: jobId,
+    attempts: 1,
+    last_error: "EasyPost unavailable",
+  });
+  expect(getPendingJob("failing").run_at).toBeGreaterThan(Date.now() + 20000);
+});
@@ -0,0 +1,108 @@
+import { test, expect } from "bun:test";
+import { DateTime } from "luxon";
+import {
+  claimFulfillmentOrder,
+  recordShipmentCreated,
+  recordLabelPurchased,
+  recordRefundRequested,
+} from "../src/store/fulfillment-orders";
+import { getLedger, formatLedger, LedgerRangeError } from "../src/ledger";
+
+const today = DateTime.utc().toISODate();
+
+function ledgerFor(fulfillmentOrderId) {
+  return getLedger({ from: today, to: today }).filter(
+    (purchase) => purchase.fulfillment_order_id === fulfillmentOrderId,
+  );
+}
+
+test("Each label bought is recorded with its cost and the rates it was chosen from", () => {
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/ledger-1";
+  claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId: "gid://shopify/Order/ledger-1",
+    orderName: "#5001",
+  });
+  recordShipmentCreated(fulfillmentOrderId, "order_1");
+  const rates = [
+    { id: "rate_1", carrier: "USPS", service: "Priority", rate: "9.50" },
+    { id: "rate_2", carrier: "UPSDAP", service: "Ground", rate: "11.20" },
+  ];
+  const box = (id, trackingCode) => ({
+    id,
+    created_at: "2026-10-19T15:00:00Z",
+    selected_rate: {
+      carrier: "USPS",
+      service: "Priority",
+      rate: "9.50",
+      currency: "USD",
+    },
+    usps_zone: 5,
+    parcel: { weight: 32 },
+    postage_label: { label_url: `https://easypost.test/${id}.pdf` },
+    tracker: { tracking_code: trackingCode },
+  });
+  recordLabelPurchased(fulfillmentOrderId, {
+    shipmentId: "order_1",
+    rates,
+    chosenRate: rates[0],
+    label: {
+      id: "order_1",
+      shipments: [box("shp_a", "9400A"), box("shp_b", "9400B")],
+    },
+  });
+
+  const purchases = ledgerFor(fulfillmentOrderId);
+  expect(purchases).toHaveLength(2);
+  expect(purchases[0]).toMatchObject({
+    order_name: "#5001",
+    shipment_id: "order_1",
+    easypost_shipment_id: "shp_a",
+    carrier: "USPS",
+    service: "Priority",
+    rate: "9.50",
+    zone: 5,
+    weight: 32,
+    tracking_code: "9400A",
+    label_url: "https://easypost.test/shp_a.pdf",
+    refund_status: null,
+  });
+  expect(purchases[0].candidate_rates).toEqual([
+    { carrier: "USPS", service: "Priority", rate: "9.50" },
+    { carrier: "UPSDAP", service: "Ground", rate: "11.20" },
+  ]);
+
+  recordRefundRequested(fulfillmentOrderId, "submitted");
+  expect(
+    ledgerFor(fulfillmentOrderId).map((purchase) => purchase.refund_status),
+  ).toEqual(["submitted", "submitted"]);
+});
+
+test("The ledger exports to CSV, quoting values where needed", () => {
+  const csv = formatLedger(
+    [
+      {
+        purchased_at: "2026-10-19T15:00:00.000Z",
+        order_name: "#5002",
+        carrier: "USPS",
+        service: "Priority, Express",
+        rate: "9.50",
+        candidate_rates: [{ carrier: "USPS", rate: "9.50" }],
+      },
+    ],
+    "csv",
+  );
+  const [header, row] = csv.trim().split("\n");
+  expect(header.split(",")).toContain("candidate_rates");
+  expect(row).toStartWith(
+    '2026-10-19T15:00:00.000Z,#5002,,,,,USPS,"Priority, Express",9.50,',
+  );
+  expect(row).toEndWith('"[{""carrier"":""USPS"",""rate"":""9.50""}]"');
+});
+
+test("Ledger ranges must be dates, in order", () => {
+  expect(() => getLedger({ from: "October" })).toThrow(LedgerRangeError);
+  expect(() => getLedger({ from: "2026-10-02", to: "2026-10-01" })).toThrow(
+    "to must not be before from",
+  );
+  expect(getLedger({ from: "2000-01-01", to: "2000-01-31" })).toEqual([]);
+});
@@ -0,0 +1,144 @@
+import { test, expect } from "bun:test";
+import { DateTime } from "luxon";
+import {
+  orderShippingCharged,
+  marginReport,
+  formatMarginReport,
+  lastWeekRange,
+} from "../src/margin";
+import {
+  scheduleWeeklyMarginReport,
+  nextReportTime,
+} from "../src/handlers/weekly-margin-report";
+import { getPendingJob } from "../src/store/jobs";
+import constants from "../src/constants";
+
+function purchase(overrides) {
+  return {
+    order_id: "gid://shopify/Order/1",
+    order_name: "#6001",
+    easypost_shipment_id: "shp_1",
+    carrier: "USPS",
+    rate: "9.50",
+    zone: 5,
+    destination_province: "CA",
+    shipping_charged: "12.00",
+    purchased_at: "2026-10-14T18:00:00.000Z",
+    refund_status: null,
+    ...overrides,
+  };
+}
+
+test("Shipping charged is the order's shipping lines after discounts", () => {
+  expect(
+    orderShippingCharged({
+      shippingLines: {
+        nodes: [
+          {
+            originalPriceSet: { shopMoney: { amount: "12.0" } },
+            discountedPriceSet: { shopMoney: { amount: "0.0" } },
+          },
+          { originalPriceSet: { shopMoney: { amount: "4.5" } } },
+        ],
+      },
+    }),
+  ).toBe("4.50");
+  expect(orderShippingCharged({})).toBeNull();
+});
+
+test("Margins are per order, leaving out refunded labels", () => {
+  const report = marginReport([
+    // Two boxes, and a label replaced after an address change
+    purchase({}),
+    purchase({ easypost_shipment_id: "shp_2", rate: "8.25" }),
+    purchase({
+      easypost_shipment_id: "shp_old",
+      rate: "30.00",
+      refund_status: "submitted",
+    }),
+    purchase({
+      order_id: "gid://shopify/Order/2",
+      order_name: "#6002",
+      easypost_shipment_id: "shp_3",
+      carrier: "UPSDAP",
+      rate: "7.10",
+      zone: 8,
+      destination_province: "NY",
+      shipping_charged: "10.00",
+      purchased_at: "2026-10-20T18:00:00.000Z",
+    }),
+    purchase({
+      order_id: "gid://shopify/Order/3",
+      order_name: "#6003",
+      easypost_shipment_id: "shp_4",
+      shipping_charged: null,
+    }),
+  ]);
+
+  expect(report.orders[0]).toMatchObject({
+    order_name: "#6001",
+    week: "2026-10-12",
+    labels: 2,
+    label_cost: 17.75,
+    shipping_charged: 12,
+    margin: -5.75,
+  });
+  expect(report.ordersWithoutCharge).toBe(1);
+  expect(report.totals).toEqual({
+    key: "total",
+    orders: 2,
+    label_cost: 24.85,
+    shipping_charged: 22,
+    margin: -2.85,
+    margin_percent: -13,
+  });
+  expect(report.byZone.map((group) => [group.key, group.margin])).toEqual([
+    ["5", -5.75],
+    ["8", 2.9],
+  ]);
+  expect(report.byCarrier.map((group) => group.key)).toEqual([
+    "UPSDAP",
+    "USPS",
+  ]);
+  expect(report.byWeek.map((group) => group.key)).toEqual([
+    "2026-10-12",
+    "2026-10-19",
+  ]);
+
+  const text = formatMarginReport({
+    from: "2026-10-12",
+    to: "2026-10-25",
+    ...report,
+  });
+  expect(text).toContain(
+    "total: 2 orders, charged $22.00, labels $24.85, margin -$2.85 (-13%)",
+  );
+  expect(text).toContain(
+    "- #6001: charged $12.00, labels $17.75, margin -$5.75 (USPS, zone 5, CA)",
+  );
+});
+
+test("The weekly report covers last Monday to Sunday, and is sent Monday morning", () => {
+  const wednesday = DateTime.fromISO("2026-10-21T10:00:00", {
+    zone: "America/Los_Angeles",
+  });
+  expect(lastWeekRange(wednesday)).toEqual({
+    from: "2026-10-12",
+    to: "2026-10-18",
+  });
+  expect(nextReportTime(wednesday).toISO()).toBe(
+    "2026-10-26T08:00:00.000-07:00",
+  );
+  const mondayMorning = DateTime.fromISO("2026-10-26T07:00:00", {
+    zone: "America/Los_Angeles",
+  });
+  expect(nextReportTime(mondayMorning).toISODate()).toBe("2026-10-26");
+
+  const runAt = scheduleWeeklyMarginReport(wednesday);
+  expect(scheduleWeeklyMarginReport(wednesday).toMillis()).toBe(
+    runAt.toMillis(),
+  );
+  expect(getPendingJob(constants.job_types.WEEKLY_MARGIN_REPORT).run_at).toBe(
+    runAt.toMillis(),
+  );
+});
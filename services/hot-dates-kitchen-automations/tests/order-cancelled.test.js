@@ -0,0 +1,214 @@
+import { test, expect, afterEach, spyOn } from "bun:test";
+import nodemailer from "nodemailer";
+import {
+  orderCancelledHandler,
+  FulfillmentOrderBusyError,
+} from "../src/handlers/order-cancelled";
+import {
+  claimFulfillmentOrder,
+  releaseFulfillmentOrder,
+  getFulfillmentOrderState,
+  recordLabelPurchased,
+  recordFulfillmentCreated,
+} from "../src/store/fulfillment-orders";
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete Bun.env.SEND_LIVE_EMAILS;
+});
+
+// Answers EasyPost refund requests, failing for the given shipments, and remembers each refunded shipment
+function fakeEasyPost({ failing = [] } = {}) {
+  Bun.env.EASYPOST_API_BASE_URL = "https://easypost.test/v2";
+  Bun.env.EASYPOST_MAX_RETRIES = "0";
+  const refunded = [];
+  globalThis.fetch = async (url) => {
+    const [, shipmentId] = new URL(url).pathname.match(
+      /\/shipments\/(\w+)\/refund$/,
+    );
+    if (failing.includes(shipmentId)) {
+      return new Response(
+        JSON.stringify({ error: { code: "INTERNAL", message: "Oops" } }),
+        { status: 500 },
+      );
+    }
+    refunded.push(shipmentId);
+    return new Response(
+      JSON.stringify({ id: shipmentId, refund_status: "submitted" }),
+    );
+  };
+  return refunded;
+}
+
+// Captures the emails sent
+function fakeMail() {
+  Bun.env.SEND_LIVE_EMAILS = "true";
+  const sent = [];
+  spyOn(nodemailer, "createTransport").mockReturnValue({
+    verify: async () => true,
+    sendMail: async (message) => sent.push(message),
+  });
+  return sent;
+}
+
+function shipment(id) {
+  return {
+    id,
+    tracker: { tracking_code: id.toUpperCase() },
+    postage_label: { label_url: `https://labels.test/${id}.png` },
+  };
+}
+
+// A fulfillment order with a label bought, one box per shipment
+function labelled(fulfillmentOrderId, order, locationId, shipmentIds) {
+  const claim = claimFulfillmentOrder(fulfillmentOrderId, {
+    ...order,
+    locationId,
+  });
+  const label =
+    shipmentIds.length === 1
+      ? shipment(shipmentIds[0])
+      : { id: `order_${shipmentIds[0]}`, shipments: shipmentIds.map(shipment) };
+  recordLabelPurchased(fulfillmentOrderId, { shipmentId: label.id, label });
+  releaseFulfillmentOrder(fulfillmentOrderId, claim.token);
+}
+
+test("Cancelling an order refunds its labels and tells each fulfillment center to pull its packages", async () => {
+  const order = { orderId: "gid://shopify/Order/6001", orderName: "#6001" };
+  const first = "gid://shopify/FulfillmentOrder/6001";
+  const second = "gid://shopify/FulfillmentOrder/6002";
+  labelled(first, order, "gid://shopify/Location/1", ["shp_c1"]);
+  recordFulfillmentCreated(first, "gid://shopify/Fulfillment/6001");
+  labelled(second, order, "gid://shopify/Location/2", ["shp_c2", "shp_c3"]);
+  const refunded = fakeEasyPost();
+  const sent = fakeMail();
+
+  await orderCancelledHandler({
+    admin_graphql_api_id: order.orderId,
+    name: order.orderName,
+  });
+
+  expect(refunded).toEqual(["shp_c1", "shp_c2", "shp_c3"]);
+  expect(getFulfillmentOrderState(first)).toMatchObject({
+    refund_status: "submitted",
+  });
+  expect(getFulfillmentOrderState(first).cancelled_at).not.toBeNull();
+  expect(getFulfillmentOrderState(first).fulfillment_cancelled_at).not.toBe(
+    null,
+  );
+  expect(getFulfillmentOrderState(second).fulfillment_cancelled_at).toBeNull();
+  expect(getFulfillmentOrderState(second)).toMatchObject({
+    refund_status: "submitted",
+    shipment_refunds: { shp_c2: "submitted", shp_c3: "submitted" },
+  });
+
+  // One email per location, each with only its own packages
+  expect(sent).toHaveLength(2);
+  expect(sent[0].text).toContain("Tracking SHP_C1");
+  expect(sent[0].text).not.toContain("SHP_C2");
+  expect(sent[1].text).toContain("Tracking SHP_C2");
+  expect(sent[1].text).toContain("Tracking SHP_C3");
+
+  // A redelivered webhook does nothing
+  await orderCancelledHandler({
+    admin_graphql_api_id: order.orderId,
+    name: order.orderName,
+  });
+  expect(refunded).toHaveLength(3);
+  expect(sent).toHaveLength(2);
+});
+
+test("A retry after a failed refund only refunds the boxes not yet refunded", async () => {
+  const order = { orderId: "gid://shopify/Order/6003", orderName: "#6003" };
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/6003";
+  labelled(fulfillmentOrderId, order, "gid://shopify/Location/1", [
+    "shp_c4",
+    "shp_c5",
+  ]);
+  fakeMail();
+
+  let refunded = fakeEasyPost({ failing: ["shp_c5"] });
+  await expect(
+    orderCancelledHandler({
+      admin_graphql_api_id: order.orderId,
+      name: order.orderName,
+    }),
+  ).rejects.toThrow();
+  expect(refunded).toEqual(["shp_c4"]);
+  expect(getFulfillmentOrderState(fulfillmentOrderId)).toMatchObject({
+    refund_status: null,
+    shipment_refunds: { shp_c4: "submitted" },
+    cancelled_at: null,
+  });
+
+  refunded = fakeEasyPost();
+  await orderCancelledHandler({
+    admin_graphql_api_id: order.orderId,
+    name: order.orderName,
+  });
+  expect(refunded).toEqual(["shp_c5"]);
+  expect(getFulfillmentOrderState(fulfillmentOrderId).refund_status).toBe(
+    "submitted",
+  );
+});
+
+test("Cancelling waits for a fulfillment order that is being processed", async () => {
+  const order = { orderId: "gid://shopify/Order/6004", orderName: "#6004" };
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/6004";
+  labelled(fulfillmentOrderId, order, "gid://shopify/Location/1", ["shp_c6"]);
+  const refunded = fakeEasyPost();
+  const claim = claimFulfillmentOrder(fulfillmentOrderId, order);
+
+  await expect(
+    orderCancelledHandler({
+      admin_graphql_api_id: order.orderId,
+      name: order.orderName,
+    }),
+  ).rejects.toThrow(FulfillmentOrderBusyError);
+  expect(refunded).toEqual([]);
+  expect(getFulfillmentOrderState(fulfillmentOrderId).cancelled_at).toBeNull();
+  releaseFulfillmentOrder(fulfillmentOrderId, claim.token);
+});
+
+test("A retry after the email failed still tells the fulfillment center to pull the package", async () => {
+  const order = { orderId: "gid://shopify/Order/6005", orderName: "#6005" };
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/6005";
+  labelled(fulfillmentOrderId, order, "gid://shopify/Location/1", ["shp_c7"]);
+  const refunded = fakeEasyPost();
+  Bun.env.SEND_LIVE_EMAILS = "true";
+  spyOn(nodemailer, "createTransport").mockReturnValue({
+    verify: async () => true,
+    sendMail: async () => {
+      throw new Error("SMTP is down");
+    },
+  });
+
+  await expect(
+    orderCancelledHandler({
+      admin_graphql_api_id: order.orderId,
+      name: order.orderName,
+    }),
+  ).rejects.toThrow("SMTP is down");
+  expect(refunded).toEqual(["shp_c7"]);
+  expect(getFulfillmentOrderState(fulfillmentOrderId)).toMatchObject({
+    refund_status: "submitted",
+    cancellation_notified_at: null,
+  });
+
+  const sent = fakeMail();
+  await orderCancelledHandler({
+    admin_graphql_api_id: order.orderId,
+    name: order.orderName,
+  });
+  // Not refunded again
+  expect(refunded).toEqual(["shp_c7"]);
+  expect(sent).toHaveLength(1);
+  expect(sent[0].text).toContain(
+    "Tracking SHP_C7 (EasyPost shipment shp_c7, refund status: submitted)",
+  );
+  expect(
+    getFulfillmentOrderState(fulfillmentOrderId).cancellation_notified_at,
+  ).not.toBeNull();
+});
@@ -0,0 +1,219 @@
+import { test, expect, afterEach, spyOn } from "bun:test";
+import nodemailer from "nodemailer";
+import {
+  orderHasLabels,
+  orderUpdatedHandler,
+} from "../src/handlers/order-updated";
+import {
+  destinationFingerprint,
+  withShippingAddress,
+  UndeliverableAddressError,
+} from "../src/address";
+import {
+  claimFulfillmentOrder,
+  releaseFulfillmentOrder,
+  getFulfillmentOrderState,
+  recordLabelPurchased,
+  recordLabelVoided,
+  recordEmailSent,
+  recordFulfillmentCreated,
+} from "../src/store/fulfillment-orders";
+import { getTracker, getVoidedTrackers } from "../src/store/trackers";
+
+const orderId = "gid://shopify/Order/updated-1";
+const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/updated-1";
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete Bun.env.SEND_LIVE_EMAILS;
+});
+
+const shippingAddress = {
+  firstName: "Dana",
+  lastName: "Palm",
+  company: null,
+  street1: "1 Date Palm Dr",
+  street2: "",
+  city: "Indio",
+  province: "California",
+  zip: "92201",
+  countryCode: "US",
+  phone: null,
+};
+
+test("Address fingerprints ignore case and whitespace, but not the address", () => {
+  const fingerprint = destinationFingerprint(shippingAddress);
+  expect(
+    destinationFingerprint({
+      ...shippingAddress,
+      street1: " 1  DATE palm dr ",
+      phone: "555-0100",
+    }),
+  ).toBe(fingerprint);
+  expect(
+    destinationFingerprint({ ...shippingAddress, street2: "Apt 2" }),
+  ).not.toBe(fingerprint);
+  expect(destinationFingerprint(null)).toBeNull();
+});
+
+test("The order's shipping address replaces the fulfillment order's destination", () => {
+  const fulfillmentOrder = {
+    id: fulfillmentOrderId,
+    destination: { address1: "Old St", phone: "555-0100", email: "a@b.c" },
+  };
+  expect(
+    withShippingAddress(fulfillmentOrder, shippingAddress).destination,
+  ).toEqual({
+    firstName: "Dana",
+    lastName: "Palm",
+    address1: "1 Date Palm Dr",
+    address2: "",
+    city: "Indio",
+    province: "California",
+    zip: "92201",
+    countryCode: "US",
+    phone: "555-0100",
+    email: "a@b.c",
+  });
+});
+
+test("Voiding a label clears it and voids its trackers until the replacement is sent", () => {
+  claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId,
+    orderName: "#3001",
+  });
+  expect(orderHasLabels({ admin_graphql_api_id: orderId })).toBe(false);
+
+  recordLabelPurchased(fulfillmentOrderId, {
+    shipmentId: "shp_old",
+    label: { id: "shp_old", tracker: { tracking_code: "OLD1" } },
+    destinationFingerprint: destinationFingerprint(shippingAddress),
+  });
+  recordEmailSent(fulfillmentOrderId);
+  expect(orderHasLabels({ admin_graphql_api_id: orderId })).toBe(true);
+  expect(
+    getFulfillmentOrderState(fulfillmentOrderId).destination_fingerprint,
+  ).toBe(destinationFingerprint(shippingAddress));
+
+  recordLabelVoided(fulfillmentOrderId, "submitted");
+  const voided = getFulfillmentOrderState(fulfillmentOrderId);
+  expect(voided).toMatchObject({
+    shipment_id: null,
+    label: null,
+    email_sent_at: null,
+  });
+  expect(voided.label_voided_at).not.toBeNull();
+  // An interrupted replacement still needs finishing
+  expect(orderHasLabels({ admin_graphql_api_id: orderId })).toBe(true);
+  expect(getTracker("OLD1")).toMatchObject({ refund_status: "submitted" });
+  expect(
+    getVoidedTrackers(fulfillmentOrderId, voided.label_voided_at).map(
+      (tracker) => tracker.tracking_code,
+    ),
+  ).toEqual(["OLD1"]);
+
+  recordLabelPurchased(fulfillmentOrderId, {
+    shipmentId: "shp_new",
+    label: { id: "shp_new", tracker: { tracking_code: "NEW1" } },
+    destinationFingerprint: "new",
+  });
+  recordEmailSent(fulfillmentOrderId);
+  expect(getFulfillmentOrderState(fulfillmentOrderId)).toMatchObject({
+    shipment_id: "shp_new",
+    label_voided_at: null,
+    destination_fingerprint: "new",
+  });
+  expect(getTracker("NEW1").voided_at).toBeNull();
+});
+
+test("A label is replaced even though our fulfillment already fulfilled its line items", async () => {
+  const fulfilledOrderId = "gid://shopify/Order/updated-2";
+  const fulfilledId = "gid://shopify/FulfillmentOrder/updated-2";
+  const claim = claimFulfillmentOrder(fulfilledId, {
+    orderId: fulfilledOrderId,
+    orderName: "#3002",
+  });
+  recordLabelPurchased(fulfilledId, {
+    shipmentId: "shp_fulfilled",
+    label: { id: "shp_fulfilled", tracker: { tracking_code: "FULFILLED1" } },
+    destinationFingerprint: "old",
+  });
+  recordFulfillmentCreated(fulfilledId, "gid://shopify/Fulfillment/3002");
+  recordEmailSent(fulfilledId);
+  releaseFulfillmentOrder(fulfilledId, claim.token);
+
+  const page = (nodes) => ({
+    pageInfo: { hasNextPage: false, endCursor: null },
+    nodes,
+  });
+  const order = {
+    data: {
+      order: {
+        id: fulfilledOrderId,
+        name: "#3002",
+        shippingAddress,
+        fulfillmentOrders: page([
+          {
+            id: fulfilledId,
+            status: "CLOSED",
+            assignedLocation: {
+              name: "Hauser",
+              address1: "1 Warehouse Way",
+              city: "Indio",
+              province: "CA",
+              zip: "92201",
+              countryCode: "US",
+              location: { id: "gid://shopify/Location/1" },
+            },
+            destination: { address1: "Old St" },
+            lineItems: page([
+              {
+                id: "gid://shopify/FulfillmentOrderLineItem/3002",
+                sku: "DATES-1LB",
+                totalQuantity: 2,
+                remainingQuantity: 0,
+                weight: { value: 1, unit: "POUNDS" },
+              },
+            ]),
+          },
+        ]),
+      },
+    },
+  };
+  // The new address can't be delivered to, which is only checked once the pre-flight checks pass
+  Bun.env.EASYPOST_API_BASE_URL = "https://easypost.test/v2";
+  Bun.env.EASYPOST_MAX_RETRIES = "0";
+  globalThis.fetch = async (url) =>
+    String(url).startsWith("https://easypost.test/")
+      ? Response.json({
+          id: "adr_new",
+          verifications: {
+            delivery: {
+              success: false,
+              errors: [{ message: "Address not found" }],
+            },
+          },
+        })
+      : Response.json(order);
+  Bun.env.SEND_LIVE_EMAILS = "true";
+  const sent = [];
+  spyOn(nodemailer, "createTransport").mockReturnValue({
+    verify: async () => true,
+    sendMail: async (message) => sent.push(message),
+  });
+
+  await expect(
+    orderUpdatedHandler({ admin_graphql_api_id: fulfilledOrderId }),
+  ).rejects.toThrow(UndeliverableAddressError);
+
+  expect(sent.map((message) => message.subject)).toEqual([
+    "Order #3002 - Undeliverable shipping address",
+  ]);
+  // The old label is kept until the new address can be delivered to
+  expect(getFulfillmentOrderState(fulfilledId)).toMatchObject({
+    shipment_id: "shp_fulfilled",
+    label_voided_at: null,
+  });
+});
@@ -0,0 +1,116 @@
+import { test, expect } from "bun:test";
+import {
+  parsePackagingConfig,
+  packParcels,
+  NoSuitableBoxError,
+  PackagingConfigError,
+} from "../src/packaging";
+
+const packaging = parsePackagingConfig({
+  boxes: {
+    large: {
+      length: 16,
+      width: 12,
+      height: 10,
+      tareWeight: 10,
+      maxWeight: 640,
+    },
+    small: { length: 8, width: 6, height: 4, tareWeight: 3, maxWeight: 160 },
+  },
+  products: {
+    JAR: { length: 3, width: 3, height: 4 },
+    TIN: { boxes: { small: 2, large: 8 } },
+    POSTER: { length: 20, width: 2, height: 2 },
+  },
+});
+
+const item = (sku, quantity, unitWeight = 8) => ({ sku, quantity, unitWeight });
+
+const boxesFor = (items, config = packaging) =>
+  packParcels(items, config).map((parcel) => parcel.box.name);
+
+test("Boxes are sorted smallest first", () => {
+  expect(packaging.boxes.map((box) => box.name)).toEqual(["small", "large"]);
+});
+
+test("Chooses the smallest box the items fit in", () => {
+  expect(boxesFor([item("JAR", 4)])).toEqual(["small"]);
+  expect(boxesFor([item("JAR", 6)])).toEqual(["large"]);
+});
+
+test("Parcel weight includes the box", () => {
+  const [parcel] = packParcels([item("JAR", 4)], packaging);
+  expect(parcel.weight).toBe(4 * 8 + 3);
+});
+
+test("Packing rules and dimensions share the box", () => {
+  // One tin takes half the small box, leaving room for two jars (75% of its volume) but not three
+  expect(boxesFor([item("TIN", 1), item("JAR", 2)])).toEqual(["small"]);
+  expect(boxesFor([item("TIN", 1), item("JAR", 3)])).toEqual(["large"]);
+});
+
+test("A box must hold the packed weight", () => {
+  expect(boxesFor([item("JAR", 1, 158)])).toEqual(["large"]);
+});
+
+test("Splits items that don't fit in one box", () => {
+  // The large box holds 8 tins
+  const parcels = packParcels([item("TIN", 11)], packaging);
+  expect(parcels.map((parcel) => parcel.box.name)).toEqual(["large", "large"]);
+  expect(parcels.map((parcel) => parcel.items[0].quantity)).toEqual([8, 3]);
+});
+
+test("Split parcels get the smallest box that fits", () => {
+  const parcels = packParcels([item("TIN", 8), item("JAR", 2, 50)], packaging);
+  expect(parcels.map((parcel) => parcel.box.name)).toEqual(["large", "small"]);
+  expect(parcels[1].items).toEqual([item("JAR", 2, 50)]);
+});
+
+test("Splits by weight", () => {
+  const parcels = packParcels([item("JAR", 3, 300)], packaging);
+  expect(parcels).toHaveLength(2);
+  expect(parcels.every((parcel) => parcel.weight <= 640)).toBe(true);
+});
+
+test("Throws when a single unit doesn't fit", () => {
+  expect(() => packParcels([item("POSTER", 1)], packaging)).toThrow(
+    NoSuitableBoxError,
+  );
+  expect(() => packParcels([item("JAR", 1, 700)], packaging)).toThrow(
+    NoSuitableBoxError,
+  );
+});
+
+test("Without a default box, unknown SKUs are sent as a single weight-only parcel", () => {
+  const parcels = packParcels(
+    [item("TIN", 1), item("UNKNOWN", 3, 300)],
+    packaging,
+  );
+  expect(parcels).toHaveLength(1);
+  expect(parcels[0].box).toBeNull();
+  expect(parcels[0].weight).toBe(8 + 900);
+});
+
+test("Unknown SKUs use the default box", () => {
+  const withDefault = { ...packaging, defaultBox: "large" };
+  expect(boxesFor([item("UNKNOWN", 1)], withDefault)).toEqual(["large"]);
+  expect(boxesFor([item("UNKNOWN", 2, 400)], withDefault)).toEqual([
+    "large",
+    "large",
+  ]);
+});
+
+test("Packaging config reports every problem", () => {
+  let error;
+  try {
+    parsePackagingConfig({
+      boxes: { small: { length: 8, width: 0, height: 4, maxWeight: 160 } },
+      products: { TIN: { boxes: { medium: 2 } }, JAR: { length: 3 } },
+      defaultBox: "medium",
+    });
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(PackagingConfigError);
+  expect(error.problems).toHaveLength(4);
+});
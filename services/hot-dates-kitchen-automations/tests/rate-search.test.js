@@ -0,0 +1,183 @@
+import { test, expect } from "bun:test";
+import { searchRates } from "../src/label-purchase";
+import { NoSuitableRatesError } from "../src/rules";
+import {
+  claimFulfillmentOrder,
+  getFulfillmentOrderState,
+} from "../src/store/fulfillment-orders";
+
+const retryOptions = { retryInterval: 0 };
+
+function rate(id, carrier, service, amount) {
+  return { id, carrier, service, rate: amount, delivery_days: 3 };
+}
+
+// Returns the first response's rates on create, then each rerate's rates in turn
+function fakeEasyPost(responses) {
+  const calls = [];
+  const next = () =>
+    responses[Math.min(calls.length - 1, responses.length - 1)];
+  const easypost = {
+    createShipment: async () => {
+      calls.push("createShipment");
+      return { id: "shp_search", rates: next() };
+    },
+    rerateShipment: async (id) => {
+      calls.push(`rerateShipment ${id}`);
+      return next();
+    },
+    createOrder: async () => {
+      calls.push("createOrder");
+      return { id: "order_search", rates: next() };
+    },
+    rerateOrder: async (id) => {
+      calls.push(`rerateOrder ${id}`);
+      return next();
+    },
+  };
+  return { easypost, calls };
+}
+
+// Passes the cheapest Priority rate, if there is one
+async function choosePriority(shipment) {
+  const candidates = shipment.rates
+    .filter((candidate) => candidate.service === "Priority")
+    .sort((a, b) => Number(a.rate) - Number(b.rate));
+  if (candidates.length === 0) {
+    throw new NoSuitableRatesError("No Priority rate");
+  }
+  return { chosenRate: candidates[0], trace: { rates: shipment.rates } };
+}
+
+test("searchRates rerates the shipment it created until a rate passes", async () => {
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/2301";
+  claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId: "gid://shopify/Order/2301",
+    orderName: "#2301",
+  });
+  const { easypost, calls } = fakeEasyPost([
+    [rate("rate_1", "USPS", "GroundAdvantage", "8.10")],
+    [rate("rate_2", "USPS", "GroundAdvantage", "8.20")],
+    [
+      rate("rate_3", "USPS", "GroundAdvantage", "8.30"),
+      rate("rate_4", "USPS", "Priority", "11.40"),
+    ],
+  ]);
+
+  const { shipmentResponse, chosenRate } = await searchRates(easypost, {
+    fulfillmentOrderId,
+    shipment: {},
+    multiParcel: false,
+    chooseRate: choosePriority,
+    retryOptions,
+  });
+
+  expect(calls).toEqual([
+    "createShipment",
+    "rerateShipment shp_search",
+    "rerateShipment shp_search",
+  ]);
+  expect(chosenRate.id).toBe("rate_4");
+  expect(shipmentResponse.id).toBe("shp_search");
+  // Only the latest rates can be bought
+  expect(shipmentResponse.rates.map((candidate) => candidate.id)).toEqual([
+    "rate_3",
+    "rate_4",
+  ]);
+
+  const state = getFulfillmentOrderState(fulfillmentOrderId);
+  expect(state.shipment_id).toBe("shp_search");
+  expect(state.rate_history).toHaveLength(3);
+  expect(state.rate_history[2]).toMatchObject({
+    shipment_id: "shp_search",
+    rates: [
+      { id: "rate_3", carrier: "USPS", service: "GroundAdvantage" },
+      { id: "rate_4", carrier: "USPS", service: "Priority", rate: "11.40" },
+    ],
+  });
+});
+
+test("searchRates chooses from the latest rates, since a rerate replaces the earlier ones", async () => {
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/2302";
+  claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId: "gid://shopify/Order/2302",
+    orderName: "#2302",
+  });
+  const { easypost } = fakeEasyPost([
+    [rate("rate_1", "USPS", "Priority", "11.40")],
+    [rate("rate_2", "USPS", "Priority", "12.90")],
+  ]);
+  let attempts = 0;
+
+  const { chosenRate } = await searchRates(easypost, {
+    fulfillmentOrderId,
+    shipment: {},
+    multiParcel: false,
+    // Rejects the first attempt regardless of its rates
+    chooseRate: async (shipment) => {
+      if (++attempts === 1) {
+        throw new NoSuitableRatesError("Not yet");
+      }
+      return await choosePriority(shipment);
+    },
+    retryOptions,
+  });
+
+  // rate_1 was cheaper, but can no longer be bought
+  expect(chosenRate.id).toBe("rate_2");
+});
+
+test("searchRates rerates an order until a rate passes", async () => {
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/2303";
+  claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId: "gid://shopify/Order/2303",
+    orderName: "#2303",
+  });
+  const { easypost, calls } = fakeEasyPost([
+    [rate("rate_1", "USPS", "GroundAdvantage", "8.10")],
+    [
+      rate("rate_2", "USPS", "GroundAdvantage", "8.90"),
+      rate("rate_3", "USPS", "Priority", "11.40"),
+    ],
+  ]);
+
+  const { shipmentResponse } = await searchRates(easypost, {
+    fulfillmentOrderId,
+    shipment: {},
+    multiParcel: true,
+    chooseRate: choosePriority,
+    retryOptions,
+  });
+
+  expect(calls).toEqual(["createOrder", "rerateOrder order_search"]);
+  expect(shipmentResponse.rates.map((candidate) => candidate.id)).toEqual([
+    "rate_2",
+    "rate_3",
+  ]);
+});
+
+test("searchRates gives up after the configured retries", async () => {
+  const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/2304";
+  claimFulfillmentOrder(fulfillmentOrderId, {
+    orderId: "gid://shopify/Order/2304",
+    orderName: "#2304",
+  });
+  const { easypost, calls } = fakeEasyPost([
+    [rate("rate_1", "USPS", "GroundAdvantage", "8.10")],
+  ]);
+
+  await expect(
+    searchRates(easypost, {
+      fulfillmentOrderId,
+      shipment: {},
+      multiParcel: false,
+      chooseRate: choosePriority,
+      retryOptions: { ...retryOptions, maxRetries: 2 },
+    }),
+  ).rejects.toThrow(NoSuitableRatesError);
+  expect(calls).toHaveLength(3);
+  expect(calls.filter((call) => call === "createShipment")).toHaveLength(1);
+  expect(
+    getFulfillmentOrderState(fulfillmentOrderId).rate_history,
+  ).toHaveLength(3);
+});
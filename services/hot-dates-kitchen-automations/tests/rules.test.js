@@ -0,0 +1,280 @@
+import { test, expect } from "bun:test";
+import rules, { NoSuitableRatesError, formatDecisionTrace } from "../src/rules";
+import {
+  parseRuleConfig,
+  parseRuleSetDefinition,
+  orderShippingLine,
+  getShippingMethod,
+  RuleConfigError,
+} from "../src/rule-config";
+
+const makeShipment = (zone, rates) => ({
+  usps_zone: zone,
+  to_address: { state: "CA" },
+  parcel: { weight: 24 },
+  rates,
+});
+
+const rates = [
+  {
+    id: "rate_usps",
+    carrier: "USPS",
+    service: "Priority",
+    rate: "9.50",
+    delivery_days: 2,
+  },
+  {
+    id: "rate_ups",
+    carrier: "UPSDAP",
+    service: "2ndDayAir",
+    rate: "18.25",
+    delivery_days: 2,
+  },
+  {
+    id: "rate_fedex",
+    carrier: "FedExDefault",
+    service: "FEDEX_GROUND",
+    rate: "8.10",
+    delivery_days: 4,
+  },
+];
+
+test("default rule set picks the cheapest rate within 2 delivery days", async () => {
+  const { chosenRate } = await rules(makeShipment(2, rates));
+  expect(chosenRate.id).toBe("rate_usps");
+});
+
+test("default rule set excludes USPS above zone 2", async () => {
+  const { chosenRate } = await rules(makeShipment(5, rates));
+  expect(chosenRate.id).toBe("rate_ups");
+});
+
+test("throws NoSuitableRatesError when no rates pass", async () => {
+  expect(rules(makeShipment(5, [rates[0], rates[2]]))).rejects.toThrow(
+    NoSuitableRatesError,
+  );
+});
+
+test("decision trace explains why every rate was accepted or rejected", async () => {
+  const { trace } = await rules(makeShipment(5, rates));
+  expect(trace.ruleSet).toBe("default");
+  expect(trace.chosen.id).toBe("rate_ups");
+
+  const [usps, ups, fedex] = trace.rates;
+  expect(usps.outcome).toBe("rejected");
+  expect(usps.rule).toBe("no-usps-above-zone-2");
+  expect(usps.reason).toContain("zone gt 2 (was 5)");
+  expect(ups.outcome).toBe("chosen");
+  expect(ups.reason).toContain("ranked 1 of 1 by rate asc");
+  expect(fedex.outcome).toBe("rejected");
+  expect(fedex.rule).toBe("max-2-delivery-days");
+  expect(fedex.reason).toContain("delivery_days lte 2 (was 4)");
+
+  expect(formatDecisionTrace(trace)).toContain(
+    "[CHOSEN] UPSDAP 2ndDayAir: $18.25",
+  );
+});
+
+test("NoSuitableRatesError carries the decision trace", async () => {
+  let error;
+  try {
+    await rules(makeShipment(5, [rates[0], rates[2]]));
+  } catch (e) {
+    error = e;
+  }
+  expect(error.trace.chosen).toBeNull();
+  expect(error.trace.rates.map((rate) => rate.outcome)).toEqual([
+    "rejected",
+    "rejected",
+  ]);
+});
+
+test("rules can match on order tags and JSONata expressions", async () => {
+  const ruleSet = parseRuleSetDefinition(
+    {
+      rules: [
+        {
+          name: "wholesale-ground",
+          type: "filter",
+          match: { tags: "wholesale" },
+        },
+        {
+          name: "under-10",
+          type: "filter",
+          expression: "rate < 10 and state = 'CA'",
+        },
+      ],
+      sort: [{ key: "delivery_days", order: "desc" }],
+    },
+    "candidate",
+  );
+  const { chosenRate } = await rules(
+    makeShipment(5, rates),
+    { tags: ["vip", "wholesale"] },
+    ruleSet,
+  );
+  expect(chosenRate.id).toBe("rate_fedex");
+
+  expect(
+    rules(makeShipment(5, rates), { tags: ["vip"] }, ruleSet),
+  ).rejects.toThrow(NoSuitableRatesError);
+});
+
+test("invalid rule configs are rejected with every problem listed", () => {
+  let error;
+  try {
+    parseRuleConfig({
+      activeRuleSet: "missing",
+      ruleSets: {
+        broken: {
+          rules: [
+            { type: "keep", match: { rate: { below: 10 } } },
+            { type: "filter", expression: "rate <" },
+            { type: "exclude" },
+          ],
+          sort: [{ key: "rate", order: "cheapest" }],
+        },
+      },
+    });
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(RuleConfigError);
+  expect(error.problems).toHaveLength(6);
+});
+
+test("rules can only match on and sort by rate fields", () => {
+  expect(() =>
+    parseRuleSetDefinition(
+      {
+        rules: [
+          { type: "filter", match: { zone: { lte: 4 }, carrier: "USPS" } },
+          { type: "exclude", match: { deliversOnDayOff: true } },
+        ],
+        sort: [{ key: "guaranteed", order: "desc" }, { key: "rate" }],
+      },
+      "valid",
+    ),
+  ).not.toThrow();
+
+  let error;
+  try {
+    parseRuleSetDefinition(
+      {
+        rules: [
+          {
+            name: "typo",
+            type: "filter",
+            match: { deliveryDays: { lte: 2 }, carrier: "USPS" },
+          },
+        ],
+        sort: [{ key: "price", order: "asc" }],
+      },
+      "typos",
+    );
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(RuleConfigError);
+  expect(error.problems).toEqual([
+    "typos.rules[0].match.deliveryDays is not a rate field",
+    'typos.sort[0].key "price" is not a rate field',
+  ]);
+});
+
+test("rates must fit the shipping method the customer paid for", async () => {
+  const overnightRates = [
+    ...rates,
+    {
+      id: "rate_overnight",
+      carrier: "UPSDAP",
+      service: "NextDayAir",
+      rate: "42.00",
+      delivery_days: 1,
+    },
+  ];
+  const shippingLine = orderShippingLine({
+    shippingLines: {
+      nodes: [
+        {
+          title: "Overnight",
+          code: "OVERNIGHT",
+          originalPriceSet: { shopMoney: { amount: "35.00" } },
+        },
+      ],
+    },
+  });
+  expect(shippingLine).toEqual({
+    title: "Overnight",
+    code: "OVERNIGHT",
+    price: 35,
+  });
+
+  const overnight = await getShippingMethod(shippingLine);
+  const { chosenRate, trace } = await rules(makeShipment(2, overnightRates), {
+    shippingLine,
+    shippingMethod: overnight,
+  });
+  expect(chosenRate.id).toBe("rate_overnight");
+  expect(trace.rates[0].rule).toBe("shipping-method-Overnight-services");
+
+  // Standard never gets the expensive overnight label, even with no cheaper rate in the rule set's limits
+  const standard = await getShippingMethod({
+    title: "Standard",
+    code: null,
+    price: 0,
+  });
+  const { chosenRate: standardRate } = await rules(
+    makeShipment(5, overnightRates),
+    { shippingMethod: standard },
+  );
+  expect(standardRate.id).toBe("rate_ups");
+
+  expect(
+    await getShippingMethod({ title: "Local delivery", code: "local" }),
+  ).toBeNull();
+  expect(orderShippingLine({ shippingLines: { nodes: [] } })).toBeNull();
+});
+
+test("rules can match on the checkout shipping method", async () => {
+  const ruleSet = parseRuleSetDefinition(
+    {
+      rules: [
+        {
+          name: "free-shipping-cheapest",
+          type: "filter",
+          expression: "shippingPrice > 0 or rate < 10",
+        },
+      ],
+      sort: [{ key: "delivery_days", order: "asc" }],
+    },
+    "candidate",
+  );
+  const { chosenRate } = await rules(
+    makeShipment(2, rates),
+    { shippingLine: { title: "Free", code: "FREE", price: 0 } },
+    ruleSet,
+  );
+  expect(chosenRate.id).toBe("rate_usps");
+});
+
+test("invalid shipping method mappings are rejected", () => {
+  let error;
+  try {
+    parseRuleConfig({
+      activeRuleSet: "default",
+      ruleSets: { default: { rules: [] } },
+      shippingMethods: {
+        Overnight: { services: [], maxDeliveryDays: 0.5 },
+        Standard: {},
+      },
+    });
+  } catch (e) {
+    error = e;
+  }
+  expect(error.problems).toEqual([
+    "shippingMethods.Overnight.services must be a non-empty array of strings",
+    "shippingMethods.Overnight.maxDeliveryDays must be a whole number, 1 or more",
+    "shippingMethods.Standard must have services, maxDeliveryDays or both",
+  ]);
+});
@@ -0,0 +1,108 @@
+import { test, expect } from "bun:test";
+import { DateTime } from "luxon";
+import { nextShipDay, isDayOff } from "../src/ship-days";
+import { buildShipment } from "../src/shipment";
+import rules from "../src/rules";
+
+const shipDays = {
+  timezone: "America/Los_Angeles",
+  weekdays: [1, 2, 3, 4],
+  cutoff: "14:00",
+  holidays: ["2026-11-26"],
+};
+
+const pacific = (iso) => DateTime.fromISO(iso, { zone: "America/Los_Angeles" });
+
+test("Orders before the cutoff on a ship day ship that day", () => {
+  expect(nextShipDay(shipDays, pacific("2026-10-20T09:30")).toISO()).toBe(
+    "2026-10-20T00:00:00.000-07:00",
+  );
+});
+
+test("Orders after the cutoff ship the next ship day", () => {
+  expect(nextShipDay(shipDays, pacific("2026-10-20T14:00")).toISODate()).toBe(
+    "2026-10-21",
+  );
+  // Thursday afternoon waits for Monday
+  expect(nextShipDay(shipDays, pacific("2026-10-22T15:00")).toISODate()).toBe(
+    "2026-10-26",
+  );
+});
+
+test("The cutoff is in the fulfillment center's timezone", () => {
+  // 21:30 UTC is 14:30 in Los Angeles
+  expect(
+    nextShipDay(
+      shipDays,
+      DateTime.fromISO("2026-10-20T21:30:00Z", { zone: "utc" }),
+    ).toISODate(),
+  ).toBe("2026-10-21");
+});
+
+test("Holidays aren't ship days", () => {
+  expect(nextShipDay(shipDays, pacific("2026-11-25T15:00")).toISODate()).toBe(
+    "2026-11-30",
+  );
+});
+
+test("Weekends and holidays are days off for deliveries", () => {
+  expect(isDayOff("2026-10-24", [])).toBe(true); // Saturday
+  expect(isDayOff("2026-10-23", [])).toBe(false); // Friday
+  expect(isDayOff("2026-11-26", shipDays.holidays)).toBe(true);
+});
+
+test("Rates delivering on a weekend are rejected", async () => {
+  // USPS delivers on Saturdays, so a 2-day rate shipped on a Thursday arrives on Saturday
+  const shipment = {
+    usps_zone: 2,
+    parcel: { weight: 24 },
+    rates: [
+      {
+        id: "rate_2day",
+        carrier: "USPS",
+        service: "Priority",
+        rate: "9.50",
+        delivery_days: 2,
+      },
+      {
+        id: "rate_overnight",
+        carrier: "USPS",
+        service: "Express",
+        rate: "30.00",
+        delivery_days: 1,
+      },
+    ],
+  };
+  const { chosenRate, trace } = await rules(shipment, {
+    shipDay: pacific("2026-10-22"),
+    holidays: [],
+  });
+  expect(chosenRate.id).toBe("rate_overnight");
+  expect(trace.rates[0].rule).toBe("no-weekend-or-holiday-delivery");
+
+  // Without a ship-day calendar, delivery dates aren't checked
+  expect((await rules(shipment)).chosenRate.id).toBe("rate_2day");
+});
+
+test("Labels are dated for the ship day", () => {
+  const fulfillmentOrder = {
+    assignedLocation: {},
+    destination: { firstName: "Dana", lastName: "Palm" },
+  };
+  const parcel = {
+    box: { length: 10, width: 8, height: 4 },
+    weight: 20,
+  };
+  const center = { name: "Hauser" };
+  expect(
+    buildShipment(fulfillmentOrder, {
+      mode: "test",
+      center,
+      parcel,
+      shipDay: pacific("2026-10-26"),
+    }).options,
+  ).toEqual({ label_date: "2026-10-26T00:00:00.000-07:00" });
+  expect(
+    buildShipment(fulfillmentOrder, { mode: "test", center, parcel }).options,
+  ).toBeUndefined();
+});
@@ -0,0 +1,138 @@
+import { test, expect, afterEach } from "bun:test";
+import {
+  ShopifyClient,
+  UserError,
+  ShopifyServerError,
+  throttleWait,
+} from "../src/common/shopify";
+import { fetchOrder } from "../src/orders";
+
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// Replaces fetch with canned responses, in order, remembering each request's body
+function fakeFetch(responses) {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push(JSON.parse(init.body));
+    const response = responses.shift();
+    return response instanceof Response ? response : Response.json(response);
+  };
+  return requests;
+}
+
+function client() {
+  return new ShopifyClient({
+    retryOptions: { maxRetries: 2, retryInterval: 0 },
+  });
+}
+
+test("Mutation userErrors are thrown", async () => {
+  fakeFetch([
+    {
+      data: {
+        fulfillmentCreate: {
+          fulfillment: null,
+          userErrors: [{ field: ["fulfillment"], message: "Invalid location" }],
+        },
+      },
+    },
+  ]);
+  const error = await client()
+    .gqlQuery("mutation { fulfillmentCreate }")
+    .catch((e) => e);
+  expect(error).toBeInstanceOf(UserError);
+  expect(error.userErrors).toEqual([
+    { field: ["fulfillment"], message: "Invalid location" },
+  ]);
+});
+
+test("Throttled queries wait for the cost budget to be restored, then retry", async () => {
+  const cost = {
+    requestedQueryCost: 12,
+    throttleStatus: {
+      maximumAvailable: 2000,
+      currentlyAvailable: 2,
+      restoreRate: 100,
+    },
+  };
+  expect(throttleWait(cost)).toBe(100);
+
+  const requests = fakeFetch([
+    {
+      errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+      extensions: {
+        cost: {
+          ...cost,
+          throttleStatus: { ...cost.throttleStatus, currentlyAvailable: 11.9 },
+        },
+      },
+    },
+    new Response("Bad gateway", { status: 502 }),
+    { data: { shop: { id: "1" } } },
+  ]);
+  expect(await client().gqlQuery("{ shop { id } }")).toEqual({
+    data: { shop: { id: "1" } },
+  });
+  expect(requests).toHaveLength(3);
+
+  fakeFetch([
+    new Response("", { status: 503 }),
+    new Response("", { status: 503 }),
+    new Response("", { status: 503 }),
+  ]);
+  expect(
+    await client()
+      .gqlQuery("{ shop { id } }")
+      .catch((e) => e),
+  ).toBeInstanceOf(ShopifyServerError);
+});
+
+test("Orders are fetched with every fulfillment order and line item", async () => {
+  const page = (nodes, endCursor = null) => ({
+    pageInfo: { hasNextPage: endCursor !== null, endCursor },
+    nodes,
+  });
+  const requests = fakeFetch([
+    {
+      data: {
+        order: {
+          id: "gid://shopify/Order/1",
+          name: "#8001",
+          fulfillmentOrders: page(
+            [{ id: "fo_1", lineItems: page([{ id: "li_1" }], "li-cursor") }],
+            "fo-cursor",
+          ),
+        },
+      },
+    },
+    {
+      data: {
+        order: {
+          fulfillmentOrders: page([
+            { id: "fo_2", lineItems: page([{ id: "li_3" }]) },
+          ]),
+        },
+      },
+    },
+    { data: { fulfillmentOrder: { lineItems: page([{ id: "li_2" }]) } } },
+  ]);
+
+  const order = await fetchOrder(client(), "gid://shopify/Order/1");
+  expect(
+    order.fulfillmentOrders.nodes.map((fulfillmentOrder) => [
+      fulfillmentOrder.id,
+      fulfillmentOrder.lineItems.nodes.map((lineItem) => lineItem.id),
+    ]),
+  ).toEqual([
+    ["fo_1", ["li_1", "li_2"]],
+    ["fo_2", ["li_3"]],
+  ]);
+  expect(requests.slice(1).map((request) => request.variables)).toEqual([
+    { id: "gid://shopify/Order/1", after: "fo-cursor" },
+    { id: "fo_1", after: "li-cursor" },
+  ]);
+});
@@ -0,0 +1,68 @@
+import { test, expect } from "bun:test";
+import { simulateRates, SimulationInputError } from "../src/simulate";
+
+const shipment = {
+  id: "shp_saved",
+  usps_zone: 5,
+  to_address: { state: "CA" },
+  parcel: { weight: 20 },
+  rates: [
+    {
+      id: "rate_usps",
+      carrier: "USPS",
+      service: "Priority",
+      rate: "9.50",
+      delivery_days: 2,
+    },
+    {
+      id: "rate_ups",
+      carrier: "UPSDAP",
+      service: "2ndDayAir",
+      rate: "18.00",
+      delivery_days: 2,
+    },
+  ],
+};
+
+test("compares the current and candidate rule sets on a saved shipment", async () => {
+  const [simulation] = await simulateRates({
+    shipment,
+    candidateRuleSet: { rules: [], sort: [{ key: "rate" }] },
+  });
+  expect(simulation.shipmentId).toBe("shp_saved");
+  expect(simulation.current.chosenRate.id).toBe("rate_ups");
+  expect(simulation.candidate.chosenRate.id).toBe("rate_usps");
+  expect(simulation.differences.chosenRateChanged).toBe(true);
+  expect(simulation.differences.costDifference).toBe("-8.50");
+  expect(simulation.differences.rates).toEqual([
+    expect.objectContaining({
+      id: "rate_usps",
+      current: "rejected",
+      candidate: "chosen",
+    }),
+    expect.objectContaining({
+      id: "rate_ups",
+      current: "chosen",
+      candidate: "passed",
+    }),
+  ]);
+});
+
+test("reports when a rule set chooses no rate", async () => {
+  const [simulation] = await simulateRates({
+    shipment,
+    candidateRuleSet: {
+      rules: [{ type: "filter", match: { carrier: "FedExDefault" } }],
+    },
+  });
+  expect(simulation.candidate.chosenRate).toBeNull();
+  expect(simulation.candidate.error).toContain("No rates passed");
+  expect(simulation.differences.costDifference).toBeNull();
+});
+
+test("rejects requests without exactly one shipment source", async () => {
+  expect(simulateRates({})).rejects.toThrow(SimulationInputError);
+  expect(simulateRates({ shipment: { id: "shp_unrated" } })).rejects.toThrow(
+    SimulationInputError,
+  );
+});
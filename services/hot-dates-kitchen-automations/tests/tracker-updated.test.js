@@ -0,0 +1,203 @@
+import { test, expect, afterEach, spyOn } from "bun:test";
+import nodemailer from "nodemailer";
+import { trackerUpdatedHandler } from "../src/handlers/tracker-updated";
+import {
+  claimFulfillmentOrder,
+  recordLabelPurchased,
+} from "../src/store/fulfillment-orders";
+import { getTracker } from "../src/store/trackers";
+import { validateEasyPostWebhookHmac } from "../src/utils/webhook-validation";
+import logger from "../src/utils/logger";
+
+afterEach(() => {
+  delete Bun.env.SEND_LIVE_EMAILS;
+});
+
+const fulfillmentOrderId = "gid://shopify/FulfillmentOrder/tracker-1";
+claimFulfillmentOrder(fulfillmentOrderId, {
+  orderId: "gid://shopify/Order/tracker-1",
+  orderName: "#2001",
+});
+
+test("Trackers are recorded for every label bought", () => {
+  recordLabelPurchased(fulfillmentOrderId, {
+    shipmentId: "order_1",
+    label: {
+      id: "order_1",
+      shipments: [
+        { id: "shp_1", tracker: { tracking_code: "TRACK1" } },
+        { id: "shp_2", tracker: { tracking_code: "TRACK2" } },
+      ],
+    },
+  });
+  expect(getTracker("TRACK1")).toMatchObject({
+    fulfillment_order_id: fulfillmentOrderId,
+    easypost_shipment_id: "shp_1",
+    order_name: "#2001",
+    status: null,
+  });
+  expect(getTracker("TRACK2").easypost_shipment_id).toBe("shp_2");
+});
+
+test("Tracker updates record the latest status", async () => {
+  await trackerUpdatedHandler({
+    trackingCode: "TRACK1",
+    status: "in_transit",
+    latestEvent: { message: "Departed facility", city: "Indio", state: "CA" },
+  });
+  expect(getTracker("TRACK1").status).toBe("in_transit");
+
+  await trackerUpdatedHandler({
+    trackingCode: "TRACK1",
+    status: "return_to_sender",
+  });
+  expect(getTracker("TRACK1").status).toBe("return_to_sender");
+});
+
+test("Tracker updates older than the last one recorded are ignored", async () => {
+  await trackerUpdatedHandler({
+    trackingCode: "TRACK2",
+    status: "delivered",
+    latestEvent: { message: "Delivered", datetime: "2026-10-20T18:00:00Z" },
+  });
+  // Delivered late by EasyPost
+  await trackerUpdatedHandler({
+    trackingCode: "TRACK2",
+    status: "in_transit",
+    latestEvent: {
+      message: "Departed facility",
+      datetime: "2026-10-19T09:00:00Z",
+    },
+  });
+  expect(getTracker("TRACK2")).toMatchObject({
+    status: "delivered",
+    event_at: "2026-10-20T18:00:00Z",
+  });
+
+  // A later event still counts, e.g. the package is returned after all
+  await trackerUpdatedHandler({
+    trackingCode: "TRACK2",
+    status: "return_to_sender",
+    latestEvent: { message: "Returned", datetime: "2026-10-22T10:00:00Z" },
+  });
+  expect(getTracker("TRACK2").status).toBe("return_to_sender");
+});
+
+test("Tracker updates for other labels are ignored", async () => {
+  await trackerUpdatedHandler({
+    trackingCode: "NOT-OURS",
+    status: "delivered",
+  });
+  expect(getTracker("NOT-OURS")).toBeNull();
+});
+
+test("A delivery problem alert that failed is sent again, without pushing the status again", async () => {
+  const alertedId = "gid://shopify/FulfillmentOrder/tracker-2";
+  claimFulfillmentOrder(alertedId, {
+    orderId: "gid://shopify/Order/tracker-2",
+    orderName: "#2002",
+  });
+  recordLabelPurchased(alertedId, {
+    shipmentId: "shp_3",
+    label: { id: "shp_3", tracker: { tracking_code: "TRACK3" } },
+  });
+  const update = {
+    trackingCode: "TRACK3",
+    status: "failure",
+    latestEvent: {
+      message: "Delivery attempted",
+      datetime: "2026-10-20T18:00:00Z",
+    },
+  };
+  const events = spyOn(logger, "debug");
+  Bun.env.SEND_LIVE_EMAILS = "true";
+  const sent = [];
+  let failing = true;
+  spyOn(nodemailer, "createTransport").mockReturnValue({
+    verify: async () => true,
+    sendMail: async (message) => {
+      if (failing) {
+        throw new Error("SMTP is down");
+      }
+      sent.push(message);
+    },
+  });
+  const eventsCreated = () =>
+    events.mock.calls.filter(([message]) =>
+      message.startsWith(
+        "Would have created fulfillment event for order #2002",
+      ),
+    ).length;
+
+  await expect(trackerUpdatedHandler(update)).rejects.toThrow("SMTP is down");
+  expect(getTracker("TRACK3")).toMatchObject({
+    status: "failure",
+    alerted_status: null,
+  });
+  expect(eventsCreated()).toBe(1);
+
+  failing = false;
+  await trackerUpdatedHandler(update);
+  expect(sent.map((message) => message.subject)).toEqual([
+    "Order #2002 - Delivery problem (failure)",
+  ]);
+  expect(getTracker("TRACK3").alerted_status).toBe("failure");
+  expect(eventsCreated()).toBe(1);
+
+  // Redelivered once alerted
+  await trackerUpdatedHandler(update);
+  expect(sent).toHaveLength(1);
+  events.mockRestore();
+});
+
+test("A label's fulfillment is delivered once every box is", async () => {
+  const boxesId = "gid://shopify/FulfillmentOrder/tracker-3";
+  claimFulfillmentOrder(boxesId, {
+    orderId: "gid://shopify/Order/tracker-3",
+    orderName: "#2003",
+  });
+  recordLabelPurchased(boxesId, {
+    shipmentId: "order_3",
+    label: {
+      id: "order_3",
+      shipments: [
+        { id: "shp_4", tracker: { tracking_code: "TRACK4" } },
+        { id: "shp_5", tracker: { tracking_code: "TRACK5" } },
+      ],
+    },
+  });
+  const events = spyOn(logger, "debug");
+  const deliveredEvents = () =>
+    events.mock.calls
+      .filter(([message]) => message.startsWith("{"))
+      .map(([message]) => JSON.parse(message))
+      .filter((event) => event.status === "DELIVERED");
+
+  await trackerUpdatedHandler({ trackingCode: "TRACK4", status: "delivered" });
+  expect(getTracker("TRACK4").status).toBe("delivered");
+  expect(deliveredEvents()).toEqual([]);
+
+  await trackerUpdatedHandler({
+    trackingCode: "TRACK5",
+    status: "delivered",
+    latestEvent: { message: "Delivered, front porch" },
+  });
+  expect(deliveredEvents()).toMatchObject([
+    { status: "DELIVERED", message: "Delivered, front porch" },
+  ]);
+  events.mockRestore();
+});
+
+test("EasyPost webhook HMAC", () => {
+  const body = Buffer.from('{"description":"tracker.updated"}');
+  const signature = `hmac-sha256-hex=${new Bun.CryptoHasher("sha256", "secret")
+    .update(body)
+    .digest("hex")}`;
+  expect(validateEasyPostWebhookHmac(signature, body, "secret")).toBe(true);
+  expect(validateEasyPostWebhookHmac(signature, body, "other")).toBe(false);
+  expect(validateEasyPostWebhookHmac("hmac-sha256-hex=", body, "secret")).toBe(
+    false,
+  );
+  // EASYPOST_WEBHOOK_SECRET not set
+  expect(validateEasyPostWebhookHmac(signature, body, undefined)).toBe(false);
+});
@@ -0,0 +1,94 @@
+import { test, expect } from "bun:test";
+import {
+  toOunces,
+  lineItemWeightProblem,
+  WeightUnitError,
+} from "../src/utils/weight";
+import { validateFulfillmentOrder } from "../src/utils/validation";
+import { packFulfillmentOrder } from "../src/shipment";
+import { parsePackagingConfig } from "../src/packaging";
+
+test("Converts every Shopify weight unit to ounces", () => {
+  expect(toOunces({ value: 2, unit: "OUNCES" })).toBe(2);
+  expect(toOunces({ value: 1.5, unit: "POUNDS" })).toBe(24);
+  expect(toOunces({ value: 453.59237, unit: "GRAMS" })).toBeCloseTo(16, 6);
+  expect(toOunces({ value: 1, unit: "KILOGRAMS" })).toBeCloseTo(35.274, 3);
+  expect(() => toOunces({ value: 1, unit: "STONE" })).toThrow(WeightUnitError);
+});
+
+test("Flags missing, zero and unknown weights", () => {
+  expect(lineItemWeightProblem({ weight: { value: 1, unit: "GRAMS" } })).toBe(
+    null,
+  );
+  expect(lineItemWeightProblem({ weight: null })).toBe("has no weight");
+  expect(lineItemWeightProblem({ weight: { value: 0, unit: "OUNCES" } })).toBe(
+    "has a weight of zero",
+  );
+  expect(lineItemWeightProblem({ weight: { value: 1, unit: 2 } })).toBe(
+    "has weight in unknown units 2",
+  );
+});
+
+const fulfillmentOrder = (lineItems) => ({
+  id: "gid://shopify/FulfillmentOrder/1",
+  destination: {
+    firstName: "Bob",
+    lastName: "Smith",
+    address1: "123 Avenue Blvd",
+    city: "New Albany",
+    province: "IN",
+    zip: "47150",
+    countryCode: "US",
+  },
+  assignedLocation: {
+    address1: "123 Road Street",
+    city: "Date Town",
+    province: "CA",
+    zip: "92201",
+    countryCode: "US",
+  },
+  lineItems: { nodes: lineItems },
+});
+
+test("Validation reports line items with no weight", () => {
+  const errors = validateFulfillmentOrder(
+    fulfillmentOrder([
+      {
+        id: 1,
+        sku: "JAR",
+        totalQuantity: 1,
+        weight: { value: 0, unit: "OUNCES" },
+      },
+      {
+        id: 2,
+        sku: "TIN",
+        totalQuantity: 1,
+        weight: { value: 8, unit: "OUNCES" },
+      },
+    ]),
+  );
+  expect(errors).toHaveLength(1);
+  expect(errors[0]).toContain("JAR");
+});
+
+test("Parcel weight accounts for quantity", () => {
+  const packaging = parsePackagingConfig({
+    boxes: {
+      medium: {
+        length: 12,
+        width: 10,
+        height: 6,
+        tareWeight: 6,
+        maxWeight: 320,
+      },
+    },
+    defaultBox: "medium",
+  });
+  const [parcel] = packFulfillmentOrder(
+    fulfillmentOrder([
+      { sku: "JAR", totalQuantity: 3, weight: { value: 250, unit: "GRAMS" } },
+    ]),
+    packaging,
+  );
+  expect(parcel.weight).toBeCloseTo(3 * 8.818 + 6, 2);
+});